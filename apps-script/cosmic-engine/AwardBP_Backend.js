@@ -43,11 +43,11 @@ function getCanonicalNames() {
  * Adds dice points to a player's Dice Roll Points sheet
  * Called from Award BP UI when source is D20 or HYBRID
  * 
- * Flow: Dice Roll Points → (sync) → BP_Total → (overflow) → BP_Prestige
+ * Flow: Dice Roll Points → (sync) → BP_Ledger → BP_Total / BP_Prestige
  * 
  * @param {string} preferredName - Player name (already canonical from UI)
  * @param {number} amount - Points to add
- * @param {Object} metadata - {note, dfTags, source, timestamp}
+ * @param {Object} metadata - {note, dfTags, source, timestamp, eventId}
  * @return {Object} {success, player, awarded, overflowToPrestige, error}
  */
 function addDicePoints(preferredName, amount, metadata) {
@@ -131,15 +131,12 @@ function addDicePoints(preferredName, amount, metadata) {
       }
     }
     
-    // Trigger BP_Total sync if available
+    // Sync the new dice points into BP_Ledger (overflow goes to prestige)
     let overflowToPrestige = 0;
     try {
-      if (typeof updateBPTotalFromSources === 'function') {
-        updateBPTotalFromSources();
-      } else if (typeof refreshBP_Total === 'function') {
-        refreshBP_Total();
-      }
-      // Check for overflow (would need to read BP_Total to get actual overflow)
+      const prestigeBefore = getBPLedgerBalance(preferredName).prestige;
+      syncBPLedgerFromSources([preferredName], { eventId: metadata?.eventId || '', sources: ['DICE_ROLLS'] });
+      overflowToPrestige = getBPLedgerBalance(preferredName).prestige - prestigeBefore;
     } catch (syncErr) {
       console.warn('BP sync after dice points:', syncErr);
     }
@@ -182,7 +179,7 @@ function addDicePoints(preferredName, amount, metadata) {
 // ============================================================================
 
 /**
- * Awards BP directly to BP_Total (for non-dice sources)
+ * Awards BP via awardBonusPoints (for non-dice sources)
  * Called from Award BP UI when source is MANUAL, ATTENDANCE, TOP4, etc.
  * 
  * This is a UI-facing wrapper that ensures consistent return shape.
@@ -190,7 +187,7 @@ function addDicePoints(preferredName, amount, metadata) {
  * @param {string} preferredName - Player name
  * @param {number} amount - BP to award
  * @param {string} source - Source type (MANUAL, ATTENDANCE, TOP4, FLAG_MISSION, etc.)
- * @param {Object} metadata - {note, dfTags, timestamp}
+ * @param {Object} metadata - {note, dfTags, timestamp, idempotencyKey} (the UI sends one key per submit)
  * @return {Object} {success, player, awarded, currentBP, overflowToPrestige, error}
  */
 function awardBP(preferredName, amount, source, metadata) {
@@ -204,23 +201,17 @@ function awardBP(preferredName, amount, source, metadata) {
       return { success: false, error: 'Amount must be positive' };
     }
     
-    // Try to use existing awardBonusPoints if available
-    if (typeof awardBonusPoints === 'function') {
-      const result = awardBonusPoints(preferredName, amount, source || 'MANUAL', metadata || {});
-      
-      // Normalize return shape for UI
-      return {
-        success: result.success,
-        player: result.player || preferredName,
-        awarded: result.awarded || amount,
-        currentBP: result.currentBP || 0,
-        overflowToPrestige: result.overflow || 0,
-        error: result.error
-      };
-    }
+    const result = awardBonusPoints(preferredName, amount, source || 'MANUAL', metadata || {});
     
-    // Fallback: Direct BP_Total update
-    return awardBPDirect_(preferredName, amount, source, metadata);
+    // Normalize return shape for UI
+    return {
+      success: result.success,
+      player: result.player || preferredName,
+      awarded: result.awarded || amount,
+      currentBP: result.currentBP || 0,
+      overflowToPrestige: result.overflow || 0,
+      error: result.error
+    };
     
   } catch (e) {
     console.error('awardBP error:', e);
@@ -232,176 +223,6 @@ function awardBP(preferredName, amount, source, metadata) {
   }
 }
 
-/**
- * Direct BP_Total update fallback
- * Used when awardBonusPoints is not available
- * @private
- */
-function awardBPDirect_(preferredName, amount, source, metadata) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName('BP_Total');
-  
-  // Create BP_Total if missing
-  if (!sheet) {
-    sheet = ss.insertSheet('BP_Total');
-    sheet.appendRow(['PreferredName', 'Current_BP', 'Historical_BP', 'LastUpdated']);
-    sheet.setFrozenRows(1);
-    sheet.getRange('A1:D1')
-      .setFontWeight('bold')
-      .setBackground('#4285f4')
-      .setFontColor('#ffffff');
-  }
-  
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-  
-  const nameCol = findColumnIndex_(headers, ['PreferredName', 'Name']);
-  const currentBPCol = findColumnIndex_(headers, ['Current_BP', 'BP_Current', 'CurrentBP']);
-  const historicalCol = findColumnIndex_(headers, ['Historical_BP', 'HistoricalBP']);
-  const updatedCol = findColumnIndex_(headers, ['LastUpdated', 'Last_Updated']);
-  
-  if (nameCol === -1 || currentBPCol === -1) {
-    return { success: false, error: 'Invalid BP_Total schema' };
-  }
-  
-  // Get global cap (default 100)
-  let globalCap = 100;
-  try {
-    if (typeof getThrottleNumber === 'function') {
-      globalCap = getThrottleNumber('BP_Global_Cap', 100);
-    }
-  } catch (e) {
-    // Use default
-  }
-  
-  // Find player row
-  let playerRow = -1;
-  let currentBP = 0;
-  let historicalBP = 0;
-  
-  for (let i = 1; i < data.length; i++) {
-    if (String(data[i][nameCol]).trim().toLowerCase() === preferredName.toLowerCase()) {
-      playerRow = i;
-      currentBP = Number(data[i][currentBPCol]) || 0;
-      if (historicalCol !== -1) {
-        historicalBP = Number(data[i][historicalCol]) || 0;
-      }
-      break;
-    }
-  }
-  
-  const newTotal = currentBP + amount;
-  const clampedBP = Math.min(newTotal, globalCap);
-  const overflow = Math.max(0, newTotal - globalCap);
-  const now = new Date();
-  
-  if (playerRow === -1) {
-    // Create new row
-    const newRow = new Array(headers.length).fill('');
-    newRow[nameCol] = preferredName;
-    newRow[currentBPCol] = clampedBP;
-    if (historicalCol !== -1) newRow[historicalCol] = amount;
-    if (updatedCol !== -1) newRow[updatedCol] = now;
-    
-    sheet.appendRow(newRow);
-  } else {
-    // Update existing
-    const sheetRow = playerRow + 1;
-    sheet.getRange(sheetRow, currentBPCol + 1).setValue(clampedBP);
-    if (historicalCol !== -1) {
-      sheet.getRange(sheetRow, historicalCol + 1).setValue(historicalBP + amount);
-    }
-    if (updatedCol !== -1) {
-      sheet.getRange(sheetRow, updatedCol + 1).setValue(now);
-    }
-  }
-  
-  // Handle overflow to prestige
-  if (overflow > 0) {
-    try {
-      if (typeof addPrestigeOverflow_ === 'function') {
-        addPrestigeOverflow_(preferredName, overflow);
-      } else {
-        addPrestigeOverflowFallback_(preferredName, overflow);
-      }
-    } catch (e) {
-      console.warn('Failed to add prestige overflow:', e);
-    }
-  }
-  
-  // Log to Integrity_Log
-  try {
-    if (typeof logIntegrityAction === 'function') {
-      logIntegrityAction('BP_AWARD', {
-        preferredName: preferredName,
-        dfTags: metadata?.dfTags || ['DF-080', 'DF-081'],
-        details: `Source: ${source || 'MANUAL'} | +${amount} BP | ${currentBP} → ${clampedBP} (overflow: ${overflow})`,
-        status: 'SUCCESS'
-      });
-    }
-  } catch (e) {
-    console.warn('Failed to log BP award:', e);
-  }
-  
-  return {
-    success: true,
-    player: preferredName,
-    awarded: amount,
-    currentBP: clampedBP,
-    overflowToPrestige: overflow
-  };
-}
-
-/**
- * Fallback prestige overflow handler
- * @private
- */
-function addPrestigeOverflowFallback_(preferredName, overflow) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName('BP_Prestige');
-  
-  if (!sheet) {
-    sheet = ss.insertSheet('BP_Prestige');
-    sheet.appendRow(['PreferredName', 'Prestige_Points', 'Last_Updated']);
-    sheet.setFrozenRows(1);
-  }
-  
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-  
-  const nameCol = 0;
-  const prestigeCol = findColumnIndex_(headers, ['Prestige_Points', 'PrestigePoints', 'Prestige']);
-  const updatedCol = findColumnIndex_(headers, ['Last_Updated', 'LastUpdated']);
-  
-  if (prestigeCol === -1) return;
-  
-  let playerRow = -1;
-  let currentPrestige = 0;
-  
-  for (let i = 1; i < data.length; i++) {
-    if (String(data[i][nameCol]).trim().toLowerCase() === preferredName.toLowerCase()) {
-      playerRow = i;
-      currentPrestige = Number(data[i][prestigeCol]) || 0;
-      break;
-    }
-  }
-  
-  const newPrestige = currentPrestige + overflow;
-  const now = new Date();
-  
-  if (playerRow === -1) {
-    const newRow = [preferredName, newPrestige];
-    if (updatedCol !== -1) newRow.push(now);
-    sheet.appendRow(newRow);
-  } else {
-    const sheetRow = playerRow + 1;
-    sheet.getRange(sheetRow, prestigeCol + 1).setValue(newPrestige);
-    if (updatedCol !== -1) {
-      sheet.getRange(sheetRow, updatedCol + 1).setValue(now);
-    }
-  }
-}
-
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
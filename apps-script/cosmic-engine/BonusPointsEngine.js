@@ -1,13 +1,13 @@
 /**
- * Bonus Points Engine - BP_Total Synchronization & Redemption Ledger
- * @fileoverview Safe, header-driven BP_Total sync from mission sources + redemption log
+ * Bonus Points Engine - BP_Total Schema & Redemption Log
+ * @fileoverview Header-driven BP_Total schema, BP_Redeemed_Log and BP_Total reads
  *
  * BP_Total Schema:
  *   PreferredName | BP_Current | Attendance Mission Points | Flag Mission Points |
  *   Dice Roll Points | LastUpdated | BP_Historical | BP_Redeemed
  *
- * Formula: BP_Current = BP_Historical - BP_Redeemed
- * Where:   BP_Historical = Attendance + Flag + Dice (sum of all earned)
+ * BP_Total is a projection of BP_Ledger (bpLedgerService.js): redemptions and
+ * adjustments made here are ledger entries.
  */
 
 // ============================================================================
@@ -197,333 +197,6 @@ function formatHeaderRow_(sheet, numCols, color = '#4285f4') {
     .setFontColor('#ffffff');
 }
 
-// ============================================================================
-// POINTS MAP HELPERS
-// ============================================================================
-
-/**
- * Reads points from a source sheet and returns a map of PreferredName -> Points.
- * Handles header synonyms for flexibility.
- *
- * @param {string} sheetName - Name of the sheet to read
- * @param {string} keyHeaderName - Header name for the player column (or synonyms)
- * @param {string} pointsHeaderName - Header name for the points column
- * @return {Object} Map of { 'PlayerName': pointsValue, ... }
- * @private
- */
-function getPointsMapFromSheet_(sheetName, keyHeaderName, pointsHeaderName) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName(sheetName);
-
-  if (!sheet || sheet.getLastRow() <= 1) {
-    return {}; // Sheet missing or empty (only header)
-  }
-
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-
-  // Find key column (player name) with synonym support
-  let keyCol = -1;
-  const keyAliases = ['PreferredName', 'Preferred Name', 'preferred_name_id', 'Player', 'Player Name', 'Name'];
-
-  for (let i = 0; i < headers.length; i++) {
-    const h = String(headers[i]).trim();
-    if (h === keyHeaderName || keyAliases.includes(h)) {
-      keyCol = i;
-      break;
-    }
-  }
-
-  // Find points column with synonym support
-  let pointsCol = -1;
-  const pointsAliases = [pointsHeaderName, 'Points', pointsHeaderName.replace(/ /g, '_')];
-
-  for (let i = 0; i < headers.length; i++) {
-    const h = String(headers[i]).trim();
-    if (pointsAliases.includes(h)) {
-      pointsCol = i;
-      break;
-    }
-  }
-
-  if (keyCol === -1 || pointsCol === -1) {
-    return {}; // Required columns not found
-  }
-
-  // Build map
-  const map = {};
-
-  for (let i = 1; i < data.length; i++) {
-    const name = String(data[i][keyCol] || '').trim();
-    const points = coerceNumber(data[i][pointsCol], 0);
-
-    if (name) {
-      // Sum if player appears multiple times
-      map[name] = (map[name] || 0) + points;
-    }
-  }
-
-  return map;
-}
-
-/**
- * Gets combined dice points from both "Dice Roll Points" and "Dice_Points" sheets.
- * Returns summed values if both exist.
- *
- * @return {Object} Map of { 'PlayerName': totalDicePoints, ... }
- * @private
- */
-function getCombinedDicePointsMap_() {
-  const map1 = getPointsMapFromSheet_('Dice Roll Points', 'PreferredName', 'Points');
-  const map2 = getPointsMapFromSheet_('Dice_Points', 'PreferredName', 'Points');
-
-  // Combine maps
-  const combined = { ...map1 };
-
-  for (const name of Object.keys(map2)) {
-    combined[name] = (combined[name] || 0) + map2[name];
-  }
-
-  return combined;
-}
-
-/**
- * Reads BP_Redeemed_Log and returns sum of BP_Amount per player.
- *
- * @return {Object} Map of { 'PlayerName': totalRedeemed, ... }
- * @private
- */
-function getRedeemedMapFromLog_() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName('BP_Redeemed_Log');
-
-  if (!sheet || sheet.getLastRow() <= 1) {
-    return {}; // No redemptions yet
-  }
-
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-
-  // Find columns
-  const nameCol = headers.indexOf('PreferredName');
-  const amountCol = headers.indexOf('BP_Amount');
-
-  if (nameCol === -1 || amountCol === -1) {
-    return {};
-  }
-
-  const map = {};
-
-  for (let i = 1; i < data.length; i++) {
-    const name = String(data[i][nameCol] || '').trim();
-    const amount = coerceNumber(data[i][amountCol], 0);
-
-    if (name && amount > 0) {
-      map[name] = (map[name] || 0) + amount;
-    }
-  }
-
-  return map;
-}
-
-/**
- * Gets all PreferredNames from the canonical PreferredNames sheet.
- *
- * @return {Array<string>} List of player names
- * @private
- */
-function getAllPreferredNames_() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName('PreferredNames');
-
-  if (!sheet) {
-    throw new Error('[SHEET_MISSING] PreferredNames sheet not found. Create it first.');
-  }
-
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) {
-    return []; // Only header or empty
-  }
-
-  const data = sheet.getRange('A2:A' + lastRow).getValues();
-  const names = [];
-
-  for (let i = 0; i < data.length; i++) {
-    const name = String(data[i][0] || '').trim();
-    if (name) {
-      names.push(name);
-    }
-  }
-
-  return names;
-}
-
-// ============================================================================
-// MAIN SYNC FUNCTION
-// ============================================================================
-
-/**
- * Rebuilds BP_Total from mission sources + redemption log.
- *
- * Sources:
- *  - Attendance_Missions!PreferredName, Attendance Mission Points
- *  - Flag_Missions!PreferredName, Flag Mission Points
- *  - Dice Roll Points!PreferredName, Points (and legacy Dice_Points)
- *  - BP_Redeemed_Log!PreferredName, BP_Amount
- *
- * For each PreferredName in PreferredNames:
- *  - Ensures they have a row in BP_Total
- *  - Updates:
- *      Attendance Mission Points
- *      Flag Mission Points
- *      Dice Roll Points
- *      BP_Historical  = sum of the above (for now)
- *      BP_Redeemed    = sum of BP_Amount in BP_Redeemed_Log
- *      BP_Current     = BP_Historical - BP_Redeemed
- *      LastUpdated    = now
- *
- * @return {number} Number of players updated
- */
-function updateBPTotalFromSources() {
-  // Ensure schemas
-  const bpSheet = ensureBPTotalSchema_();
-  ensureBPRedeemedLogSchema_(); // Ensure log exists (no-op if already there)
-
-  // Load all canonical player names
-  let allNames;
-  try {
-    allNames = getAllPreferredNames_();
-  } catch (e) {
-    // If PreferredNames doesn't exist, fall back to Key_Tracker
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const keySheet = ss.getSheetByName('Key_Tracker');
-    if (!keySheet) {
-      throw new Error('[SHEET_MISSING] Neither PreferredNames nor Key_Tracker found.');
-    }
-    const lastRow = keySheet.getLastRow();
-    if (lastRow <= 1) {
-      return 0;
-    }
-    const data = keySheet.getRange('A2:A' + lastRow).getValues();
-    allNames = data.map(row => String(row[0] || '').trim()).filter(n => n);
-  }
-
-  if (allNames.length === 0) {
-    return 0;
-  }
-
-  // Build points maps from sources
-  const attendanceMap = getPointsMapFromSheet_('Attendance_Missions', 'PreferredName', 'Attendance Mission Points');
-  const flagMap = getPointsMapFromSheet_('Flag_Missions', 'PreferredName', 'Flag Mission Points');
-  const diceMap = getCombinedDicePointsMap_();
-  const redeemedMap = getRedeemedMapFromLog_();
-
-  // Read existing BP_Total data
-  const existingData = bpSheet.getDataRange().getValues();
-  const headers = existingData[0];
-
-  // Build column index map
-  const colIdx = {};
-  for (let i = 0; i < headers.length; i++) {
-    colIdx[headers[i]] = i;
-  }
-
-  // Verify required columns exist
-  const requiredCols = ['PreferredName', 'BP_Current', 'Attendance Mission Points',
-                        'Flag Mission Points', 'Dice Roll Points', 'LastUpdated',
-                        'BP_Historical', 'BP_Redeemed'];
-  for (const col of requiredCols) {
-    if (colIdx[col] === undefined) {
-      throw new Error(`[SCHEMA_INVALID] BP_Total missing column: ${col}`);
-    }
-  }
-
-  // Build map of existing players -> row index (1-based, for sheet operations)
-  const existingPlayers = {};
-  for (let i = 1; i < existingData.length; i++) {
-    const name = String(existingData[i][colIdx['PreferredName']] || '').trim();
-    if (name) {
-      existingPlayers[name] = i + 1; // 1-based row number
-    }
-  }
-
-  // Prepare batch updates
-  const now = new Date();
-  const updates = []; // Array of {row, data} for existing rows
-  const newRows = []; // Array of complete row arrays for new players
-
-  for (const name of allNames) {
-    // Calculate values
-    const att = attendanceMap[name] || 0;
-    const flag = flagMap[name] || 0;
-    const dice = diceMap[name] || 0;
-    const hist = att + flag + dice;
-    const red = redeemedMap[name] || 0;
-    const curr = Math.max(0, hist - red); // Clamp to 0 minimum
-
-    if (existingPlayers[name]) {
-      // Update existing row
-      updates.push({
-        row: existingPlayers[name],
-        name: name,
-        att: att,
-        flag: flag,
-        dice: dice,
-        hist: hist,
-        red: red,
-        curr: curr,
-        updated: now
-      });
-    } else {
-      // New player - prepare row
-      const newRow = new Array(headers.length).fill('');
-      newRow[colIdx['PreferredName']] = name;
-      newRow[colIdx['BP_Current']] = curr;
-      newRow[colIdx['Attendance Mission Points']] = att;
-      newRow[colIdx['Flag Mission Points']] = flag;
-      newRow[colIdx['Dice Roll Points']] = dice;
-      newRow[colIdx['LastUpdated']] = now;
-      newRow[colIdx['BP_Historical']] = hist;
-      newRow[colIdx['BP_Redeemed']] = red;
-      newRows.push(newRow);
-    }
-  }
-
-  // Batch update existing rows
-  for (const upd of updates) {
-    const rowData = [];
-    // Build array in column order for columns 1-8
-    for (let c = 0; c < 8; c++) {
-      switch (c) {
-        case colIdx['PreferredName']: rowData.push(upd.name); break;
-        case colIdx['BP_Current']: rowData.push(upd.curr); break;
-        case colIdx['Attendance Mission Points']: rowData.push(upd.att); break;
-        case colIdx['Flag Mission Points']: rowData.push(upd.flag); break;
-        case colIdx['Dice Roll Points']: rowData.push(upd.dice); break;
-        case colIdx['LastUpdated']: rowData.push(upd.updated); break;
-        case colIdx['BP_Historical']: rowData.push(upd.hist); break;
-        case colIdx['BP_Redeemed']: rowData.push(upd.red); break;
-        default: rowData.push(''); break;
-      }
-    }
-    bpSheet.getRange(upd.row, 1, 1, 8).setValues([rowData]);
-  }
-
-  // Append new rows
-  if (newRows.length > 0) {
-    const startRow = bpSheet.getLastRow() + 1;
-    bpSheet.getRange(startRow, 1, newRows.length, headers.length).setValues(newRows);
-  }
-
-  // Log the sync
-  logIntegrityAction('BP_SYNC', {
-    details: `Updated ${updates.length} existing, added ${newRows.length} new players`,
-    status: 'SUCCESS'
-  });
-
-  return allNames.length;
-}
-
 // ============================================================================
 // REDEMPTION LOGGING
 // ============================================================================
@@ -558,7 +231,7 @@ function logBPRedeemTransaction(payload) {
       return { success: false, error: 'bpAmount must be positive' };
     }
 
-    // Check current balance before redeeming
+    // Redeem on BP_Ledger (refused when the balance is too low)
     const currentBalance = getPlayerBP(preferredName);
     if (currentBalance < bpAmount) {
       return {
@@ -567,6 +240,13 @@ function logBPRedeemTransaction(payload) {
       };
     }
 
+    const rowId = Utilities.getUuid();
+    const newBalance = recordBPRedemption(preferredName, bpAmount, payload.category || 'REDEEM_LOG', {
+      eventId: payload.eventId || '',
+      idempotencyKey: `REDEEM_LOG:${rowId}`,
+      notes: payload.reason || ''
+    }).currentBP;
+
     // Ensure BP_Redeemed_Log exists
     const logSheet = ensureBPRedeemedLogSchema_();
 
@@ -579,18 +259,12 @@ function logBPRedeemTransaction(payload) {
       payload.category || '',                               // Category
       payload.eventId || '',                                // Event_ID
       Session.getActiveUser().getEmail() || 'Unknown',      // Staff
-      Utilities.getUuid()                                   // RowId
+      rowId                                                 // RowId
     ];
 
     // Append to log
     logSheet.appendRow(rowData);
 
-    // Sync BP_Total to reflect new redemption
-    updateBPTotalFromSources();
-
-    // Get new balance after sync
-    const newBalance = getPlayerBP(preferredName);
-
     // Log to integrity
     logIntegrityAction('BP_REDEEM_LOG', {
       preferredName: preferredName,
@@ -761,7 +435,7 @@ function getPlayerRedemptionHistory(preferredName) {
 
 /**
  * Manually adjusts BP_Historical for a player (for corrections).
- * This bypasses the normal source aggregation and directly sets values.
+ * Written to BP_Ledger as an ADJUST entry (moves BP_Current by the same amount).
  * Use with caution - prefer using the mission sheets as sources.
  *
  * @param {string} preferredName - Player name
@@ -771,62 +445,29 @@ function getPlayerRedemptionHistory(preferredName) {
  */
 function adjustBPHistorical(preferredName, adjustment, reason) {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('BP_Total');
+    const name = resolvePlayerName(preferredName);
 
-    if (!sheet) {
-      return { success: false, error: 'BP_Total not found' };
+    if (!name) {
+      return { success: false, error: `Unknown player: ${preferredName}. Added to UndiscoveredNames.` };
     }
 
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
+    const previous = getBPLedgerBalance(name);
 
-    // Find columns
-    const colIdx = {};
-    for (let i = 0; i < headers.length; i++) {
-      colIdx[headers[i]] = i;
-    }
-
-    // Find player row
-    const nameCol = colIdx['PreferredName'];
-    let playerRow = -1;
-
-    for (let i = 1; i < data.length; i++) {
-      if (String(data[i][nameCol]).trim() === String(preferredName).trim()) {
-        playerRow = i + 1; // 1-based
-        break;
-      }
-    }
-
-    if (playerRow === -1) {
-      return { success: false, error: 'Player not found in BP_Total' };
-    }
-
-    // Get current values
-    const currentHist = coerceNumber(data[playerRow - 1][colIdx['BP_Historical']], 0);
-    const currentRed = coerceNumber(data[playerRow - 1][colIdx['BP_Redeemed']], 0);
-
-    // Calculate new values
-    const newHist = currentHist + adjustment;
-    const newCurr = Math.max(0, newHist - currentRed);
-
-    // Update sheet
-    sheet.getRange(playerRow, colIdx['BP_Historical'] + 1).setValue(newHist);
-    sheet.getRange(playerRow, colIdx['BP_Current'] + 1).setValue(newCurr);
-    sheet.getRange(playerRow, colIdx['LastUpdated'] + 1).setValue(new Date());
+    recordBPAdjustment(name, adjustment, reason, { source: 'MANUAL' });
+    const balance = getBPLedgerBalance(name);
 
     // Log adjustment
     logIntegrityAction('BP_ADJUST', {
-      preferredName: preferredName,
-      details: `Manual adjustment: ${adjustment} BP. Historical: ${currentHist} → ${newHist}. Current: ${newCurr}. Reason: ${reason}`,
+      preferredName: name,
+      details: `Manual adjustment: ${adjustment} BP. Historical: ${previous.historicalBP} → ${balance.historicalBP}. Current: ${balance.currentBP}. Reason: ${reason}`,
       status: 'SUCCESS'
     });
 
     return {
       success: true,
-      previousHistorical: currentHist,
-      newHistorical: newHist,
-      newCurrent: newCurr
+      previousHistorical: previous.historicalBP,
+      newHistorical: balance.historicalBP,
+      newCurrent: balance.currentBP
     };
 
   } catch (e) {
@@ -839,14 +480,16 @@ function adjustBPHistorical(preferredName, adjustment, reason) {
 // ============================================================================
 
 /**
- * Forces a full BP_Total rebuild from all sources.
+ * Forces a full BP_Total rebuild: syncs the mission sources into BP_Ledger,
+ * then re-projects BP_Total and BP_Prestige from every ledger entry.
  * Useful for manual recalculation or debugging.
  *
  * @return {Object} { success, playersUpdated }
  */
 function forceBPTotalRebuild() {
   try {
-    const count = updateBPTotalFromSources();
+    updateBPTotalFromSources();
+    const count = rebuildBPProjections().players;
     return { success: true, playersUpdated: count };
   } catch (e) {
     return { success: false, error: e.message };
@@ -18,8 +18,8 @@
  *   - Event tabs (MM-DD-YYYY): Ranked event results for Top-4 and Black Hole Survivor
  *
  * OUTPUTS:
- *   - BP_Total: Updated Current_BP and Historical_BP
- *   - BP_Prestige: Overflow tracking
+ *   - BP_Ledger: Award / redemption / overflow entries (see bpLedgerService)
+ *   - BP_Total, BP_Prestige: Projections of BP_Ledger
  *   - Redeemed_BP: Redemption log
  *   - Integrity_Log: Audit trail
  *   - UndiscoveredNames: Unknown player names
@@ -27,7 +27,8 @@
  * INVARIANTS:
  *   - 1 BP = $.20-$1 internal accounting value
  *   - Current_BP capped at 100 (configurable via Prize_Throttle)
- *   - Overflow goes to BP_Prestige
+ *   - Awards for one event capped at BP_Cap_Per_Event per player (keyed by meta.eventId)
+ *   - Overflow (either cap) goes to BP_Prestige
  *   - Engine NEVER does tax math
  *   - All name resolution via PreferredNames canonical list
  *
@@ -50,7 +51,7 @@
 
 /**
  * Gets BP configuration from Prize_Throttle or defaults
- * @return {Object} BP config {globalCap, d20Resolver, hybridCap, eventPattern}
+ * @return {Object} BP config {globalCap, eventCap, top4BP, survivorBP, d20Resolver, hybridCap, eventPattern}
  * @private
  */
 function getBPConfig_() {
@@ -58,6 +59,9 @@ function getBPConfig_() {
 
   return {
     globalCap: coerceNumber(throttle.BP_Global_Cap, 100),
+    eventCap: coerceNumber(throttle.BP_Cap_Per_Event, 20),
+    top4BP: coerceNumber(throttle.BP_Top4, 1),
+    survivorBP: coerceNumber(throttle.BP_Black_Hole_Survivor, 1),
     d20Resolver: {
       20: 'Pack',
       '17-19': 'Key Roll',
@@ -175,245 +179,31 @@ function logUndiscoveredName_(rawName, reason) {
 // ============================================================================
 
 /**
- * Gets player's current BP balance
+ * Gets player's current BP balance (BP_Ledger projections)
  * @param {string} preferredName - Canonical player name
  * @return {Object} {currentBP, historicalBP, prestige}
  */
 function getPlayerBPBalance(preferredName) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName('BP_Total');
-
-  if (!sheet) {
-    return { currentBP: 0, historicalBP: 0, prestige: 0 };
-  }
-
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-  const nameCol = headers.indexOf('PreferredName');
-  const currentCol =
-  headers.indexOf('BP_Current') >= 0
-    ? headers.indexOf('BP_Current')
-    : headers.indexOf('Current_BP');
-
-const historicalCol =
-  headers.indexOf('BP_Historical') >= 0
-    ? headers.indexOf('BP_Historical')
-    : headers.indexOf('Historical_BP');
-
-  if (nameCol === -1 || currentCol === -1) {
-    return { currentBP: 0, historicalBP: 0, prestige: 0 };
-  }
-
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === preferredName) {
-      const currentBP = coerceNumber(data[i][currentCol], 0);
-      const historicalBP = historicalCol >= 0 ? coerceNumber(data[i][historicalCol], 0) : 0;
-      const prestige = getPlayerPrestige_(preferredName);
-
-      return { currentBP, historicalBP, prestige };
-    }
-  }
-
-  return { currentBP: 0, historicalBP: 0, prestige: 0 };
-}
-
-/**
- * Gets player's prestige overflow points
- * @param {string} preferredName - Canonical player name
- * @return {number} Prestige points
- * @private
- */
-function getPlayerPrestige_(preferredName) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName('BP_Prestige');
-
-  if (!sheet) return 0;
-
-  const data = sheet.getDataRange().getValues();
-  if (data.length === 0) return 0;
-
-  const headers = data[0];
-  const nameCol = headers.indexOf('PreferredName') >= 0 ? headers.indexOf('PreferredName') : 0;
-  const prestigeCol = headers.indexOf('Prestige_Points') >= 0 ? headers.indexOf('Prestige_Points') : 1;
-
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === preferredName) {
-      return coerceNumber(data[i][prestigeCol], 0);
-    }
-  }
-
-  return 0;
-}
-
-/**
- * Sets player BP with cap enforcement and prestige overflow
- * @param {string} preferredName - Canonical player name
- * @param {number} newAmount - New BP amount (before clamping)
- * @param {number} deltaHistorical - Amount to add to Historical_BP (for awards, not redemptions)
- * @return {Object} {currentBP, overflow, prestige}
- * @private
- */
-function setPlayerBP_(preferredName, newAmount, deltaHistorical = 0) {
-  ensureBPTotalSchema_();
-  ensureBPPrestigeSchema_();
-
-  const config = getBPConfig_();
-  const globalCap = config.globalCap;
-
-  // Clamp to 0-globalCap
-  const clamped = clamp(newAmount, 0, globalCap);
-  const overflow = Math.max(0, newAmount - globalCap);
-
-  // Update BP_Total
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName('BP_Total');
-
-  if (!sheet) {
-    throwError('BP_Total not found', 'SHEET_MISSING');
-  }
-
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-  const nameCol = headers.indexOf('PreferredName');
- const currentCol =
-  headers.indexOf('BP_Current') >= 0
-    ? headers.indexOf('BP_Current')
-    : headers.indexOf('Current_BP');
-
-const historicalCol =
-  headers.indexOf('BP_Historical') >= 0
-    ? headers.indexOf('BP_Historical')
-    : headers.indexOf('Historical_BP');
-
-  const updatedCol = headers.indexOf('LastUpdated');
-
-  if (nameCol === -1 || currentCol === -1) {
-    throwError('Invalid BP_Total schema', 'SCHEMA_INVALID');
-  }
-
-  // Find or create player row
-  let playerRow = -1;
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === preferredName) {
-      playerRow = i;
-      break;
-    }
-  }
-
-  if (playerRow === -1) {
-    // Create new row
-    const newRow = [];
-    newRow[nameCol] = preferredName;
-    newRow[currentCol] = clamped;
-    if (historicalCol >= 0) newRow[historicalCol] = deltaHistorical;
-    if (updatedCol >= 0) newRow[updatedCol] = dateISO();
-
-    // Pad with empty values to match column count
-    while (newRow.length < headers.length) {
-      if (newRow[newRow.length] === undefined) newRow.push('');
-    }
-
-    sheet.appendRow(newRow);
-  } else {
-    // Update existing
-    sheet.getRange(playerRow + 1, currentCol + 1).setValue(clamped);
-
-    if (historicalCol >= 0 && deltaHistorical !== 0) {
-      const oldHistorical = coerceNumber(data[playerRow][historicalCol], 0);
-      sheet.getRange(playerRow + 1, historicalCol + 1).setValue(oldHistorical + deltaHistorical);
-    }
-
-    if (updatedCol >= 0) {
-      sheet.getRange(playerRow + 1, updatedCol + 1).setValue(dateISO());
-    }
-  }
-
-  // Handle overflow to Prestige
-  let totalPrestige = getPlayerPrestige_(preferredName);
-
-  if (overflow > 0) {
-    totalPrestige = addPrestigeOverflow_(preferredName, overflow);
-  }
-
+  const balance = getBPLedgerBalance(preferredName);
   return {
-    currentBP: clamped,
-    overflow: overflow,
-    prestige: totalPrestige
+    currentBP: balance.currentBP,
+    historicalBP: balance.historicalBP,
+    prestige: balance.prestige
   };
 }
 
-/**
- * Adds prestige overflow points
- * @param {string} preferredName - Canonical player name
- * @param {number} overflow - Overflow amount
- * @return {number} New total prestige
- * @private
- */
-function addPrestigeOverflow_(preferredName, overflow) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName('BP_Prestige');
-
-  if (!sheet) {
-    ensureBPPrestigeSchema_();
-    sheet = ss.getSheetByName('BP_Prestige');
-  }
-
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-  const nameCol = 0;
-  const prestigeCol = headers.indexOf('Prestige_Points') >= 0 ? headers.indexOf('Prestige_Points') : 1;
-  const totalEarnedCol = headers.indexOf('Total_BP_Earned_Lifetime');
-  const updatedCol = headers.indexOf('Last_Updated');
-
-  let playerRow = -1;
-  let currentPrestige = 0;
-
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === preferredName) {
-      playerRow = i;
-      currentPrestige = coerceNumber(data[i][prestigeCol], 0);
-      break;
-    }
-  }
-
-  const newPrestige = currentPrestige + overflow;
-
-  if (playerRow === -1) {
-    // Create new row
-    const newRow = [preferredName, newPrestige];
-    if (totalEarnedCol >= 0) newRow.push(0);
-    if (headers.indexOf('Total_BP_Redeemed_Lifetime') >= 0) newRow.push(0);
-    if (headers.indexOf('Prestige_Milestone') >= 0) newRow.push('Bronze');
-    if (updatedCol >= 0) newRow.push(dateISO());
-
-    sheet.appendRow(newRow);
-  } else {
-    sheet.getRange(playerRow + 1, prestigeCol + 1).setValue(newPrestige);
-    if (updatedCol >= 0) {
-      sheet.getRange(playerRow + 1, updatedCol + 1).setValue(dateISO());
-    }
-  }
-
-  logIntegrityAction('PRESTIGE_OVERFLOW', {
-    preferredName,
-    details: `Overflow: ${currentPrestige} → ${newPrestige} (+${overflow})`,
-    status: 'SUCCESS'
-  });
-
-  return newPrestige;
-}
-
 // ============================================================================
 // PUBLIC API: AWARD & REDEEM
 // ============================================================================
 
 /**
  * Awards BP to a player, respecting cap 0-100 and prestige overflow
+ * Idempotent: a repeat with the same meta.idempotencyKey returns the first result
  * @param {string} rawName - Raw player name
  * @param {number} amount - BP to award
  * @param {string} source - Source (e.g., 'TOP4', 'BLACK_HOLE', 'D20', 'FLAG_MISSION')
- * @param {Object} meta - Optional metadata {eventId, note, dfTags}
- * @return {Object} Result {success, player, currentBP, prestige, awarded, overflow, error}
+ * @param {Object} meta - Optional metadata {eventId, note, dfTags, idempotencyKey, batchId}
+ * @return {Object} Result {success, player, currentBP, prestige, awarded, overflow, eventCapped, duplicate, error}
  */
 function awardBonusPoints(rawName, amount, source, meta = {}) {
   try {
@@ -437,30 +227,48 @@ function awardBonusPoints(rawName, amount, source, meta = {}) {
       };
     }
 
-    // Get current balance
-    const balance = getPlayerBPBalance(preferredName);
-    const newTotal = balance.currentBP + amount;
-
-    // Set new BP (with cap and overflow handling)
-    const result = setPlayerBP_(preferredName, newTotal, amount);
+    // A repeat of an applied call returns the original result
+    const dedupe = checkIdempotency_('BP_AWARD', preferredName, meta.idempotencyKey);
+    if (dedupe.replay) return dedupe.replay;
 
-    // Log to Integrity_Log
-    logIntegrityAction('BP_AWARD', {
-      preferredName,
+    // Append to BP_Ledger (global / per-event caps and prestige overflow handled there)
+    const result = recordBPAward(preferredName, amount, source, {
       eventId: meta.eventId || '',
-      dfTags: meta.dfTags || [],
-      details: `Source: ${source} | Awarded: ${amount} BP | ${balance.currentBP} → ${result.currentBP} (Overflow: ${result.overflow})`,
-      status: 'SUCCESS'
+      idempotencyKey: dedupe.key,
+      batchId: meta.batchId || '',
+      notes: meta.note || ''
     });
 
-    return {
+    if (!result.duplicate) {
+      if (result.overflow > 0) {
+        logIntegrityAction('PRESTIGE_OVERFLOW', {
+          preferredName,
+          eventId: meta.eventId || '',
+          details: `Overflow: ${result.prestige - result.overflow} → ${result.prestige} (+${result.overflow})`,
+          status: 'SUCCESS'
+        });
+      }
+
+      // Log to Integrity_Log
+      logIntegrityAction('BP_AWARD', {
+        preferredName,
+        eventId: meta.eventId || '',
+        dfTags: meta.dfTags || [],
+        details: `Source: ${source} | Awarded: ${amount} BP | ${result.before} → ${result.currentBP} (Overflow: ${result.overflow})`,
+        status: 'SUCCESS'
+      });
+    }
+
+    return recordIdempotentResult_(dedupe, {
       success: true,
       player: preferredName,
       currentBP: result.currentBP,
       prestige: result.prestige,
-      awarded: amount,
-      overflow: result.overflow
-    };
+      awarded: result.awarded,
+      overflow: result.overflow,
+      eventCapped: result.eventCapped,
+      duplicate: result.duplicate
+    });
 
   } catch (e) {
     console.error('awardBonusPoints error:', e);
@@ -473,12 +281,13 @@ function awardBonusPoints(rawName, amount, source, meta = {}) {
 }
 
 /**
- * Redeems BP from a player, adjusting BP_Total and Redeemed_BP
+ * Redeems BP from a player (BP_Ledger entry, logged to Redeemed_BP)
+ * Idempotent like awardBonusPoints
  * @param {string} rawName - Raw player name
  * @param {number} amount - BP to redeem
  * @param {string} sink - Sink (e.g., 'STORE_CREDIT', 'PRIZE_REDEMPTION')
- * @param {Object} meta - Optional metadata {eventId, note, dfTags, itemRedeemed}
- * @return {Object} Result {success, player, newBP, redeemed, error}
+ * @param {Object} meta - Optional metadata {eventId, note, dfTags, itemRedeemed, idempotencyKey, batchId}
+ * @return {Object} Result {success, player, newBP, redeemed, duplicate, error}
  */
 function redeemBonusPoints(rawName, amount, sink, meta = {}) {
   try {
@@ -502,6 +311,10 @@ function redeemBonusPoints(rawName, amount, sink, meta = {}) {
       };
     }
 
+    // A repeat of an applied call returns the original result
+    const dedupe = checkIdempotency_('BP_REDEEM', preferredName, meta.idempotencyKey);
+    if (dedupe.replay) return dedupe.replay;
+
     // Get current balance
     const balance = getPlayerBPBalance(preferredName);
 
@@ -513,40 +326,43 @@ function redeemBonusPoints(rawName, amount, sink, meta = {}) {
       };
     }
 
-    // Deduct BP (no change to Historical_BP)
-    const newTotal = balance.currentBP - amount;
-    const result = setPlayerBP_(preferredName, newTotal, 0);
-
-     // Update Redeemed_BP ledger
-    ensureRedeemedBPSchema_();
-    const redeemedLifetime = updateRedeemedBPLedger_(
-      preferredName,
-      amount,
-      meta.itemRedeemed || sink || '',
-      meta.note || '',
-      result.currentBP,
-      balance.historicalBP
-    );
-
-    // Sync BP_Total: BP_Current and BP_Redeemed
-    syncBPTotalRedeemed_(preferredName, result.currentBP, redeemedLifetime);
-
-
-    // Log to Integrity_Log
-    logIntegrityAction('BP_REDEEM', {
-      preferredName,
+    // Append to BP_Ledger (no change to Historical_BP)
+    const result = recordBPRedemption(preferredName, amount, sink, {
       eventId: meta.eventId || '',
-      dfTags: meta.dfTags || [],
-      details: `Sink: ${sink} | Redeemed: ${amount} BP | ${balance.currentBP} → ${result.currentBP}`,
-      status: 'SUCCESS'
+      idempotencyKey: dedupe.key,
+      batchId: meta.batchId || '',
+      notes: meta.note || ''
     });
 
-    return {
+    if (!result.duplicate) {
+      // Human-readable Redeemed_BP log
+      ensureRedeemedBPSchema_();
+      updateRedeemedBPLedger_(
+        preferredName,
+        amount,
+        meta.itemRedeemed || sink || '',
+        meta.note || '',
+        result.currentBP,
+        balance.historicalBP
+      );
+
+      // Log to Integrity_Log
+      logIntegrityAction('BP_REDEEM', {
+        preferredName,
+        eventId: meta.eventId || '',
+        dfTags: meta.dfTags || [],
+        details: `Sink: ${sink} | Redeemed: ${amount} BP | ${result.before} → ${result.currentBP}`,
+        status: 'SUCCESS'
+      });
+    }
+
+    return recordIdempotentResult_(dedupe, {
       success: true,
       player: preferredName,
       newBP: result.currentBP,
-      redeemed: amount
-    };
+      redeemed: result.redeemed,
+      duplicate: result.duplicate
+    });
 
   } catch (e) {
     console.error('redeemBonusPoints error:', e);
@@ -617,57 +433,6 @@ function updateRedeemedBPLedger_(preferredName, amount, itemRedeemed, notes, bpC
   return newLifetimeTotal;
 }
 
-/**
- * Syncs BP_Total row for a player after redemption
- * Updates:
- *  - BP_Current
- *  - BP_Redeemed (lifetime)
- *  - LastUpdated
- * @private
- */
-function syncBPTotalRedeemed_(preferredName, bpCurrent, bpRedeemedLifetime) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName('BP_Total');
-  if (!sheet || sheet.getLastRow() === 0) return;
-
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-
-  const nameCol = headers.indexOf('PreferredName');
-  const currentCol =
-    headers.indexOf('BP_Current') >= 0
-      ? headers.indexOf('BP_Current')
-      : headers.indexOf('Current_BP');
-  const redeemedCol = headers.indexOf('BP_Redeemed');
-  const updatedCol = headers.indexOf('LastUpdated');
-
-  if (nameCol === -1) return;
-
-  // Find player row
-  let playerRow = -1;
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === preferredName) {
-      playerRow = i;
-      break;
-    }
-  }
-
-  if (playerRow === -1) {
-    // Create new row with minimal fields
-    const newRow = new Array(headers.length).fill('');
-    if (nameCol      >= 0) newRow[nameCol]      = preferredName;
-    if (currentCol   >= 0) newRow[currentCol]   = bpCurrent;
-    if (redeemedCol  >= 0) newRow[redeemedCol]  = bpRedeemedLifetime;
-    if (updatedCol   >= 0) newRow[updatedCol]   = dateISO();
-    sheet.appendRow(newRow);
-  } else {
-    // Update existing row
-    if (currentCol  >= 0) sheet.getRange(playerRow + 1, currentCol  + 1).setValue(bpCurrent);
-    if (redeemedCol >= 0) sheet.getRange(playerRow + 1, redeemedCol + 1).setValue(bpRedeemedLifetime);
-    if (updatedCol  >= 0) sheet.getRange(playerRow + 1, updatedCol  + 1).setValue(dateISO());
-  }
-}
-
 // ============================================================================
 // UI ENTRYPOINTS FOR ui/redeem_bp
 // ============================================================================
@@ -703,8 +468,10 @@ function getPreferredNamesForUI() {
 }
 
 /**
- * Resolves name and returns BP balance for UI
+ * Resolves name and returns BP balance for UI, with the BP store items the
+ * player can afford and their open reservations (bpStoreService.js)
  * @param {string} rawName
+ * @return {Object} {success, preferredName, currentBP, historicalBP, prestige, items, reservations, error}
  */
 function getBPInfoForUI(rawName) {
   const preferredName = resolvePlayerName(rawName);
@@ -712,14 +479,20 @@ function getBPInfoForUI(rawName) {
     return { success: false, error: 'Player not found in PreferredNames.' };
   }
 
-  const balance = getPlayerBPBalance(preferredName);
-  return {
-    success: true,
-    preferredName,
-    currentBP: balance.currentBP,
-    historicalBP: balance.historicalBP,
-    prestige: balance.prestige
-  };
+  try {
+    const balance = getPlayerBPBalance(preferredName);
+    return {
+      success: true,
+      preferredName,
+      currentBP: balance.currentBP,
+      historicalBP: balance.historicalBP,
+      prestige: balance.prestige,
+      items: getRedeemableItems(preferredName),
+      reservations: getBPReservations(preferredName, 'RESERVED')
+    };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
 }
 
 /**
@@ -759,7 +532,10 @@ function handleRedeemBPFromUI(payload) {
 /**
  * Recomputes Top-4 and Black Hole Survivor BP from all event sheets
  * Idempotent: safe to run repeatedly
- * @return {Object} Summary {top4Totals, blackHoleTotals, playersAffected}
+ * Each finish is awarded once per event (BP_Top4 / BP_Black_Hole_Survivor on
+ * Prize_Throttle, default 1) with the event ID, so BP_Cap_Per_Event applies;
+ * lifetime counts are written to Attendance_Missions.
+ * @return {Object} Summary {top4Totals, blackHoleTotals, playersAffected, awards}
  */
 function recomputeRankAndSurvivorBonuses() {
   const config = getBPConfig_();
@@ -768,6 +544,7 @@ function recomputeRankAndSurvivorBonuses() {
 
   const top4Counts = {};
   const blackHoleCounts = {};
+  const eventAwards = [];
 
   // Scan all event tabs
   allSheets.forEach(sheet => {
@@ -804,22 +581,36 @@ function recomputeRankAndSurvivorBonuses() {
       // Top-4 logic
       if (rank >= 1 && rank <= 4) {
         top4Counts[preferredName] = (top4Counts[preferredName] || 0) + 1;
+        eventAwards.push({ preferredName, eventId: sheetName, source: 'TOP4', amount: config.top4BP });
       }
     }
 
     // Black Hole Survivor: last player in column B
     if (lastPlayerName) {
       blackHoleCounts[lastPlayerName] = (blackHoleCounts[lastPlayerName] || 0) + 1;
+      eventAwards.push({ preferredName: lastPlayerName, eventId: sheetName, source: 'BLACK_HOLE', amount: config.survivorBP });
     }
   });
 
   // Write to Attendance_Missions
   writeTop4AndSurvivorToAttendanceMissions_(top4Counts, blackHoleCounts);
 
+  // Award per event; the key makes a re-run a replay
+  let awards = 0;
+  eventAwards.filter(award => award.amount > 0).forEach(award => {
+    const result = awardBonusPoints(award.preferredName, award.amount, award.source, {
+      eventId: award.eventId,
+      note: award.source === 'TOP4' ? 'Top-4 finish' : 'Black Hole Survivor',
+      idempotencyKey: `${award.source}:${award.eventId}:${award.preferredName}`
+    });
+    if (result.success && !result.duplicate) awards++;
+  });
+
   return {
     top4Totals: top4Counts,
     blackHoleTotals: blackHoleCounts,
-    playersAffected: unique([...Object.keys(top4Counts), ...Object.keys(blackHoleCounts)])
+    playersAffected: unique([...Object.keys(top4Counts), ...Object.keys(blackHoleCounts)]),
+    awards
   };
 }
 
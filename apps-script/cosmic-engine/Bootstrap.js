@@ -114,9 +114,9 @@ function createAllRequiredSheets() {
   if (!ss.getSheetByName('Spent_Pool')) {
     const sheet = ss.insertSheet('Spent_Pool');
     sheet.appendRow(['Event_ID', 'Item_Code', 'Item_Name', 'Level', 'Qty', 'COGS', 'Total',
-                     'Timestamp', 'Batch_ID', 'Reverted', 'Event_Type']);
+                     'Timestamp', 'Batch_ID', 'Reverted', 'Event_Type', 'Throttle_Version', 'Throttle_Profile']);
     sheet.setFrozenRows(1);
-    sheet.getRange('A1:K1').setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+    sheet.getRange('A1:M1').setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
   }
 
   // Attendance_Missions
@@ -140,7 +140,7 @@ function createAllRequiredSheets() {
   // Preview_Artifacts (hidden)
   if (!ss.getSheetByName('Preview_Artifacts')) {
     const sheet = ss.insertSheet('Preview_Artifacts');
-    sheet.appendRow(['Artifact_ID', 'Event_ID', 'Seed', 'Preview_Hash', 'Created_At', 'Expires_At']);
+    sheet.appendRow(PREVIEW_ARTIFACT_HEADERS);
     sheet.setFrozenRows(1);
     sheet.hideSheet();
   }
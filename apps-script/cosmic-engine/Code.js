@@ -56,13 +56,21 @@ function onOpen(e) {
     .addItem('Add Key', 'onAddKey')
     .addSeparator()
     .addItem('Award Bonus Points', 'onAwardBP')
+    .addItem('Bulk Award Bonus Points', 'onBulkAwardBP')
+    .addItem('Revert Bulk BP Award', 'onRevertBulkBPAward')
     .addItem('Redeem Bonus Points', 'onRedeemBP')
+    .addItem('Expire BP Reservations', 'menuExpireBPReservations')
   );
 
   // Mission Points Submenu
   cosmicMenu.addSubMenu(ui.createMenu('Mission Points')
     .addItem('Award Bonus Points', 'onAwardBP')
     .addItem('Sync BP from Sources', 'menuSyncBPFromSources')
+    .addItem('BP Event Cap Report', 'menuBPEventCapReport')
+    .addItem('Prestige Tiers', 'menuPrestigeTiers')
+    .addItem('Retry Prestige Tier Rewards', 'menuRetryPrestigeTierRewards')
+    .addItem('BP Reconciliation Report', 'menuBPReconciliation')
+    .addItem('Apply Approved BP Fixes', 'menuApplyBPReconciliation')
     .addSeparator()
     .addItem('Provision All Players', 'onProvisionAllPlayers')
     .addItem('Scan Attendance / Missions', 'onScanAttendance')
@@ -92,6 +100,7 @@ function onOpen(e) {
    
     .addItem('Rebuild Attendance Calendar', 'onRebuildAttendanceCalendar')
     .addItem('Daily Close Checklist', 'onDailyCloseChecklist')
+    .addItem('Duplicate Report', 'menuDuplicateReport')
 
     .addSeparator()
   
@@ -177,6 +186,24 @@ function onEdit(e) {
       console.error('Employee Log onEdit error:', err);
     }
   }
+
+  // Prestige_Tiers validation
+  if (typeof handlePrestigeTiersEdit_ === 'function') {
+    try {
+      handlePrestigeTiersEdit_(e);
+    } catch (err) {
+      console.error('Prestige_Tiers onEdit error:', err);
+    }
+  }
+
+  // Prize_Ladder validation
+  if (typeof handlePrizeLadderEdit_ === 'function') {
+    try {
+      handlePrizeLadderEdit_(e);
+    } catch (err) {
+      console.error('Prize_Ladder onEdit error:', err);
+    }
+  }
 }
 
 // ============================================================================
@@ -410,6 +437,47 @@ function onAwardBP() {
   }
 }
 
+/**
+ * Opens Bulk Award Bonus Points dialog (paste a list or CSV, preview, commit)
+ */
+function onBulkAwardBP() {
+  try {
+    const html = HtmlService.createHtmlOutputFromFile('ui/bulk_award_bp')
+      .setWidth(800)
+      .setHeight(600);
+    SpreadsheetApp.getUi().showModalDialog(html, 'Bulk Award Bonus Points');
+  } catch (e) {
+    showError_('Failed to open Bulk Award BP dialog', e);
+  }
+}
+
+/**
+ * Reverts a committed bulk BP award by Batch_ID
+ */
+function onRevertBulkBPAward() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt(
+      'Revert Bulk BP Award',
+      'Enter the Batch_ID of the bulk award to revert:',
+      ui.ButtonSet.OK_CANCEL
+    );
+
+    if (response.getSelectedButton() === ui.Button.OK) {
+      const batchId = response.getResponseText().trim();
+
+      if (batchId) {
+        const result = revertBulkBPAward(batchId);
+        ui.alert('Reverted',
+          `Batch ${batchId}: ${result.bp} BP reversed for ${result.players} player(s).`,
+          ui.ButtonSet.OK);
+      }
+    }
+  } catch (e) {
+    showError_('Failed to revert bulk BP award', e);
+  }
+}
+
 /**
  * Opens Redeem BP dialog
  */
@@ -1577,6 +1645,7 @@ function submitStoreCredit(payload) {
     description: payload.description || '',
     posRefType: payload.posRefType || '',
     posRefId: payload.posRefId || '',
+    idempotencyKey: payload.idempotencyKey || '',
     balance: newBalance
   };
 
@@ -1864,6 +1933,123 @@ function menuSyncBPFromSources() {
   }
 }
 
+/**
+ * Menu handler: Opens Prestige_Tiers (created with the default tiers if missing)
+ * and reports a bad tier row
+ */
+function menuPrestigeTiers() {
+  try {
+    createPrestigeTiersSheet().activate();
+    const check = validatePrestigeTiers();
+    if (!check.valid) {
+      SpreadsheetApp.getUi().alert('Prestige_Tiers', check.error, SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (e) {
+    SpreadsheetApp.getUi().alert('Error', e.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu handler: Gives again the prestige tier rewards that failed, were out of stock or never finished
+ */
+function menuRetryPrestigeTierRewards() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const retried = retryPrestigeTierRewards();
+    const awarded = retried.filter(r => r.status === 'AWARDED').length;
+    ui.alert('Prestige Tier Rewards',
+      retried.length > 0
+        ? `Retried ${retried.length} reward(s): ${awarded} awarded, ${retried.length - awarded} still not given (see Prestige_Tier_Rewards).`
+        : 'No prestige tier rewards to retry.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu handler: Expires unclaimed BP store reservations (restocks and refunds them)
+ */
+function menuExpireBPReservations() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const { expired } = expireBPReservations();
+    ui.alert('BP Reservations',
+      expired.length > 0
+        ? `Expired ${expired.length} reservation(s). Items restocked and BP refunded.`
+        : 'No reservations past their pickup date.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu handler: Recomputes BP from the source sheets and lists discrepancies (BP_Reconciliation sheet)
+ */
+function menuBPReconciliation() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const fixes = buildBPReconciliation();
+    ui.alert('BP Reconciliation',
+      fixes.length > 0
+        ? `${fixes.length} discrepanc${fixes.length === 1 ? 'y' : 'ies'} found. Tick Approved on BP_Reconciliation, then run Apply Approved BP Fixes.`
+        : 'BP_Total matches the source sheets.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu handler: Applies the fixes approved on BP_Reconciliation
+ */
+function menuApplyBPReconciliation() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const counts = applyBPReconciliationFixes();
+    ui.alert('BP Reconciliation',
+      `Applied ${counts.applied}, skipped ${counts.stale} no longer needed, ${counts.failed} failed. See the Status column.`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu handler: Lists suspected double-applied awards, redemptions and credits (Duplicate_Report sheet)
+ */
+function menuDuplicateReport() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const rows = buildDuplicateReport();
+    ui.alert('Duplicate Report',
+      rows.length > 0
+        ? `${rows.length} suspected duplicate(s) found. See the Duplicate_Report sheet.`
+        : 'No suspected duplicates found.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu handler: Lists players whose awards hit BP_Cap_Per_Event (BP_Event_Caps sheet)
+ */
+function menuBPEventCapReport() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const rows = buildBPEventCapReport();
+    ui.alert('BP Event Cap Report',
+      rows.length > 0
+        ? `${rows.length} player-event(s) went over the per-event cap. See the BP_Event_Caps sheet.`
+        : 'No player has gone over the per-event cap.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
+
 // ============================================================================
 // DEPRECATED ROUTES - Kept for backwards compatibility
 // ============================================================================
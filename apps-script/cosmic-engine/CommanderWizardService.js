@@ -54,6 +54,7 @@
  * @property {string|null} budgetLabel - e.g. "Commander Round 1 budget"
  * @property {number|null} budget - total budget available
  * @property {string|null} rlBand - GREEN, AMBER, or RED
+ * @property {string} [ladder] - Prize_Ladder label (end prizes only)
  */
 
 /**
@@ -340,7 +341,11 @@ function commitCommanderRoundPrizes(eventId, roundNumber) {
     };
   }
 
+  // Event lock: one commit per event at a time (released in finally)
+  let lock = null;
   try {
+    lock = acquireEventLock(eventId, 'COMMIT');
+
     // Check current state
     const flags = getCommanderFlags_(sheet);
     const flagKey = `round${roundNumber}`;
@@ -369,9 +374,12 @@ function commitCommanderRoundPrizes(eventId, roundNumber) {
       String(h).toLowerCase() === prizeColName.toLowerCase()
     );
 
+    // Every cell and flag written is journaled so the round can be reverted
+    const journal = [];
+
     if (prizeColIdx < 0) {
       prizeColIdx = headers.length;
-      sheet.getRange(1, prizeColIdx + 1).setValue(prizeColName);
+      setJournaledValue_(sheet, 1, prizeColIdx + 1, prizeColName, journal);
     }
 
     // Get player name column
@@ -398,25 +406,31 @@ function commitCommanderRoundPrizes(eventId, roundNumber) {
     preview.items.forEach(item => {
       const rowNum = nameToRow.get(item.player);
       if (rowNum) {
-        sheet.getRange(rowNum, prizeColIdx + 1).setValue(item.prizeName);
+        setJournaledValue_(sheet, rowNum, prizeColIdx + 1, item.prizeName, journal);
         awarded++;
       }
     });
 
     // Update flags
-    setCommanderFlag_(sheet, CMD_FLAGS[`ROUND${roundNumber}`], true);
+    setJournaledCommanderFlag_(sheet, CMD_FLAGS[`ROUND${roundNumber}`], true, journal);
+
+    // Round prizes do not touch Spent_Pool; the batch exists for the journal
+    const batchId = newBatchId();
+    journalBatchChanges(batchId, eventId, journal);
 
     // Log to Integrity_Log
     logWizardAction_(`COMMANDER_ROUND_${roundNumber}`, eventId, {
       round: roundNumber,
       prizesAwarded: awarded,
+      batchId: batchId,
       items: preview.items.map(i => `${i.player}: ${i.prizeName}`).join(', ')
     });
 
     return {
       success: true,
       message: `Commander Round ${roundNumber} prizes committed: ${awarded} player(s) awarded.`,
-      preview: preview
+      preview: preview,
+      batchId: batchId
     };
   } catch (e) {
     logWizardAction_(`COMMANDER_ROUND_${roundNumber}_ERROR`, eventId, {
@@ -427,6 +441,8 @@ function commitCommanderRoundPrizes(eventId, roundNumber) {
       success: false,
       message: `Error committing Round ${roundNumber} prizes: ${e.message}`
     };
+  } finally {
+    if (lock) releaseEventLock(lock);
   }
 }
 
@@ -475,20 +491,25 @@ function previewCommanderEndPrizes(eventId) {
     };
   }
 
-  // Calculate budget (RL95 rule)
-  const budget = (entry - kitCost) * playerCount * 0.95;
+  // Calculate budget (RL rule, RL_Percentage from the event's throttle profile)
+  const profile = resolveThrottleProfile(eventId, props);
+  const rlPercentage = parseFloat(profile.throttle.RL_Percentage || 0.95);
+  const budget = (entry - kitCost) * playerCount * rlPercentage;
 
-  // Get catalog items by level
-  const catalogL3 = getCatalogItemsByLevel_('L3');
-  const catalogL2 = getCatalogItemsByLevel_('L2');
-  const catalogL1 = getCatalogItemsByLevel_('L1');
-  const catalogL0 = getCatalogItemsByLevel_('L0');
+  // Resolve rank → level ladder (shared with previewEndPrizes)
+  const ladder = resolvePrizeLadder(eventId, playerCount);
+
+  // Get catalog items by level (loaded on demand)
+  const catalogByLevel = new Map();
+  const getLevelCatalog = level => {
+    if (!catalogByLevel.has(level)) {
+      catalogByLevel.set(level, getCatalogItemsByLevel_(level));
+    }
+    return catalogByLevel.get(level);
+  };
 
   // Track stock
   const stock = new Map();
-  [...catalogL3, ...catalogL2, ...catalogL1, ...catalogL0].forEach(item => {
-    stock.set(item.Code || item.Name, item.Qty || 999);
-  });
 
   // Get event seed
   const seed = props.event_seed || generateWizardSeed_();
@@ -499,15 +520,19 @@ function previewCommanderEndPrizes(eventId) {
   let estimatedCost = 0;
 
   players.forEach(player => {
-    // Determine target level based on rank
-    let targetCatalog;
-    if (player.rank <= 4) {
-      targetCatalog = catalogL3.length > 0 ? catalogL3 : catalogL2;
-    } else if (player.rank <= 8) {
-      targetCatalog = catalogL2.length > 0 ? catalogL2 : catalogL1;
-    } else {
-      targetCatalog = catalogL1.length > 0 ? catalogL1 : catalogL0;
+    // Determine target level based on rank (falls back one level if empty)
+    const level = getLadderLevelForRank(ladder, player.rank, playerCount);
+    if (!level) return;
+
+    const levelNum = parseInt(level.substring(1), 10);
+    let targetCatalog = getLevelCatalog(level);
+    if (targetCatalog.length === 0 && levelNum > 0) {
+      targetCatalog = getLevelCatalog('L' + (levelNum - 1));
     }
+    targetCatalog.forEach(item => {
+      const key = item.Code || item.Name;
+      if (!stock.has(key)) stock.set(key, item.Qty || 999);
+    });
 
     // Filter by stock
     const available = targetCatalog.filter(item => {
@@ -552,7 +577,9 @@ function previewCommanderEndPrizes(eventId) {
     estimatedCost: estimatedCost,
     budgetLabel: 'Commander End Prizes',
     budget: budget,
-    rlBand: rlBand
+    rlBand: rlBand,
+    ladder: ladder.label,
+    profile: describeThrottleProfile(profile)
   };
 }
 
@@ -577,7 +604,11 @@ function commitCommanderEndPrizes(eventId) {
     };
   }
 
+  // Event lock: one commit per event at a time (released in finally)
+  let lock = null;
   try {
+    lock = acquireEventLock(eventId, 'COMMIT');
+
     // Check current state
     const flags = getCommanderFlags_(sheet);
 
@@ -612,9 +643,12 @@ function commitCommanderEndPrizes(eventId) {
       String(h).toLowerCase().includes('end_prize')
     );
 
+    // Every cell and flag written is journaled so the commit can be reverted
+    const journal = [];
+
     if (endPrizeIdx < 0) {
       endPrizeIdx = headers.length;
-      sheet.getRange(1, endPrizeIdx + 1).setValue('End_Prizes');
+      setJournaledValue_(sheet, 1, endPrizeIdx + 1, 'End_Prizes', journal);
     }
 
     // Get player name column
@@ -643,7 +677,7 @@ function commitCommanderEndPrizes(eventId) {
     preview.items.forEach(item => {
       const rowNum = nameToRow.get(item.player);
       if (rowNum) {
-        sheet.getRange(rowNum, endPrizeIdx + 1).setValue(item.prizeName);
+        setJournaledValue_(sheet, rowNum, endPrizeIdx + 1, item.prizeName, journal);
         awarded++;
 
         spentPoolEntries.push({
@@ -658,28 +692,31 @@ function commitCommanderEndPrizes(eventId) {
       }
     });
 
-    // Write to Spent_Pool if available
-    if (typeof writeSpentPool === 'function' && spentPoolEntries.length > 0) {
-      const batchId = typeof newBatchId === 'function' ? newBatchId() : `CMD-END-${Date.now()}`;
+    // Write to Spent_Pool
+    const batchId = newBatchId();
+    if (spentPoolEntries.length > 0) {
       writeSpentPool(spentPoolEntries, batchId);
     }
 
     // Update flags
-    setCommanderFlag_(sheet, CMD_FLAGS.END, true);
-    setCommanderFlag_(sheet, CMD_FLAGS.LOCKED, true);
+    setJournaledCommanderFlag_(sheet, CMD_FLAGS.END, true, journal);
+    setJournaledCommanderFlag_(sheet, CMD_FLAGS.LOCKED, true, journal);
+    journalBatchChanges(batchId, eventId, journal);
 
     // Log to Integrity_Log
     logWizardAction_('COMMANDER_END_PRIZES', eventId, {
       prizesAwarded: awarded,
       estimatedCost: preview.estimatedCost,
       budget: preview.budget,
-      rlBand: preview.rlBand
+      rlBand: preview.rlBand,
+      batchId: batchId
     });
 
     return {
       success: true,
       message: `Commander end prizes committed: ${awarded} player(s) awarded. Spent $${preview.estimatedCost?.toFixed(2) || '0.00'} of $${preview.budget?.toFixed(2) || '0.00'} budget.`,
-      preview: preview
+      preview: preview,
+      batchId: batchId
     };
   } catch (e) {
     logWizardAction_('COMMANDER_END_PRIZES_ERROR', eventId, {
@@ -690,6 +727,8 @@ function commitCommanderEndPrizes(eventId) {
       success: false,
       message: `Error committing end prizes: ${e.message}`
     };
+  } finally {
+    if (lock) releaseEventLock(lock);
   }
 }
 
@@ -837,6 +876,7 @@ function getCommanderFlags_(sheet) {
     // Try developer metadata first
     const metadata = sheet.getDeveloperMetadata();
     const flags = { ...defaults };
+    const stored = new Set();
 
     metadata.forEach(m => {
       const key = m.getKey();
@@ -846,15 +886,17 @@ function getCommanderFlags_(sheet) {
       if (key === CMD_FLAGS.ROUND3) flags.round3 = value === 'true';
       if (key === CMD_FLAGS.END) flags.end = value === 'true';
       if (key === CMD_FLAGS.LOCKED) flags.locked = value === 'true';
+      stored.add(key);
     });
 
-    // Also check Integrity_Log for historical data
+    // Fall back to Integrity_Log for events that predate flag metadata.
+    // A stored flag wins, so a reverted round (flag reset to false) stays open.
     const logFlags = checkIntegrityLogForFlags_(sheet.getName());
-    flags.round1 = flags.round1 || logFlags.round1;
-    flags.round2 = flags.round2 || logFlags.round2;
-    flags.round3 = flags.round3 || logFlags.round3;
-    flags.end = flags.end || logFlags.end;
-    flags.locked = flags.locked || logFlags.end; // End implies locked
+    if (!stored.has(CMD_FLAGS.ROUND1)) flags.round1 = flags.round1 || logFlags.round1;
+    if (!stored.has(CMD_FLAGS.ROUND2)) flags.round2 = flags.round2 || logFlags.round2;
+    if (!stored.has(CMD_FLAGS.ROUND3)) flags.round3 = flags.round3 || logFlags.round3;
+    if (!stored.has(CMD_FLAGS.END)) flags.end = flags.end || logFlags.end;
+    if (!stored.has(CMD_FLAGS.LOCKED)) flags.locked = flags.locked || logFlags.end; // End implies locked
 
     return flags;
   } catch (e) {
@@ -886,6 +928,34 @@ function setCommanderFlag_(sheet, flagName, value) {
   }
 }
 
+/**
+ * Sets a Commander flag and records the previous value in a commit journal.
+ * @param {Sheet} sheet
+ * @param {string} flagName
+ * @param {boolean} value
+ * @param {Array<Object>} journal
+ * @private
+ */
+function setJournaledCommanderFlag_(sheet, flagName, value, journal) {
+  const before = getCommanderFlagValue_(sheet, flagName);
+  if (before !== String(value)) {
+    journal.push({ kind: 'FLAG', target: flagName, before: before, after: String(value) });
+  }
+  setCommanderFlag_(sheet, flagName, value);
+}
+
+/**
+ * Gets the stored value of a Commander flag.
+ * @param {Sheet} sheet
+ * @param {string} flagName
+ * @return {string} Stored value, or '' when the flag was never set
+ * @private
+ */
+function getCommanderFlagValue_(sheet, flagName) {
+  const match = sheet.getDeveloperMetadata().find(m => m.getKey() === flagName);
+  return match ? String(match.getValue()) : '';
+}
+
 /**
  * Checks Integrity_Log for previously awarded prizes.
  * @param {string} eventId
@@ -1092,7 +1162,7 @@ function logWizardAction_(action, eventId, details) {
     const operator = Session.getEffectiveUser().getEmail() || 'system';
     const status = details.error ? 'FAILURE' : 'SUCCESS';
 
-    logSheet.appendRow([
+    appendIntegrityLogRow_(logSheet, [
       timestamp,
       eventId,
       action,
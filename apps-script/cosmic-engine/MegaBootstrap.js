@@ -75,12 +75,25 @@ function megaBootstrapInstall() {
           ['Consolation_L1_Ratio', '0.20'],
           ['Night_Mode_Enabled', 'FALSE'],
           ['Night_Mode_Profile', 'STANDARD'],
+          ['Night_Mode_Start', '21:00'],
+          ['Night_Mode_End', '04:00'],
           ['Resolver_EV_Target', 'L1_EV'],
           ['Rainbow_Rate', '3:1'],
           ['BP_Cap_Per_Event', '20'],
           ['BP_Global_Cap', '100'],
+          ['BP_Top4', '1'],
+          ['BP_Black_Hole_Survivor', '1'],
           ['Hybrid_Cap_Enabled', 'TRUE'],
-          ['RL_Red_Threshold', '0.95']
+          ['RL_Red_Threshold', '0.95'],
+          ['Allocation_Mode', 'GREEDY'],
+          ['Diversity_Mode', 'OFF'],
+          ['Diversity_Lookback_Days', '28'],
+          ['Diversity_Weight', '0.25'],
+          ['Hybrid_Payout_Type', 'STORE_CREDIT'],
+          ['Hybrid_Payout_Split', '50,30,20'],
+          ['Hybrid_BP_Per_Dollar', '1'],
+          ['Reorder_Cover_Weeks', '4'],
+          ['Reorder_Lookback_Weeks', '8']
         ];
 
         defaults.forEach(row => sheet.appendRow(row));
@@ -113,7 +126,7 @@ function megaBootstrapInstall() {
         // Add bootstrap entry
         const timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ss'Z'");
         const operator = Session.getActiveUser().getEmail() || 'unknown';
-        sheet.appendRow([
+        appendIntegrityLogRow_(sheet, [
           timestamp,
           'SYSTEM',
           'BOOTSTRAP',
@@ -144,10 +157,10 @@ function megaBootstrapInstall() {
         const sheet = ss.insertSheet('Spent_Pool');
         sheet.appendRow([
           'Event_ID', 'Item_Code', 'Item_Name', 'Level', 'Qty', 'COGS', 'Total',
-          'Timestamp', 'Batch_ID', 'Reverted', 'Event_Type'
+          'Timestamp', 'Batch_ID', 'Reverted', 'Event_Type', 'Throttle_Version', 'Throttle_Profile'
         ]);
         sheet.setFrozenRows(1);
-        sheet.getRange('A1:K1').setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+        sheet.getRange('A1:M1').setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
         results.push('✓ Spent_Pool created');
       } else {
         results.push('✓ Spent_Pool exists');
@@ -186,12 +199,13 @@ function megaBootstrapInstall() {
         // Enhanced schema with mission point columns
         const headers = [
           'PreferredName',
-          'Current_BP',
+          'BP_Current',
           'Attendance Mission Points',
           'Flag Mission Points',
           'Dice Roll Points',
           'LastUpdated',
-          'BP_Historical'
+          'BP_Historical',
+          'BP_Redeemed'
         ];
         sheet.appendRow(headers);
         sheet.setFrozenRows(1);
@@ -334,9 +348,7 @@ function megaBootstrapInstall() {
     try {
       if (!ss.getSheetByName('Preview_Artifacts')) {
         const sheet = ss.insertSheet('Preview_Artifacts');
-        sheet.appendRow([
-          'Artifact_ID', 'Event_ID', 'Seed', 'Preview_Hash', 'Created_At', 'Expires_At'
-        ]);
+        sheet.appendRow(PREVIEW_ARTIFACT_HEADERS);
         sheet.setFrozenRows(1);
         sheet.hideSheet();
         results.push('✓ Preview_Artifacts created (hidden)');
@@ -540,8 +552,8 @@ function megaBootstrapAddSamplePlayers() {
   if (bpSheet) {
     samplePlayers.forEach(p => {
       const total = p.att + p.flag + p.dice;
-      // PreferredName, Current_BP, Attendance Mission Points, Flag Mission Points, Dice Roll Points, LastUpdated, BP_Historical
-      bpSheet.appendRow([p.name, total, p.att, p.flag, p.dice, timestamp, total]);
+      // PreferredName, BP_Current, Attendance Mission Points, Flag Mission Points, Dice Roll Points, LastUpdated, BP_Historical, BP_Redeemed
+      bpSheet.appendRow([p.name, total, p.att, p.flag, p.dice, timestamp, total, 0]);
     });
   }
 
@@ -151,7 +151,7 @@ function logIntegrityAction(eventType, data) {
     var user = Session.getActiveUser().getEmail();
     var engineVersion = typeof ENGINE_VERSION !== 'undefined' ? ENGINE_VERSION : '7.9.6';
 
-    logSheet.appendRow([
+    appendIntegrityLogRow_(logSheet, [
       timestamp,
       user,
       eventType,
@@ -191,7 +191,7 @@ function logAttendanceScan(ss, summary) {
     var user = Session.getActiveUser().getEmail();
     var engineVersion = typeof ENGINE_VERSION !== 'undefined' ? ENGINE_VERSION : '7.9.6';
 
-    logSheet.appendRow([
+    appendIntegrityLogRow_(logSheet, [
       timestamp,
       user,
       'ATTENDANCE_SCAN',
@@ -231,7 +231,7 @@ function logAttendanceError(ss, error) {
     var user = Session.getActiveUser().getEmail();
     var engineVersion = typeof ENGINE_VERSION !== 'undefined' ? ENGINE_VERSION : '7.9.6';
 
-    logSheet.appendRow([
+    appendIntegrityLogRow_(logSheet, [
       timestamp,
       user,
       'ATTENDANCE_SCAN_ERROR',
@@ -916,222 +916,6 @@ function migrateBPTotalSchema_(sheet) {
   });
 }
 
-/**
- * Syncs BP_Total from all three source sheets
- * @param {boolean} dryRun - If true, returns preview without writing
- * @return {Object} Sync result {synced, errors, preview}
- */
-function syncBPTotals(dryRun = false) {
-  ensureBPTotalConsolidatedSchema();
-  ensureFlagMissionsSchema();
-  ensureAttendanceMissionsSchema();
-  ensureDicePointsSchema();
-
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const bpSheet = ss.getSheetByName('BP_Total');
-  const flagSheet = ss.getSheetByName('Flag_Missions');
-  const attSheet = ss.getSheetByName('Attendance_Missions');
-  const diceSheet = ss.getSheetByName('Dice_Points');
-
-  // Get canonical names
-  const canonicalNames = getPreferredNameSet();
-
-  // Build lookup maps from source sheets
-  const flagMap = buildSourceMap_(flagSheet, 'preferred_name_id', 'Flag_Points');
-  const attMap = buildSourceMap_(attSheet, 'preferred_name_id', 'Attendance_Points');
-  const diceMap = buildSourceMap_(diceSheet, 'preferred_name_id', 'Points');
-
-  // Get throttle config
-  const throttle = getThrottleKV();
-  const globalCap = coerceNumber(throttle.BP_Global_Cap, 100);
-
-  // Process BP_Total
-  const bpData = bpSheet.getDataRange().getValues();
-  const bpHeaders = bpData[0];
-
-  const nameCol = bpHeaders.indexOf('preferred_name_id');
-  const flagCol = bpHeaders.indexOf('Flag_Mission_Points');
-  const attCol = bpHeaders.indexOf('Attendance_Mission_Points');
-  const diceCol = bpHeaders.indexOf('Dice_Points');
-  const rawCol = bpHeaders.indexOf('Raw_Total');
-  const cappedCol = bpHeaders.indexOf('Capped_BP');
-  const overflowCol = bpHeaders.indexOf('Overflow_to_Prestige');
-  const updatedCol = bpHeaders.indexOf('LastUpdated');
-
-  const errors = [];
-  const preview = [];
-  let syncedCount = 0;
-
-  // Track which players exist in BP_Total
-  const existingPlayers = new Set();
-
-  for (let i = 1; i < bpData.length; i++) {
-    const playerId = bpData[i][nameCol];
-    if (!playerId) continue;
-
-    existingPlayers.add(playerId);
-
-    // Validate against canonical names
-    if (!canonicalNames.has(playerId)) {
-      errors.push({ player: playerId, error: 'Not in PreferredNames registry' });
-      continue;
-    }
-
-    const flagPoints = coerceNumber(flagMap.get(playerId), 0);
-    const attPoints = coerceNumber(attMap.get(playerId), 0);
-    const dicePoints = coerceNumber(diceMap.get(playerId), 0);
-    const rawTotal = flagPoints + attPoints + dicePoints;
-    const cappedBP = Math.min(rawTotal, globalCap);
-    const overflow = Math.max(0, rawTotal - globalCap);
-
-    const change = {
-      player: playerId,
-      flag: flagPoints,
-      attendance: attPoints,
-      dice: dicePoints,
-      raw: rawTotal,
-      capped: cappedBP,
-      overflow: overflow
-    };
-    preview.push(change);
-
-    if (!dryRun) {
-      bpSheet.getRange(i + 1, flagCol + 1).setValue(flagPoints);
-      bpSheet.getRange(i + 1, attCol + 1).setValue(attPoints);
-      bpSheet.getRange(i + 1, diceCol + 1).setValue(dicePoints);
-      bpSheet.getRange(i + 1, rawCol + 1).setValue(rawTotal);
-      bpSheet.getRange(i + 1, cappedCol + 1).setValue(cappedBP);
-      bpSheet.getRange(i + 1, overflowCol + 1).setValue(overflow);
-      bpSheet.getRange(i + 1, updatedCol + 1).setValue(dateISO());
-
-      // Route overflow to Prestige_Overflow
-      if (overflow > 0) {
-        routeOverflowToPrestige_(playerId, overflow);
-      }
-    }
-
-    syncedCount++;
-  }
-
-  // Check for players in source sheets not in BP_Total
-  const allSourcePlayers = new Set([...flagMap.keys(), ...attMap.keys(), ...diceMap.keys()]);
-  allSourcePlayers.forEach(playerId => {
-    if (!existingPlayers.has(playerId)) {
-      if (canonicalNames.has(playerId)) {
-        errors.push({ player: playerId, error: 'In source sheet but not in BP_Total (run provision)' });
-      } else {
-        errors.push({ player: playerId, error: 'In source sheet but not in PreferredNames registry' });
-      }
-    }
-  });
-
-  // Validate no negative values
-  preview.forEach(p => {
-    if (p.flag < 0 || p.attendance < 0 || p.dice < 0) {
-      errors.push({ player: p.player, error: 'Negative point values detected' });
-    }
-  });
-
-  if (!dryRun) {
-    const checksum = computeChecksum(bpSheet.getDataRange().getValues());
-    logIntegrityAction('BP_SYNC', {
-      checksumAfter: checksum,
-      details: `Synced ${syncedCount} players. Errors: ${errors.length}`,
-      dfTags: ['DF-SYNC'],
-      status: errors.length === 0 ? 'SUCCESS' : 'WARNING'
-    });
-  }
-
-  return {
-    synced: syncedCount,
-    errors,
-    preview
-  };
-}
-
-/**
- * Builds a lookup map from a source sheet
- * @param {Sheet} sheet - Source sheet
- * @param {string} keyCol - Key column name
- * @param {string} valueCol - Value column name
- * @return {Map} Map of key -> value
- * @private
- */
-function buildSourceMap_(sheet, keyCol, valueCol) {
-  const map = new Map();
-
-  if (!sheet || sheet.getLastRow() <= 1) return map;
-
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-  const keyIdx = headers.indexOf(keyCol);
-  const valueIdx = headers.indexOf(valueCol);
-
-  if (keyIdx === -1 || valueIdx === -1) return map;
-
-  for (let i = 1; i < data.length; i++) {
-    const key = data[i][keyIdx];
-    const value = data[i][valueIdx];
-    if (key) {
-      map.set(key, coerceNumber(value, 0));
-    }
-  }
-
-  return map;
-}
-
-/**
- * Routes overflow points to Prestige_Overflow sheet
- * @param {string} preferredNameId - Player ID
- * @param {number} overflow - Overflow amount
- * @private
- */
-function routeOverflowToPrestige_(preferredNameId, overflow) {
-  // This uses the existing addPrestigeOverflow_ from bpService.gs
-  // But we need to track it separately for the sync
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName('Prestige_Overflow');
-
-  if (!sheet) {
-    sheet = ss.insertSheet('Prestige_Overflow');
-    sheet.appendRow(['PreferredName', 'Total_Overflow', 'Last_Updated', 'Prestige_Tier']);
-    sheet.setFrozenRows(1);
-  }
-
-  const data = sheet.getDataRange().getValues();
-  let playerRow = -1;
-
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][0] === preferredNameId) {
-      playerRow = i;
-      break;
-    }
-  }
-
-  if (playerRow === -1) {
-    sheet.appendRow([preferredNameId, overflow, dateISO(), computePrestigeTier_(overflow)]);
-  } else {
-    // Update existing - set to current overflow (not cumulative from sync)
-    sheet.getRange(playerRow + 1, 2).setValue(overflow);
-    sheet.getRange(playerRow + 1, 3).setValue(dateISO());
-    sheet.getRange(playerRow + 1, 4).setValue(computePrestigeTier_(overflow));
-  }
-}
-
-/**
- * Computes prestige tier based on overflow amount
- * @param {number} overflow - Total overflow
- * @return {string} Tier name
- * @private
- */
-function computePrestigeTier_(overflow) {
-  if (overflow >= 500) return 'Diamond';
-  if (overflow >= 250) return 'Platinum';
-  if (overflow >= 100) return 'Gold';
-  if (overflow >= 50) return 'Silver';
-  return 'Bronze';
-}
-
 // ============================================================================
 // VALIDATION & INTEGRITY
 // ============================================================================
@@ -880,7 +880,7 @@ function logMissionScan_(ss, summary) {
   const timestamp = new Date().toISOString();
   const user = Session.getActiveUser().getEmail() || 'System';
   
-  sheet.appendRow([
+  appendIntegrityLogRow_(sheet, [
     timestamp,
     user,
     'MISSION_SCAN',
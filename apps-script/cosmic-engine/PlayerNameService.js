@@ -816,7 +816,7 @@ function logIntegrityAction(action, data) {
     const timestamp = new Date().toISOString();
     const user = Session.getActiveUser().getEmail() || 'System';
     
-    log.appendRow([
+    appendIntegrityLogRow_(log, [
       timestamp,
       user,
       action,
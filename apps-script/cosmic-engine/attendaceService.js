@@ -317,81 +317,30 @@ function runMissionComputation_() {
 
 /**
  * Runs bonus points aggregation from Attendance_Missions to BP_Total
- * Syncs mission-based BP into the player BP totals
+ * Syncs mission-based BP into BP_Ledger (BP_Total is its projection)
  * @return {Object} Aggregation result
  */
 function runBonusPointsAggregation_() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
 
   // Get Attendance_Missions
-  const missionsSheet = ss.getSheetByName('Attendance_Missions');
-  if (!missionsSheet) {
+  if (!ss.getSheetByName('Attendance_Missions')) {
     return {
       success: false,
       message: 'Attendance_Missions not found'
     };
   }
 
-  // Get BP_Total
-  ensureBPTotalSchema();
-  const bpSheet = ss.getSheetByName('BP_Total');
-
-  const missionsData = missionsSheet.getDataRange().getValues();
-  if (missionsData.length <= 1) {
-    return {
-      success: true,
-      playersUpdated: 0
-    };
-  }
-
-  const headers = missionsData[0];
-  const nameCol = headers.indexOf('PreferredName');
-  const diceCol = headers.indexOf('Points_From_Dice_Rolls');
-  const top4Col = headers.indexOf('Bonus_Points_From_Top4');
-  const attendanceCol = headers.indexOf('C_Total');
-
-  if (nameCol === -1) {
-    throwError('Invalid Attendance_Missions schema', 'SCHEMA_INVALID');
-  }
-
-  let updatedCount = 0;
-
-  // For each player in missions, update their BP
-  for (let i = 1; i < missionsData.length; i++) {
-    const playerName = missionsData[i][nameCol];
-    if (!playerName) continue;
-
-    const dicePoints = coerceNumber(missionsData[i][diceCol], 0);
-    const top4Points = coerceNumber(missionsData[i][top4Col], 0);
-    const attendanceCount = coerceNumber(missionsData[i][attendanceCol], 0);
-
-    // Compute BP from missions:
-    // - 1 BP per 2 attendance (simple rule)
-    // - Add dice roll points
-    // - Add top 4 bonus points
-    const attendanceBP = Math.floor(attendanceCount / 2);
-    const totalMissionBP = attendanceBP + dicePoints + top4Points;
-
-    // Get current BP
-    const currentBP = getPlayerBP(playerName);
-
-    // For now, we'll just ensure the player has at least the mission BP
-    // (Not subtracting, just ensuring minimum)
-    if (totalMissionBP > 0) {
-      const newBP = Math.max(currentBP, totalMissionBP);
-      setPlayerBP(playerName, newBP);
-      updatedCount++;
-    }
-  }
+  const result = syncBPLedgerFromSources();
 
   logIntegrityAction('BP_AGGREGATE', {
-    details: `Aggregated BP for ${updatedCount} players from missions`,
+    details: `Aggregated BP for ${result.players} players from missions`,
     status: 'SUCCESS'
   });
 
   return {
     success: true,
-    playersUpdated: updatedCount
+    playersUpdated: result.players
   };
 }
 
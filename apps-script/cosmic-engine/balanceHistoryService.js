@@ -0,0 +1,393 @@
+/**
+ * Balance History Service - Point-in-Time Balances
+ * @fileoverview Reconstructs what a player held on a given date by replaying
+ * the records each balance is written through:
+ *
+ *   Bonus Points - BP_Ledger (awards, overflow, redemptions from every
+ *                  redemption path, adjustments, reversals)
+ *   Keys         - Integrity_Log KEY_AWARD / RAINBOW_CONVERT /
+ *                  PLAYER_KEYS_CLEARED / KEYS_CLEARED entries (Key_Tracker
+ *                  keeps no history of its own)
+ *   Store credit - Store_Credit_Ledger rows
+ *
+ * Each result lists the entries that contributed, oldest first, with the
+ * running balance after each one, and a `complete` flag:
+ *   BP           - dates before BP_Ledger was opened are replayed from the
+ *                  records BP went through before it (Integrity_Log
+ *                  BP_AWARD / BP_REDEEM, Redeemed_BP, BP_Redeemed_Log);
+ *                  false when replaying those up to the opening does not
+ *                  reproduce the opening balance (mission points were never
+ *                  logged, or a sheet was edited by hand)
+ *   Keys         - false when replaying the whole log does not reproduce the
+ *                  current Key_Tracker row (keys were edited outside addKey /
+ *                  convertRainbow / the clears)
+ *   Store credit - always true
+ *
+ * Dates are "YYYY-MM-DD" (end of that day) or a timestamp, compared on the
+ * script time zone's wall clock like the dateISO() stamps they are read from.
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * Key colors replayed from Integrity_Log (plus RainbowEligible)
+ * @private
+ */
+const BALANCE_KEY_COLORS_ = ['Red', 'Blue', 'Green', 'Yellow', 'Purple'];
+/**
+ * Integrity_Log actions that change Key_Tracker
+ * @private
+ */
+const BALANCE_KEY_ACTIONS_ = ['KEY_AWARD', 'RAINBOW_CONVERT', 'PLAYER_KEYS_CLEARED', 'KEYS_CLEARED'];
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+/**
+ * Gets a player's BP, keys and store credit as of a date
+ * @param {string} preferredName - Canonical player name
+ * @param {string|Date} date - "YYYY-MM-DD" (end of day) or timestamp
+ * @return {Object} {preferredName, asOf, bonusPoints, keys, storeCredit}
+ */
+function getBalanceAsOf(preferredName, date) {
+  const cutoff = balanceCutoff_(date);
+  return {
+    preferredName,
+    asOf: cutoff + 'Z',
+    bonusPoints: bpBalanceAsOf_(preferredName, cutoff),
+    keys: keysBalanceAsOf_(preferredName, cutoff),
+    storeCredit: storeCreditBalanceAsOf_(preferredName, cutoff)
+  };
+}
+/**
+ * Gets a player's Bonus Points as of a date (replays BP_Ledger, or the
+ * pre-ledger records for dates before it was opened)
+ * @param {string} preferredName - Canonical player name
+ * @param {string|Date} date - "YYYY-MM-DD" (end of day) or timestamp
+ * @return {Object} {currentBP, historicalBP, redeemedBP, prestige, complete, openedAt, entries}
+ */
+function getBPBalanceAsOf(preferredName, date) {
+  return bpBalanceAsOf_(preferredName, balanceCutoff_(date));
+}
+/**
+ * Gets a player's Key_Tracker colors as of a date (replays Integrity_Log)
+ * @param {string} preferredName - Canonical player name
+ * @param {string|Date} date - "YYYY-MM-DD" (end of day) or timestamp
+ * @return {Object} {keys: {Red, Blue, Green, Yellow, Purple, RainbowEligible}, complete, entries}
+ */
+function getKeysBalanceAsOf(preferredName, date) {
+  return keysBalanceAsOf_(preferredName, balanceCutoff_(date));
+}
+/**
+ * Gets a player's store credit as of a date (replays Store_Credit_Ledger)
+ * @param {string} preferredName - preferred_name_id
+ * @param {string|Date} date - "YYYY-MM-DD" (end of day) or timestamp
+ * @return {Object} {balance, complete, entries}
+ */
+function getStoreCreditBalanceAsOf(preferredName, date) {
+  return storeCreditBalanceAsOf_(preferredName, balanceCutoff_(date));
+}
+// ============================================================================
+// REPLAY
+// ============================================================================
+/**
+ * Folds BP_Ledger entries up to the cutoff
+ * @param {string} preferredName - Player
+ * @param {string} cutoff - Wall-clock cutoff from balanceCutoff_
+ * @return {Object} BP balance as of the cutoff
+ * @private
+ */
+function bpBalanceAsOf_(preferredName, cutoff) {
+  const all = getBPLedgerEntries();
+  const openedAt = all.length > 0 ? balanceClock_(all[0].timestamp) : '';
+  if (openedAt !== '' && cutoff < openedAt) {
+    const opening = all.filter(e => e.preferredName === preferredName && String(e.idempotencyKey).startsWith('OPENING:'));
+    return preLedgerBPBalanceAsOf_(preferredName, cutoff, openedAt, foldBPLedger_(opening).get(preferredName) || emptyBPBalance_());
+  }
+  const upTo = all.filter(e => balanceClock_(e.timestamp) <= cutoff);
+  // REVERSE entries move what the entry they undo moved
+  const byId = new Map(all.map(e => [e.entryId, e]));
+  let currentBP = 0;
+  const entries = upTo.filter(e => e.preferredName === preferredName).map(entry => {
+    const original = entry.type === 'REVERSE' ? byId.get(entry.reverses) : entry;
+    const effects = (original && BP_LEDGER_EFFECTS[original.type]) || {};
+    currentBP += (effects.current || 0) * entry.amount;
+    return {
+      timestamp: entry.timestamp,
+      type: entry.type,
+      amount: entry.amount,
+      source: entry.source,
+      eventId: entry.eventId,
+      notes: entry.notes,
+      currentBP
+    };
+  });
+  const balance = foldBPLedger_(upTo).get(preferredName) || emptyBPBalance_();
+  return {
+    currentBP: balance.currentBP,
+    historicalBP: balance.historicalBP,
+    redeemedBP: balance.redeemedBP,
+    prestige: balance.prestige,
+    complete: openedAt !== '' && cutoff >= openedAt,
+    openedAt,
+    entries
+  };
+}
+/**
+ * Replays the records BP went through before BP_Ledger was opened
+ *   Integrity_Log BP_AWARD / BP_REDEEM - amount, overflow and BP_Current after
+ *   BP_Redeemed_Log                    - one redemption per RowId
+ *   Redeemed_BP                        - rows no BP_REDEEM entry accounts for
+ *                                        (same amount within a minute)
+ * @param {string} preferredName - Player
+ * @param {string} cutoff - Wall-clock cutoff from balanceCutoff_ (before openedAt)
+ * @param {string} openedAt - Wall clock of the first ledger entry
+ * @param {Object} opening - The player's opening balance (foldBPLedger_)
+ * @return {Object} BP balance as of the cutoff
+ * @private
+ */
+function preLedgerBPBalanceAsOf_(preferredName, cutoff, openedAt, opening) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const read = sheetName => {
+    const sheet = ss.getSheetByName(sheetName);
+    const data = sheet && sheet.getLastRow() > 1 ? sheet.getDataRange().getValues() : [[]];
+    return { rows: data.slice(1), col: name => data[0].indexOf(name) };
+  };
+  const records = [];
+  const add = (timestamp, record) => {
+    const clock = balanceClock_(timestamp);
+    if (clock && clock < openedAt) records.push(Object.assign({ timestamp, clock, overflow: 0, after: null, notes: '' }, record));
+  };
+  const log = read('Integrity_Log');
+  const [tsCol, actionCol, nameCol, eventCol, detailsCol, statusCol] =
+    ['Timestamp', 'Action', 'PreferredName', 'Event_ID', 'Details', 'Status'].map(log.col);
+  log.rows.forEach(row => {
+    const action = String(row[actionCol]);
+    if (action !== 'BP_AWARD' && action !== 'BP_REDEEM') return;
+    if (String(row[nameCol]) !== preferredName || String(row[statusCol] || 'SUCCESS') !== 'SUCCESS') return;
+    const details = String(row[detailsCol] || '');
+    const eventId = eventCol !== -1 ? row[eventCol] : '';
+    let m;
+    if (action === 'BP_AWARD' && (m = details.match(/Awarded: ([\d.]+) BP \| -?[\d.]+ → (-?[\d.]+)(?: \(Overflow: ([\d.]+)\))?/))) {
+      const source = (details.match(/^Source: ([^|]+?) \|/) || [])[1] || 'BP_AWARD';
+      add(row[tsCol], { type: 'AWARD', amount: Number(m[1]), overflow: Number(m[3] || 0), after: Number(m[2]), source, eventId });
+    } else if (action === 'BP_REDEEM' && (m = details.match(/Redeemed:? ([\d.]+) BP.*?-?[\d.]+ → (-?[\d.]+)/))) {
+      const source = (details.match(/^Sink: ([^|]+?) \|/) || [])[1] || 'BP_REDEEM';
+      add(row[tsCol], { type: 'REDEEM', amount: Number(m[1]), after: Number(m[2]), source, eventId });
+    }
+  });
+  const redeemLog = read('BP_Redeemed_Log');
+  const seen = new Set();
+  const [logTsCol, logNameCol, logAmountCol, logReasonCol, logEventCol, logIdCol] =
+    ['Timestamp', 'PreferredName', 'BP_Amount', 'Reason', 'Event_ID', 'RowId'].map(redeemLog.col);
+  redeemLog.rows.forEach(row => {
+    if (String(row[logNameCol] || '').trim() !== preferredName) return;
+    const rowId = logIdCol !== -1 ? String(row[logIdCol] || '') : '';
+    if (rowId && seen.has(rowId)) return;
+    seen.add(rowId);
+    add(row[logTsCol], {
+      type: 'REDEEM',
+      amount: coerceNumber(row[logAmountCol], 0),
+      source: 'BP_REDEEMED_LOG',
+      eventId: logEventCol !== -1 ? row[logEventCol] : '',
+      notes: logReasonCol !== -1 ? row[logReasonCol] : ''
+    });
+  });
+  // redeemBonusPoints writes a Redeemed_BP row and a BP_REDEEM entry for one redemption
+  const logged = records.filter(r => r.source !== 'BP_REDEEMED_LOG' && r.type === 'REDEEM');
+  const millis = clock => new Date(clock + 'Z').getTime();
+  const redeemed = read('Redeemed_BP');
+  const [rbNameCol, rbTotalCol, rbItemCol, rbCurrentCol, rbUpdatedCol] =
+    ['PreferredName', 'Total_Redeemed', 'Item_Redeemed', 'BP_Current', 'LastUpdated'].map(redeemed.col);
+  let lifetime = 0;
+  redeemed.rows.forEach(row => {
+    if (String(row[rbNameCol] || '').trim() !== preferredName) return;
+    const total = coerceNumber(row[rbTotalCol], 0);
+    const amount = total - lifetime;
+    lifetime = Math.max(lifetime, total);
+    const clock = balanceClock_(row[rbUpdatedCol]);
+    if (amount <= 0 || !clock) return;
+    const match = logged.findIndex(r => r.amount === amount && Math.abs(millis(r.clock) - millis(clock)) <= 60000);
+    if (match !== -1) {
+      logged.splice(match, 1);
+      return;
+    }
+    add(row[rbUpdatedCol], {
+      type: 'REDEEM',
+      amount,
+      after: rbCurrentCol !== -1 && row[rbCurrentCol] !== '' ? coerceNumber(row[rbCurrentCol], 0) : null,
+      source: 'REDEEMED_BP',
+      eventId: '',
+      notes: rbItemCol !== -1 ? row[rbItemCol] : ''
+    });
+  });
+  records.sort((a, b) => (a.clock < b.clock ? -1 : a.clock > b.clock ? 1 : 0));
+  // BP_Current is taken from the snapshot a record carries, else moved by its amount
+  const fold = upTo => {
+    const balance = emptyBPBalance_();
+    const entries = [];
+    records.filter(r => r.clock <= upTo).forEach(record => {
+      const entry = { timestamp: record.timestamp, source: record.source, eventId: record.eventId, notes: record.notes };
+      if (record.type === 'AWARD') {
+        const fits = record.amount - record.overflow;
+        balance.currentBP = record.after !== null ? record.after : balance.currentBP + fits;
+        balance.historicalBP += record.amount;
+        balance.prestige += record.overflow;
+        entries.push(Object.assign({ type: 'AWARD', amount: fits, currentBP: balance.currentBP }, entry));
+        if (record.overflow > 0) {
+          entries.push(Object.assign({ type: 'OVERFLOW', amount: record.overflow, currentBP: balance.currentBP }, entry));
+        }
+      } else {
+        balance.currentBP = record.after !== null ? record.after : balance.currentBP - record.amount;
+        balance.redeemedBP += record.amount;
+        entries.push(Object.assign({ type: 'REDEEM', amount: -record.amount, currentBP: balance.currentBP }, entry));
+      }
+    });
+    return { balance, entries };
+  };
+  const asOf = fold(cutoff);
+  const replayed = fold(openedAt).balance;
+  const complete = ['currentBP', 'historicalBP', 'redeemedBP', 'prestige'].every(k => replayed[k] === opening[k]);
+  return {
+    currentBP: asOf.balance.currentBP,
+    historicalBP: asOf.balance.historicalBP,
+    redeemedBP: asOf.balance.redeemedBP,
+    prestige: asOf.balance.prestige,
+    complete,
+    openedAt,
+    entries: asOf.entries
+  };
+}
+/**
+ * Replays Integrity_Log key actions up to the cutoff
+ * @param {string} preferredName - Player
+ * @param {string} cutoff - Wall-clock cutoff from balanceCutoff_
+ * @return {Object} Keys as of the cutoff
+ * @private
+ */
+function keysBalanceAsOf_(preferredName, cutoff) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Integrity_Log');
+  const data = sheet && sheet.getLastRow() > 1 ? sheet.getDataRange().getValues() : [[]];
+  const col = name => data[0].indexOf(name);
+  const [tsCol, actionCol, nameCol, detailsCol, statusCol] =
+    ['Timestamp', 'Action', 'PreferredName', 'Details', 'Status'].map(col);
+  const keys = emptyKeyBalance_();
+  const entries = [];
+  let replayedNow = null;
+  data.slice(1).forEach(row => {
+    const action = String(row[actionCol]);
+    if (!BALANCE_KEY_ACTIONS_.includes(action) || String(row[statusCol] || 'SUCCESS') !== 'SUCCESS') return;
+    if (action !== 'KEYS_CLEARED' && String(row[nameCol]) !== preferredName) return;
+    if (replayedNow === null && balanceClock_(row[tsCol]) > cutoff) {
+      replayedNow = Object.assign({}, keys);
+    }
+    applyKeyLogEntry_(keys, action, String(row[detailsCol] || ''));
+    if (replayedNow === null) {
+      entries.push({ timestamp: row[tsCol], action, details: row[detailsCol], keys: Object.assign({}, keys) });
+    }
+  });
+  const asOf = replayedNow || Object.assign({}, keys);
+  const tracked = getPlayerKeys(preferredName);
+  const complete = Object.keys(keys).every(k => keys[k] === coerceNumber(tracked ? tracked[k] : 0, 0));
+  return { keys: asOf, complete, entries };
+}
+/**
+ * Applies one Integrity_Log key entry (details formats written by keyService.js)
+ * @param {Object} keys - Running key counts (mutated)
+ * @param {string} action - Integrity_Log action
+ * @param {string} details - Integrity_Log details
+ * @private
+ */
+function applyKeyLogEntry_(keys, action, details) {
+  let m;
+  if (action === 'PLAYER_KEYS_CLEARED' || action === 'KEYS_CLEARED') {
+    Object.assign(keys, emptyKeyBalance_());
+  } else if (action === 'KEY_AWARD' && (m = details.match(/^Added (\d+) (\w+) \(new player\)/))) {
+    Object.assign(keys, emptyKeyBalance_());
+    keys[m[2]] = Number(m[1]);
+  } else if (action === 'KEY_AWARD' && (m = details.match(/^(\w+): -?\d+ → (-?\d+)/))) {
+    keys[m[1]] = Number(m[2]);
+  } else if (action === 'RAINBOW_CONVERT' && (m = details.match(/from (\w+) \(-?\d+→(-?\d+)\) → (\d+) Rainbow/))) {
+    keys[m[1]] = Number(m[2]);
+    keys.RainbowEligible = Number(m[3]);
+  }
+}
+/**
+ * Zero key counts
+ * @return {Object} {Red, Blue, Green, Yellow, Purple, RainbowEligible}
+ * @private
+ */
+function emptyKeyBalance_() {
+  const keys = {};
+  BALANCE_KEY_COLORS_.forEach(color => { keys[color] = 0; });
+  keys.RainbowEligible = 0;
+  return keys;
+}
+/**
+ * Sums Store_Credit_Ledger rows up to the cutoff
+ * @param {string} preferredName - preferred_name_id
+ * @param {string} cutoff - Wall-clock cutoff from balanceCutoff_
+ * @return {Object} Store credit as of the cutoff
+ * @private
+ */
+function storeCreditBalanceAsOf_(preferredName, cutoff) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_SHEET_NAME);
+  const data = sheet && sheet.getLastRow() > 1 ? sheet.getDataRange().getValues() : [[]];
+  const col = name => data[0].indexOf(name);
+  const [tsCol, nameCol, directionCol, amountCol, reasonCol, categoryCol] =
+    ['Timestamp', 'preferred_name_id', 'InOut', 'Amount', 'Reason', 'Category'].map(col);
+  let balance = 0;
+  const entries = [];
+  data.slice(1).forEach(row => {
+    if (String(row[nameCol] || '').trim() !== preferredName) return;
+    if (balanceClock_(row[tsCol]) > cutoff) return;
+    const direction = String(row[directionCol] || '').trim().toUpperCase();
+    // Amount is stored signed; older rows may hold an unsigned OUT amount
+    const amount = Math.abs(coerceNumber(row[amountCol], 0)) * (direction === 'OUT' ? -1 : 1);
+    balance += amount;
+    entries.push({
+      timestamp: row[tsCol],
+      direction,
+      amount,
+      reason: reasonCol !== -1 ? row[reasonCol] : '',
+      category: categoryCol !== -1 ? row[categoryCol] : '',
+      balance
+    });
+  });
+  return { balance, complete: true, entries };
+}
+// ============================================================================
+// DATES
+// ============================================================================
+/**
+ * Resolves an as-of date to a wall-clock cutoff
+ * @param {string|Date} date - "YYYY-MM-DD" (end of day) or timestamp
+ * @return {string} "yyyy-MM-ddTHH:mm:ss" in the script time zone
+ * @private
+ */
+function balanceCutoff_(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date.trim())) {
+    return date.trim() + 'T23:59:59';
+  }
+  const cutoff = balanceClock_(date);
+  if (!cutoff) {
+    throwError('Invalid date', 'INVALID_DATE', 'Use YYYY-MM-DD or an ISO timestamp');
+  }
+  return cutoff;
+}
+/**
+ * Converts a timestamp cell to a comparable wall-clock string
+ * dateISO() stamps are script-zone wall clock with a literal "Z", so they are
+ * taken as written; anything else is parsed and formatted into the script zone.
+ * @param {string|Date} value - Timestamp
+ * @return {string} "yyyy-MM-ddTHH:mm:ss" ('' if unparseable)
+ * @private
+ */
+function balanceClock_(value) {
+  if (!value) return '';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(value)) {
+    return value.slice(0, 19);
+  }
+  const date = value instanceof Date ? value : parseISODate(String(value));
+  if (isNaN(date.getTime())) return '';
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ss");
+}
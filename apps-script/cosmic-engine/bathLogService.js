@@ -15,6 +15,13 @@ class BathLogService {
 
     if (!this.bathLogSheet) {
       this.createBathLogSheet();
+    } else {
+      // Sheets created before Prize_Ladder or Batch_ID get the columns appended
+      [[24, 'Prize_Ladder'], [25, 'Batch_ID']].forEach(([col, header]) => {
+        if (this.bathLogSheet.getRange(1, col).getValue() !== header) {
+          this.bathLogSheet.getRange(1, col).setValue(header).setFontWeight('bold');
+        }
+      });
     }
   }
 
@@ -29,7 +36,8 @@ class BathLogService {
       'Timestamp', 'Event_ID', 'Event_Date', 'Format', 'Player_Count', 'Entry_Fee',
       'RL_Baseline_95', 'RL_Dial_%', 'RL_Dial_$', 'Preview_Prize_COGS', 'RL_Usage_%',
       'RLbath_$', 'RLbath_%', 'Was_Trimmed', 'Trim_Amount_$', 'Final_Prize_COGS',
-      'RL_Final_%', 'RL_Band_Final', 'df_tags', 'Seed', 'Preview_Hash', 'Commit_Hash', 'Notes'
+      'RL_Final_%', 'RL_Band_Final', 'df_tags', 'Seed', 'Preview_Hash', 'Commit_Hash', 'Notes',
+      'Prize_Ladder', 'Batch_ID'
     ];
 
     this.bathLogSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
@@ -48,16 +56,18 @@ class BathLogService {
 
   /**
    * Logs a Bath event
-   * @param {Object} eventData - Event metadata
+   * @param {Object} eventData - Event metadata (prize_ladder optional, resolved from event_id if omitted;
+   *   rl_baseline optional, player_count × entry_fee × 0.95 if omitted)
    * @param {Object} previewData - Preview prize data
-   * @param {Object} finalData - Final committed data
+   * @param {Object} finalData - Final committed data (near_miss forces a row; commit_hash is the
+   *   committed allocations' hash, batch_id the commit batch)
    */
   logBathEvent(eventData, previewData, finalData) {
 
     const throttle = new PrizeThrottleService();
 
     const eligibleNet = eventData.player_count * eventData.entry_fee;
-    const RL_Baseline = eligibleNet * 0.95;
+    const RL_Baseline = eventData.rl_baseline !== undefined ? eventData.rl_baseline : eligibleNet * 0.95;
     const RL_Dial_Pct = throttle.getRLDial();
     const RL_Dial_Dollar = eligibleNet * RL_Dial_Pct;
 
@@ -65,8 +75,8 @@ class BathLogService {
     const RLbath_Dollar = Math.max(0, previewData.totalCOGS - RL_Baseline);
     const RLbath_Pct = Math.max(0, RL_Usage_Pct - 1.0);
 
-    // Log if bath territory OR dial above baseline OR trimmed
-    if (RLbath_Dollar > 0 || RL_Dial_Pct > 0.95 || finalData.was_trimmed) {
+    // Log if bath territory OR dial above baseline OR trimmed OR near-miss
+    if (RLbath_Dollar > 0 || RL_Dial_Pct > 0.95 || finalData.was_trimmed || finalData.near_miss) {
 
       const row = [
         new Date(),
@@ -91,7 +101,9 @@ class BathLogService {
         eventData.seed || '',
         previewData.preview_hash || '',
         finalData.commit_hash || '',
-        finalData.notes || ''
+        finalData.notes || '',
+        eventData.prize_ladder || resolvePrizeLadder(eventData.event_id, eventData.player_count).label,
+        finalData.batch_id || ''
       ];
 
       this.bathLogSheet.appendRow(row);
@@ -100,10 +112,13 @@ class BathLogService {
 
       // Also log to Integrity_Log
       logIntegrityAction('BATH_EVENT', {
-        event_id: eventData.event_id,
-        rl_usage: (RL_Usage_Pct * 100).toFixed(1) + '%',
-        was_trimmed: finalData.was_trimmed,
-        rl_band: finalData.rl_band
+        eventId: eventData.event_id,
+        seed: eventData.seed || '',
+        checksumBefore: previewData.preview_hash || '',
+        checksumAfter: finalData.commit_hash || '',
+        rlBand: finalData.rl_band,
+        details: `RL usage ${(RL_Usage_Pct * 100).toFixed(1)}% | Trimmed: ${finalData.was_trimmed ? 'yes' : 'no'}`,
+        status: 'SUCCESS'
       });
     }
   }
@@ -0,0 +1,314 @@
+/**
+ * BP Expiry Service - Bonus Points Expiration Policy
+ * @fileoverview Expires unspent Bonus Points so they do not pile up as a
+ * liability. Configured on Prize_Throttle:
+ *
+ *   BP_Expiry_Mode      - OFF (default), FIFO or INACTIVITY
+ *   BP_Expiry_Days      - FIFO: days after each earned batch is credited
+ *                         INACTIVITY: days after the player last attended
+ *   BP_Expiry_Warn_Days - Warn this many days ahead (default 14)
+ *   BP_Expiry_Since     - When the policy took effect (written by the first
+ *                         run after it is turned on, cleared when it is off)
+ *
+ * Nothing expires before BP_Expiry_Since + BP_Expiry_Warn_Days, so turning a
+ * policy on warns players about BP that is already overdue instead of taking
+ * it on the first run.
+ *
+ * FIFO: every credit on BP_Ledger is a batch; redemptions, expiries and
+ * corrections consume the oldest batches first, and whatever is left of a
+ * batch expires BP_Expiry_Days after it was credited. Opening balances count
+ * as credited when the ledger was opened.
+ *
+ * INACTIVITY: the whole balance expires BP_Expiry_Days after the player's
+ * last event (rosters of the MM-DD[X]-YYYY event tabs); players who never
+ * attended count from their first ledger entry.
+ *
+ * runBPExpiryJob (daily trigger, installBPExpiryTrigger) writes EXPIRE
+ * entries, queues BP_EXPIRY_WARNING notices on Notification_Queue and saves
+ * what expires next to BP_Expiring, which player lookups read instead of
+ * planning from the whole ledger.
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * Expiry modes
+ */
+const BP_EXPIRY_MODES = ['OFF', 'FIFO', 'INACTIVITY'];
+/**
+ * BP_Expiring headers
+ */
+const BP_EXPIRING_HEADERS = ['PreferredName', 'Amount', 'Expires_On', 'Planned_At'];
+/**
+ * Reads the expiry policy from Prize_Throttle
+ * @return {Object} {mode, days, warnDays, since} (since: wall clock, '' before the first run)
+ * @private
+ */
+function getBPExpiryConfig_() {
+  const throttle = getThrottleKV_();
+  const mode = String(throttle.BP_Expiry_Mode || 'OFF').trim().toUpperCase();
+  if (!BP_EXPIRY_MODES.includes(mode)) {
+    throwError('Invalid BP_Expiry_Mode', 'INVALID_CONFIG', `Must be one of: ${BP_EXPIRY_MODES.join(', ')}`);
+  }
+  const days = coerceNumber(throttle.BP_Expiry_Days, 365);
+  if (mode !== 'OFF' && days <= 0) {
+    throwError('BP_Expiry_Days must be positive', 'INVALID_CONFIG');
+  }
+  return {
+    mode,
+    days,
+    warnDays: coerceNumber(throttle.BP_Expiry_Warn_Days, 14),
+    since: balanceClock_(throttle.BP_Expiry_Since)
+  };
+}
+// ============================================================================
+// SCHEDULED JOB
+// ============================================================================
+/**
+ * Expires due BP and queues warnings for BP expiring within the warning window
+ * @param {Object} options - {dryRun} (optional)
+ * @return {Object} {mode, expired: [{preferredName, amount}], warned: [{preferredName, amount, expiresOn}]}
+ */
+function runBPExpiryJob(options = {}) {
+  const config = getBPExpiryConfig_();
+  const result = { mode: config.mode, expired: [], warned: [] };
+  if (config.mode === 'OFF') {
+    // Turning the policy on again starts a new warning period
+    if (config.since && !options.dryRun) {
+      setThrottleKV({ BP_Expiry_Since: '' }, 'BP expiry off');
+    }
+    return result;
+  }
+  const now = balanceClock_(new Date());
+  const today = now.slice(0, 10);
+  if (!config.since && !options.dryRun) {
+    setThrottleKV({ BP_Expiry_Since: dateISO() }, `${config.mode} BP expiry on`);
+  }
+  const plans = planBPExpiry_(config, now);
+  plans.forEach((plan, preferredName) => {
+    if (plan.due > 0) {
+      const written = options.dryRun ? null : recordBPExpiry(preferredName, plan.due, {
+        idempotencyKey: `EXPIRE:${preferredName}:${today}`,
+        notes: `${config.mode} expiry (${config.days} days)`
+      });
+      if (!written || !written.duplicate) {
+        result.expired.push({ preferredName, amount: plan.due });
+      }
+    }
+    plan.soon.forEach(batch => {
+      const queued = options.dryRun ? { queued: true } : enqueueNotification('BP_EXPIRY_WARNING', preferredName,
+        `${batch.amount} Bonus Points expire on ${batch.expiresOn}. Spend them before then!`,
+        { amount: batch.amount, dueDate: batch.expiresOn, dedupeKey: `BP_EXPIRY_WARNING:${preferredName}:${batch.expiresOn}` });
+      if (queued.queued) {
+        result.warned.push({ preferredName, amount: batch.amount, expiresOn: batch.expiresOn });
+      }
+    });
+  });
+  if (!options.dryRun) {
+    writeBPExpiring_(plans, now);
+    logIntegrityAction('BP_EXPIRY_RUN', {
+      details: `${config.mode}: expired ${sumBy(result.expired, e => e.amount)} BP from ${result.expired.length} player(s), ` +
+        `${result.warned.length} warning(s) queued`,
+      status: 'SUCCESS'
+    });
+  }
+  return result;
+}
+/**
+ * Installs the daily expiry trigger (replaces an existing one)
+ * @param {number} hour - Hour of day to run (default: 4)
+ * @return {string} Trigger ID
+ */
+function installBPExpiryTrigger(hour = 4) {
+  return installDailyTrigger_('runBPExpiryJob', hour);
+}
+// ============================================================================
+// READ API
+// ============================================================================
+/**
+ * Gets a player's BP expiring within the warning window (and any already due)
+ * @param {string} preferredName - Canonical player name
+ * @return {Object} {mode, amount, expiresOn, batches: [{amount, expiresOn}]}
+ */
+function getBPExpiringSoon(preferredName) {
+  const config = getBPExpiryConfig_();
+  const none = { mode: config.mode, amount: 0, expiresOn: '', batches: [] };
+  if (config.mode === 'OFF') return none;
+  const plan = planBPExpiry_(config, balanceClock_(new Date()), [preferredName]).get(preferredName);
+  if (!plan) return none;
+  const batches = plan.overdue.concat(plan.soon);
+  return {
+    mode: config.mode,
+    amount: sumBy(batches, b => b.amount),
+    expiresOn: batches.length > 0 ? batches[0].expiresOn : '',
+    batches
+  };
+}
+/**
+ * Gets a player's BP expiring soon as of the last expiry run
+ * Reads BP_Expiring only, so a lookup does not plan from the ledger and rosters.
+ * @param {string} preferredName - Canonical player name
+ * @return {Object} {amount, expiresOn, plannedAt}
+ */
+function getScheduledBPExpiry(preferredName) {
+  const none = { amount: 0, expiresOn: '', plannedAt: '' };
+  if (getBPExpiryConfig_().mode === 'OFF') return none;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('BP_Expiring');
+  if (!sheet || sheet.getLastRow() <= 1) return none;
+  const row = sheet.getRange(2, 1, sheet.getLastRow() - 1, BP_EXPIRING_HEADERS.length).getValues()
+    .find(r => r[0] === preferredName);
+  if (!row) return none;
+  const expiresOn = row[2] instanceof Date
+    ? Utilities.formatDate(row[2], Session.getScriptTimeZone(), 'yyyy-MM-dd')
+    : String(row[2]);
+  // Past its date: the next run expires it
+  if (expiresOn < balanceClock_(new Date()).slice(0, 10)) return none;
+  return { amount: coerceNumber(row[1], 0), expiresOn, plannedAt: balanceClock_(row[3]) };
+}
+// ============================================================================
+// PLANNING
+// ============================================================================
+/**
+ * Works out what expires per player
+ * @param {Object} config - From getBPExpiryConfig_
+ * @param {string} now - Wall-clock now (balanceClock_)
+ * @param {Array<string>} names - Only these players (optional)
+ * @return {Map<string, Object>} preferredName → {due, overdue: [{amount, expiresOn}], soon: [{amount, expiresOn}]}
+ * @private
+ */
+function planBPExpiry_(config, now, names = null) {
+  const entries = getBPLedgerEntries();
+  const byId = new Map(entries.map(e => [e.entryId, e]));
+  const warnUntil = addClockDays_(now, config.warnDays);
+  // Players are warned before anything expires: before the first run, "since" is now
+  const earliest = addClockDays_(config.since || now, config.warnDays);
+  const lastAttended = config.mode === 'INACTIVITY' ? getLastAttendedDates_() : null;
+  const byPlayer = new Map();
+  entries.forEach(entry => {
+    if (names && !names.includes(entry.preferredName)) return;
+    if (!byPlayer.has(entry.preferredName)) byPlayer.set(entry.preferredName, []);
+    byPlayer.get(entry.preferredName).push(entry);
+  });
+  const plans = new Map();
+  byPlayer.forEach((mine, preferredName) => {
+    const batches = config.mode === 'FIFO'
+      ? fifoBPBatches_(mine, byId).map(b => ({ amount: b.remaining, expiresAt: addClockDays_(b.creditedAt, config.days) }))
+      : inactivityBPBatch_(mine, byId, lastAttended.get(preferredName), config.days);
+    const plan = { due: 0, overdue: [], soon: [] };
+    batches.filter(b => b.amount > 0).forEach(b => {
+      const expiresAt = b.expiresAt < earliest ? earliest : b.expiresAt;
+      const batch = { amount: b.amount, expiresOn: expiresAt.slice(0, 10) };
+      if (expiresAt <= now) {
+        plan.due += b.amount;
+        plan.overdue.push(batch);
+      } else if (expiresAt <= warnUntil) {
+        const sameDay = plan.soon.find(s => s.expiresOn === batch.expiresOn);
+        if (sameDay) sameDay.amount += batch.amount; else plan.soon.push(batch);
+      }
+    });
+    if (plan.due > 0 || plan.soon.length > 0) plans.set(preferredName, plan);
+  });
+  return plans;
+}
+/**
+ * Splits a player's BP_Current into credited batches, oldest consumed first
+ * @param {Array<Object>} mine - The player's ledger entries, oldest first
+ * @param {Map<string, Object>} byId - Every entry by Entry_ID (for REVERSE)
+ * @return {Array<Object>} Unspent batches {creditedAt, remaining}, oldest first
+ * @private
+ */
+function fifoBPBatches_(mine, byId) {
+  const batches = [];
+  mine.forEach(entry => {
+    const delta = bpCurrentDelta_(entry, byId);
+    if (delta > 0) {
+      batches.push({ creditedAt: balanceClock_(entry.timestamp), remaining: delta });
+      return;
+    }
+    let owed = -delta;
+    for (let i = 0; i < batches.length && owed > 0; i++) {
+      const take = Math.min(batches[i].remaining, owed);
+      batches[i].remaining -= take;
+      owed -= take;
+    }
+  });
+  return batches.filter(b => b.remaining > 0);
+}
+/**
+ * The whole balance as one batch expiring N days after the last attendance
+ * @param {Array<Object>} mine - The player's ledger entries, oldest first
+ * @param {Map<string, Object>} byId - Every entry by Entry_ID (for REVERSE)
+ * @param {string} lastAttended - Wall-clock date of the last event ('' / undefined if never)
+ * @param {number} days - BP_Expiry_Days
+ * @return {Array<Object>} [{amount, expiresAt}]
+ * @private
+ */
+function inactivityBPBatch_(mine, byId, lastAttended, days) {
+  const balance = sumBy(mine, entry => bpCurrentDelta_(entry, byId));
+  const lastActive = lastAttended || balanceClock_(mine[0].timestamp);
+  return [{ amount: balance, expiresAt: addClockDays_(lastActive, days) }];
+}
+/**
+ * BP_Current change of a ledger entry
+ * @param {Object} entry - Ledger entry
+ * @param {Map<string, Object>} byId - Every entry by Entry_ID (for REVERSE)
+ * @return {number} Signed change
+ * @private
+ */
+function bpCurrentDelta_(entry, byId) {
+  const original = entry.type === 'REVERSE' ? byId.get(entry.reverses) : entry;
+  const effects = (original && BP_LEDGER_EFFECTS[original.type]) || {};
+  return (effects.current || 0) * entry.amount;
+}
+/**
+ * Last event each player attended, from the event tab rosters
+ * @return {Map<string, string>} preferredName → "yyyy-MM-ddT23:59:59" of the event day
+ * @private
+ */
+function getLastAttendedDates_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const lastAttended = new Map();
+  // Sorted oldest first, so later events overwrite
+  getEventSheets_().forEach(event => {
+    const day = [event.year, String(event.month).padStart(2, '0'), String(event.day).padStart(2, '0')].join('-');
+    getEventRoster_(ss.getSheetByName(event.sheetName)).forEach(name => {
+      lastAttended.set(name, day + 'T23:59:59');
+    });
+  });
+  return lastAttended;
+}
+/**
+ * Saves each player's next expiry (what is left after this run) to BP_Expiring (hidden)
+ * @param {Map<string, Object>} plans - From planBPExpiry_
+ * @param {string} now - Wall-clock now
+ * @private
+ */
+function writeBPExpiring_(plans, now) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('BP_Expiring');
+  if (!sheet) {
+    sheet = ss.insertSheet('BP_Expiring');
+    sheet.hideSheet();
+  }
+  const rows = [];
+  plans.forEach((plan, preferredName) => {
+    if (plan.soon.length === 0) return;
+    rows.push([preferredName, sumBy(plan.soon, b => b.amount), plan.soon[0].expiresOn, now]);
+  });
+  sheet.clear();
+  sheet.getRange(1, 1, 1, BP_EXPIRING_HEADERS.length).setValues([BP_EXPIRING_HEADERS]);
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, BP_EXPIRING_HEADERS.length).setValues(rows);
+  }
+}
+/**
+ * Adds whole days to a wall-clock timestamp
+ * @param {string} clock - "yyyy-MM-ddTHH:mm:ss"
+ * @param {number} days - Days to add
+ * @return {string} "yyyy-MM-ddTHH:mm:ss"
+ * @private
+ */
+function addClockDays_(clock, days) {
+  return new Date(new Date(clock + 'Z').getTime() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 19);
+}
@@ -0,0 +1,832 @@
+/**
+ * BP Ledger Service - Event-Sourced Bonus Points
+ * @fileoverview BP_Ledger is the only place Bonus Points are written. Every
+ * award, redemption, cap overflow and adjustment is an append-only entry;
+ * BP_Total and BP_Prestige are projections folded from the ledger and can be
+ * rebuilt at any time with rebuildBPProjections().
+ *
+ * BP_Ledger columns:
+ *   Entry_ID        - Entry UUID
+ *   Timestamp       - When the entry was written
+ *   PreferredName   - Canonical player name
+ *   Entry_Type      - AWARD, OVERFLOW, REDEEM, EXPIRE, ADJUST, OPENING or REVERSE
+ *   Amount          - Signed BP (REDEEM, EXPIRE and reversals are negative)
+ *   Source          - What produced it (MANUAL, HYBRID_PAYOUT, FLAG_MISSIONS, ...)
+ *   Event_ID        - Event tab (optional)
+ *   Idempotency_Key - Entries sharing a key were written once; a repeat is a no-op
+ *   Reverses        - REVERSE: Entry_ID being undone
+ *   Batch_ID        - Commit batch (optional)
+ *   Operator        - Staff email
+ *   Notes           - Free text
+ *
+ * Entry effects on the projections (see BP_LEDGER_EFFECTS):
+ *   AWARD    - BP_Current and BP_Historical (the part that fits under the caps)
+ *   OVERFLOW - Prestige_Points and BP_Historical (the part above a cap)
+ *   REDEEM   - BP_Current down, BP_Redeemed up
+ *   EXPIRE   - BP_Current down (unspent BP lost under the expiry policy)
+ *   ADJUST   - BP_Current and BP_Historical (signed correction of earned BP)
+ *   OPENING  - BP_Current only (balance carried over from the pre-ledger BP_Total)
+ *   REVERSE  - undoes the effects of the entry in Reverses
+ *
+ * The mission columns of BP_Total are projections too: the net BP credited
+ * from ATTENDANCE_MISSIONS, FLAG_MISSIONS and DICE_ROLLS.
+ * syncBPLedgerFromSources() appends the difference between those and the
+ * mission sheets.
+ *
+ * Caps: an award lands as AWARD only up to BP_Global_Cap on BP_Current and,
+ * when it carries an Event_ID, up to BP_Cap_Per_Event of BP earned for that
+ * event by that player (AWARD/ADJUST entries with the same Event_ID). The rest
+ * is OVERFLOW; event cap hits are logged as BP_EVENT_CAP and listed by
+ * buildBPEventCapReport(). Prestige increases are handed to the tier-up
+ * rewards in prestigeTierService.js once the lock is released.
+ *
+ * The first ledger write on a workbook without entries opens the ledger from
+ * the existing BP_Total, BP_Prestige and Prestige_Overflow balances.
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * BP_Ledger headers
+ */
+const BP_LEDGER_HEADERS = [
+  'Entry_ID', 'Timestamp', 'PreferredName', 'Entry_Type', 'Amount', 'Source',
+  'Event_ID', 'Idempotency_Key', 'Reverses', 'Batch_ID', 'Operator', 'Notes'
+];
+/**
+ * Projection fields each entry type moves (multiplied by Amount)
+ */
+const BP_LEDGER_EFFECTS = {
+  AWARD: { current: 1, historical: 1 },
+  OVERFLOW: { prestige: 1, historical: 1 },
+  REDEEM: { current: 1, redeemed: -1 },
+  EXPIRE: { current: 1 },
+  ADJUST: { current: 1, historical: 1 },
+  OPENING: { current: 1 }
+};
+/**
+ * Mission sources and their BP_Total columns
+ */
+const BP_MISSION_SOURCES = {
+  ATTENDANCE_MISSIONS: 'Attendance Mission Points',
+  FLAG_MISSIONS: 'Flag Mission Points',
+  DICE_ROLLS: 'Dice Roll Points'
+};
+/**
+ * BP_Total header variants written by older pipelines (projection writes all present)
+ * @private
+ */
+const BP_TOTAL_ALIASES_ = {
+  name: ['PreferredName', 'Player', 'preferred_name_id'],
+  current: ['BP_Current', 'Current_BP'],
+  historical: ['BP_Historical', 'Historical_BP'],
+  redeemed: ['BP_Redeemed'],
+  updated: ['LastUpdated']
+};
+// ============================================================================
+// WRITE API
+// ============================================================================
+/**
+ * Awards BP: AWARD up to BP_Global_Cap and (with meta.eventId) BP_Cap_Per_Event,
+ * OVERFLOW (prestige) for the rest
+ * @param {string} preferredName - Canonical player name
+ * @param {number} amount - BP to award (positive)
+ * @param {string} source - Source label
+ * @param {Object} meta - {eventId, idempotencyKey, batchId, notes} (optional)
+ * @return {Object} {preferredName, before, currentBP, awarded, overflow, eventCapped, prestige, tierUps, entries, duplicate}
+ */
+function recordBPAward(preferredName, amount, source, meta = {}) {
+  amount = coerceNumber(amount, 0);
+  if (amount <= 0) {
+    throwError('Award amount must be positive', 'INVALID_AMOUNT');
+  }
+  const config = getBPConfig_();
+  let eventCapped = 0;
+  const result = writeBPLedger_(preferredName, meta, (balance, entries) => {
+    const earned = meta.eventId ? foldBPEventEarned_(entries).get(bpEventKey_(meta.eventId, preferredName)) || 0 : null;
+    const plan = planBPAward_(balance, amount, source, earned, config);
+    eventCapped = plan.eventCapped;
+    return plan.steps;
+  });
+  result.eventCapped = result.duplicate ? 0 : eventCapped;
+  if (result.eventCapped > 0) {
+    logBPEventCap_(preferredName, meta.eventId, source, result.eventCapped, config.eventCap);
+  }
+  result.tierUps = applyPrestigeTierUps_(preferredName, result.prestige - result.overflow, result.prestige);
+  return result;
+}
+/**
+ * Redeems BP (throws INSUFFICIENT_BP if the balance is too low)
+ * @param {string} preferredName - Canonical player name
+ * @param {number} amount - BP to redeem (positive)
+ * @param {string} sink - What the BP was spent on
+ * @param {Object} meta - {eventId, idempotencyKey, batchId, notes} (optional)
+ * @return {Object} {preferredName, before, currentBP, redeemed, entries, duplicate}
+ */
+function recordBPRedemption(preferredName, amount, sink, meta = {}) {
+  amount = coerceNumber(amount, 0);
+  if (amount <= 0) {
+    throwError('Redemption amount must be positive', 'INVALID_AMOUNT');
+  }
+  return writeBPLedger_(preferredName, meta, balance => {
+    if (balance.currentBP < amount) {
+      throwError(`Insufficient BP. Has ${balance.currentBP}, tried to redeem ${amount}`, 'INSUFFICIENT_BP');
+    }
+    return [{ type: 'REDEEM', amount: -amount, source: sink }];
+  });
+}
+/**
+ * Expires unspent BP (capped at the current balance)
+ * @param {string} preferredName - Canonical player name
+ * @param {number} amount - BP to expire (positive)
+ * @param {Object} meta - {idempotencyKey, batchId, notes} (optional)
+ * @return {Object} {preferredName, before, currentBP, entries, duplicate}
+ */
+function recordBPExpiry(preferredName, amount, meta = {}) {
+  amount = coerceNumber(amount, 0);
+  if (amount <= 0) {
+    throwError('Expiry amount must be positive', 'INVALID_AMOUNT');
+  }
+  return writeBPLedger_(preferredName, meta, balance => [
+    { type: 'EXPIRE', amount: -Math.min(amount, Math.max(0, balance.currentBP)), source: 'EXPIRY' }
+  ]);
+}
+/**
+ * Corrects a player's earned BP (BP_Current and BP_Historical)
+ * @param {string} preferredName - Canonical player name
+ * @param {number} amount - Signed BP
+ * @param {string} reason - Why (required)
+ * @param {Object} meta - {source, eventId, idempotencyKey, batchId} (optional)
+ * @return {Object} {preferredName, before, currentBP, entries, duplicate}
+ */
+function recordBPAdjustment(preferredName, amount, reason, meta = {}) {
+  amount = coerceNumber(amount, 0);
+  if (!String(reason || '').trim()) {
+    throwError('Adjustment reason required', 'REASON_REQUIRED');
+  }
+  return writeBPLedger_(preferredName, Object.assign({ notes: reason }, meta), () => [
+    { type: 'ADJUST', amount, source: meta.source || 'MANUAL' }
+  ]);
+}
+/**
+ * Reverses ledger entries (by batch, player and/or entry IDs)
+ * Entries already reversed, and REVERSE entries themselves, are skipped.
+ * @param {Object} filter - {batchId, preferredName, entryIds}
+ * @param {string} reason - Why
+ * @return {Array<Object>} REVERSE entries written
+ */
+function reverseBPEntries(filter, reason) {
+  return withScriptLock_(() => reverseBPEntriesLocked_(filter, reason));
+}
+/**
+ * Reverses ledger entries (reverseBPEntries) for a caller already holding the script lock
+ * @param {Object} filter - {batchId, preferredName, entryIds}
+ * @param {string} reason - Why
+ * @return {Array<Object>} REVERSE entries written
+ * @private
+ */
+function reverseBPEntriesLocked_(filter, reason) {
+  const sheet = ensureBPLedger_();
+  const entries = readBPLedger_(sheet);
+  const reversed = new Set(entries.filter(e => e.type === 'REVERSE').map(e => e.reverses));
+  const targets = entries.filter(e =>
+    e.type !== 'REVERSE' && e.amount !== 0 && !reversed.has(e.entryId) &&
+    (!filter.batchId || e.batchId === filter.batchId) &&
+    (!filter.preferredName || e.preferredName === filter.preferredName) &&
+    (!filter.entryIds || filter.entryIds.includes(e.entryId))
+  );
+  if (targets.length === 0) return [];
+  const rows = targets.map(e => newBPLedgerEntry_(e.preferredName, 'REVERSE', -e.amount, e.source, {
+    eventId: e.eventId,
+    idempotencyKey: `REVERSE:${e.entryId}`,
+    reverses: e.entryId,
+    batchId: e.batchId,
+    notes: reason || ''
+  }));
+  appendBPLedgerRows_(sheet, rows);
+  writeBPProjections_(foldBPLedger_(entries.concat(rows.map(parseBPLedgerRow_))), unique(targets.map(e => e.preferredName)));
+  return rows.map(parseBPLedgerRow_);
+}
+// ============================================================================
+// READ API
+// ============================================================================
+/**
+ * Gets a player's balances from the BP_Total and BP_Prestige projections
+ * Every ledger write projects the players it touches under the same lock, so
+ * a lookup does not fold the ledger; writes still check balances against it.
+ * @param {string} preferredName - Canonical player name
+ * @return {Object} {currentBP, historicalBP, redeemedBP, prestige, bySource, lastEntryAt}
+ */
+function getBPLedgerBalance(preferredName) {
+  getOpenBPLedger_();
+  const balance = emptyBPBalance_();
+  const total = readBPBalanceRows_('BP_Total', bpTotalFields_()).find(r => r.name === preferredName);
+  if (total) {
+    balance.currentBP = coerceNumber(total.values.current, 0);
+    balance.historicalBP = coerceNumber(total.values.historical, 0);
+    balance.redeemedBP = coerceNumber(total.values.redeemed, 0);
+    Object.keys(BP_MISSION_SOURCES).forEach(source => {
+      balance.bySource[source] = coerceNumber(total.values[source], 0);
+    });
+    balance.lastEntryAt = total.values.updated || '';
+  }
+  const prestige = readBPBalanceRows_('BP_Prestige', { prestige: ['Prestige_Points'] }).find(r => r.name === preferredName);
+  if (prestige) balance.prestige = coerceNumber(prestige.values.prestige, 0);
+  return balance;
+}
+/**
+ * Gets ledger entries, oldest first
+ * @param {string} preferredName - Only this player (optional)
+ * @return {Array<Object>} Entries {entryId, timestamp, preferredName, type, amount, source, eventId, idempotencyKey, reverses, batchId, operator, notes}
+ */
+function getBPLedgerEntries(preferredName = null) {
+  const entries = readBPLedger_(getOpenBPLedger_());
+  return preferredName ? entries.filter(e => e.preferredName === preferredName) : entries;
+}
+// ============================================================================
+// PROJECTIONS
+// ============================================================================
+/**
+ * Rebuilds BP_Total and BP_Prestige from BP_Ledger
+ * Players on BP_Total without ledger entries are projected as zero.
+ * @return {Object} {players, entries}
+ */
+function rebuildBPProjections() {
+  const result = withScriptLock_(() => {
+    const entries = readBPLedger_(ensureBPLedger_());
+    const balances = foldBPLedger_(entries);
+    writeBPProjections_(balances, null);
+    return { players: balances.size, entries: entries.length };
+  });
+  logIntegrityAction('BP_PROJECTION_REBUILD', {
+    details: `Rebuilt BP_Total and BP_Prestige from ${result.entries} ledger entries (${result.players} players)`,
+    status: 'SUCCESS'
+  });
+  return result;
+}
+/**
+ * Appends mission sheet changes to the ledger and updates the projections
+ * A mission total that went up is awarded (capped); one that went down is
+ * an ADJUST for the difference. A missing or empty mission sheet is skipped.
+ * Pass meta.eventId when the change came from one event (dice rolled at it)
+ * so the per-event cap applies, and meta.sources to sync only some mission
+ * sources (BP_MISSION_SOURCES keys).
+ * @param {Array<string>} names - Only these players (optional)
+ * @param {Object} meta - {eventId, sources} (optional)
+ * @return {Object} {players, entries, capped: [{preferredName, eventId, amount}], tierUps: [{preferredName, tier, status}]}
+ */
+function syncBPLedgerFromSources(names = null, meta = {}) {
+  const totals = {
+    ATTENDANCE_MISSIONS: getAttendanceMissionPoints_(),
+    FLAG_MISSIONS: getFlagMissionPoints_(),
+    DICE_ROLLS: getDiceRollPoints_()
+  };
+  const prestigeUps = [];
+  const result = withScriptLock_(() => {
+    const sheet = ensureBPLedger_();
+    const entries = readBPLedger_(sheet);
+    const balances = foldBPLedger_(entries);
+    const eventEarned = meta.eventId ? foldBPEventEarned_(entries) : null;
+    const players = names || unique(Object.values(totals).reduce((all, map) => all.concat(Array.from(map.keys())), []));
+    const config = getBPConfig_();
+    const rows = [];
+    const capped = [];
+    // Each player's balance and event earnings run forward as rows are planned
+    players.forEach(name => {
+      const balance = balances.get(name) || emptyBPBalance_();
+      let current = balance.currentBP;
+      let earned = eventEarned ? eventEarned.get(bpEventKey_(meta.eventId, name)) || 0 : null;
+      Object.keys(BP_MISSION_SOURCES)
+        .filter(source => totals[source].size > 0 && (!meta.sources || meta.sources.includes(source)))
+        .forEach(source => {
+          const delta = coerceNumber(totals[source].get(name), 0) - (balance.bySource[source] || 0);
+          if (delta > 0) {
+            const plan = planBPAward_({ currentBP: current }, delta, source, earned, config);
+            plan.steps.filter(step => step.amount !== 0).forEach(step => {
+              rows.push(newBPLedgerEntry_(name, step.type, step.amount, source, { eventId: meta.eventId }));
+              if (step.type !== 'AWARD') return;
+              current += step.amount;
+              if (earned !== null) earned += step.amount;
+            });
+            if (plan.eventCapped > 0) capped.push({ preferredName: name, eventId: meta.eventId, amount: plan.eventCapped });
+          } else if (delta < 0) {
+            rows.push(newBPLedgerEntry_(name, 'ADJUST', delta, source, { notes: `${BP_MISSION_SOURCES[source]} decreased` }));
+            current += delta;
+          }
+        });
+    });
+    appendBPLedgerRows_(sheet, rows);
+    const changed = unique(rows.map(row => row[2]));
+    if (changed.length > 0) {
+      const was = new Map(changed.map(name => [name, (balances.get(name) || emptyBPBalance_()).prestige]));
+      foldBPLedger_(rows.map(parseBPLedgerRow_), balances);
+      writeBPProjections_(balances, changed);
+      changed.forEach(name => {
+        const now = balances.get(name).prestige;
+        if (now > was.get(name)) prestigeUps.push({ preferredName: name, before: was.get(name), after: now });
+      });
+    }
+    return { players: changed.length, entries: rows.length, capped };
+  });
+  logIntegrityAction('BP_TOTAL_SYNC', {
+    details: `Synced ${result.players} player(s) from mission sheets (${result.entries} ledger entries)`,
+    status: 'SUCCESS'
+  });
+  result.capped.forEach(cap => {
+    logBPEventCap_(cap.preferredName, cap.eventId, 'MISSION_SYNC', cap.amount, getBPConfig_().eventCap);
+  });
+  // Tier rewards write to the ledger themselves, so they run after the lock
+  result.tierUps = [];
+  prestigeUps.forEach(up => {
+    applyPrestigeTierUps_(up.preferredName, up.before, up.after).forEach(tierUp => {
+      result.tierUps.push(Object.assign({ preferredName: up.preferredName }, tierUp));
+    });
+  });
+  return result;
+}
+// ============================================================================
+// EVENT CAP
+// ============================================================================
+/**
+ * Lists player-events whose awards went over BP_Cap_Per_Event and writes
+ * them to the BP_Event_Caps sheet for staff
+ * @param {string} eventId - Only this event (optional)
+ * @return {Array<Object>} {eventId, preferredName, attempted, earned, prestige, cap}
+ */
+function buildBPEventCapReport(eventId = null) {
+  const cap = getBPConfig_().eventCap;
+  const groups = new Map();
+  getBPLedgerEntries().forEach(entry => {
+    if (!entry.eventId || (eventId && String(entry.eventId) !== eventId)) return;
+    const key = bpEventKey_(entry.eventId, entry.preferredName);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  const rows = [];
+  groups.forEach(group => {
+    const { eventId: groupEvent, preferredName } = group[0];
+    const balance = foldBPLedger_(group).get(preferredName) || emptyBPBalance_();
+    if (balance.historicalBP <= cap) return;
+    rows.push({
+      eventId: String(groupEvent),
+      preferredName,
+      attempted: balance.historicalBP,
+      earned: balance.historicalBP - balance.prestige,
+      prestige: balance.prestige,
+      cap
+    });
+  });
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('BP_Event_Caps') || ss.insertSheet('BP_Event_Caps');
+  const headers = ['Event_ID', 'PreferredName', 'Attempted_BP', 'Earned_BP', 'Prestige_BP', 'Cap', 'Generated_At'];
+  const generatedAt = dateISO();
+  sheet.clear();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows.map(r =>
+      [r.eventId, r.preferredName, r.attempted, r.earned, r.prestige, r.cap, generatedAt]));
+  }
+  logIntegrityAction('REPORT_GENERATED', {
+    eventId: eventId || '',
+    details: `BP event cap report: ${rows.length} capped player-event(s) (cap ${cap})`,
+    status: 'SUCCESS'
+  });
+  return rows;
+}
+/**
+ * Plans an award against both caps
+ * @param {Object} balance - The player's balance ({currentBP})
+ * @param {number} amount - BP to award
+ * @param {string} source - Source label
+ * @param {number|null} earned - BP the player already earned at the award's event (null = no event cap)
+ * @param {Object} config - getBPConfig_()
+ * @return {Object} {steps: [{type, amount, source}], eventCapped}
+ * @private
+ */
+function planBPAward_(balance, amount, source, earned, config) {
+  const allowed = earned === null ? amount : Math.min(amount, Math.max(0, config.eventCap - earned));
+  const fits = Math.max(0, Math.min(allowed, config.globalCap - balance.currentBP));
+  return {
+    steps: [
+      { type: 'AWARD', amount: fits, source },
+      { type: 'OVERFLOW', amount: amount - fits, source }
+    ],
+    eventCapped: amount - allowed
+  };
+}
+/**
+ * Sums the BP each player earned per event (what BP_Cap_Per_Event limits)
+ * @param {Array<Object>} entries - Ledger entries, oldest first
+ * @return {Map<string, number>} bpEventKey_(eventId, preferredName) → earned BP
+ * @private
+ */
+function foldBPEventEarned_(entries) {
+  const byId = new Map(entries.map(e => [e.entryId, e]));
+  const earned = new Map();
+  entries.forEach(entry => {
+    if (!entry.eventId) return;
+    const original = entry.type === 'REVERSE' ? byId.get(entry.reverses) : entry;
+    const effects = original ? BP_LEDGER_EFFECTS[original.type] : null;
+    if (!effects) return;
+    const key = bpEventKey_(entry.eventId, entry.preferredName);
+    earned.set(key, (earned.get(key) || 0) + ((effects.historical || 0) - (effects.prestige || 0)) * entry.amount);
+  });
+  return earned;
+}
+/**
+ * Key of a player-event in foldBPEventEarned_
+ * @param {string} eventId - Event
+ * @param {string} preferredName - Player
+ * @return {string} Key
+ * @private
+ */
+function bpEventKey_(eventId, preferredName) {
+  return String(eventId) + '|' + preferredName;
+}
+/**
+ * Logs a BP_Cap_Per_Event hit
+ * @param {string} preferredName - Player
+ * @param {string} eventId - Event
+ * @param {string} source - Award source
+ * @param {number} amount - BP routed to prestige by the event cap
+ * @param {number} cap - BP_Cap_Per_Event
+ * @private
+ */
+function logBPEventCap_(preferredName, eventId, source, amount, cap) {
+  logIntegrityAction('BP_EVENT_CAP', {
+    preferredName,
+    eventId,
+    details: `Source: ${source} | ${amount} BP over the per-event cap of ${cap} → prestige`,
+    status: 'SUCCESS'
+  });
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Appends the entries a write produces (under the script lock) and projects the player
+ * @param {string} preferredName - Canonical player name
+ * @param {Object} meta - {eventId, idempotencyKey, batchId, notes}
+ * @param {Function} plan - function(balance, entries) → [{type, amount, source}] (zero amounts skipped)
+ * @return {Object} {preferredName, before, currentBP, awarded, overflow, redeemed, prestige, entries, duplicate}
+ * @private
+ */
+function writeBPLedger_(preferredName, meta, plan) {
+  if (!preferredName) {
+    throwError('Player name required', 'PLAYER_NOT_FOUND');
+  }
+  return withScriptLock_(() => {
+    const sheet = ensureBPLedger_();
+    const entries = readBPLedger_(sheet);
+    const balance = foldBPLedger_(entries).get(preferredName) || emptyBPBalance_();
+    const summarize = (after, written, duplicate) => ({
+      preferredName,
+      before: balance.currentBP,
+      currentBP: after.currentBP,
+      awarded: sumBy(written.filter(e => e.type === 'AWARD' || e.type === 'OVERFLOW'), e => e.amount),
+      overflow: sumBy(written.filter(e => e.type === 'OVERFLOW'), e => e.amount),
+      redeemed: -sumBy(written.filter(e => e.type === 'REDEEM'), e => e.amount),
+      prestige: after.prestige,
+      entries: written,
+      duplicate
+    });
+    if (meta.idempotencyKey) {
+      const existing = entries.filter(e => e.idempotencyKey === meta.idempotencyKey);
+      if (existing.length > 0) {
+        return summarize(balance, existing, true);
+      }
+    }
+    const idempotencyKey = meta.idempotencyKey || Utilities.getUuid();
+    const rows = plan(balance, entries)
+      .filter(step => step.amount !== 0)
+      .map(step => newBPLedgerEntry_(preferredName, step.type, step.amount, step.source, Object.assign({}, meta, { idempotencyKey })));
+    appendBPLedgerRows_(sheet, rows);
+    const written = rows.map(parseBPLedgerRow_);
+    const balances = foldBPLedger_(entries.concat(written));
+    writeBPProjections_(balances, [preferredName]);
+    return summarize(balances.get(preferredName) || emptyBPBalance_(), written, false);
+  });
+}
+/**
+ * Builds a ledger row
+ * @param {string} preferredName - Canonical player name
+ * @param {string} type - Entry type
+ * @param {number} amount - Signed BP
+ * @param {string} source - Source label
+ * @param {Object} meta - {eventId, idempotencyKey, reverses, batchId, notes}
+ * @return {Array} Row (BP_LEDGER_HEADERS order)
+ * @private
+ */
+function newBPLedgerEntry_(preferredName, type, amount, source, meta) {
+  return [
+    Utilities.getUuid(),
+    dateISO(),
+    preferredName,
+    type,
+    amount,
+    source || '',
+    meta.eventId || '',
+    meta.idempotencyKey || '',
+    meta.reverses || '',
+    meta.batchId || '',
+    currentUser(),
+    meta.notes || ''
+  ];
+}
+/**
+ * Parses a ledger row
+ * @param {Array} row - BP_Ledger row
+ * @return {Object} Entry
+ * @private
+ */
+function parseBPLedgerRow_(row) {
+  return {
+    entryId: String(row[0]),
+    timestamp: row[1],
+    preferredName: String(row[2]),
+    type: String(row[3]),
+    amount: coerceNumber(row[4], 0),
+    source: String(row[5]),
+    eventId: row[6],
+    idempotencyKey: String(row[7]),
+    reverses: String(row[8]),
+    batchId: row[9],
+    operator: row[10],
+    notes: row[11]
+  };
+}
+/**
+ * Reads every ledger entry
+ * @param {Sheet} sheet - BP_Ledger sheet
+ * @return {Array<Object>} Entries, oldest first
+ * @private
+ */
+function readBPLedger_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return [];
+  return sheet.getRange(2, 1, lastRow - 1, BP_LEDGER_HEADERS.length).getValues()
+    .filter(row => row[0] !== '')
+    .map(parseBPLedgerRow_);
+}
+/**
+ * Appends rows to the ledger
+ * @param {Sheet} sheet - BP_Ledger sheet
+ * @param {Array<Array>} rows - Rows
+ * @private
+ */
+function appendBPLedgerRows_(sheet, rows) {
+  if (rows.length === 0) return;
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, BP_LEDGER_HEADERS.length).setValues(rows);
+}
+/**
+ * Folds entries into per-player balances
+ * Pass balances to fold new entries onto them in place (REVERSE entries must
+ * then be in the same batch as what they reverse).
+ * @param {Array<Object>} entries - Ledger entries, oldest first
+ * @param {Map<string, Object>} balances - Balances to fold onto (optional)
+ * @return {Map<string, Object>} preferredName → {currentBP, historicalBP, redeemedBP, prestige, bySource, lastEntryAt}
+ * @private
+ */
+function foldBPLedger_(entries, balances = new Map()) {
+  const byId = new Map(entries.map(e => [e.entryId, e]));
+  entries.forEach(entry => {
+    const original = entry.type === 'REVERSE' ? byId.get(entry.reverses) : entry;
+    const effects = original ? BP_LEDGER_EFFECTS[original.type] : null;
+    if (!effects) return;
+    if (!balances.has(entry.preferredName)) {
+      balances.set(entry.preferredName, emptyBPBalance_());
+    }
+    const balance = balances.get(entry.preferredName);
+    balance.currentBP += (effects.current || 0) * entry.amount;
+    balance.historicalBP += (effects.historical || 0) * entry.amount;
+    balance.redeemedBP += (effects.redeemed || 0) * entry.amount;
+    balance.prestige += (effects.prestige || 0) * entry.amount;
+    if (effects.historical && BP_MISSION_SOURCES[entry.source]) {
+      balance.bySource[entry.source] = (balance.bySource[entry.source] || 0) + entry.amount;
+    }
+    balance.lastEntryAt = entry.timestamp;
+  });
+  return balances;
+}
+/**
+ * Zero balance
+ * @return {Object} {currentBP, historicalBP, redeemedBP, prestige, bySource, lastEntryAt}
+ * @private
+ */
+function emptyBPBalance_() {
+  return { currentBP: 0, historicalBP: 0, redeemedBP: 0, prestige: 0, bySource: {}, lastEntryAt: '' };
+}
+/**
+ * Writes balances into BP_Total and BP_Prestige
+ * @param {Map<string, Object>} balances - From foldBPLedger_
+ * @param {Array<string>} names - Players to write (null = every ledger and BP_Total player)
+ * @private
+ */
+function writeBPProjections_(balances, names) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (!ss.getSheetByName('BP_Total')) {
+    ensureBPTotalSchema_();
+  }
+  ensureBPPrestigeSchema_();
+  const fields = bpTotalFields_();
+  const valueOf = (balance, field) => {
+    if (field === 'current') return balance.currentBP;
+    if (field === 'historical') return balance.historicalBP;
+    if (field === 'redeemed') return balance.redeemedBP;
+    if (field === 'updated') return balance.lastEntryAt;
+    return balance.bySource[field] || 0;
+  };
+  writeBPProjectionSheet_(ss.getSheetByName('BP_Total'), fields, valueOf, balances, names);
+  const prestigeFields = {
+    name: ['PreferredName'],
+    prestige: ['Prestige_Points'],
+    historical: ['Total_BP_Earned_Lifetime'],
+    redeemed: ['Total_BP_Redeemed_Lifetime'],
+    tier: ['Prestige_Milestone', 'Prestige_Tier'],
+    updated: ['Last_Updated']
+  };
+  // Thresholds are positive, so Prestige_Tiers is only read when a written player has prestige.
+  // A bad Prestige_Tiers row must not block the balances; the tier labels wait for the fix
+  const written = names || Array.from(balances.keys());
+  const { valid, tiers } = written.some(name => (balances.get(name) || emptyBPBalance_()).prestige > 0)
+    ? validatePrestigeTiers()
+    : { valid: true, tiers: [] };
+  if (!valid) delete prestigeFields.tier;
+  const prestigeOf = (balance, field) => {
+    if (field === 'prestige') return balance.prestige;
+    if (field === 'tier') return (getPrestigeTier(balance.prestige, tiers) || { displayName: '' }).displayName;
+    return valueOf(balance, field);
+  };
+  // BP_Prestige only lists players who have overflowed
+  const prestigeNames = (names || Array.from(balances.keys())).filter(name => (balances.get(name) || emptyBPBalance_()).prestige !== 0);
+  writeBPProjectionSheet_(ss.getSheetByName('BP_Prestige'), prestigeFields, prestigeOf, balances, names, prestigeNames);
+}
+/**
+ * BP_Total projection fields and their header aliases
+ * @return {Object} field → header aliases (name, current, historical, redeemed, updated and one per mission source)
+ * @private
+ */
+function bpTotalFields_() {
+  const fields = Object.assign({}, BP_TOTAL_ALIASES_);
+  Object.keys(BP_MISSION_SOURCES).forEach(source => { fields[source] = [BP_MISSION_SOURCES[source]]; });
+  return fields;
+}
+/**
+ * Reads balance columns from a player-per-row sheet (BP_Total, BP_Prestige, Prestige_Overflow)
+ * @param {string} sheetName - Sheet
+ * @param {Object} fields - field → header aliases (fields without a column are left out)
+ * @return {Array<Object>} {name, values: {field: value}} per named row, in sheet order
+ * @private
+ */
+function readBPBalanceRows_(sheetName, fields) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  const data = sheet.getDataRange().getValues();
+  const col = aliases => aliases.map(h => data[0].indexOf(h)).find(c => c !== -1);
+  const nameCol = col(BP_TOTAL_ALIASES_.name);
+  if (nameCol === undefined) return [];
+  const columns = Object.keys(fields).filter(field => col(fields[field]) !== undefined);
+  return data.slice(1)
+    .filter(row => String(row[nameCol] || '').trim())
+    .map(row => {
+      const values = {};
+      columns.forEach(field => { values[field] = row[col(fields[field])]; });
+      return { name: String(row[nameCol]).trim(), values };
+    });
+}
+/**
+ * Writes projected fields into a player-per-row sheet
+ * Only projected columns are written; other columns are left alone.
+ * @param {Sheet} sheet - Projection sheet
+ * @param {Object} fields - field → header aliases (name is the key column; a missing field gets its first alias appended)
+ * @param {Function} valueOf - function(balance, field) → value
+ * @param {Map<string, Object>} balances - From foldBPLedger_
+ * @param {Array<string>} names - Players to write (null = every row plus every balance)
+ * @param {Array<string>} newNames - Players that may get a new row (default: names, or every balance)
+ * @private
+ */
+function writeBPProjectionSheet_(sheet, fields, valueOf, balances, names, newNames = null) {
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0].slice();
+  const columns = {};
+  Object.keys(fields).forEach(field => {
+    columns[field] = fields[field].map(h => headers.indexOf(h)).filter(c => c !== -1);
+    if (columns[field].length === 0) {
+      headers.push(fields[field][0]);
+      sheet.getRange(1, headers.length).setValue(fields[field][0]);
+      columns[field] = [headers.length - 1];
+    }
+  });
+  const nameCol = columns.name[0];
+  const width = headers.length;
+  const rows = data.slice(1).map(row => row.concat(new Array(width - row.length).fill('')));
+  const rowOf = new Map();
+  rows.forEach((row, i) => {
+    const name = String(row[nameCol] || '').trim();
+    if (name && !rowOf.has(name)) rowOf.set(name, i);
+  });
+  const targets = names || unique(Array.from(rowOf.keys()).concat(Array.from(balances.keys())));
+  const addable = new Set(newNames || names || Array.from(balances.keys()));
+  targets.forEach(name => {
+    if (!rowOf.has(name)) {
+      if (!addable.has(name)) return;
+      const row = new Array(width).fill('');
+      row[nameCol] = name;
+      rows.push(row);
+      rowOf.set(name, rows.length - 1);
+    }
+    const balance = balances.get(name) || emptyBPBalance_();
+    Object.keys(fields).forEach(field => {
+      if (field === 'name') return;
+      columns[field].forEach(c => { rows[rowOf.get(name)][c] = valueOf(balance, field); });
+    });
+  });
+  if (rows.length === 0) return;
+  // Write projected columns only (one range per column)
+  Object.keys(fields).forEach(field => {
+    columns[field].forEach(c => {
+      sheet.getRange(2, c + 1, rows.length, 1).setValues(rows.map(row => [row[c]]));
+    });
+  });
+}
+/**
+ * Gets BP_Ledger for reading
+ * Opening the ledger is a write, so a missing or empty ledger is opened
+ * under the script lock; an open one is read without it.
+ * @return {Sheet} BP_Ledger sheet
+ * @private
+ */
+function getOpenBPLedger_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('BP_Ledger');
+  if (sheet && sheet.getLastRow() > 1) return sheet;
+  return withScriptLock_(() => ensureBPLedger_());
+}
+/**
+ * Gets BP_Ledger, creating it if missing; opens an empty ledger from the existing balances
+ * Call under the script lock (withScriptLock_).
+ * @return {Sheet} BP_Ledger sheet
+ * @private
+ */
+function ensureBPLedger_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('BP_Ledger');
+  if (!sheet) {
+    sheet = ss.insertSheet('BP_Ledger');
+    sheet.appendRow(BP_LEDGER_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.getRange(1, 1, 1, BP_LEDGER_HEADERS.length).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+  }
+  if (sheet.getLastRow() <= 1) {
+    openBPLedger_(sheet);
+  }
+  return sheet;
+}
+/**
+ * Writes opening entries that reproduce the pre-ledger BP_Total / BP_Prestige balances
+ *   mission columns → AWARD per mission source
+ *   rest of BP_Historical → AWARD (OPENING) less prestige, prestige → OVERFLOW (OPENING)
+ *   BP_Redeemed → REDEEM (OPENING)
+ *   whatever BP_Current still differs by → OPENING
+ * @param {Sheet} sheet - Empty BP_Ledger sheet
+ * @private
+ */
+function openBPLedger_(sheet) {
+  const totals = new Map();
+  const read = (sheetName, fields) => {
+    readBPBalanceRows_(sheetName, fields).forEach(({ name, values }) => {
+      if (!totals.has(name)) totals.set(name, { current: 0, historical: 0, redeemed: 0, prestige: 0, missions: {} });
+      const total = totals.get(name);
+      Object.keys(values).forEach(field => {
+        if (BP_MISSION_SOURCES[field]) {
+          total.missions[field] = coerceNumber(values[field], 0);
+        } else {
+          total[field] += coerceNumber(values[field], 0);
+        }
+      });
+    });
+  };
+  const fields = bpTotalFields_();
+  delete fields.name;
+  delete fields.updated;
+  read('BP_Total', fields);
+  read('BP_Prestige', { prestige: ['Prestige_Points'] });
+  read('Prestige_Overflow', { prestige: ['Total_Overflow'] });
+  const rows = [];
+  totals.forEach((total, name) => {
+    const meta = key => ({ idempotencyKey: `OPENING:${name}:${key}`, notes: 'Opening balance' });
+    const missionTotal = sumBy(Object.keys(total.missions), source => total.missions[source]);
+    Object.keys(total.missions).forEach(source => {
+      rows.push(newBPLedgerEntry_(name, 'AWARD', total.missions[source], source, meta(source)));
+    });
+    const earned = total.historical - total.prestige;
+    rows.push(newBPLedgerEntry_(name, 'AWARD', earned - missionTotal, 'OPENING', meta('AWARD')));
+    rows.push(newBPLedgerEntry_(name, 'OVERFLOW', total.prestige, 'OPENING', meta('OVERFLOW')));
+    rows.push(newBPLedgerEntry_(name, 'REDEEM', -total.redeemed, 'OPENING', meta('REDEEM')));
+    rows.push(newBPLedgerEntry_(name, 'OPENING', total.current - earned + total.redeemed, 'OPENING', meta('CURRENT')));
+  });
+  const opening = rows.filter(row => row[4] !== 0);
+  appendBPLedgerRows_(sheet, opening);
+  // Prestige_Overflow balances land on BP_Prestige, so lookups can read the projections from here on
+  if (opening.length > 0) writeBPProjections_(foldBPLedger_(opening.map(parseBPLedgerRow_)), null);
+}
@@ -0,0 +1,421 @@
+/**
+ * BP Reconciliation Service - Recompute, Diff and Repair BP Balances
+ * @fileoverview validateMissionPointsIntegrity() checks that the BP sheets have
+ * the right names and headers; this job checks the numbers. It recomputes what
+ * each player's BP should be from the source sheets (Attendance_Missions,
+ * Flag_Missions, Dice Roll Points / Dice_Points, BP_Redeemed_Log, Redeemed_BP
+ * and BP_Prestige), diffs that against BP_Ledger and its BP_Total projection
+ * and writes one row per discrepancy to BP_Reconciliation with a proposed fix:
+ *
+ *   Issue                    Proposed_Fix       What applying it does
+ *   MISSION_DRIFT            SYNC_SOURCES       Ledger catches up with the mission sheet (capped award / ADJUST)
+ *   MISSING_REDEMPTION       RECORD_REDEMPTION  REDEEM for logged redemptions the ledger lacks
+ *   CAP_OVERFLOW_NOT_ROUTED  ROUTE_OVERFLOW     BP_Current above BP_Global_Cap moved to prestige
+ *   DUPLICATE_SOURCE_ROW     DELETE_ROW         Deletes a repeated row (NONE when the rows differ)
+ *   PROJECTION_DRIFT         REPROJECT          Rewrites the player's BP_Total / BP_Prestige row from the ledger
+ *
+ * Expected_Current and Expected_Historical are the player's balances once
+ * every proposed fix is applied. Staff tick Approved on the rows to apply
+ * and run applyBPReconciliationFixes(); each fix is re-checked against the
+ * current sheets first (STALE when no longer needed), applied, marked
+ * APPLIED / FAILED and audited as BP_RECONCILIATION_FIX. Rows needing a
+ * manual decision are REVIEW and are never applied.
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * BP_Reconciliation headers
+ */
+const BP_RECONCILIATION_HEADERS = [
+  'Fix_ID', 'PreferredName', 'Issue', 'Field', 'BP_Total_Value', 'Expected_Value', 'Difference',
+  'Expected_Current', 'Expected_Historical', 'Proposed_Fix', 'Fix_Amount', 'Details',
+  'Approved', 'Status', 'Applied_At', 'Generated_At'
+];
+/**
+ * Fix object fields, in BP_RECONCILIATION_HEADERS order
+ * @private
+ */
+const BP_RECONCILIATION_FIELDS_ = [
+  'fixId', 'preferredName', 'issue', 'field', 'bpTotalValue', 'expectedValue', 'difference',
+  'expectedCurrent', 'expectedHistorical', 'proposedFix', 'fixAmount', 'details',
+  'approved', 'status', 'appliedAt', 'generatedAt'
+];
+/**
+ * Order approved fixes are applied in (row deletes first, projections last)
+ * @private
+ */
+const BP_RECONCILIATION_FIX_ORDER_ = ['DELETE_ROW', 'ROUTE_OVERFLOW', 'SYNC_SOURCES', 'RECORD_REDEMPTION', 'REPROJECT'];
+/**
+ * Source sheets checked for repeated player rows: sheet names (first found) and name headers
+ * @private
+ */
+const BP_RECONCILIATION_SOURCES_ = [
+  { sheets: ['Attendance_Missions'], names: ['PreferredName'] },
+  { sheets: ['Flag_Missions'], names: ['PreferredName'] },
+  { sheets: ['Dice Roll Points', 'Dice_Points'], names: ['PreferredName', 'preferred_name_id'] },
+  { sheets: ['BP_Redeemed_Log'], names: ['PreferredName'], log: true }
+];
+// ============================================================================
+// REPORT
+// ============================================================================
+/**
+ * Recomputes every player's BP from the source sheets and writes the
+ * discrepancies, with proposed fixes, to BP_Reconciliation (replacing the
+ * previous report)
+ * @return {Array<Object>} Fixes {fixId, preferredName, issue, field, bpTotalValue, expectedValue, difference, expectedCurrent, expectedHistorical, proposedFix, fixAmount, details, status}
+ */
+function buildBPReconciliation() {
+  const fixes = findBPDiscrepancies_();
+  const generatedAt = dateISO();
+  fixes.forEach(fix => {
+    fix.approved = false;
+    fix.appliedAt = '';
+    fix.generatedAt = generatedAt;
+  });
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('BP_Reconciliation') || ss.insertSheet('BP_Reconciliation');
+  sheet.clear();
+  sheet.getRange(1, 1, 1, BP_RECONCILIATION_HEADERS.length).setValues([BP_RECONCILIATION_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (fixes.length > 0) {
+    sheet.getRange(2, 1, fixes.length, BP_RECONCILIATION_HEADERS.length)
+      .setValues(fixes.map(fix => BP_RECONCILIATION_FIELDS_.map(field => fix[field])));
+    sheet.getRange(2, BP_RECONCILIATION_HEADERS.indexOf('Approved') + 1, fixes.length, 1).insertCheckboxes();
+  }
+  const players = unique(fixes.map(fix => fix.preferredName)).length;
+  logIntegrityAction('REPORT_GENERATED', {
+    details: `BP reconciliation: ${fixes.length} discrepanc${fixes.length === 1 ? 'y' : 'ies'} across ${players} player(s)`,
+    status: fixes.length > 0 ? 'WARNING' : 'SUCCESS'
+  });
+  return fixes;
+}
+/**
+ * Applies the approved PROPOSED fixes on BP_Reconciliation
+ * @return {Object} {applied, stale, failed} (counts)
+ */
+function applyBPReconciliationFixes() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('BP_Reconciliation');
+  if (!sheet || sheet.getLastRow() <= 1) {
+    throwError('No BP reconciliation report', 'REPORT_MISSING', 'Run the BP reconciliation report first');
+  }
+  const fixes = sheet.getRange(2, 1, sheet.getLastRow() - 1, BP_RECONCILIATION_HEADERS.length).getValues()
+    .map((row, i) => {
+      const fix = { row: i + 2 };
+      BP_RECONCILIATION_FIELDS_.forEach((field, c) => { fix[field] = row[c]; });
+      return fix;
+    });
+  const rank = fix => BP_RECONCILIATION_FIX_ORDER_.indexOf(fix.proposedFix);
+  const approved = fixes
+    .filter(fix => coerceBoolean(fix.approved) && fix.status === 'PROPOSED' && rank(fix) !== -1)
+    .sort((a, b) => rank(a) - rank(b) ||
+      (a.proposedFix === 'DELETE_ROW' ? bpReconciliationDeleteTarget_(b).row - bpReconciliationDeleteTarget_(a).row : 0));
+  const counts = { applied: 0, stale: 0, failed: 0 };
+  const statusCol = BP_RECONCILIATION_HEADERS.indexOf('Status') + 1;
+  const detailsCol = BP_RECONCILIATION_HEADERS.indexOf('Details') + 1;
+  approved.forEach(fix => {
+    let outcome;
+    try {
+      outcome = applyBPReconciliationFix_(fix);
+    } catch (e) {
+      outcome = { status: 'FAILED', notes: e.message };
+    }
+    counts[outcome.status.toLowerCase()]++;
+    sheet.getRange(fix.row, statusCol, 1, 2).setValues([[outcome.status, dateISO()]]);
+    if (outcome.status !== 'APPLIED') {
+      sheet.getRange(fix.row, detailsCol).setValue(`${fix.details} | ${outcome.notes}`);
+    }
+    logIntegrityAction('BP_RECONCILIATION_FIX', {
+      preferredName: fix.preferredName,
+      details: `${fix.issue} (${fix.field}) → ${fix.proposedFix}: ${outcome.notes}`,
+      status: outcome.status === 'APPLIED' ? 'SUCCESS' : outcome.status === 'STALE' ? 'SKIPPED' : 'FAILED'
+    });
+  });
+  return counts;
+}
+// ============================================================================
+// DISCREPANCIES
+// ============================================================================
+/**
+ * Diffs every player's ledger and BP_Total rows against the source sheets
+ * @return {Array<Object>} Fixes (status PROPOSED, or REVIEW when not auto-fixable)
+ * @private
+ */
+function findBPDiscrepancies_() {
+  const config = getBPConfig_();
+  const balances = foldBPLedger_(getBPLedgerEntries());
+  const projected = readBPProjection_();
+  const totals = {
+    ATTENDANCE_MISSIONS: getAttendanceMissionPoints_(),
+    FLAG_MISSIONS: getFlagMissionPoints_(),
+    DICE_ROLLS: getDiceRollPoints_()
+  };
+  const duplicates = findBPSourceDuplicates_();
+  const logged = loggedBPRedemptions_(duplicates);
+  const players = unique(Array.from(balances.keys())
+    .concat(Array.from(projected.keys()))
+    .concat(Object.values(totals).reduce((all, map) => all.concat(Array.from(map.keys())), []))
+    .concat(Array.from(logged.keys())));
+  const fixes = [];
+  players.forEach(name => {
+    const balance = balances.get(name) || emptyBPBalance_();
+    const row = projected.get(name);
+    const shown = field => (row && row[field] !== undefined) ? row[field] : '';
+    const found = [];
+    const add = (issue, field, bpTotalValue, expectedValue, proposedFix, fixAmount, details) => found.push({
+      fixId: Utilities.getUuid(), preferredName: name, issue, field, bpTotalValue, expectedValue,
+      difference: (typeof expectedValue === 'number' && typeof bpTotalValue === 'number') ? expectedValue - bpTotalValue : '',
+      proposedFix, fixAmount, details, status: proposedFix === 'NONE' ? 'REVIEW' : 'PROPOSED'
+    });
+    // Replay the fixes in apply order to get the expected balances
+    let current = balance.currentBP;
+    let historical = balance.historicalBP;
+    if (current > config.globalCap) {
+      const excess = current - config.globalCap;
+      add('CAP_OVERFLOW_NOT_ROUTED', 'BP_Current', shown('current'), config.globalCap, 'ROUTE_OVERFLOW', excess,
+        `Ledger BP_Current ${current} is over BP_Global_Cap ${config.globalCap}; ${excess} BP belongs in prestige`);
+      current = config.globalCap;
+    }
+    Object.keys(BP_MISSION_SOURCES).filter(source => totals[source].size > 0).forEach(source => {
+      const expected = coerceNumber(totals[source].get(name), 0);
+      const delta = expected - (balance.bySource[source] || 0);
+      if (delta === 0) return;
+      const header = BP_MISSION_SOURCES[source];
+      add('MISSION_DRIFT', header, shown(source), expected, 'SYNC_SOURCES', delta,
+        `Source sheet has ${expected}, ledger has credited ${balance.bySource[source] || 0}`);
+      const fits = delta > 0 ? Math.max(0, Math.min(delta, config.globalCap - current)) : delta;
+      current += fits;
+      historical += delta;
+    });
+    const gap = (logged.get(name) || 0) - balance.redeemedBP;
+    if (gap > 0) {
+      add('MISSING_REDEMPTION', 'BP_Redeemed', shown('redeemed'), balance.redeemedBP + gap, 'RECORD_REDEMPTION', gap,
+        `Redemption logs total ${logged.get(name)}, ledger has ${balance.redeemedBP} redeemed`);
+      current -= gap;
+    }
+    duplicates.filter(d => d.preferredName === name).forEach(d => {
+      add('DUPLICATE_SOURCE_ROW', `${d.sheet}!${d.row}`, '', '', d.identical ? 'DELETE_ROW' : 'NONE', d.identical ? 1 : '',
+        d.identical
+          ? `Row ${d.row} repeats row ${d.firstRow}`
+          : `Rows ${d.firstRow} and ${d.row} differ; the sync reads row ${d.row}. Fix by hand`);
+    });
+    bpProjectionDrift_(name, balance, row).forEach(drift => {
+      add('PROJECTION_DRIFT', drift.header, drift.shown, drift.expected, 'REPROJECT', '',
+        `${drift.sheet} shows ${drift.shown === '' ? 'no row' : drift.shown}, ledger has ${drift.expected}`);
+    });
+    found.forEach(fix => {
+      fix.expectedCurrent = current;
+      fix.expectedHistorical = historical;
+    });
+    Array.prototype.push.apply(fixes, found);
+  });
+  return fixes;
+}
+/**
+ * Lists the BP_Total / BP_Prestige values that differ from the ledger fold
+ * @param {string} preferredName - Player
+ * @param {Object} balance - Ledger balance
+ * @param {Object} row - From readBPProjection_ (undefined = no BP_Total row)
+ * @return {Array<Object>} {sheet, header, shown, expected}
+ * @private
+ */
+function bpProjectionDrift_(preferredName, balance, row) {
+  const hasBalance = balance.currentBP !== 0 || balance.historicalBP !== 0 || balance.redeemedBP !== 0 || balance.prestige !== 0;
+  if (!row) {
+    return hasBalance ? [{ sheet: 'BP_Total', header: 'PreferredName', shown: '', expected: preferredName }] : [];
+  }
+  const checks = [
+    ['BP_Total', 'BP_Current', 'current', balance.currentBP],
+    ['BP_Total', 'BP_Historical', 'historical', balance.historicalBP],
+    ['BP_Total', 'BP_Redeemed', 'redeemed', balance.redeemedBP],
+    ['BP_Prestige', 'Prestige_Points', 'prestige', balance.prestige]
+  ].concat(Object.keys(BP_MISSION_SOURCES).map(source =>
+    ['BP_Total', BP_MISSION_SOURCES[source], source, balance.bySource[source] || 0]));
+  return checks
+    .filter(([, , field, expected]) => row[field] !== undefined && coerceNumber(row[field], 0) !== expected)
+    .map(([sheet, header, field, expected]) => ({ sheet, header, shown: row[field], expected }));
+}
+/**
+ * Reads BP_Total (and BP_Prestige Prestige_Points) per player
+ * Fields are only set for columns the sheets have.
+ * @return {Map<string, Object>} preferredName → {current, historical, redeemed, prestige, ATTENDANCE_MISSIONS, ...}
+ * @private
+ */
+function readBPProjection_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rows = new Map();
+  const read = (sheetName, fields) => {
+    const sheet = ss.getSheetByName(sheetName);
+    if (!sheet || sheet.getLastRow() <= 1) return;
+    const data = sheet.getDataRange().getValues();
+    const col = aliases => aliases.map(h => data[0].indexOf(h)).find(c => c !== -1);
+    const nameCol = col(BP_TOTAL_ALIASES_.name);
+    if (nameCol === undefined) return;
+    data.slice(1).forEach(values => {
+      const name = String(values[nameCol] || '').trim();
+      if (!name) return;
+      if (!rows.has(name)) {
+        if (sheetName !== 'BP_Total') return;
+        rows.set(name, {});
+      }
+      Object.keys(fields).forEach(field => {
+        const c = col(fields[field]);
+        if (c !== undefined) rows.get(name)[field] = values[c];
+      });
+    });
+  };
+  const fields = {
+    current: BP_TOTAL_ALIASES_.current,
+    historical: BP_TOTAL_ALIASES_.historical,
+    redeemed: BP_TOTAL_ALIASES_.redeemed
+  };
+  Object.keys(BP_MISSION_SOURCES).forEach(source => { fields[source] = [BP_MISSION_SOURCES[source]]; });
+  read('BP_Total', fields);
+  read('BP_Prestige', { prestige: ['Prestige_Points'] });
+  // A player with prestige but no BP_Prestige row is projected as 0
+  if (ss.getSheetByName('BP_Prestige')) {
+    rows.forEach(row => { if (row.prestige === undefined) row.prestige = 0; });
+  }
+  return rows;
+}
+/**
+ * Finds player rows repeated on the mission sheets and BP_Redeemed_Log
+ * BP_Redeemed_Log rows repeat when they share a RowId (or, without one, every cell);
+ * mission rows repeat when the player is listed twice.
+ * @return {Array<Object>} {sheet, row, firstRow, preferredName, identical}
+ * @private
+ */
+function findBPSourceDuplicates_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const duplicates = [];
+  BP_RECONCILIATION_SOURCES_.forEach(spec => {
+    const sheetName = spec.sheets.find(name => ss.getSheetByName(name));
+    if (!sheetName) return;
+    const sheet = ss.getSheetByName(sheetName);
+    if (sheet.getLastRow() <= 1) return;
+    const data = sheet.getDataRange().getValues();
+    const nameCol = spec.names.map(h => data[0].indexOf(h)).find(c => c !== -1);
+    if (nameCol === undefined) return;
+    const rowIdCol = data[0].indexOf('RowId');
+    const seen = new Map();
+    data.slice(1).forEach((values, i) => {
+      const name = String(values[nameCol] || '').trim();
+      if (!name) return;
+      const cells = JSON.stringify(values);
+      const key = spec.log
+        ? (rowIdCol !== -1 && values[rowIdCol] ? 'id:' + values[rowIdCol] : 'row:' + cells)
+        : name;
+      if (!seen.has(key)) {
+        seen.set(key, { row: i + 2, cells });
+        return;
+      }
+      const first = seen.get(key);
+      duplicates.push({
+        sheet: sheetName,
+        row: i + 2,
+        firstRow: first.row,
+        preferredName: name,
+        identical: spec.log || first.cells === cells
+      });
+    });
+  });
+  return duplicates;
+}
+/**
+ * Totals each player's logged redemptions: BP_Redeemed_Log BP_Amount (repeated
+ * rows counted once) plus the lifetime Total_Redeemed on Redeemed_BP
+ * @param {Array<Object>} duplicates - From findBPSourceDuplicates_
+ * @return {Map<string, number>} preferredName → BP
+ * @private
+ */
+function loggedBPRedemptions_(duplicates) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const totals = new Map();
+  const add = (name, amount) => totals.set(name, (totals.get(name) || 0) + amount);
+  const log = ss.getSheetByName('BP_Redeemed_Log');
+  if (log && log.getLastRow() > 1) {
+    const repeated = new Set(duplicates.filter(d => d.sheet === 'BP_Redeemed_Log').map(d => d.row));
+    const data = log.getDataRange().getValues();
+    const nameCol = data[0].indexOf('PreferredName');
+    const amountCol = data[0].indexOf('BP_Amount');
+    data.slice(1).forEach((values, i) => {
+      const name = String(values[nameCol] || '').trim();
+      if (name && !repeated.has(i + 2)) add(name, coerceNumber(values[amountCol], 0));
+    });
+  }
+  const redeemed = ss.getSheetByName('Redeemed_BP');
+  if (redeemed && redeemed.getLastRow() > 1) {
+    const data = redeemed.getDataRange().getValues();
+    const nameCol = data[0].indexOf('PreferredName');
+    const totalCol = data[0].indexOf('Total_Redeemed');
+    const lifetime = new Map();
+    data.slice(1).forEach(values => {
+      const name = String(values[nameCol] || '').trim();
+      if (name) lifetime.set(name, Math.max(lifetime.get(name) || 0, coerceNumber(values[totalCol], 0)));
+    });
+    lifetime.forEach((total, name) => add(name, total));
+  }
+  return totals;
+}
+// ============================================================================
+// FIXES
+// ============================================================================
+/**
+ * Re-checks and applies one fix
+ * @param {Object} fix - BP_Reconciliation row
+ * @return {Object} {status: APPLIED | STALE, notes}
+ * @private
+ */
+function applyBPReconciliationFix_(fix) {
+  const name = fix.preferredName;
+  const meta = { idempotencyKey: `RECONCILE:${fix.fixId}`, notes: `BP reconciliation ${fix.issue}` };
+  if (fix.proposedFix === 'DELETE_ROW') {
+    const target = bpReconciliationDeleteTarget_(fix);
+    return withScriptLock_(() => {
+      const still = findBPSourceDuplicates_().some(d => d.sheet === target.sheet && d.row === target.row && d.identical);
+      if (!still) return { status: 'STALE', notes: `${fix.field} is no longer a repeated row` };
+      SpreadsheetApp.getActiveSpreadsheet().getSheetByName(target.sheet).deleteRow(target.row);
+      return { status: 'APPLIED', notes: `Deleted ${fix.field}` };
+    });
+  }
+  if (fix.proposedFix === 'ROUTE_OVERFLOW') {
+    const cap = getBPConfig_().globalCap;
+    const result = writeBPLedger_(name, meta, balance => {
+      const excess = Math.max(0, balance.currentBP - cap);
+      return [
+        { type: 'ADJUST', amount: -excess, source: 'RECONCILIATION' },
+        { type: 'OVERFLOW', amount: excess, source: 'RECONCILIATION' }
+      ];
+    });
+    if (result.entries.length === 0) return { status: 'STALE', notes: `BP_Current is within the cap of ${cap}` };
+    applyPrestigeTierUps_(name, result.prestige - result.overflow, result.prestige);
+    return { status: 'APPLIED', notes: `Moved ${result.overflow} BP to prestige. BP: ${result.before} → ${result.currentBP}` };
+  }
+  if (fix.proposedFix === 'SYNC_SOURCES') {
+    const source = Object.keys(BP_MISSION_SOURCES).find(key => BP_MISSION_SOURCES[key] === fix.field);
+    const result = syncBPLedgerFromSources([name], { sources: [source] });
+    if (result.entries === 0) return { status: 'STALE', notes: `Ledger already matches ${fix.field}` };
+    return { status: 'APPLIED', notes: `Synced ${fix.field} (${result.entries} ledger entr${result.entries === 1 ? 'y' : 'ies'})` };
+  }
+  if (fix.proposedFix === 'RECORD_REDEMPTION') {
+    const result = writeBPLedger_(name, meta, balance => {
+      const gap = (loggedBPRedemptions_(findBPSourceDuplicates_()).get(name) || 0) - balance.redeemedBP;
+      return [{ type: 'REDEEM', amount: -Math.max(0, gap), source: 'RECONCILIATION' }];
+    });
+    if (result.entries.length === 0) return { status: 'STALE', notes: 'Ledger already has the logged redemptions' };
+    return { status: 'APPLIED', notes: `Recorded ${result.redeemed} BP redeemed. BP: ${result.before} → ${result.currentBP}` };
+  }
+  withScriptLock_(() => writeBPProjections_(foldBPLedger_(readBPLedger_(ensureBPLedger_())), [name]));
+  return { status: 'APPLIED', notes: 'BP_Total and BP_Prestige rewritten from the ledger' };
+}
+/**
+ * Parses a DELETE_ROW fix's Field (Sheet!row)
+ * @param {Object} fix - BP_Reconciliation row
+ * @return {Object} {sheet, row}
+ * @private
+ */
+function bpReconciliationDeleteTarget_(fix) {
+  const field = String(fix.field);
+  const at = field.lastIndexOf('!');
+  return { sheet: field.slice(0, at), row: coerceNumber(field.slice(at + 1), 0) };
+}
@@ -0,0 +1,440 @@
+/**
+ * BP Store Service - Redeem Bonus Points for Prize_Catalog Items
+ * @fileoverview Catalog items with Redeemable = TRUE and a BP_Price can be
+ * bought with BP. Buying takes the BP off BP_Ledger (REDEEM, sink BP_STORE)
+ * and the item off Prize_Catalog Qty under one script lock, so two
+ * redemptions cannot oversell an item or overspend a balance.
+ *
+ *   redeemCatalogItem  - Hand the item over now: BP_Redeemed_Log and
+ *                        Spent_Pool rows are written straight away
+ *   reserveCatalogItem - Hold the item for pickup: BP and stock are taken,
+ *                        the logs are written when it is claimed
+ *                        (claimBPReservation)
+ *
+ * A reservation not claimed within BP_Reservation_Days (Prize_Throttle,
+ * default 7) is expired by expireBPReservations (daily trigger,
+ * installBPReservationExpiryTrigger): the item goes back into stock, the
+ * REDEEM entry is reversed and the player is notified. Staff can cancel a
+ * reservation the same way (cancelBPReservation).
+ *
+ * BP_Reservations columns:
+ *   Reservation_ID - UUID
+ *   Created_At     - When bought / reserved
+ *   PreferredName  - Player
+ *   Item_Code      - Prize_Catalog Code
+ *   Item_Name      - Prize_Catalog Name
+ *   BP_Price       - BP charged
+ *   Status         - RESERVED, CLAIMED, EXPIRED or CANCELLED
+ *   Expires_At     - RESERVED only: when it lapses
+ *   Closed_At      - When claimed / expired / cancelled
+ *   Batch_ID       - Ledger and Spent_Pool batch
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * BP_Reservations headers
+ */
+const BP_RESERVATION_HEADERS = [
+  'Reservation_ID', 'Created_At', 'PreferredName', 'Item_Code', 'Item_Name',
+  'BP_Price', 'Status', 'Expires_At', 'Closed_At', 'Batch_ID'
+];
+/**
+ * Reservation object fields, in BP_RESERVATION_HEADERS order
+ * @private
+ */
+const BP_RESERVATION_FIELDS_ = [
+  'reservationId', 'createdAt', 'preferredName', 'itemCode', 'itemName',
+  'bpPrice', 'status', 'expiresAt', 'closedAt', 'batchId'
+];
+/**
+ * Days a reservation is held (Prize_Throttle BP_Reservation_Days)
+ * @return {number} Days
+ * @private
+ */
+function getBPReservationDays_() {
+  const days = coerceNumber(getThrottleKV_().BP_Reservation_Days, 7);
+  if (days <= 0) {
+    throwError('BP_Reservation_Days must be positive', 'INVALID_CONFIG');
+  }
+  return days;
+}
+// ============================================================================
+// STORE
+// ============================================================================
+/**
+ * Lists redeemable catalog items in stock, cheapest first
+ * @param {string} preferredName - Only items this player can afford (optional)
+ * @return {Array<Object>} {code, name, level, bpPrice, qty}
+ */
+function getRedeemableItems(preferredName = null) {
+  const budget = preferredName ? getPlayerBP(preferredName) : Infinity;
+  return getCatalog()
+    .map(redeemableItem_)
+    .filter(item => item && item.qty > 0 && item.bpPrice <= budget)
+    .sort((a, b) => a.bpPrice - b.bpPrice || String(a.code).localeCompare(String(b.code)));
+}
+/**
+ * Buys a catalog item with BP and hands it over now
+ * @param {string} preferredName - Canonical player name
+ * @param {string} itemCode - Prize_Catalog Code
+ * @param {Object} options - {idempotencyKey} (optional; without one every call is a new order)
+ * @return {Object} {success, reservationId, status, preferredName, spent, remaining, item, expiresAt}
+ */
+function redeemCatalogItem(preferredName, itemCode, options = {}) {
+  return placeBPStoreOrder_(preferredName, itemCode, false, options);
+}
+/**
+ * Buys a catalog item with BP and holds it for pickup
+ * @param {string} preferredName - Canonical player name
+ * @param {string} itemCode - Prize_Catalog Code
+ * @param {Object} options - {idempotencyKey} (optional; without one every call is a new order)
+ * @return {Object} {success, reservationId, status, preferredName, spent, remaining, item, expiresAt}
+ */
+function reserveCatalogItem(preferredName, itemCode, options = {}) {
+  return placeBPStoreOrder_(preferredName, itemCode, true, options);
+}
+// ============================================================================
+// RESERVATIONS
+// ============================================================================
+/**
+ * Hands over a reserved item (writes BP_Redeemed_Log and Spent_Pool)
+ * @param {string} reservationId - Reservation_ID
+ * @return {Object} The reservation, now CLAIMED
+ */
+function claimBPReservation(reservationId) {
+  const reservation = closeBPReservation_(reservationId, 'CLAIMED');
+  writeBPStoreHandover_(reservation);
+  logIntegrityAction('BP_RESERVATION_CLAIMED', {
+    preferredName: reservation.preferredName,
+    details: `Claimed ${reservation.itemCode} (${reservation.itemName}) reserved for ${reservation.bpPrice} BP`,
+    status: 'SUCCESS'
+  });
+  return reservation;
+}
+/**
+ * Cancels a reservation: restocks the item and refunds the BP
+ * @param {string} reservationId - Reservation_ID
+ * @param {string} reason - Why
+ * @return {Object} The reservation, now CANCELLED
+ */
+function cancelBPReservation(reservationId, reason = '') {
+  return closeBPReservation_(reservationId, 'CANCELLED', reason || 'Reservation cancelled');
+}
+/**
+ * Expires reservations past Expires_At: restocks and refunds each
+ * A reservation whose refund fails stays RESERVED for the next run.
+ * @return {Object} {expired: [{reservationId, preferredName, itemCode, bpPrice}], failed: [{reservationId, error}]}
+ */
+function expireBPReservations() {
+  const now = balanceClock_(new Date());
+  const due = getBPReservations(null, 'RESERVED').filter(r => balanceClock_(r.expiresAt) <= now);
+  const expired = [];
+  const failed = [];
+  due.forEach(r => {
+    let reservation;
+    try {
+      reservation = closeBPReservation_(r.reservationId, 'EXPIRED', 'Reservation expired');
+    } catch (e) {
+      // Claimed or cancelled since it was read
+      if (!e.message.startsWith('[RESERVATION_CLOSED]')) {
+        failed.push({ reservationId: r.reservationId, error: e.message });
+      }
+      return;
+    }
+    enqueueNotification('BP_RESERVATION_EXPIRED', reservation.preferredName,
+      `Your reserved ${reservation.itemName} was not picked up. ${reservation.bpPrice} BP refunded.`,
+      { amount: reservation.bpPrice, dedupeKey: `BP_RESERVATION_EXPIRED:${reservation.reservationId}` });
+    expired.push({
+      reservationId: reservation.reservationId,
+      preferredName: reservation.preferredName,
+      itemCode: reservation.itemCode,
+      bpPrice: reservation.bpPrice
+    });
+  });
+  logIntegrityAction('BP_RESERVATION_EXPIRY_RUN', {
+    details: `Expired ${expired.length} reservation(s), refunded ${sumBy(expired, e => e.bpPrice)} BP` +
+      failed.map(f => ` | ${f.reservationId} not expired: ${f.error}`).join(''),
+    status: failed.length > 0 ? 'WARNING' : 'SUCCESS'
+  });
+  return { expired, failed };
+}
+/**
+ * Installs the daily reservation expiry trigger (replaces an existing one)
+ * @param {number} hour - Hour of day to run (default: 5)
+ * @return {string} Trigger ID
+ */
+function installBPReservationExpiryTrigger(hour = 5) {
+  return installDailyTrigger_('expireBPReservations', hour);
+}
+/**
+ * Gets reservations, oldest first
+ * @param {string} preferredName - Only this player (optional)
+ * @param {string} status - Only this status (optional)
+ * @return {Array<Object>} {reservationId, createdAt, preferredName, itemCode, itemName, bpPrice, status, expiresAt, closedAt, batchId}
+ */
+function getBPReservations(preferredName = null, status = null) {
+  return readBPReservations_(ensureBPReservations_())
+    .filter(r => (!preferredName || r.preferredName === preferredName) && (!status || r.status === status));
+}
+// ============================================================================
+// UI ENTRYPOINTS FOR ui/redeem_bp (items are listed by getBPInfoForUI)
+// ============================================================================
+/**
+ * Handles a store redemption or reservation from the HTML UI
+ * @param {Object} payload - {rawName, itemCode, reserve, idempotencyKey}
+ * @return {Object} Result of redeemCatalogItem / reserveCatalogItem, or {success: false, error}
+ */
+function handleBPStoreFromUI(payload) {
+  const preferredName = resolvePlayerName((payload.rawName || '').trim());
+  if (!preferredName) {
+    return { success: false, error: 'Player not found in PreferredNames.' };
+  }
+  try {
+    const options = { idempotencyKey: payload.idempotencyKey || '' };
+    return payload.reserve
+      ? reserveCatalogItem(preferredName, payload.itemCode, options)
+      : redeemCatalogItem(preferredName, payload.itemCode, options);
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Takes BP and stock for an order, then records it
+ * @param {string} preferredName - Canonical player name
+ * @param {string} itemCode - Prize_Catalog Code
+ * @param {boolean} reserve - Hold for pickup instead of handing over
+ * @param {Object} options - {idempotencyKey}
+ * @return {Object} Order result
+ * @private
+ */
+function placeBPStoreOrder_(preferredName, itemCode, reserve, options) {
+  const dedupe = checkIdempotency_(reserve ? 'BP_RESERVE' : 'BP_STORE', preferredName, options.idempotencyKey);
+  if (dedupe.replay) return dedupe.replay;
+  const batchId = newBatchId();
+  let item = null;
+  // BP and stock move under the ledger's lock: the plan runs between reading and writing the ledger
+  const written = writeBPLedger_(preferredName, {
+    batchId,
+    idempotencyKey: dedupe.key,
+    notes: `${reserve ? 'Reserved' : 'Redeemed'} ${itemCode}`
+  }, balance => {
+    item = takeRedeemableStock_(itemCode, balance.currentBP);
+    return [{ type: 'REDEEM', amount: -item.bpPrice, source: 'BP_STORE' }];
+  });
+  const createdAt = dateISO();
+  const expiresAt = reserve ? addClockDays_(balanceClock_(new Date()), getBPReservationDays_()) + 'Z' : '';
+  const reservation = {
+    reservationId: Utilities.getUuid(),
+    createdAt,
+    preferredName,
+    itemCode: item.code,
+    itemName: item.name,
+    bpPrice: item.bpPrice,
+    status: reserve ? 'RESERVED' : 'CLAIMED',
+    expiresAt,
+    closedAt: reserve ? '' : createdAt,
+    batchId,
+    level: item.level,
+    cogs: item.cogs
+  };
+  try {
+    ensureBPReservations_().appendRow(BP_RESERVATION_FIELDS_.map(field => reservation[field]));
+    if (!reserve) writeBPStoreHandover_(reservation);
+  } catch (e) {
+    // Put the BP and the item back so the order is all or nothing
+    reverseBPEntries({ batchId }, `BP store order failed: ${e.message}`);
+    withScriptLock_(() => restockCatalogItem_(item.code, 1));
+    throw e;
+  }
+  logIntegrityAction(reserve ? 'BP_STORE_RESERVE' : 'BP_STORE_REDEEM', {
+    preferredName,
+    details: `${reserve ? 'Reserved' : 'Redeemed'} ${item.code} (${item.name}) for ${item.bpPrice} BP. ` +
+      `BP: ${written.before} → ${written.currentBP}${reserve ? ` | Expires ${expiresAt}` : ''}`,
+    status: 'SUCCESS'
+  });
+  const result = {
+    success: true,
+    reservationId: reservation.reservationId,
+    status: reservation.status,
+    preferredName,
+    spent: item.bpPrice,
+    remaining: written.currentBP,
+    item: { code: item.code, name: item.name, level: item.level },
+    expiresAt
+  };
+  return recordIdempotentResult_(dedupe, result);
+}
+/**
+ * Checks an item can be bought with the BP available and takes one off Qty
+ * Run under the script lock.
+ * @param {string} itemCode - Prize_Catalog Code
+ * @param {number} available - Player's BP_Current
+ * @return {Object} {code, name, level, cogs, bpPrice, qty}
+ * @private
+ */
+function takeRedeemableStock_(itemCode, available) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Prize_Catalog');
+  if (!sheet) {
+    throwError('Prize_Catalog sheet not found', 'CATALOG_MISSING', 'Run Build/Repair to create it');
+  }
+  const data = sheet.getDataRange().getValues();
+  const codeCol = data[0].indexOf('Code');
+  const qtyCol = data[0].indexOf('Qty');
+  const index = data.findIndex((row, i) => i > 0 && String(row[codeCol]) === String(itemCode));
+  if (index === -1) {
+    throwError('Item not found', 'ITEM_NOT_FOUND', itemCode);
+  }
+  const item = redeemableItem_(toObjects([data[0], data[index]])[0]);
+  if (!item) {
+    throwError('Item is not redeemable for BP', 'NOT_REDEEMABLE', `${itemCode} needs Redeemable = TRUE and a BP_Price`);
+  }
+  if (item.qty <= 0) {
+    throwError('Item out of stock', 'OUT_OF_STOCK', itemCode);
+  }
+  if (available < item.bpPrice) {
+    throwError(`Insufficient BP. Has ${available}, ${itemCode} costs ${item.bpPrice}`, 'INSUFFICIENT_BP');
+  }
+  sheet.getRange(index + 1, qtyCol + 1).setValue(item.qty - 1);
+  return item;
+}
+/**
+ * Puts items back into Prize_Catalog Qty (run under the script lock)
+ * @param {string} itemCode - Prize_Catalog Code
+ * @param {number} qty - How many
+ * @private
+ */
+function restockCatalogItem_(itemCode, qty) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Prize_Catalog');
+  if (!sheet) return;
+  const data = sheet.getDataRange().getValues();
+  const codeCol = data[0].indexOf('Code');
+  const qtyCol = data[0].indexOf('Qty');
+  const index = data.findIndex((row, i) => i > 0 && String(row[codeCol]) === String(itemCode));
+  if (index === -1 || qtyCol === -1) return;
+  sheet.getRange(index + 1, qtyCol + 1).setValue(coerceNumber(data[index][qtyCol], 0) + qty);
+}
+/**
+ * Reads a catalog row as a store item
+ * @param {Object} row - Prize_Catalog row object
+ * @return {Object|null} {code, name, level, cogs, bpPrice, qty} (null if not redeemable)
+ * @private
+ */
+function redeemableItem_(row) {
+  const bpPrice = coerceNumber(row.BP_Price, 0);
+  const inStock = row.InStock === undefined || row.InStock === '' || coerceBoolean(row.InStock);
+  if (!coerceBoolean(row.Redeemable) || bpPrice <= 0 || !inStock) return null;
+  return {
+    code: row.Code,
+    name: row.Name || row.Code,
+    level: row.Level || '',
+    cogs: coerceNumber(row.COGS, 0),
+    bpPrice,
+    qty: coerceNumber(row.Qty, 0)
+  };
+}
+/**
+ * Writes the BP_Redeemed_Log and Spent_Pool rows for an item handed over
+ * @param {Object} reservation - Reservation (CLAIMED)
+ * @private
+ */
+function writeBPStoreHandover_(reservation) {
+  ensureBPRedeemedLogSchema_().appendRow([
+    new Date(),
+    reservation.preferredName,
+    reservation.bpPrice,
+    `${reservation.itemCode} (${reservation.itemName})`,
+    'BP_STORE',
+    '',
+    Session.getActiveUser().getEmail() || 'Unknown',
+    reservation.reservationId
+  ]);
+  // Reservations read back from the sheet carry no level / COGS
+  const row = reservation.cogs === undefined ? (getCatalogMap().get(reservation.itemCode) || {}) : {};
+  writeSpentPool([{
+    eventId: 'BP_REDEEM',
+    itemCode: reservation.itemCode,
+    itemName: reservation.itemName,
+    level: reservation.level || row.Level || '',
+    qty: 1,
+    cogs: coerceNumber(reservation.cogs !== undefined ? reservation.cogs : row.COGS, 0),
+    eventType: 'BP_REDEMPTION'
+  }], reservation.batchId);
+}
+/**
+ * Moves a RESERVED reservation to a closing status
+ * EXPIRED and CANCELLED are refunded and restocked under the same lock; the
+ * refund goes first, so if it fails the reservation is still RESERVED.
+ * @param {string} reservationId - Reservation_ID
+ * @param {string} status - CLAIMED, EXPIRED or CANCELLED
+ * @param {string} reason - Why (EXPIRED / CANCELLED)
+ * @return {Object} The reservation after the change
+ * @private
+ */
+function closeBPReservation_(reservationId, status, reason = '') {
+  const reservation = withScriptLock_(() => {
+    const sheet = ensureBPReservations_();
+    const reservations = readBPReservations_(sheet);
+    const index = reservations.findIndex(r => r.reservationId === reservationId);
+    if (index === -1) {
+      throwError('Reservation not found', 'RESERVATION_NOT_FOUND', reservationId);
+    }
+    const reservation = reservations[index];
+    if (reservation.status !== 'RESERVED') {
+      throwError(`Reservation is ${reservation.status}`, 'RESERVATION_CLOSED', reservationId);
+    }
+    if (status !== 'CLAIMED') {
+      reverseBPEntriesLocked_({ batchId: reservation.batchId, preferredName: reservation.preferredName }, reason);
+    }
+    reservation.status = status;
+    reservation.closedAt = dateISO();
+    const statusCol = BP_RESERVATION_HEADERS.indexOf('Status') + 1;
+    sheet.getRange(index + 2, statusCol, 1, 3).setValues([[status, reservation.expiresAt, reservation.closedAt]]);
+    if (status !== 'CLAIMED') {
+      restockCatalogItem_(reservation.itemCode, 1);
+    }
+    return reservation;
+  });
+  if (status !== 'CLAIMED') {
+    logIntegrityAction('BP_RESERVATION_' + status, {
+      preferredName: reservation.preferredName,
+      details: `${reason}: ${reservation.itemCode} restocked, ${reservation.bpPrice} BP refunded`,
+      status: 'SUCCESS'
+    });
+  }
+  return reservation;
+}
+/**
+ * Reads BP_Reservations
+ * @param {Sheet} sheet - BP_Reservations sheet
+ * @return {Array<Object>} Reservations in sheet order
+ * @private
+ */
+function readBPReservations_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return [];
+  return sheet.getRange(2, 1, lastRow - 1, BP_RESERVATION_HEADERS.length).getValues().map(row => {
+    const reservation = {};
+    BP_RESERVATION_FIELDS_.forEach((field, i) => { reservation[field] = row[i]; });
+    reservation.bpPrice = coerceNumber(reservation.bpPrice, 0);
+    return reservation;
+  });
+}
+/**
+ * Gets or creates BP_Reservations
+ * @return {Sheet} BP_Reservations sheet
+ * @private
+ */
+function ensureBPReservations_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('BP_Reservations');
+  if (!sheet) {
+    sheet = ss.insertSheet('BP_Reservations');
+    sheet.appendRow(BP_RESERVATION_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
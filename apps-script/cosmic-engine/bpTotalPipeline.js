@@ -1,14 +1,15 @@
 /**
  * BP Total Pipeline Service v7.9.7
- * @fileoverview CANONICAL pipeline for synchronizing BP_Total from source sheets:
+ * @fileoverview CANONICAL readers for the BP mission source sheets:
  *   - Attendance_Missions (Attendance Mission Points)
  *   - Flag_Missions (Flag Mission Points)
  *   - Dice Roll Points (Dice Roll Points)
  *
  * AUTHORITATIVE BP_Total SCHEMA:
- *   PreferredName | Current_BP | Attendance Mission Points | Flag Mission Points | Dice Roll Points | LastUpdated | BP_Historical
+ *   PreferredName | BP_Current | Attendance Mission Points | Flag Mission Points | Dice Roll Points | LastUpdated | BP_Historical | BP_Redeemed
  *
- * This is the ONLY file that should write to the mission columns in BP_Total.
+ * BP_Total is a projection of BP_Ledger (bpLedgerService.js); source changes
+ * reach it as ledger entries via syncBPLedgerFromSources().
  */
 
 // ============================================================================
@@ -21,12 +22,13 @@
  */
 const BP_TOTAL_REQUIRED_HEADERS = [
   'PreferredName',
-  'Current_BP',
+  'BP_Current',
   'Attendance Mission Points',
   'Flag Mission Points',
   'Dice Roll Points',
   'LastUpdated',
-  'BP_Historical'
+  'BP_Historical',
+  'BP_Redeemed'
 ];
 
 // ============================================================================
@@ -39,145 +41,14 @@ const BP_TOTAL_REQUIRED_HEADERS = [
  *
  * Pipeline:
  *   1. Reads mission totals from Attendance_Missions, Flag_Missions, Dice Roll Points
- *   2. Writes them into BP_Total mission columns
- *   3. Computes totalFromSources = att + flag + dice
- *   4. Applies BP_Global_Cap from Prize_Throttle to clamp Current_BP
- *   5. Updates BP_Historical as monotonic lifetime max
- *   6. Updates LastUpdated timestamp
+ *   2. Appends the change since the last sync to BP_Ledger (capped awards,
+ *      overflow to prestige, adjustments for decreases)
+ *   3. Projects the changed players into BP_Total and BP_Prestige
  *
  * @return {number} Count of players updated
  */
 function updateBPTotalFromSources() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-
-  // Ensure BP_Total has correct schema
-  ensureBPTotalSchemaEnhanced_();
-
-  const bpSheet = ss.getSheetByName('BP_Total');
-  if (!bpSheet) {
-    console.error('BP_Total sheet not found after schema ensure');
-    return 0;
-  }
-
-  // Get throttle cap
-  const globalCap = getBPGlobalCap_();
-
-  // Read source data
-  const attendanceMap = getAttendanceMissionPoints_();
-  const flagMap = getFlagMissionPoints_();
-  const diceMap = getDiceRollPoints_();
-
-  // Build set of all player names across all sources
-  const allNames = new Set([
-    ...attendanceMap.keys(),
-    ...flagMap.keys(),
-    ...diceMap.keys()
-  ]);
-
-  if (allNames.size === 0) {
-    console.log('No players found in source sheets');
-    return 0;
-  }
-
-  // Read BP_Total data
-  const bpData = bpSheet.getDataRange().getValues();
-  const headers = bpData[0];
-
-  // Build column map
-  const colMap = mapColumns_(headers, BP_TOTAL_REQUIRED_HEADERS);
-
-  // Validate we have all required columns
-  const missingCols = BP_TOTAL_REQUIRED_HEADERS.filter(h => colMap[h] === undefined);
-  if (missingCols.length > 0) {
-    console.error('BP_Total missing columns:', missingCols.join(', '));
-    return 0;
-  }
-
-  // Build map of existing BP_Total rows by PreferredName
-  const existingRows = new Map();
-  for (let i = 1; i < bpData.length; i++) {
-    const name = String(bpData[i][colMap['PreferredName']] || '').trim();
-    if (name) {
-      existingRows.set(name, i); // Row index in data array (0-based)
-    }
-  }
-
-  const now = new Date();
-  let updatedCount = 0;
-  const newRows = [];
-
-  // Process all players
-  for (const playerName of allNames) {
-    const attPoints = attendanceMap.get(playerName) || 0;
-    const flagPts = flagMap.get(playerName) || 0;
-    const dicePts = diceMap.get(playerName) || 0;
-
-    const totalFromSources = attPoints + flagPts + dicePts;
-    const newCurrentBP = Math.min(totalFromSources, globalCap);
-
-    if (existingRows.has(playerName)) {
-      // Update existing row
-      const rowIdx = existingRows.get(playerName);
-      const rowNum = rowIdx + 1; // 1-based for sheet
-
-      // Get current values
-      const oldAttendance = coerceNumber(bpData[rowIdx][colMap['Attendance Mission Points']], 0);
-      const oldFlag = coerceNumber(bpData[rowIdx][colMap['Flag Mission Points']], 0);
-      const oldDice = coerceNumber(bpData[rowIdx][colMap['Dice Roll Points']], 0);
-      const currentHistorical = coerceNumber(bpData[rowIdx][colMap['BP_Historical']], 0);
-
-      // Check if anything changed
-      const hasChanges = (
-        oldAttendance !== attPoints ||
-        oldFlag !== flagPts ||
-        oldDice !== dicePts
-      );
-
-      if (hasChanges) {
-        // Update BP_Historical as monotonic max
-        const newHistorical = Math.max(currentHistorical, totalFromSources);
-
-        // Write updates
-        bpSheet.getRange(rowNum, colMap['Attendance Mission Points'] + 1).setValue(attPoints);
-        bpSheet.getRange(rowNum, colMap['Flag Mission Points'] + 1).setValue(flagPts);
-        bpSheet.getRange(rowNum, colMap['Dice Roll Points'] + 1).setValue(dicePts);
-        bpSheet.getRange(rowNum, colMap['Current_BP'] + 1).setValue(newCurrentBP);
-        bpSheet.getRange(rowNum, colMap['BP_Historical'] + 1).setValue(newHistorical);
-        bpSheet.getRange(rowNum, colMap['LastUpdated'] + 1).setValue(now);
-
-        updatedCount++;
-      }
-    } else {
-      // New player - prepare row for batch append
-      const newRow = new Array(headers.length).fill('');
-      newRow[colMap['PreferredName']] = playerName;
-      newRow[colMap['Current_BP']] = newCurrentBP;
-      newRow[colMap['Attendance Mission Points']] = attPoints;
-      newRow[colMap['Flag Mission Points']] = flagPts;
-      newRow[colMap['Dice Roll Points']] = dicePts;
-      newRow[colMap['LastUpdated']] = now;
-      newRow[colMap['BP_Historical']] = totalFromSources;
-
-      newRows.push(newRow);
-      updatedCount++;
-    }
-  }
-
-  // Batch append new rows
-  if (newRows.length > 0) {
-    const startRow = bpSheet.getLastRow() + 1;
-    bpSheet.getRange(startRow, 1, newRows.length, headers.length).setValues(newRows);
-  }
-
-  // Log the sync
-  if (typeof logIntegrityAction === 'function') {
-    logIntegrityAction('BP_TOTAL_SYNC', {
-      details: `Synced ${updatedCount} player(s) from sources. Cap: ${globalCap}`,
-      status: 'SUCCESS'
-    });
-  }
-
-  return updatedCount;
+  return syncBPLedgerFromSources().players;
 }
 
 // ============================================================================
@@ -313,8 +184,10 @@ function getDiceRollPoints_() {
   const data = sheet.getDataRange().getValues();
   const headers = data[0];
 
-  // Find name column
-  const nameCol = headers.indexOf('PreferredName');
+  // Find name column (legacy Dice_Points uses preferred_name_id)
+  const nameCol = headers.indexOf('PreferredName') !== -1
+    ? headers.indexOf('PreferredName')
+    : headers.indexOf('preferred_name_id');
   if (nameCol === -1) {
     console.warn('Dice Roll Points: PreferredName column not found');
     return new Map();
@@ -396,24 +269,6 @@ function ensureBPTotalSchemaEnhanced_() {
   }
 }
 
-/**
- * Maps column names to their 0-based indices
- * @param {Array<string>} headers - Header row
- * @param {Array<string>} requiredHeaders - Headers to map
- * @return {Object} Map of header name -> column index
- * @private
- */
-function mapColumns_(headers, requiredHeaders) {
-  const colMap = {};
-  requiredHeaders.forEach(header => {
-    const idx = headers.indexOf(header);
-    if (idx !== -1) {
-      colMap[header] = idx;
-    }
-  });
-  return colMap;
-}
-
 /**
  * Formats the header row with styling
  * @param {Sheet} sheet - The sheet
@@ -427,29 +282,6 @@ function formatHeaderRow_(sheet, numCols) {
     .setFontColor('#ffffff');
 }
 
-/**
- * Gets BP_Global_Cap from Prize_Throttle (default: 100)
- * @return {number}
- * @private
- */
-function getBPGlobalCap_() {
-  try {
-    if (typeof getThrottleParam === 'function') {
-      const cap = getThrottleParam('BP_Global_Cap', 100);
-      return coerceNumber(cap, 100);
-    }
-
-    if (typeof getThrottleKV === 'function') {
-      const throttle = getThrottleKV();
-      return coerceNumber(throttle.BP_Global_Cap, 100);
-    }
-  } catch (e) {
-    console.warn('Could not get BP_Global_Cap from throttle:', e.message);
-  }
-
-  return 100; // Default cap
-}
-
 // ============================================================================
 // LEGACY FUNCTION STUBS (DEPRECATED)
 // These are kept for backward compatibility but redirect to the canonical pipeline
@@ -486,6 +318,58 @@ function migrateBPTotalSchema_() {
   ensureBPTotalSchemaEnhanced_();
 }
 
+/**
+ * @deprecated Use updateBPTotalFromSources() instead
+ * Legacy BP Aggregator menu item - redirects to canonical pipeline
+ */
+function refreshAllBonusPoints() {
+  console.warn('refreshAllBonusPoints is deprecated. Use updateBPTotalFromSources instead.');
+  return updateBPTotalFromSources();
+}
+
+/**
+ * @deprecated Installed BP Aggregator triggers still call this
+ * Legacy onEdit handler - syncs the edited mission source to the ledger
+ * @param {Object} e - Edit event
+ */
+function onEditBPAggregator(e) {
+  if (!e || !e.range || e.range.getRow() <= 1) return;
+  const sources = {
+    'Attendance_Missions': 'ATTENDANCE_MISSIONS',
+    'Flag_Missions': 'FLAG_MISSIONS',
+    'Dice Roll Points': 'DICE_ROLLS',
+    'Dice_Points': 'DICE_ROLLS'
+  };
+  const source = sources[e.range.getSheet().getName()];
+  if (source) {
+    syncBPLedgerFromSources(null, { sources: [source] });
+  }
+}
+
+/**
+ * @deprecated No longer needed
+ * Legacy trigger setup - installs the onEditBPAggregator trigger if missing
+ */
+function setupBPAggregatorTrigger() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const installed = ScriptApp.getUserTriggers(ss).some(t => t.getHandlerFunction() === 'onEditBPAggregator');
+  if (!installed) {
+    ScriptApp.newTrigger('onEditBPAggregator').forSpreadsheet(ss).onEdit().create();
+  }
+}
+
+/**
+ * @deprecated Use validateMissionPointsIntegrity() instead
+ * Legacy BP Aggregator menu item - shows the canonical validation
+ */
+function validateBPSheets() {
+  const result = validateMissionPointsIntegrity();
+  const lines = result.issues.map(i => `${i.sheet}: ${i.issue}`);
+  SpreadsheetApp.getUi().alert('BP Sheet Validation', result.pass ? 'All BP sheets OK' : lines.join('\n'),
+    SpreadsheetApp.getUi().ButtonSet.OK);
+  return result;
+}
+
 // ============================================================================
 // VALIDATION HELPERS
 // ============================================================================
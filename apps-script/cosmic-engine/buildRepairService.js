@@ -1,6 +1,7 @@
 /**
  * Build/Repair Service - Ship-Gates Health Checks
- * @fileoverview Implements Ship-Gates A-H: tests + autofix + schema migrations
+ * @fileoverview Implements Ship-Gates A-H and J: tests + autofix + schema migrations
+ * (Gate I, MissionLog sync, lives in missionGateService.js)
  */
 
 // ============================================================================
@@ -38,6 +39,9 @@ function shipGatesHealth() {
   // Gate H: No Stale Previews
   results.push(checkGateH_());
 
+  // Gate J: Integrity_Log hash chain intact
+  results.push(checkGateJ_());
+
   // Log health check
   const passCount = results.filter(r => r.pass).length;
   const totalCount = results.length;
@@ -52,7 +56,7 @@ function shipGatesHealth() {
 
 /**
  * Runs auto-fix for a specific gate
- * @param {string} gate - Gate ID (A-H)
+ * @param {string} gate - Gate ID (A-H, J)
  * @return {Object} Fix result {success, message}
  */
 function runAutoFix(gate) {
@@ -64,7 +68,8 @@ function runAutoFix(gate) {
     'E': fixGateE_,
     'F': fixGateF_,
     'G': fixGateG_,
-    'H': fixGateH_
+    'H': fixGateH_,
+    'J': fixGateJ_
   };
 
   const fixFn = fixes[gate];
@@ -98,7 +103,7 @@ function checkGateA_() {
     { name: 'Spent_Pool', headers: ['Event_ID', 'Item_Code', 'Qty'] },
     { name: 'Prize_Throttle', headers: ['Parameter', 'Value'] },
     { name: 'Key_Tracker', headers: ['PreferredName', 'Red', 'Blue'] },
-    { name: 'BP_Total', headers: ['PreferredName', 'Current_BP'] }
+    { name: 'BP_Total', headers: ['PreferredName', 'BP_Current'] }
   ];
 
   const issues = [];
@@ -159,7 +164,7 @@ function fixGateA_() {
   if (!spentSheet || spentSheet.getLastRow() === 0) {
     if (!spentSheet) spentSheet = ss.insertSheet('Spent_Pool');
     spentSheet.clear();
-    spentSheet.appendRow(['Event_ID', 'Item_Code', 'Item_Name', 'Level', 'Qty', 'COGS', 'Total', 'Timestamp', 'Batch_ID', 'Reverted', 'Event_Type']);
+    spentSheet.appendRow(['Event_ID', 'Item_Code', 'Item_Name', 'Level', 'Qty', 'COGS', 'Total', 'Timestamp', 'Batch_ID', 'Reverted', 'Event_Type', 'Throttle_Version', 'Throttle_Profile']);
     spentSheet.setFrozenRows(1);
   }
 
@@ -169,6 +174,12 @@ function fixGateA_() {
     createThrottleSheet_();
   }
 
+  // Prize_Ladder
+  ensurePrizeLadderSchema();
+
+  // Throttle_Profiles
+  ensureThrottleProfilesSchema();
+
   return 'Headers and schemas repaired';
 }
 
@@ -411,16 +422,21 @@ function fixGateE_() {
  * @private
  */
 function checkGateF_() {
-  // Just check if we can generate a seed and hash
+  // Check we can generate a seed and hash, and that no active preview uses an older hash format
   try {
     const seed = generateSeed();
     const hash = sha256('test');
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Preview_Artifacts');
+    const outdated = sheet
+      ? sheet.getDataRange().getValues().slice(1).map(parsePreviewArtifactRow_)
+        .filter(a => a.status === 'ACTIVE' && a.hashVersion !== PREVIEW_HASH_VERSION).length
+      : 0;
 
     return {
       gate: 'F',
       name: 'Preview Hash Ready',
-      pass: seed.length === 10 && hash.length > 0,
-      details: 'Hash system functional',
+      pass: seed.length === 10 && hash.length > 0 && outdated === 0,
+      details: outdated === 0 ? 'Hash system functional' : `${outdated} preview(s) hashed with an older format`,
       autoFixApplied: false
     };
   } catch (e) {
@@ -440,7 +456,8 @@ function checkGateF_() {
  * @private
  */
 function fixGateF_() {
-  return 'Hash system verified';
+  const retired = migratePreviewArtifactHashes();
+  return retired > 0 ? `Retired ${retired} preview(s) hashed with an older format` : 'Hash system verified';
 }
 
 // ============================================================================
@@ -544,6 +561,52 @@ function fixGateH_() {
   return `Removed ${removed} stale preview(s)`;
 }
 
+// ============================================================================
+// GATE J: AUDIT CHAIN INTACT
+// ============================================================================
+
+/**
+ * Verifies the Integrity_Log hash chain and signed checkpoints
+ * @return {Object} Gate result (breaks: where the chain breaks)
+ * @private
+ */
+function checkGateJ_() {
+  const result = verifyIntegrityChain();
+  const first = result.firstBreak;
+
+  return {
+    gate: 'J',
+    name: 'Audit Chain Intact',
+    pass: result.ok,
+    details: result.ok
+      ? `${result.chained} chained row(s), ${result.checkpoints.checked} checkpoint(s) verified` +
+        (result.legacy > 0 ? `, ${result.legacy} legacy row(s) before the chain` : '')
+      : `${result.breaks.length} break(s); first at Integrity_Log row ${first.row}: ${first.type} - ${first.details}`,
+    breaks: result.breaks,
+    autoFixApplied: false
+  };
+}
+
+/**
+ * Fixes Gate J issues
+ *
+ * A broken chain is never re-hashed (that would hide the tampering): the
+ * owner restores the rows from version history. The fix only schedules the
+ * daily checkpoint and signs the current head.
+ * @return {string} Fix message
+ * @private
+ */
+function fixGateJ_() {
+  const scheduled = ScriptApp.getProjectTriggers()
+    .some(trigger => trigger.getHandlerFunction() === 'writeIntegrityCheckpoint');
+  if (!scheduled) {
+    installIntegrityCheckpointTrigger();
+  }
+  const checkpoint = writeIntegrityCheckpoint();
+  return `Checkpoint ${checkpoint.checkpointId} at row ${checkpoint.headRow} (chain ${checkpoint.chainStatus})` +
+    (scheduled ? '' : '; daily checkpoint scheduled');
+}
+
 // ============================================================================
 // SCHEMA MIGRATIONS
 // ============================================================================
@@ -0,0 +1,271 @@
+/**
+ * Bulk BP Award Service - Award Bonus Points from a Pasted List or CSV
+ * @fileoverview After leagues and special events staff award BP to many
+ * players at once. The list is pasted text or CSV, one award per line:
+ *
+ *   Name, Amount, Reason, Event_ID
+ *
+ * Reason and Event_ID are optional, a header row is skipped and tab-separated
+ * text (copied from a sheet) works too.
+ *
+ *   previewBulkBPAward - Resolves every name through resolvePlayerName
+ *                        (unknown names get fuzzy suggestions from
+ *                        PreferredNames) and plays the awards against the
+ *                        ledger: BP landing, per-event and global cap hits,
+ *                        prestige overflow. Returns a previewHash.
+ *   commitBulkBPAward  - Re-runs the preview and refuses a list or balances
+ *                        that changed since (HASH_MISMATCH) or lines that
+ *                        are not READY. The check and the writes share
+ *                        one script lock and every award goes in as one
+ *                        append under one Batch_ID (source BULK_AWARD), so
+ *                        a list lands whole or not at all. Prestige tier
+ *                        rewards follow once the lock is released.
+ *   revertBulkBPAward  - Reverses every ledger entry of the batch.
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * Ledger source for bulk awards
+ */
+const BULK_BP_SOURCE = 'BULK_AWARD';
+/**
+ * Reason used when a line has none
+ * @private
+ */
+const BULK_BP_DEFAULT_REASON_ = 'Bulk award';
+// ============================================================================
+// BULK AWARD API
+// ============================================================================
+/**
+ * Previews a bulk award
+ * @param {string} text - Pasted list or CSV (Name, Amount, Reason, Event_ID)
+ * @return {Object} {previewHash, rows, totals}
+ *   rows: [{line, rawName, preferredName, amount, reason, eventId, status, error, suggestions, before, after, overflow, eventCapped}]
+ *     status READY, UNKNOWN_PLAYER or INVALID_AMOUNT
+ *   totals: {lines, ready, errors, players, bp, overflow, eventCapped}
+ */
+function previewBulkBPAward(text) {
+  const lines = parseBulkBPText_(text);
+  if (lines.length === 0) {
+    throwError('No awards found', 'EMPTY_LIST', 'Paste one line per award: Name, Amount, Reason, Event_ID');
+  }
+  const config = getBPConfig_();
+  const entries = getBPLedgerEntries();
+  const balances = foldBPLedger_(entries);
+  const earned = foldBPEventEarned_(entries);
+  const preferredNames = loadPreferredNamesList_(SpreadsheetApp.getActiveSpreadsheet());
+  const current = new Map();
+  const rows = lines.map(line => {
+    const row = Object.assign({
+      preferredName: '', status: 'READY', error: '', suggestions: [], before: '', after: '', overflow: 0, eventCapped: 0
+    }, line);
+    row.preferredName = resolvePlayerName(line.rawName) || '';
+    if (!row.preferredName) {
+      row.status = 'UNKNOWN_PLAYER';
+      row.suggestions = findFuzzySuggestions_(line.rawName, preferredNames).map(s => s.name);
+      row.error = `Unknown player: ${line.rawName}` + (row.suggestions.length > 0 ? `. Did you mean ${row.suggestions.join(', ')}?` : '');
+      return row;
+    }
+    if (!(row.amount > 0)) {
+      row.status = 'INVALID_AMOUNT';
+      row.error = 'Amount must be a positive number';
+      return row;
+    }
+    // Play the award against the ledger plus the lines before it
+    const name = row.preferredName;
+    if (!current.has(name)) current.set(name, (balances.get(name) || emptyBPBalance_()).currentBP);
+    const eventKey = bpEventKey_(row.eventId, name);
+    const plan = planBPAward_({ currentBP: current.get(name) }, row.amount, BULK_BP_SOURCE,
+      row.eventId ? earned.get(eventKey) || 0 : null, config);
+    const fits = plan.steps[0].amount;
+    if (row.eventId) earned.set(eventKey, (earned.get(eventKey) || 0) + fits);
+    row.before = current.get(name);
+    row.after = row.before + fits;
+    row.overflow = row.amount - fits;
+    row.eventCapped = plan.eventCapped;
+    current.set(name, row.after);
+    return row;
+  });
+  const ready = rows.filter(row => row.status === 'READY');
+  const totals = {
+    lines: rows.length,
+    ready: ready.length,
+    errors: rows.length - ready.length,
+    players: unique(ready.map(row => row.preferredName)).length,
+    bp: sumBy(ready, row => row.amount),
+    overflow: sumBy(ready, row => row.overflow),
+    eventCapped: sumBy(ready, row => row.eventCapped)
+  };
+  const previewHash = computeChecksum(rows.map(row =>
+    [row.line, row.preferredName, row.amount, row.reason, row.eventId, row.status, row.before, row.after, row.overflow]
+  ).concat([unique(ready.map(row => row.preferredName)).map(name => (balances.get(name) || emptyBPBalance_()).prestige)]));
+  return { previewHash, rows, totals };
+}
+/**
+ * Commits a previewed bulk award as one batch
+ * A repeat with the same previewHash returns the first result.
+ * @param {string} text - The previewed list
+ * @param {string} previewHash - From previewBulkBPAward
+ * @return {Object} {success, batchId, previewHash, players, awards, bp, overflow}
+ */
+function commitBulkBPAward(text, previewHash) {
+  const dedupe = checkIdempotency_('BULK_BP_AWARD', '', `BULK_BP:${previewHash}`);
+  if (dedupe.replay) return dedupe.replay;
+  // Opening the ledger takes the script lock, so open it before holding the lock
+  getOpenBPLedger_();
+  const batchId = newBatchId();
+  // Check and write under one lock: no other award can land between them
+  const { preview, before, after } = withScriptLock_(() => {
+    const preview = previewBulkBPAward(text);
+    if (preview.previewHash !== previewHash) {
+      throwError('The list or balances changed since the preview', 'HASH_MISMATCH', 'Preview again before committing');
+    }
+    if (preview.totals.errors > 0) {
+      const bad = preview.rows.filter(row => row.status !== 'READY').map(row => `line ${row.line}`);
+      throwError(`Fix or remove ${bad.join(', ')} before committing`, 'INVALID_ROWS');
+    }
+    // The preview already played every line against this ledger; write it in one append
+    const sheet = ensureBPLedger_();
+    const entries = readBPLedger_(sheet);
+    const rows = [];
+    preview.rows.forEach(row => {
+      const meta = { eventId: row.eventId, idempotencyKey: `BULK_BP:${batchId}:${row.line}`, batchId, notes: row.reason };
+      [['AWARD', row.after - row.before], ['OVERFLOW', row.overflow]]
+        .filter(([, amount]) => amount !== 0)
+        .forEach(([type, amount]) => rows.push(newBPLedgerEntry_(row.preferredName, type, amount, BULK_BP_SOURCE, meta)));
+    });
+    appendBPLedgerRows_(sheet, rows);
+    const after = foldBPLedger_(entries.concat(rows.map(parseBPLedgerRow_)));
+    writeBPProjections_(after, unique(preview.rows.map(row => row.preferredName)));
+    return { preview, before: foldBPLedger_(entries), after };
+  });
+  const config = getBPConfig_();
+  const prestige = new Map();
+  preview.rows.forEach(row => {
+    const name = row.preferredName;
+    if (!prestige.has(name)) prestige.set(name, (before.get(name) || emptyBPBalance_()).prestige);
+    if (row.eventCapped > 0) {
+      logBPEventCap_(name, row.eventId, BULK_BP_SOURCE, row.eventCapped, config.eventCap);
+    }
+    if (row.overflow > 0) {
+      logIntegrityAction('PRESTIGE_OVERFLOW', {
+        preferredName: name,
+        eventId: row.eventId,
+        details: `Overflow: ${prestige.get(name)} → ${prestige.get(name) + row.overflow} (+${row.overflow})`,
+        status: 'SUCCESS'
+      });
+      prestige.set(name, prestige.get(name) + row.overflow);
+    }
+    logIntegrityAction('BP_AWARD', {
+      preferredName: name,
+      eventId: row.eventId,
+      details: `Source: ${BULK_BP_SOURCE} | Awarded: ${row.amount} BP | ${row.before} → ${row.after} (Overflow: ${row.overflow})`,
+      status: 'SUCCESS'
+    });
+  });
+  // Tier rewards write to the ledger themselves, so they follow the lock
+  unique(preview.rows.map(row => row.preferredName)).forEach(name => {
+    applyPrestigeTierUps_(name, (before.get(name) || emptyBPBalance_()).prestige, after.get(name).prestige);
+  });
+  const summary = {
+    success: true,
+    batchId,
+    previewHash,
+    players: preview.totals.players,
+    awards: preview.totals.ready,
+    bp: preview.totals.bp,
+    overflow: preview.totals.overflow
+  };
+  logIntegrityAction('BULK_BP_AWARD', {
+    details: `Batch ${batchId}: ${summary.awards} award(s), ${summary.bp} BP to ${summary.players} player(s) ` +
+      `(${summary.overflow} to prestige)`,
+    status: 'SUCCESS'
+  });
+  return recordIdempotentResult_(dedupe, summary);
+}
+/**
+ * Reverts a committed bulk award
+ * @param {string} batchId - From commitBulkBPAward
+ * @param {string} reason - Why (optional)
+ * @return {Object} {batchId, players, entries, bp}
+ */
+function revertBulkBPAward(batchId, reason = '') {
+  const batch = getBPLedgerEntries().filter(e => String(e.batchId) === String(batchId) && e.source === BULK_BP_SOURCE);
+  if (batch.length === 0) {
+    throwError(`Bulk award batch not found: ${batchId}`, 'BATCH_NOT_FOUND', 'Use the Batch_ID from the commit or BP_Ledger');
+  }
+  const reversed = reverseBPEntries({ batchId }, reason || 'Bulk award reverted');
+  if (reversed.length === 0) {
+    throwError(`Batch already reverted: ${batchId}`, 'ALREADY_REVERTED');
+  }
+  const result = {
+    batchId,
+    players: unique(reversed.map(e => e.preferredName)).length,
+    entries: reversed.length,
+    bp: -sumBy(reversed, e => e.amount)
+  };
+  logIntegrityAction('BULK_BP_REVERT', {
+    details: `Batch ${batchId}: reversed ${result.entries} ledger entr${result.entries === 1 ? 'y' : 'ies'} ` +
+      `(${result.bp} BP, ${result.players} player(s))${reason ? ` | ${reason}` : ''}`,
+    status: 'SUCCESS'
+  });
+  return result;
+}
+// ============================================================================
+// UI ENTRYPOINTS FOR ui/bulk_award_bp
+// ============================================================================
+/**
+ * Previews a pasted list from the HTML UI
+ * @param {string} text - Pasted list or CSV
+ * @return {Object} previewBulkBPAward result with success: true, or {success: false, error}
+ */
+function previewBulkBPAwardFromUI(text) {
+  try {
+    return Object.assign({ success: true }, previewBulkBPAward(text));
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+/**
+ * Commits a previewed list from the HTML UI
+ * @param {string} text - The previewed list
+ * @param {string} previewHash - From the preview
+ * @return {Object} commitBulkBPAward result, or {success: false, error}
+ */
+function commitBulkBPAwardFromUI(text, previewHash) {
+  try {
+    return commitBulkBPAward(text, previewHash);
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Parses the pasted list (comma- or tab-separated, header row and blank lines skipped)
+ * @param {string} text - Pasted list or CSV
+ * @return {Array<Object>} {line, rawName, amount, reason, eventId} (amount NaN when not a number)
+ * @private
+ */
+function parseBulkBPText_(text) {
+  const source = String(text || '');
+  const delimiter = source.includes('\t') ? '\t' : ',';
+  const lines = [];
+  // One line at a time so line numbers match what staff pasted
+  source.split(/\r?\n/).forEach((text, i) => {
+    const cells = text.trim() ? Utilities.parseCsv(text, delimiter)[0] : [];
+    const [rawName, amount, reason, eventId] = [0, 1, 2, 3].map(c => String(cells[c] === undefined ? '' : cells[c]).trim());
+    if (!rawName && !amount) return;
+    if (lines.length === 0 && /name|player/i.test(rawName) && isNaN(Number(amount))) return;
+    lines.push({
+      line: i + 1,
+      rawName,
+      amount: amount === '' ? NaN : Number(amount),
+      reason: reason || BULK_BP_DEFAULT_REASON_,
+      eventId
+    });
+  });
+  return lines;
+}
@@ -294,13 +294,14 @@ function ensureCatalogSchema() {
   const requiredHeaders = [
     'Code', 'Name', 'Level', 'Rarity', 'COGS', 'EV_Cost', 'Qty',
     'Eligible_Rounds', 'Eligible_End', 'Player_Threshold', 'InStock',
-    'EV_Explanation', 'Round_Weight', 'PV_Multiplier', 'Projected_Qty'
+    'EV_Explanation', 'Round_Weight', 'PV_Multiplier', 'Projected_Qty',
+    'BP_Price', 'Redeemable'
   ];
   if (!sheet) {
     sheet = ss.insertSheet('Prize_Catalog');
     sheet.appendRow(requiredHeaders);
     sheet.setFrozenRows(1);
-    sheet.getRange('A1:O1').setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+    sheet.getRange('A1:Q1').setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
     return;
   }
   // Check and add missing headers
@@ -11,9 +11,10 @@
  * Awards dice point to a player (called from HTML UI)
  * @param {string} playerName - The canonical preferred_name_id
  * @param {number} pointsToAdd - Usually 1
+ * @param {string} eventId - Event the dice were rolled at (applies BP_Cap_Per_Event)
  * @returns {Object} Result with success status
  */
-function awardDicePoint(playerName, pointsToAdd = 1) {
+function awardDicePoint(playerName, pointsToAdd = 1, eventId = '') {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
 
   // 1. Update Dice_Points
@@ -58,7 +59,7 @@ function awardDicePoint(playerName, pointsToAdd = 1) {
   syncDiceToWallPoints(playerName, newPoints);
 
   // 3. Sync to BP_Total.Dice Roll Points
-  syncDiceToBPTotal(playerName, newPoints);
+  syncDiceToBPTotal(playerName, newPoints, eventId);
 
   // 4. Log the action
   logEvent('DICE_POINT', 'AWARD', playerName, {
@@ -103,32 +104,13 @@ function syncDiceToWallPoints(playerName, points) {
 }
 
 /**
- * Sync dice points to BP_Total.Dice Roll Points
+ * Sync dice points to BP_Total.Dice Roll Points (via BP_Ledger)
  * @param {string} playerName - Player's preferred name
  * @param {number} points - New total points
+ * @param {string} eventId - Event the points were earned at (optional)
  */
-function syncDiceToBPTotal(playerName, points) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const bpSheet = ss.getSheetByName('BP_Total');
-  if (!bpSheet) return;
-
-  const data = bpSheet.getDataRange().getValues();
-  const headers = data[0];
-  const nameCol = headers.indexOf('preferred_name_id');
-  const diceCol = headers.indexOf('Dice Roll Points');
-  const updateCol = headers.indexOf('LastUpdated');
-
-  if (nameCol === -1 || diceCol === -1) return; // Column doesn't exist
-
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === playerName) {
-      bpSheet.getRange(i + 1, diceCol + 1).setValue(points);
-      if (updateCol !== -1) {
-        bpSheet.getRange(i + 1, updateCol + 1).setValue(new Date());
-      }
-      return;
-    }
-  }
+function syncDiceToBPTotal(playerName, points, eventId = '') {
+  syncBPLedgerFromSources([playerName], { eventId, sources: ['DICE_ROLLS'] });
 }
 
 // ============================================================================
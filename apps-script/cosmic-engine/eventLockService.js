@@ -0,0 +1,201 @@
+/**
+ * Event Lock Service - Event-Scoped Locks for Preview / Commit / Revert / Roster
+ * @fileoverview LockService only offers one script-wide lock, so per-event
+ * locks are rows in Event_Locks (one row per locked event). The script lock
+ * is held only while a row is read and written, never for the whole operation.
+ *
+ * Event_Locks columns:
+ *   Event_ID    - Event tab name
+ *   Operation   - PREVIEW, OVERRIDE, COMMIT, REVERT or ROSTER
+ *   Owner       - Staff email holding the lock
+ *   Token       - Lock token (release only removes the holder's own row)
+ *   Acquired_At - When the lock was taken
+ *   Expires_At  - After this the lock can be taken over (an execution killed
+ *                 at the Apps Script time limit never releases its lock)
+ *
+ * Locks are re-entrant for the holder, so a locked commit can call other
+ * locked operations (preview, artifact storage) on the same event.
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * Event_Locks headers
+ */
+const EVENT_LOCK_HEADERS = ['Event_ID', 'Operation', 'Owner', 'Token', 'Acquired_At', 'Expires_At'];
+/**
+ * Lock lifetime (the Apps Script execution time limit)
+ */
+const EVENT_LOCK_TTL_MINUTES = 6;
+/**
+ * Locks held by this execution: eventId → {token, depth}
+ * @private
+ */
+const EVENT_LOCKS_HELD_ = {};
+// ============================================================================
+// LOCK API
+// ============================================================================
+/**
+ * Runs a function while holding an event lock
+ * @param {string} eventId - Event tab name
+ * @param {string} operation - PREVIEW, OVERRIDE, COMMIT, REVERT or ROSTER
+ * @param {Function} fn - Work to do under the lock
+ * @return {*} Result of fn
+ */
+function withEventLock(eventId, operation, fn) {
+  const lock = acquireEventLock(eventId, operation);
+  try {
+    return fn();
+  } finally {
+    releaseEventLock(lock);
+  }
+}
+/**
+ * Acquires an event lock (throws EVENT_LOCKED if another owner holds it)
+ * @param {string} eventId - Event tab name
+ * @param {string} operation - Operation label
+ * @return {Object} Lock {eventId, operation, owner, token, expiresAt}
+ */
+function acquireEventLock(eventId, operation) {
+  return withScriptLock_(() => {
+    const sheet = getEventLocksSheet_();
+    const owner = currentUser();
+    const now = new Date();
+    const existing = findEventLockRow_(sheet, eventId);
+    const held = EVENT_LOCKS_HELD_[eventId];
+    if (existing && new Date(existing.expiresAt) > now) {
+      if (held && existing.token === held.token && existing.owner === owner) {
+        held.depth++;
+        return { eventId, operation, owner, token: held.token, expiresAt: existing.expiresAt };
+      }
+      throwError(`${eventId} is locked by ${existing.owner} (${existing.operation})`, 'EVENT_LOCKED',
+        `Wait for the ${existing.operation.toLowerCase()} to finish (lock expires ${existing.expiresAt})`);
+    }
+    if (existing) {
+      logIntegrityAction('LOCK_EXPIRED', {
+        eventId,
+        details: `Took over expired ${existing.operation} lock of ${existing.owner} (expired ${existing.expiresAt})`,
+        status: 'WARNING'
+      });
+    }
+    const token = Utilities.getUuid();
+    const expiresAt = new Date(now.getTime() + EVENT_LOCK_TTL_MINUTES * 60 * 1000).toISOString();
+    const row = [eventId, operation, owner, token, now.toISOString(), expiresAt];
+    if (existing) {
+      sheet.getRange(existing.row, 1, 1, row.length).setValues([row]);
+    } else {
+      sheet.appendRow(row);
+    }
+    EVENT_LOCKS_HELD_[eventId] = { token, depth: 1 };
+    return { eventId, operation, owner, token, expiresAt };
+  });
+}
+/**
+ * Releases an event lock taken with acquireEventLock
+ * @param {Object} lock - Lock from acquireEventLock
+ */
+function releaseEventLock(lock) {
+  const held = EVENT_LOCKS_HELD_[lock.eventId];
+  if (held && held.token === lock.token && --held.depth > 0) {
+    return;
+  }
+  delete EVENT_LOCKS_HELD_[lock.eventId];
+  withScriptLock_(() => {
+    const sheet = getEventLocksSheet_();
+    const existing = findEventLockRow_(sheet, lock.eventId);
+    // An expired lock may have been taken over: only remove our own row
+    if (existing && existing.token === lock.token) {
+      sheet.deleteRow(existing.row);
+    }
+  });
+}
+/**
+ * Gets the current lock on an event
+ * @param {string} eventId - Event tab name
+ * @return {Object|null} {eventId, operation, owner, acquiredAt, expiresAt} or null (unlocked or expired)
+ */
+function getEventLock(eventId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Event_Locks');
+  const existing = sheet ? findEventLockRow_(sheet, eventId) : null;
+  if (!existing || new Date(existing.expiresAt) <= new Date()) return null;
+  return {
+    eventId,
+    operation: existing.operation,
+    owner: existing.owner,
+    acquiredAt: existing.acquiredAt,
+    expiresAt: existing.expiresAt
+  };
+}
+/**
+ * Removes a stuck event lock (admin)
+ * @param {string} eventId - Event tab name
+ * @param {string} reason - Why the lock is removed
+ * @return {boolean} True if a lock was removed
+ */
+function forceReleaseEventLock(eventId, reason = '') {
+  return withScriptLock_(() => {
+    const sheet = getEventLocksSheet_();
+    const existing = findEventLockRow_(sheet, eventId);
+    if (!existing) return false;
+    sheet.deleteRow(existing.row);
+    logIntegrityAction('LOCK_FORCE_RELEASE', {
+      eventId,
+      details: `Removed ${existing.operation} lock of ${existing.owner}${reason ? ' | ' + reason : ''}`,
+      status: 'WARNING'
+    });
+    return true;
+  });
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Runs a function under the script lock (guards Event_Locks reads and writes)
+ * @param {Function} fn - Work to do
+ * @return {*} Result of fn
+ * @private
+ */
+function withScriptLock_(fn) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    throwError('Could not obtain the script lock', 'LOCK_TIMEOUT', 'Another operation is busy. Try again.');
+  }
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
+/**
+ * Gets Event_Locks, creating it (hidden) if missing
+ * @return {Sheet} Event_Locks sheet
+ * @private
+ */
+function getEventLocksSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Event_Locks');
+  if (!sheet) {
+    sheet = ss.insertSheet('Event_Locks');
+    sheet.appendRow(EVENT_LOCK_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+/**
+ * Finds the Event_Locks row for an event
+ * @param {Sheet} sheet - Event_Locks sheet
+ * @param {string} eventId - Event tab name
+ * @return {Object|null} {row, operation, owner, token, acquiredAt, expiresAt}
+ * @private
+ */
+function findEventLockRow_(sheet, eventId) {
+  const data = sheet.getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) { // Skip header
+    const [evId, operation, owner, token, acquiredAt, expiresAt] = data[i];
+    if (evId === eventId) {
+      return { row: i + 1, operation, owner, token, acquiredAt, expiresAt };
+    }
+  }
+  return null;
+}
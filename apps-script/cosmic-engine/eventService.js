@@ -282,12 +282,23 @@ function properCase(name) {
 }
 
 /**
- * Imports parsed roster to active sheet (for HTML dialog)
+ * Imports parsed roster to active sheet (for HTML dialog, under the event lock)
  * @param {Array<string>} players - Clean player names
  * @return {Object} Import result
  */
 function importParsedRosterToActiveSheet(players) {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  return withEventLock(sheet.getName(), 'ROSTER', () => importParsedRosterLocked_(sheet, players));
+}
+
+/**
+ * Appends parsed players to an event sheet (caller holds the event lock)
+ * @param {Sheet} sheet - Event sheet
+ * @param {Array<string>} players - Clean player names
+ * @return {Object} Import result
+ * @private
+ */
+function importParsedRosterLocked_(sheet, players) {
   const startRow = Math.max(2, sheet.getLastRow() + 1);
   
   const data = players.map((name, i) => [
@@ -317,6 +328,8 @@ function importParsedRosterToActiveSheet(players) {
  * @param {Date} meta.date - Event date
  * @param {number} meta.entry - Entry fee
  * @param {number} meta.kitCost - Kit cost per player (LIMITED only)
+ * @param {string} meta.startTime - Start time HH:mm (optional, selects TIME / Night Mode throttle profiles)
+ * @param {string} meta.game - Game, e.g. MTG (optional, selects GAME throttle profiles)
  * @return {Object} {eventId, sheet}
  */
 function createEvent(meta) {
@@ -363,6 +376,12 @@ function createEvent(meta) {
     entry: meta.entry,
     kit_cost_per_player: meta.kitCost || 0
   };
+  if (meta.startTime) {
+    eventProps.start_time = meta.startTime;
+  }
+  if (meta.game) {
+    eventProps.game = String(meta.game).toUpperCase();
+  }
 
   setEventProps(sheet, eventProps);
 
@@ -447,12 +466,23 @@ function getEventProp(sheet, key, defaultValue = null) {
 // ============================================================================
 
 /**
- * Imports roster from paste text with canonical name matching
+ * Imports roster from paste text with canonical name matching (under the event lock)
  * @param {string} eventId - Event tab name
  * @param {string} pasteText - Pasted roster (newline or comma separated)
  * @return {Object} Import result
  */
 function rosterImport(eventId, pasteText) {
+  return withEventLock(eventId, 'ROSTER', () => rosterImportLocked_(eventId, pasteText));
+}
+
+/**
+ * Imports roster from paste text (caller holds the event lock)
+ * @param {string} eventId - Event tab name
+ * @param {string} pasteText - Pasted roster
+ * @return {Object} Import result
+ * @private
+ */
+function rosterImportLocked_(eventId, pasteText) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName(eventId);
 
@@ -753,7 +783,7 @@ function logIntegrityAction(action, data) {
   const storeID = ss.getName().match(/\[(.*?)\]/)?.[1] || 'COSMIC';
   const checksum = (timestamp.getTime() % 10000).toString(16);
   
-  log.appendRow([
+  appendIntegrityLogRow_(log, [
     timestamp, 
     storeID, 
     user, 
@@ -322,9 +322,11 @@ function provisionFlagMissionsRow(preferredName) {
  * Awards a flag mission to a player
  * @param {string} preferredName - The player name
  * @param {string} missionName - The mission column name
- * @return {Object} {success, message}
+ * @param {string} eventId - Event the mission was completed at (applies BP_Cap_Per_Event)
+ * @param {Object} options - {idempotencyKey} (optional; without one a repeat is refused as already completed)
+ * @return {Object} {success, message} (a repeat returns the first result with duplicate: true)
  */
-function awardFlagMission(preferredName, missionName) {
+function awardFlagMission(preferredName, missionName, eventId = '', options = {}) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let sheet = ss.getSheetByName('Flag_Missions');
 
@@ -333,8 +335,7 @@ function awardFlagMission(preferredName, missionName) {
     sheet = ss.getSheetByName('Flag_Missions');
   }
 
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
   const nameCol = headers.indexOf('PreferredName');
   const missionCol = headers.indexOf(missionName);
 
@@ -346,33 +347,43 @@ function awardFlagMission(preferredName, missionName) {
     return { success: false, message: `Mission "${missionName}" column not found` };
   }
 
-  // Find player row
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === preferredName) {
-      // Check if already completed
-      if (data[i][missionCol] === true) {
-        return { success: false, message: 'Mission already completed' };
-      }
+  const points = FLAG_MISSION_VALUES[missionName] || 1;
 
-      // Award mission
-      sheet.getRange(i + 1, missionCol + 1).setValue(true);
-
-      // Sync the row
-      syncFlagMissionsRow(i + 1);
+  // Player not found - provision first (no-op if the row exists)
+  provisionFlagMissionsRow(preferredName);
 
-      const points = FLAG_MISSION_VALUES[missionName] || 1;
+  // Checking and ticking the mission under the lock: two clicks cannot both award it
+  const result = applyIdempotent_('FLAG_MISSION', preferredName, options.idempotencyKey, () => {
+    const data = sheet.getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][nameCol] === preferredName) {
+        // Check if already completed
+        if (data[i][missionCol] === true) {
+          return { success: false, message: 'Mission already completed' };
+        }
 
-      logIntegrityAction('FLAG_MISSION_AWARD', {
-        preferredName: preferredName,
-        details: `Awarded ${missionName} (+${points} points)`,
-        status: 'SUCCESS'
-      });
+        // Award mission
+        sheet.getRange(i + 1, missionCol + 1).setValue(true);
 
-      return { success: true, message: `Awarded ${points} points for ${missionName}` };
+        // Sync the row
+        syncFlagMissionsRow(i + 1);
+        return { success: true, message: `Awarded ${points} points for ${missionName}` };
+      }
     }
-  }
+    return { success: false, message: `Player "${preferredName}" not found` };
+  });
+  if (!result.success || result.duplicate) return result;
 
-  // Player not found - provision and retry
-  provisionFlagMissionsRow(preferredName);
-  return awardFlagMission(preferredName, missionName);
+  // Credit the new flag points to BP_Ledger (per-event cap keyed by eventId; other sources' drift is not this event's).
+  // The ledger takes the script lock itself, so this runs once the mission is ticked.
+  syncBPLedgerFromSources([preferredName], { eventId, sources: ['FLAG_MISSIONS'] });
+
+  logIntegrityAction('FLAG_MISSION_AWARD', {
+    preferredName: preferredName,
+    eventId: eventId,
+    details: `Awarded ${missionName} (+${points} points)`,
+    status: 'SUCCESS'
+  });
+
+  return result;
 }
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * Hybrid Payout Service - BP / Store Credit Half of HYBRID Events
+ * @fileoverview Splits a HYBRID event's payout budget (derivedBudgetForEvent
+ * hybrid_cap) across the top ranks and pays it out as store credit or BP in
+ * the same batch as the product prizes.
+ *
+ * Throttle parameters:
+ *   Hybrid_Payout_Type   - STORE_CREDIT | BP
+ *   Hybrid_Payout_Split  - Rank weights, e.g. "50,30,20" (1st, 2nd, 3rd)
+ *   Hybrid_BP_Per_Dollar - BP awarded per $1 of payout budget (BP only)
+ *
+ * Payouts are part of the preview hash and land in Spent_Pool (HYBRID-CREDIT /
+ * HYBRID-BP) with the product rows. Each payout is journaled (CREDIT / BP)
+ * so revertPrizeBatch can reverse it; if any payout fails the whole batch
+ * is reverted before the error is raised.
+ */
+// ============================================================================
+// PREVIEW
+// ============================================================================
+/**
+ * Allocates the payout budget to the top ranks
+ * @param {Array<Object>} players - Player list (with rank)
+ * @param {number} payoutBudget - Payout budget in dollars
+ * @param {Object} throttle - Throttle params
+ * @return {Array<Object>} Payouts [{preferredName, rank, type, amount, bp}]
+ * @private
+ */
+function allocateHybridPayouts_(players, payoutBudget, throttle) {
+  if (!(payoutBudget > 0)) return [];
+  const type = String(throttle.Hybrid_Payout_Type || 'STORE_CREDIT').toUpperCase() === 'BP' ? 'BP' : 'STORE_CREDIT';
+  const bpPerDollar = coerceNumber(throttle.Hybrid_BP_Per_Dollar, 1);
+  const ranked = players.slice().sort((a, b) => a.rank - b.rank);
+  const weights = parseHybridPayoutSplit_(throttle.Hybrid_Payout_Split).slice(0, ranked.length);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  if (totalWeight <= 0) return [];
+  // Work in cents; rounding leftovers go to first place
+  const totalCents = Math.floor(payoutBudget * 100 + 1e-6);
+  const cents = weights.map(w => Math.floor(totalCents * w / totalWeight));
+  cents[0] += totalCents - cents.reduce((sum, c) => sum + c, 0);
+  return weights
+    .map((w, idx) => {
+      const amount = cents[idx] / 100;
+      return {
+        preferredName: ranked[idx].preferredName,
+        rank: ranked[idx].rank,
+        type,
+        amount,
+        bp: type === 'BP' ? Math.floor(amount * bpPerDollar + 1e-9) : 0
+      };
+    })
+    .filter(p => p.amount > 0 && (p.type !== 'BP' || p.bp > 0));
+}
+// ============================================================================
+// COMMIT
+// ============================================================================
+/**
+ * Checks payouts can be paid before anything is written
+ * @param {Array<Object>} payouts - Payouts from the preview
+ * @private
+ */
+function validateHybridPayouts_(payouts) {
+  if (payouts.some(p => p.type === 'STORE_CREDIT')) {
+    ensureStoreCreditLedger();
+  }
+  payouts.filter(p => p.type === 'BP').forEach(p => {
+    if (resolvePlayerName(p.preferredName) !== p.preferredName) {
+      throwError(`Cannot award BP to ${p.preferredName}`, 'PLAYER_NOT_FOUND', 'Add the player to PreferredNames');
+    }
+  });
+}
+/**
+ * Pays out a committed batch's hybrid payouts
+ * On any failure the whole batch (products included) is reverted.
+ * @param {string} eventId - Event tab name
+ * @param {Array<Object>} payouts - Payouts from the preview
+ * @param {string} batchId - Batch ID of the commit
+ * @private
+ */
+function commitHybridPayouts_(eventId, payouts, batchId) {
+  try {
+    payouts.forEach(p => {
+      journalBatchChanges(batchId, eventId, [payHybridPayout_(eventId, p, batchId)]);
+    });
+  } catch (e) {
+    revertPrizeBatch(batchId);
+    throwError(`Hybrid payout failed, batch ${batchId} rolled back: ${e.message}`, 'PAYOUT_FAILED', 'Fix the payout error and commit again');
+  }
+}
+/**
+ * Pays one payout
+ * @param {string} eventId - Event tab name
+ * @param {Object} payout - Payout
+ * @param {string} batchId - Batch ID
+ * @return {Object} Journal entry {kind: CREDIT|BP, target, before, after} (balances)
+ * @private
+ */
+function payHybridPayout_(eventId, payout, batchId) {
+  if (payout.type === 'BP') {
+    const before = getPlayerBPBalance(payout.preferredName).currentBP;
+    // Keyed by batch: a re-commit after a revert or rollback is a new payout, not a replay
+    const result = awardBonusPoints(payout.preferredName, payout.bp, 'HYBRID_PAYOUT', {
+      eventId,
+      batchId,
+      dfTags: ['DF-050'],
+      idempotencyKey: `HYBRID_PAYOUT:${batchId}:${payout.preferredName}`
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return { kind: 'BP', target: payout.preferredName, before, after: result.currentBP };
+  }
+  const result = logStoreCreditTransaction({
+    preferred_name_id: payout.preferredName,
+    direction: 'IN',
+    amount: payout.amount,
+    reason: `Hybrid payout ${eventId} (#${payout.rank})`,
+    category: 'Prize Payout',
+    tenderType: 'Store Credit',
+    posRefType: 'Batch',
+    posRefId: batchId
+  });
+  return { kind: 'CREDIT', target: payout.preferredName, before: result.newBalance - payout.amount, after: result.newBalance };
+}
+/**
+ * Reverses one journaled payout
+ * BP payouts are reversed on BP_Ledger (prestige overflow included); a batch
+ * paid before the ledger existed has no entries and is adjusted instead.
+ * @param {Object} payout - Revert plan payout {type, preferredName, amount}
+ * @param {string} batchId - Batch being reverted
+ * @private
+ */
+function reverseHybridPayout_(payout, batchId) {
+  if (payout.type === 'BP') {
+    const reason = `Revert ${batchId}`;
+    if (getBPLedgerEntries(payout.preferredName).some(e => e.batchId === batchId)) {
+      reverseBPEntries({ batchId, preferredName: payout.preferredName }, reason);
+    } else {
+      recordBPAdjustment(payout.preferredName, -payout.amount, reason, {
+        source: 'HYBRID_PAYOUT',
+        batchId,
+        idempotencyKey: `REVERT:${batchId}:${payout.preferredName}`
+      });
+    }
+    logIntegrityAction('BP_REVERT', {
+      preferredName: payout.preferredName,
+      details: `Reverted ${payout.amount} BP (batch ${batchId})`,
+      status: 'SUCCESS'
+    });
+    return;
+  }
+  logStoreCreditTransaction({
+    preferred_name_id: payout.preferredName,
+    direction: 'OUT',
+    amount: payout.amount,
+    reason: `Revert ${batchId}`,
+    category: 'Prize Payout',
+    tenderType: 'Store Credit',
+    posRefType: 'Batch',
+    posRefId: batchId
+  });
+}
+/**
+ * Gets a player's balance for a payout type
+ * @param {string} type - BP or STORE_CREDIT
+ * @param {string} preferredName - Player
+ * @return {number} Balance
+ * @private
+ */
+function getHybridPayoutBalance_(type, preferredName) {
+  return type === 'BP'
+    ? getPlayerBPBalance(preferredName).currentBP
+    : getStoreCreditBalance(preferredName).balance;
+}
+/**
+ * Builds Spent_Pool entries for payouts
+ * @param {string} eventId - Event tab name
+ * @param {Array<Object>} payouts - Payouts
+ * @return {Array<Object>} Spent_Pool entries
+ * @private
+ */
+function hybridPayoutSpentEntries_(eventId, payouts) {
+  return payouts.map(p => ({
+    eventId,
+    itemCode: p.type === 'BP' ? 'HYBRID-BP' : 'HYBRID-CREDIT',
+    itemName: p.type === 'BP' ? `${p.bp} BP` : `${formatCurrency(p.amount)} store credit`,
+    level: 'PAYOUT',
+    qty: 1,
+    cogs: p.amount,
+    eventType: 'HYBRID'
+  }));
+}
@@ -0,0 +1,272 @@
+/**
+ * Idempotency Service - Replay-Safe Awards and Redemptions
+ * @fileoverview Makes the mutating player calls safe to repeat. awardBonusPoints,
+ * redeemBonusPoints, addKey, awardFlagMission and logStoreCreditTransaction take
+ * an idempotency key; the first successful call stores its result on
+ * Idempotency_Index under that key and a repeat returns the stored result
+ * (with duplicate: true) instead of applying again. Keys never expire.
+ *
+ * Only calls that pass a key are deduped: the same award made twice on purpose
+ * (two D20 rolls, two keys handed out) is two awards. UI dialogs send one key
+ * per submit, so a double-click or a retried request replays instead of
+ * applying twice.
+ *
+ * Idempotency_Index columns:
+ *   Idempotency_Key - Caller's key
+ *   Operation       - BP_AWARD, BP_REDEEM, KEY_AWARD, FLAG_MISSION, STORE_CREDIT
+ *   PreferredName   - Player
+ *   Created_At      - When first applied
+ *   Result          - JSON of the original result
+ *
+ * buildDuplicateReport() looks back over history written before the index
+ * existed (or outside it) for suspected double applies.
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * Idempotency_Index headers
+ */
+const IDEMPOTENCY_INDEX_HEADERS = ['Idempotency_Key', 'Operation', 'PreferredName', 'Created_At', 'Result'];
+/**
+ * Duplicate_Report headers
+ */
+const DUPLICATE_REPORT_HEADERS = [
+  'Kind', 'PreferredName', 'Detail', 'Amount', 'First_At', 'Second_At', 'Minutes_Apart', 'Generated_At'
+];
+/**
+ * Duplicate report window in minutes (Prize_Throttle Idempotency_Window_Minutes)
+ * @return {number} Minutes
+ * @private
+ */
+function getIdempotencyWindowMinutes_() {
+  const minutes = coerceNumber(getThrottleKV_().Idempotency_Window_Minutes, 10);
+  if (minutes <= 0) {
+    throwError('Idempotency_Window_Minutes must be positive', 'INVALID_CONFIG');
+  }
+  return minutes;
+}
+// ============================================================================
+// DEDUPE API
+// ============================================================================
+/**
+ * Applies a call once per key: check, apply and record run under the script lock,
+ * so two requests with the same key cannot both pass the check
+ * @param {string} operation - Operation name
+ * @param {string} preferredName - Player
+ * @param {string} idempotencyKey - Caller's key ('' = always apply)
+ * @param {Function} apply - Does the work (must not take the script lock); returns the result
+ * @return {Object} The result, or the stored result with duplicate: true
+ * @private
+ */
+function applyIdempotent_(operation, preferredName, idempotencyKey, apply) {
+  return withScriptLock_(() => {
+    const dedupe = checkIdempotency_(operation, preferredName, idempotencyKey);
+    if (dedupe.replay) return dedupe.replay;
+    return recordIdempotentResult_(dedupe, apply());
+  });
+}
+/**
+ * Looks up a call in the dedupe index before it is applied
+ * @param {string} operation - Operation name
+ * @param {string} preferredName - Player
+ * @param {string} idempotencyKey - Caller's key ('' = not deduped)
+ * @return {Object} {operation, preferredName, key, replay} (replay = stored result, or null)
+ * @private
+ */
+function checkIdempotency_(operation, preferredName, idempotencyKey) {
+  const key = idempotencyKey ? String(idempotencyKey) : '';
+  const dedupe = { operation, preferredName, key, replay: null };
+  if (!key) return dedupe;
+  const stored = readIdempotencyIndex_(ensureIdempotencyIndex_()).find(e => e.key === key);
+  if (stored) {
+    dedupe.replay = Object.assign(JSON.parse(stored.result), { duplicate: true, idempotencyKey: stored.key });
+    logIntegrityAction('IDEMPOTENT_REPLAY', {
+      preferredName,
+      details: `${operation} repeated with key ${stored.key} (first applied ${stored.createdAt}); original result returned`,
+      status: 'SKIPPED'
+    });
+  }
+  return dedupe;
+}
+/**
+ * Stores a successful result under its key (failures are not stored, so a retry applies)
+ * @param {Object} dedupe - From checkIdempotency_
+ * @param {Object} result - The call's result
+ * @return {Object} The result, unchanged
+ * @private
+ */
+function recordIdempotentResult_(dedupe, result) {
+  if (!dedupe.key || !result || result.success === false) return result;
+  ensureIdempotencyIndex_().appendRow([
+    dedupe.key, dedupe.operation, dedupe.preferredName, dateISO(), JSON.stringify(result)
+  ]);
+  return result;
+}
+// ============================================================================
+// DUPLICATE REPORT
+// ============================================================================
+/**
+ * Lists suspected historical duplicates (same player, kind, detail and amount
+ * within the window, under different keys) and writes them to Duplicate_Report
+ * @param {number} windowMinutes - How close two entries must be (default: Idempotency_Window_Minutes)
+ * @return {Array<Object>} {kind, preferredName, detail, amount, firstAt, secondAt, minutesApart}
+ */
+function buildDuplicateReport(windowMinutes = null) {
+  const window = windowMinutes === null ? getIdempotencyWindowMinutes_() : coerceNumber(windowMinutes, 0);
+  const candidates = bpDuplicateCandidates_()
+    .concat(keyDuplicateCandidates_())
+    .concat(storeCreditDuplicateCandidates_());
+  const groups = new Map();
+  candidates.forEach(c => {
+    const group = [c.kind, c.preferredName, c.detail, c.amount].join('|');
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(c);
+  });
+  const rows = [];
+  groups.forEach(group => {
+    group.sort((a, b) => a.at < b.at ? -1 : a.at > b.at ? 1 : 0);
+    for (let i = 1; i < group.length; i++) {
+      const first = group[i - 1];
+      const second = group[i];
+      const minutesApart = (new Date(second.at + 'Z') - new Date(first.at + 'Z')) / 60000;
+      if (minutesApart > window || (first.key && first.key === second.key)) continue;
+      rows.push({
+        kind: first.kind,
+        preferredName: first.preferredName,
+        detail: first.detail,
+        amount: first.amount,
+        firstAt: first.at,
+        secondAt: second.at,
+        minutesApart: Math.round(minutesApart * 10) / 10
+      });
+    }
+  });
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Duplicate_Report') || ss.insertSheet('Duplicate_Report');
+  const generatedAt = dateISO();
+  sheet.clear();
+  sheet.getRange(1, 1, 1, DUPLICATE_REPORT_HEADERS.length).setValues([DUPLICATE_REPORT_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, DUPLICATE_REPORT_HEADERS.length).setValues(rows.map(r =>
+      [r.kind, r.preferredName, r.detail, r.amount, r.firstAt, r.secondAt, r.minutesApart, generatedAt]));
+  }
+  logIntegrityAction('REPORT_GENERATED', {
+    details: `Duplicate report: ${rows.length} suspected duplicate(s) within ${window} minute(s)`,
+    status: 'SUCCESS'
+  });
+  return rows;
+}
+/**
+ * BP_Ledger awards and redemptions (opening entries excluded)
+ * @return {Array<Object>} {kind, preferredName, detail, amount, at, key}
+ * @private
+ */
+function bpDuplicateCandidates_() {
+  // An award split into AWARD + OVERFLOW is one call: count it once, at its full amount
+  const calls = new Map();
+  getBPLedgerEntries().forEach(entry => {
+    if (String(entry.idempotencyKey).startsWith('OPENING:')) return;
+    if (!['AWARD', 'OVERFLOW', 'REDEEM'].includes(entry.type)) return;
+    const call = [entry.idempotencyKey, entry.preferredName, entry.type === 'REDEEM'].join('|');
+    if (calls.has(call)) {
+      calls.get(call).amount += entry.amount;
+      return;
+    }
+    calls.set(call, {
+      kind: entry.type === 'REDEEM' ? 'BP_REDEEM' : 'BP_AWARD',
+      preferredName: entry.preferredName,
+      detail: [entry.source, entry.eventId].filter(Boolean).join(' @ '),
+      amount: entry.amount,
+      at: balanceClock_(entry.timestamp),
+      key: entry.idempotencyKey
+    });
+  });
+  return Array.from(calls.values());
+}
+/**
+ * KEY_AWARD entries on Integrity_Log
+ * @return {Array<Object>} {kind, preferredName, detail, amount, at, key}
+ * @private
+ */
+function keyDuplicateCandidates_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Integrity_Log');
+  const data = sheet && sheet.getLastRow() > 1 ? sheet.getDataRange().getValues() : [[]];
+  const col = name => data[0].indexOf(name);
+  const [tsCol, actionCol, nameCol, detailsCol] = ['Timestamp', 'Action', 'PreferredName', 'Details'].map(col);
+  const candidates = [];
+  data.slice(1).forEach(row => {
+    if (String(row[actionCol]) !== 'KEY_AWARD') return;
+    const details = String(row[detailsCol] || '');
+    const m = details.match(/^(\w+): -?\d+ → -?\d+ \(\+(\d+)\)/) || details.match(/^Added (\d+) (\w+) \(new player\)/);
+    if (!m) return;
+    const [color, qty] = m[0].startsWith('Added') ? [m[2], m[1]] : [m[1], m[2]];
+    candidates.push({
+      kind: 'KEY_AWARD',
+      preferredName: String(row[nameCol]),
+      detail: color,
+      amount: Number(qty),
+      at: balanceClock_(row[tsCol]),
+      key: ''
+    });
+  });
+  return candidates;
+}
+/**
+ * Store_Credit_Ledger rows
+ * @return {Array<Object>} {kind, preferredName, detail, amount, at, key}
+ * @private
+ */
+function storeCreditDuplicateCandidates_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_SHEET_NAME);
+  const data = sheet && sheet.getLastRow() > 1 ? sheet.getDataRange().getValues() : [[]];
+  const col = name => data[0].indexOf(name);
+  const [tsCol, nameCol, directionCol, amountCol, reasonCol] =
+    ['Timestamp', 'preferred_name_id', 'InOut', 'Amount', 'Reason'].map(col);
+  return data.slice(1).filter(row => String(row[nameCol] || '').trim()).map(row => ({
+    kind: 'STORE_CREDIT',
+    preferredName: String(row[nameCol]).trim(),
+    detail: [String(row[directionCol] || '').trim().toUpperCase(), reasonCol !== -1 ? row[reasonCol] : '']
+      .filter(Boolean).join(' '),
+    amount: coerceNumber(row[amountCol], 0),
+    at: balanceClock_(row[tsCol]),
+    key: ''
+  }));
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Reads the dedupe index
+ * @param {Sheet} sheet - Idempotency_Index sheet
+ * @return {Array<Object>} {key, operation, preferredName, createdAt, result}
+ * @private
+ */
+function readIdempotencyIndex_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return [];
+  return sheet.getRange(2, 1, lastRow - 1, IDEMPOTENCY_INDEX_HEADERS.length).getValues().map(row => ({
+    key: String(row[0]),
+    operation: String(row[1]),
+    preferredName: String(row[2]),
+    createdAt: row[3],
+    result: String(row[4])
+  }));
+}
+/**
+ * Gets or creates Idempotency_Index (hidden)
+ * @return {Sheet} Idempotency_Index sheet
+ * @private
+ */
+function ensureIdempotencyIndex_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Idempotency_Index');
+  if (!sheet) {
+    sheet = ss.insertSheet('Idempotency_Index');
+    sheet.appendRow(IDEMPOTENCY_INDEX_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
@@ -0,0 +1,305 @@
+/**
+ * Integrity Chain Service - Tamper-Evident Integrity_Log
+ * @fileoverview Hash-chains Integrity_Log rows, verifies the chain and writes
+ * signed checkpoints to the protected Integrity_Checkpoints sheet.
+ *
+ * Every appended row carries:
+ *   Prev_Hash - Row_Hash of the row above (GENESIS for the first chained row)
+ *   Row_Hash  - sha256(Prev_Hash | the row's 13 log columns)
+ * Editing a row breaks its Row_Hash; deleting or inserting a row breaks the
+ * next row's Prev_Hash. Rows logged before the chain existed are legacy and
+ * are not checked.
+ *
+ * A row that cannot get the chain lock is refused (LOCK_TIMEOUT) rather than
+ * written outside the chain: an unchained row could be forged or deleted
+ * without breaking any hash.
+ *
+ * Anyone with edit access could recompute every hash after tampering, so
+ * checkpoints record the head of the chain (row and Row_Hash) with an HMAC
+ * signature keyed by a script property. Only the owner can edit the
+ * checkpoint sheet; a checkpoint whose row no longer carries the signed hash
+ * shows the log was rewritten or truncated.
+ *
+ * Values are hashed as text (dates in the dateISO format, numbers without
+ * trailing zeros) so Sheets' own type coercion does not break the chain.
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * Log columns covered by Row_Hash (Timestamp … Status)
+ */
+const INTEGRITY_CHAIN_CONTENT_COLUMNS = 13;
+/**
+ * Prev_Hash of the first chained row
+ */
+const INTEGRITY_CHAIN_GENESIS = 'GENESIS';
+/**
+ * Integrity_Checkpoints headers
+ */
+const INTEGRITY_CHECKPOINT_HEADERS = ['Checkpoint_ID', 'Timestamp', 'Operator', 'Head_Row', 'Head_Hash', 'Chain_Status', 'Signature'];
+/**
+ * Script property holding the checkpoint signing key
+ */
+const INTEGRITY_CHECKPOINT_KEY_PROPERTY = 'INTEGRITY_CHECKPOINT_KEY';
+// ============================================================================
+// APPEND
+// ============================================================================
+/**
+ * Appends a hash-chained row to Integrity_Log
+ * @param {Sheet} sheet - Integrity_Log sheet (headers present)
+ * @param {Array} row - Log values (padded / cut to the 13 chained columns)
+ * @throws {Error} LOCK_TIMEOUT if another writer holds the chain
+ */
+function appendIntegrityLogRow_(sheet, row) {
+  const content = row.slice(0, INTEGRITY_CHAIN_CONTENT_COLUMNS);
+  while (content.length < INTEGRITY_CHAIN_CONTENT_COLUMNS) content.push('');
+  // Document lock: concurrent appends must not both chain to the same row
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(30000)) {
+    throwError('Could not obtain the Integrity_Log lock', 'LOCK_TIMEOUT', 'Another operation is writing the log. Try again.');
+  }
+  try {
+    ensureIntegrityChainHeaders_(sheet);
+    const prevHash = integrityChainHead_(sheet);
+    sheet.appendRow(content.concat([prevHash, computeIntegrityRowHash_(prevHash, content)]));
+  } finally {
+    lock.releaseLock();
+  }
+}
+// ============================================================================
+// VERIFY
+// ============================================================================
+/**
+ * Verifies the Integrity_Log chain and the signed checkpoints
+ * @return {Object} {ok, rows, legacy, chained, breaks: [{row, type, details}], firstBreak, checkpoints: {checked, failed}}
+ *   Break types: EDITED (Row_Hash mismatch), LINK (Prev_Hash does not match the row above:
+ *   rows deleted or inserted), UNCHAINED (row without hashes after the chain started),
+ *   CHECKPOINT (signed head hash no longer in the log), SIGNATURE (checkpoint altered)
+ */
+function verifyIntegrityChain() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Integrity_Log');
+  const data = sheet ? sheet.getDataRange().getValues() : [];
+  const breaks = [];
+  let legacy = 0;
+  let chained = 0;
+  let prevHash = null;
+  for (let i = 1; i < data.length; i++) { // Skip header
+    const row = i + 1;
+    const content = data[i].slice(0, INTEGRITY_CHAIN_CONTENT_COLUMNS);
+    while (content.length < INTEGRITY_CHAIN_CONTENT_COLUMNS) content.push('');
+    const storedPrev = String(data[i][INTEGRITY_CHAIN_CONTENT_COLUMNS] || '');
+    const storedHash = String(data[i][INTEGRITY_CHAIN_CONTENT_COLUMNS + 1] || '');
+    if (!storedHash) {
+      if (prevHash === null) {
+        legacy++;
+      } else {
+        breaks.push({ row, type: 'UNCHAINED', details: 'Row has no hash after the chain started (inserted or hashes cleared)' });
+      }
+      continue;
+    }
+    chained++;
+    const expectedPrev = prevHash === null ? INTEGRITY_CHAIN_GENESIS : prevHash;
+    if (storedPrev !== expectedPrev) {
+      breaks.push({ row, type: 'LINK', details: `Prev_Hash ${storedPrev.substring(0, 12)} does not match the row above (${expectedPrev.substring(0, 12)}): rows deleted or inserted` });
+    }
+    if (computeIntegrityRowHash_(storedPrev, content) !== storedHash) {
+      breaks.push({ row, type: 'EDITED', details: 'Row contents do not match Row_Hash' });
+    }
+    // Continue from the stored hash so each break is reported once
+    prevHash = storedHash;
+  }
+  const checkpoints = verifyIntegrityCheckpoints_(data, breaks);
+  breaks.sort((a, b) => a.row - b.row);
+  return {
+    ok: breaks.length === 0,
+    rows: Math.max(0, data.length - 1),
+    legacy,
+    chained,
+    breaks,
+    firstBreak: breaks.length > 0 ? breaks[0] : null,
+    checkpoints
+  };
+}
+// ============================================================================
+// CHECKPOINTS
+// ============================================================================
+/**
+ * Writes a signed checkpoint of the chain head to Integrity_Checkpoints
+ * @return {Object} {checkpointId, headRow, headHash, chainStatus}
+ */
+function writeIntegrityCheckpoint() {
+  const verification = verifyIntegrityChain();
+  const sheet = ensureIntegrityCheckpointsSheet_();
+  const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Integrity_Log');
+  const headRow = logSheet ? logSheet.getLastRow() : 0;
+  const headHash = headRow > 1 ? String(logSheet.getRange(headRow, INTEGRITY_CHAIN_CONTENT_COLUMNS + 2).getValue() || '') : '';
+  const chainStatus = verification.ok ? 'OK' : `BROKEN at row ${verification.firstBreak.row} (${verification.firstBreak.type})`;
+  const checkpoint = {
+    checkpointId: newBatchId(),
+    timestamp: dateISO(),
+    operator: currentUser(),
+    headRow,
+    headHash,
+    chainStatus
+  };
+  sheet.appendRow([
+    checkpoint.checkpointId,
+    checkpoint.timestamp,
+    checkpoint.operator,
+    headRow,
+    headHash,
+    chainStatus,
+    signIntegrityCheckpoint_(checkpoint)
+  ]);
+  logIntegrityAction('INTEGRITY_CHECKPOINT', {
+    checksumAfter: headHash.substring(0, 12),
+    details: `Checkpoint ${checkpoint.checkpointId}: row ${headRow} | Chain ${chainStatus}`,
+    status: verification.ok ? 'SUCCESS' : 'WARNING'
+  });
+  return checkpoint;
+}
+/**
+ * Installs the daily checkpoint trigger (replaces an existing one)
+ * @param {number} hour - Hour of day to run (default: 3)
+ * @return {string} Trigger ID
+ */
+function installIntegrityCheckpointTrigger(hour = 3) {
+  return installDailyTrigger_('writeIntegrityCheckpoint', hour);
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Computes a row's chain hash
+ * @param {string} prevHash - Prev_Hash
+ * @param {Array} content - The 13 chained log values
+ * @return {string} Row_Hash (hex)
+ * @private
+ */
+function computeIntegrityRowHash_(prevHash, content) {
+  return sha256(prevHash + '|' + JSON.stringify(content.map(normalizeIntegrityValue_)));
+}
+/**
+ * Gets the Row_Hash new rows chain to (the last row's)
+ * Run under the document lock.
+ * @param {Sheet} sheet - Integrity_Log sheet
+ * @return {string} Prev_Hash for the next row
+ * @private
+ */
+function integrityChainHead_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return INTEGRITY_CHAIN_GENESIS;
+  return String(sheet.getRange(lastRow, INTEGRITY_CHAIN_CONTENT_COLUMNS + 2).getValue() || '') || INTEGRITY_CHAIN_GENESIS;
+}
+/**
+ * Normalizes a log value to the text that is hashed
+ * @param {*} value - Cell value (as written or as read back from Sheets)
+ * @return {string} Normalized text
+ * @private
+ */
+function normalizeIntegrityValue_(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ss'Z'");
+  }
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /^-?\d+(\.\d+)?$/.test(text) ? String(Number(text)) : text;
+}
+/**
+ * Adds Prev_Hash / Row_Hash headers to Integrity_Log
+ * @param {Sheet} sheet - Integrity_Log sheet
+ * @private
+ */
+function ensureIntegrityChainHeaders_(sheet) {
+  const range = sheet.getRange(1, INTEGRITY_CHAIN_CONTENT_COLUMNS + 1, 1, 2);
+  if (range.getValues()[0][1] !== 'Row_Hash') {
+    range.setValues([['Prev_Hash', 'Row_Hash']]);
+  }
+}
+/**
+ * Checks checkpoint signatures and that each signed head hash is still in the log
+ * @param {Array<Array>} data - Integrity_Log values
+ * @param {Array<Object>} breaks - Break list (CHECKPOINT / SIGNATURE entries added)
+ * @return {Object} {checked, failed}
+ * @private
+ */
+function verifyIntegrityCheckpoints_(data, breaks) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Integrity_Checkpoints');
+  if (!sheet || sheet.getLastRow() <= 1) return { checked: 0, failed: 0 };
+  let failed = 0;
+  const rows = toObjects(sheet.getDataRange().getValues());
+  rows.forEach(cp => {
+    const headRow = coerceNumber(cp.Head_Row, 0);
+    const checkpoint = {
+      checkpointId: cp.Checkpoint_ID,
+      timestamp: cp.Timestamp instanceof Date ? normalizeIntegrityValue_(cp.Timestamp) : cp.Timestamp,
+      operator: cp.Operator,
+      headRow,
+      headHash: String(cp.Head_Hash || ''),
+      chainStatus: cp.Chain_Status
+    };
+    if (signIntegrityCheckpoint_(checkpoint) !== cp.Signature) {
+      failed++;
+      breaks.push({ row: headRow, type: 'SIGNATURE', details: `Checkpoint ${cp.Checkpoint_ID} signature invalid` });
+      return;
+    }
+    if (!checkpoint.headHash) return;
+    const logRow = data[headRow - 1];
+    const actual = logRow ? String(logRow[INTEGRITY_CHAIN_CONTENT_COLUMNS + 1] || '') : '';
+    if (actual !== checkpoint.headHash) {
+      failed++;
+      breaks.push({
+        row: headRow,
+        type: 'CHECKPOINT',
+        details: `Checkpoint ${cp.Checkpoint_ID} (${checkpoint.timestamp}) signed row ${headRow} with ${checkpoint.headHash.substring(0, 12)}; ` +
+          (logRow ? `row now has ${actual.substring(0, 12) || 'no hash'}` : 'the log has fewer rows')
+      });
+    }
+  });
+  return { checked: rows.length, failed };
+}
+/**
+ * Signs a checkpoint with the script's checkpoint key (created on first use)
+ * @param {Object} checkpoint - {checkpointId, timestamp, operator, headRow, headHash, chainStatus}
+ * @return {string} Base64 HMAC-SHA256 signature
+ * @private
+ */
+function signIntegrityCheckpoint_(checkpoint) {
+  const props = PropertiesService.getScriptProperties();
+  let key = props.getProperty(INTEGRITY_CHECKPOINT_KEY_PROPERTY);
+  if (!key) {
+    key = Utilities.getUuid() + Utilities.getUuid();
+    props.setProperty(INTEGRITY_CHECKPOINT_KEY_PROPERTY, key);
+  }
+  const payload = [
+    checkpoint.checkpointId,
+    checkpoint.timestamp,
+    checkpoint.operator,
+    checkpoint.headRow,
+    checkpoint.headHash,
+    checkpoint.chainStatus
+  ].join('|');
+  return Utilities.base64Encode(Utilities.computeHmacSha256Signature(payload, key));
+}
+/**
+ * Gets Integrity_Checkpoints, creating it protected (owner-only edits)
+ * @return {Sheet} Integrity_Checkpoints sheet
+ * @private
+ */
+function ensureIntegrityCheckpointsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Integrity_Checkpoints');
+  if (sheet) return sheet;
+  sheet = ss.insertSheet('Integrity_Checkpoints');
+  sheet.appendRow(INTEGRITY_CHECKPOINT_HEADERS);
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, INTEGRITY_CHECKPOINT_HEADERS.length).setFontWeight('bold');
+  const protection = sheet.protect().setDescription('Signed Integrity_Log checkpoints (owner only)');
+  protection.removeEditors(protection.getEditors());
+  if (protection.canDomainEdit()) {
+    protection.setDomainEdit(false);
+  }
+  return sheet;
+}
@@ -40,7 +40,9 @@ function logIntegrityAction(action, payload = {}) {
         'RL_Band',
         'DF_Tags',
         'Details',
-        'Status'
+        'Status',
+        'Prev_Hash',
+        'Row_Hash'
       ]);
     }
 
@@ -59,7 +61,8 @@ function logIntegrityAction(action, payload = {}) {
       payload.details || '',
       payload.status || 'SUCCESS'
     ];
-    sheet.appendRow(row);
+    // Hash-chained (see integrityChainService.js)
+    appendIntegrityLogRow_(sheet, row);
   } catch (e) {
     console.error('Failed to log integrity action:', action, e);
     // Don't throw - logging failures shouldn't block operations
@@ -119,9 +122,10 @@ function logCommit(eventId, seed, previewHash, commitHash, rlBand, spentTotal) {
  * @param {number} entries[].qty - Quantity
  * @param {number} entries[].cogs - COGS per unit
  * @param {string} entries[].eventType - Event type
- * @param {string} batchId - Batch ID for this write
+ * @param {string} batchId - Batch ID for this write (rows record the current throttle version)
+ * @param {Object} profile - Throttle profile the prizes were drawn under (describeThrottleProfile; optional)
  */
-function writeSpentPool(entries, batchId) {
+function writeSpentPool(entries, batchId, profile = null) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let sheet = ss.getSheetByName('Spent_Pool');
   // Create sheet if missing
@@ -138,10 +142,18 @@ function writeSpentPool(entries, batchId) {
       'Timestamp',
       'Batch_ID',
       'Reverted',
-      'Event_Type'
+      'Event_Type',
+      'Throttle_Version',
+      'Throttle_Profile'
     ]);
+  } else if (sheet.getRange(1, 13).getValue() !== 'Throttle_Profile') {
+    // Sheets created before throttle versioning / profiles get the columns appended
+    sheet.getRange(1, 12, 1, 2).setValues([['Throttle_Version', 'Throttle_Profile']]);
   }
   const timestamp = dateISO();
+  // The version covers Prize_Throttle only; profile overrides are recorded as applied
+  const throttleVersion = getCurrentThrottleVersion();
+  const throttleProfile = formatThrottleProfile(profile);
   const rows = entries.map(entry => [
     entry.eventId,
     entry.itemCode,
@@ -153,7 +165,9 @@ function writeSpentPool(entries, batchId) {
     timestamp,
     batchId,
     false, // Not reverted
-    entry.eventType || 'CONSTRUCTED'
+    entry.eventType || 'CONSTRUCTED',
+    throttleVersion,
+    throttleProfile
   ]);
   if (rows.length > 0) {
     sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
@@ -188,11 +202,26 @@ function getEventSpent(eventId) {
   return total;
 }
 /**
- * Reverts a batch from Spent_Pool
+ * Reverts a batch (stock, event cells, wizard flags and Spent_Pool)
  * @param {string} batchId - Batch ID to revert
- * @return {number} Count of reverted entries
+ * @return {number} Count of reverted Spent_Pool entries (0 for an unknown or already reverted batch)
  */
 function revertBatch(batchId) {
+  try {
+    return revertPrizeBatch(batchId).spentRows;
+  } catch (e) {
+    // Nothing left to revert has always counted 0 here; other failures still throw
+    if (/^\[(BATCH_NOT_FOUND|ALREADY_REVERTED)\]/.test(e.message)) return 0;
+    throw e;
+  }
+}
+/**
+ * Flags a batch's Spent_Pool rows as reverted
+ * @param {string} batchId - Batch ID
+ * @return {number} Count of rows flagged
+ * @private
+ */
+function markSpentPoolReverted_(batchId) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName('Spent_Pool');
   if (!sheet) return 0;
@@ -206,58 +235,163 @@ function revertBatch(batchId) {
       revertCount++;
     }
   }
-  if (revertCount > 0) {
-    logIntegrityAction('REVERT_BATCH', {
-      details: `Reverted batch ${batchId}: ${revertCount} entries`,
-      status: 'SUCCESS'
-    });
-  }
   return revertCount;
 }
 // ============================================================================
-// PREVIEW ARTIFACTS
+// COMMIT JOURNAL
 // ============================================================================
 /**
- * Stores a preview artifact (for hash verification)
+ * Records the changes a commit made so the batch can be reverted exactly
+ * @param {string} batchId - Batch ID
  * @param {string} eventId - Event ID
- * @param {string} seed - Seed used
- * @param {string} previewHash - Preview hash
- * @param {number} expiresHours - Expiration in hours (default: 24)
- * @return {string} Artifact ID
+ * @param {Array<Object>} changes - [{kind: CELL|STOCK|FLAG, target, row, col, before, after}]
  */
-function storePreviewArtifact(eventId, seed, previewHash, expiresHours = 24) {
+function journalBatchChanges(batchId, eventId, changes) {
+  if (!changes || changes.length === 0) return;
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName('Preview_Artifacts');
+  let sheet = ss.getSheetByName('Commit_Journal');
   // Create hidden sheet if missing
   if (!sheet) {
-    sheet = ss.insertSheet('Preview_Artifacts');
+    sheet = ss.insertSheet('Commit_Journal');
     sheet.hideSheet();
     sheet.appendRow([
-      'Artifact_ID',
+      'Batch_ID',
       'Event_ID',
-      'Seed',
-      'Preview_Hash',
-      'Created_At',
-      'Expires_At'
+      'Kind',
+      'Target',
+      'Row',
+      'Col',
+      'Before',
+      'After',
+      'Timestamp',
+      'Reverted'
     ]);
   }
-  const artifactId = newBatchId();
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + expiresHours * 60 * 60 * 1000);
-  sheet.appendRow([
-    artifactId,
+  const timestamp = dateISO();
+  const rows = changes.map(change => [
+    batchId,
     eventId,
-    seed,
-    previewHash,
-    dateISO(),
-    Utilities.formatDate(expiresAt, Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ss'Z'")
+    change.kind,
+    change.target,
+    change.row || '',
+    change.col || '',
+    change.before === undefined || change.before === null ? '' : change.before,
+    change.after === undefined || change.after === null ? '' : change.after,
+    timestamp,
+    false
   ]);
-  return artifactId;
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+/**
+ * Sets a cell value and records the before/after pair in a journal
+ * @param {Sheet} sheet - Sheet
+ * @param {number} row - Row (1-based)
+ * @param {number} col - Column (1-based)
+ * @param {*} value - New value
+ * @param {Array<Object>} journal - Journal to append to (null = no journal)
+ * @private
+ */
+function setJournaledValue_(sheet, row, col, value, journal) {
+  const range = sheet.getRange(row, col);
+  if (journal) {
+    const before = range.getValue();
+    if (String(before) !== String(value)) {
+      journal.push({ kind: 'CELL', target: sheet.getName(), row, col, before, after: value });
+    }
+  }
+  range.setValue(value);
+}
+/**
+ * Gets the journaled changes of a batch
+ * @param {string} batchId - Batch ID
+ * @return {Array<Object>} Changes with sheet row numbers ({journalRow, kind, target, row, col, before, after, reverted})
+ */
+function getBatchJournal(batchId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Commit_Journal');
+  if (!sheet) return [];
+  const data = sheet.getDataRange().getValues();
+  const changes = [];
+  for (let i = 1; i < data.length; i++) { // Skip header
+    const [id, eventId, kind, target, row, col, before, after, , reverted] = data[i];
+    if (id === batchId) {
+      changes.push({ journalRow: i + 1, eventId, kind, target, row, col, before, after, reverted: coerceBoolean(reverted) });
+    }
+  }
+  return changes;
+}
+// ============================================================================
+// PREVIEW ARTIFACTS
+// ============================================================================
+/**
+ * Preview_Artifacts headers (Status: ACTIVE or SUPERSEDED; committed artifacts are deleted;
+ * Hash_Version: PREVIEW_HASH_VERSION the hash was made with, blank = 1)
+ */
+const PREVIEW_ARTIFACT_HEADERS = [
+  'Artifact_ID', 'Event_ID', 'Seed', 'Preview_Hash', 'Created_At', 'Expires_At', 'Overrides',
+  'Created_By', 'Roster_Checksum', 'Catalog_Checksum', 'Status', 'Superseded_By', 'Hash_Version'
+];
+/**
+ * Stores a preview artifact (for hash verification)
+ *
+ * A new preview supersedes the event's active one: the old artifact is marked
+ * SUPERSEDED (committing it fails with PREVIEW_SUPERSEDED) and the takeover is
+ * logged. Roster and catalog checksums are recorded for the commit check.
+ * @param {string} eventId - Event ID (Commander template previews: eventId + '_COMMANDER')
+ * @param {string} seed - Seed used
+ * @param {string} previewHash - Preview hash
+ * @param {number} expiresHours - Expiration in hours (default: 24)
+ * @return {string} Artifact ID
+ */
+function storePreviewArtifact(eventId, seed, previewHash, expiresHours = 24) {
+  const eventTab = getArtifactEventTab_(eventId);
+  return withEventLock(eventTab, 'PREVIEW', () => {
+    const sheet = getPreviewArtifactsSheet_();
+    const checksums = computePreviewChecksums_(eventTab);
+    const artifactId = newBatchId();
+    const owner = currentUser();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + expiresHours * 60 * 60 * 1000);
+    const superseded = [];
+    const data = sheet.getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) { // Skip header
+      const artifact = parsePreviewArtifactRow_(data[i]);
+      if (artifact.eventId === eventId && artifact.status === 'ACTIVE' && new Date(artifact.expiresAt) > now) {
+        sheet.getRange(i + 1, 11, 1, 2).setValues([['SUPERSEDED', artifactId]]);
+        superseded.push(artifact);
+      }
+    }
+    sheet.appendRow([
+      artifactId,
+      eventId,
+      seed,
+      previewHash,
+      dateISO(),
+      Utilities.formatDate(expiresAt, Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ss'Z'"),
+      '',
+      owner,
+      checksums.roster,
+      checksums.catalog,
+      'ACTIVE',
+      '',
+      PREVIEW_HASH_VERSION
+    ]);
+    if (superseded.length > 0) {
+      logIntegrityAction('PREVIEW_SUPERSEDED', {
+        eventId: eventTab,
+        seed,
+        details: `${artifactId} by ${owner} supersedes ` +
+          superseded.map(a => `${a.artifactId} by ${a.createdBy || 'unknown'} (${a.createdAt})`).join(', '),
+        status: 'WARNING'
+      });
+    }
+    return artifactId;
+  });
 }
 /**
- * Retrieves a preview artifact by event ID
+ * Retrieves the active preview artifact for an event
  * @param {string} eventId - Event ID
- * @return {Object|null} Artifact or null
+ * @return {Object|null} Artifact or null (overrides: staff edits, see previewOverrideService.js)
  */
 function getPreviewArtifact(eventId) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -265,25 +399,77 @@ function getPreviewArtifact(eventId) {
   if (!sheet) return null;
   const data = sheet.getDataRange().getValues();
   const now = new Date();
-  // Find most recent non-expired artifact for this event
+  // Find most recent active, non-expired artifact for this event
   for (let i = data.length - 1; i > 0; i--) { // Reverse search, skip header
-    const [artifactId, evId, seed, previewHash, createdAt, expiresAt] = data[i];
-    if (evId === eventId) {
-      const expiry = new Date(expiresAt);
-      if (expiry > now) {
-        return {
-          artifactId,
-          eventId: evId,
-          seed,
-          previewHash,
-          createdAt,
-          expiresAt
-        };
-      }
+    const artifact = parsePreviewArtifactRow_(data[i]);
+    if (artifact.eventId === eventId && artifact.status === 'ACTIVE' && new Date(artifact.expiresAt) > now) {
+      return artifact;
     }
   }
   return null;
 }
+/**
+ * Checks that a preview can still be committed
+ * @param {string} eventId - Event ID (as stored with storePreviewArtifact)
+ * @param {string} previewHash - Hash from preview
+ * @return {Object} Active artifact
+ * @private
+ */
+function requireCommittablePreview_(eventId, previewHash) {
+  const artifact = getPreviewArtifact(eventId);
+  if (!artifact || artifact.previewHash !== previewHash) {
+    const stale = findPreviewArtifactByHash_(eventId, previewHash);
+    if (stale && stale.hashVersion !== PREVIEW_HASH_VERSION) {
+      throwPreviewHashOutdated_();
+    }
+    if (stale && stale.status === 'SUPERSEDED') {
+      throwError(`Preview superseded by ${stale.supersededBy}${artifact ? ' (' + artifact.createdBy + ')' : ''}`,
+        'PREVIEW_SUPERSEDED', 'A newer preview replaced this one. Review it before committing.');
+    }
+  }
+  if (!artifact) {
+    throwError('No preview found', 'NO_PREVIEW', 'Generate a preview first');
+  }
+  if (artifact.previewHash !== previewHash) {
+    throwError('Preview hash mismatch', 'HASH_MISMATCH', 'Preview has changed. Regenerate preview.');
+  }
+  if (artifact.hashVersion !== PREVIEW_HASH_VERSION) {
+    throwPreviewHashOutdated_();
+  }
+  // Artifacts stored before checksums existed skip the check
+  const checksums = computePreviewChecksums_(getArtifactEventTab_(eventId));
+  if (artifact.rosterChecksum && artifact.rosterChecksum !== checksums.roster) {
+    throwError('Roster changed since preview', 'ROSTER_CHANGED', 'Regenerate preview.');
+  }
+  if (artifact.catalogChecksum && artifact.catalogChecksum !== checksums.catalog) {
+    throwError('Prize catalog changed since preview', 'CATALOG_CHANGED', 'Regenerate preview.');
+  }
+  return artifact;
+}
+/**
+ * Updates the hash and overrides of a stored preview artifact
+ * @param {string} artifactId - Artifact ID
+ * @param {string} previewHash - New preview hash
+ * @param {Array<Object>} overrides - Full override list
+ */
+function updatePreviewArtifact(artifactId, previewHash, overrides) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Preview_Artifacts');
+  if (!sheet) return;
+  // Sheets created before overrides existed have no Overrides header
+  if (sheet.getRange(1, 7).getValue() !== 'Overrides') {
+    sheet.getRange(1, 7).setValue('Overrides');
+  }
+  const data = sheet.getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) { // Skip header
+    if (data[i][0] === artifactId) {
+      sheet.getRange(i + 1, 4).setValue(previewHash);
+      sheet.getRange(i + 1, 7).setValue(JSON.stringify(overrides));
+      sheet.getRange(i + 1, 13).setValue(PREVIEW_HASH_VERSION);
+      return;
+    }
+  }
+}
 /**
  * Deletes a preview artifact
  * @param {string} artifactId - Artifact ID
@@ -300,6 +486,143 @@ function deletePreviewArtifact(artifactId) {
     }
   }
 }
+/**
+ * Retires preview artifacts hashed with an older computeHash format
+ * Their hashes can never match a recomputed preview, so ACTIVE ones are marked
+ * SUPERSEDED (Superseded_By HASH_V<version>) and staff preview again. Committed
+ * history (Integrity_Log, Spent_Pool) keeps the hashes it was written with.
+ * @return {number} Artifacts retired
+ */
+function migratePreviewArtifactHashes() {
+  const sheet = getPreviewArtifactsSheet_();
+  const data = sheet.getDataRange().getValues();
+  const retired = [];
+  for (let i = 1; i < data.length; i++) { // Skip header
+    const artifact = parsePreviewArtifactRow_(data[i]);
+    if (artifact.status === 'ACTIVE' && artifact.hashVersion !== PREVIEW_HASH_VERSION) {
+      sheet.getRange(i + 1, 11, 1, 2).setValues([['SUPERSEDED', `HASH_V${PREVIEW_HASH_VERSION}`]]);
+      retired.push(artifact);
+    }
+  }
+  if (retired.length > 0) {
+    logIntegrityAction('PREVIEW_HASH_MIGRATION', {
+      details: `Retired ${retired.length} preview(s) hashed before hash version ${PREVIEW_HASH_VERSION}: ` +
+        retired.map(a => `${a.artifactId} (${a.eventId})`).join(', '),
+      status: 'SUCCESS'
+    });
+  }
+  return retired.length;
+}
+/**
+ * Throws for a preview hashed with an older computeHash format
+ * @private
+ */
+function throwPreviewHashOutdated_() {
+  throwError('Preview was made with an older hash format', 'PREVIEW_HASH_OUTDATED', 'Regenerate preview.');
+}
+/**
+ * Gets Preview_Artifacts, creating it (hidden) or adding missing headers
+ * @return {Sheet} Preview_Artifacts sheet
+ * @private
+ */
+function getPreviewArtifactsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Preview_Artifacts');
+  if (!sheet) {
+    sheet = ss.insertSheet('Preview_Artifacts');
+    sheet.hideSheet();
+    sheet.appendRow(PREVIEW_ARTIFACT_HEADERS);
+    return sheet;
+  }
+  // Sheets created before Overrides / checksums / Status / Hash_Version have shorter headers
+  const headers = sheet.getRange(1, 1, 1, PREVIEW_ARTIFACT_HEADERS.length).getValues()[0];
+  if (headers.some((header, i) => header !== PREVIEW_ARTIFACT_HEADERS[i])) {
+    sheet.getRange(1, 1, 1, PREVIEW_ARTIFACT_HEADERS.length).setValues([PREVIEW_ARTIFACT_HEADERS]);
+  }
+  return sheet;
+}
+/**
+ * Parses a Preview_Artifacts row
+ * @param {Array} row - Row values
+ * @return {Object} Artifact (blank Status = ACTIVE)
+ * @private
+ */
+function parsePreviewArtifactRow_(row) {
+  const [artifactId, eventId, seed, previewHash, createdAt, expiresAt, overridesJson,
+    createdBy, rosterChecksum, catalogChecksum, status, supersededBy, hashVersion] = row;
+  return {
+    artifactId,
+    eventId,
+    seed,
+    previewHash,
+    createdAt,
+    expiresAt,
+    overrides: overridesJson ? JSON.parse(overridesJson) : [],
+    createdBy: createdBy || '',
+    rosterChecksum: rosterChecksum || '',
+    catalogChecksum: catalogChecksum || '',
+    status: status || 'ACTIVE',
+    supersededBy: supersededBy || '',
+    hashVersion: coerceNumber(hashVersion, 1)
+  };
+}
+/**
+ * Finds an artifact by hash (any status)
+ * @param {string} eventId - Event ID
+ * @param {string} previewHash - Preview hash
+ * @return {Object|null} Most recent matching artifact
+ * @private
+ */
+function findPreviewArtifactByHash_(eventId, previewHash) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Preview_Artifacts');
+  if (!sheet) return null;
+  const data = sheet.getDataRange().getValues();
+  for (let i = data.length - 1; i > 0; i--) { // Reverse search, skip header
+    const artifact = parsePreviewArtifactRow_(data[i]);
+    if (artifact.eventId === eventId && artifact.previewHash === previewHash) {
+      return artifact;
+    }
+  }
+  return null;
+}
+/**
+ * Gets the event tab an artifact belongs to
+ * @param {string} eventId - Artifact Event_ID (eventId or eventId + '_COMMANDER')
+ * @return {string} Event tab name
+ * @private
+ */
+function getArtifactEventTab_(eventId) {
+  return String(eventId).replace(/_COMMANDER$/, '');
+}
+/**
+ * Computes the checksums a commit is checked against
+ *
+ * roster: Rank and PreferredName of every roster row
+ * catalog: Prize_Catalog rows the event can draw from (round or end eligible,
+ * in stock, Player_Threshold met)
+ * @param {string} eventId - Event tab name
+ * @return {Object} {roster, catalog}
+ * @private
+ */
+function computePreviewChecksums_(eventId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+  const data = sheet ? sheet.getDataRange().getValues() : [[]];
+  const rankCol = data[0].indexOf('Rank') !== -1 ? data[0].indexOf('Rank') : 0;
+  const nameCol = data[0].indexOf('PreferredName') !== -1 ? data[0].indexOf('PreferredName') : 1;
+  const roster = data.slice(1)
+    .filter(row => String(row[nameCol] || '').trim() !== '')
+    .map(row => [row[rankCol], row[nameCol]]);
+  const eligible = getCatalog().filter(item =>
+    (coerceBoolean(item.Eligible_End) || coerceBoolean(item.Eligible_Rounds)) &&
+    coerceBoolean(item.InStock) &&
+    coerceNumber(item.Qty, 0) > 0 &&
+    roster.length >= coerceNumber(item.Player_Threshold, 0)
+  );
+  return {
+    roster: computeChecksum(roster),
+    catalog: computeChecksum(eligible)
+  };
+}
 // ============================================================================
 // RL BANDS
 // ============================================================================
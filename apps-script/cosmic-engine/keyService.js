@@ -25,9 +25,10 @@
  * @param {string} preferredName - Player name
  * @param {string} color - Key color: Red, Blue, Green, Yellow, Purple
  * @param {number} qty - Quantity (default: 1)
- * @return {Object} Result {before, after, added}
+ * @param {Object} options - {idempotencyKey} (optional; without one every call adds keys)
+ * @return {Object} Result {before, after, added} (a repeat returns the first result with duplicate: true)
  */
-function addKey(preferredName, color, qty = 1) {
+function addKey(preferredName, color, qty = 1, options = {}) {
   ensureKeyTrackerSchema();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName('Key_Tracker');
@@ -40,86 +41,93 @@ function addKey(preferredName, color, qty = 1) {
   if (!validColors.includes(color)) {
     throwError('Invalid key color', 'INVALID_COLOR', `Must be one of: ${validColors.join(', ')}`);
   }
-  
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-  const nameCol = headers.indexOf('PreferredName');
-  const colorCol = headers.indexOf(color);
-  
-  if (nameCol === -1 || colorCol === -1) {
-    throwError('Invalid Key_Tracker schema', 'SCHEMA_INVALID');
-  }
-  
-  let playerRow = -1;
-  let currentQty = 0;
-  
-  // Find player row
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === preferredName) {
-      playerRow = i;
-      currentQty = coerceNumber(data[i][colorCol], 0);
-      break;
+
+  let justUnlocked = false;
+  let headers = null;
+  const result = applyIdempotent_('KEY_AWARD', preferredName, options.idempotencyKey, () => {
+    const data = sheet.getDataRange().getValues();
+    headers = data[0];
+    const nameCol = headers.indexOf('PreferredName');
+    const colorCol = headers.indexOf(color);
+    
+    if (nameCol === -1 || colorCol === -1) {
+      throwError('Invalid Key_Tracker schema', 'SCHEMA_INVALID');
     }
-  }
-  
-  // Create row if player not found
-  if (playerRow === -1) {
-    const newRow = new Array(headers.length).fill(0);
-    newRow[nameCol] = preferredName;
-    newRow[colorCol] = qty;
-    newRow[headers.indexOf('LastUpdated')] = dateISO();
-    sheet.appendRow(newRow);
     
-    logIntegrityAction('KEY_AWARD', {
-      preferredName,
-      details: `Added ${qty} ${color} (new player)`,
-      status: 'SUCCESS'
-    });
+    let playerRow = -1;
+    let currentQty = 0;
     
-    // Update eligibility for new player
+    // Find player row
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][nameCol] === preferredName) {
+        playerRow = i;
+        currentQty = coerceNumber(data[i][colorCol], 0);
+        break;
+      }
+    }
+    
+    // Create row if player not found
+    if (playerRow === -1) {
+      const newRow = new Array(headers.length).fill(0);
+      newRow[nameCol] = preferredName;
+      newRow[colorCol] = qty;
+      newRow[headers.indexOf('LastUpdated')] = dateISO();
+      sheet.appendRow(newRow);
+      
+      logIntegrityAction('KEY_AWARD', {
+        preferredName,
+        details: `Added ${qty} ${color} (new player)`,
+        status: 'SUCCESS'
+      });
+      
+      // Update eligibility for new player
+      const throttle = getThrottleKV();
+      const ratioStr = throttle.Rainbow_Rate || '3:1';
+      const ratio = parseRatio(ratioStr);
+      if (ratio && ratio.den === 1) {
+        // Re-fetch data to get new row
+        const newData = sheet.getDataRange().getValues();
+        updatePlayerEligibility_(preferredName, sheet, newData[0], ratio.num);
+      }
+      
+      return {
+        before: 0,
+        after: qty,
+        added: qty
+      };
+    }
+    
+    // Update existing row
+    const newQty = currentQty + qty;
+    sheet.getRange(playerRow + 1, colorCol + 1).setValue(newQty);
+    sheet.getRange(playerRow + 1, headers.indexOf('LastUpdated') + 1).setValue(dateISO());
+
+    // Update eligibility and check if player just unlocked
     const throttle = getThrottleKV();
     const ratioStr = throttle.Rainbow_Rate || '3:1';
     const ratio = parseRatio(ratioStr);
     if (ratio && ratio.den === 1) {
-      // Re-fetch data to get new row
-      const newData = sheet.getDataRange().getValues();
-      updatePlayerEligibility_(preferredName, sheet, newData[0], ratio.num);
+      justUnlocked = updatePlayerEligibility_(preferredName, sheet, headers, ratio.num);
     }
+
+    logIntegrityAction('KEY_AWARD', {
+      preferredName,
+      details: `${color}: ${currentQty} → ${newQty} (+${qty})`,
+      status: 'SUCCESS'
+    });
     
     return {
-      before: 0,
-      after: qty,
+      before: currentQty,
+      after: newQty,
       added: qty
     };
-  }
-  
-  // Update existing row
-  const newQty = currentQty + qty;
-  sheet.getRange(playerRow + 1, colorCol + 1).setValue(newQty);
-  sheet.getRange(playerRow + 1, headers.indexOf('LastUpdated') + 1).setValue(dateISO());
+  });
 
-  // Update eligibility and check if player just unlocked
-  const throttle = getThrottleKV();
-  const ratioStr = throttle.Rainbow_Rate || '3:1';
-  const ratio = parseRatio(ratioStr);
-  if (ratio && ratio.den === 1) {
-    const justUnlocked = updatePlayerEligibility_(preferredName, sheet, headers, ratio.num);
-    if (justUnlocked) {
-      showUnlockEligiblePopup_(preferredName, sheet, headers);
-    }
+  // The popup waits for staff, so it is shown after the lock is released
+  if (justUnlocked) {
+    showUnlockEligiblePopup_(preferredName, sheet, headers);
   }
-
-  logIntegrityAction('KEY_AWARD', {
-    preferredName,
-    details: `${color}: ${currentQty} → ${newQty} (+${qty})`,
-    status: 'SUCCESS'
-  });
-  
-  return {
-    before: currentQty,
-    after: newQty,
-    added: qty
-  };
+  return result;
 }
 
 /**
@@ -0,0 +1,122 @@
+/**
+ * Notification Queue Service - Outgoing Player and Staff Notices
+ * @fileoverview Notification_Queue holds messages for whoever delivers them
+ * (front counter, Discord, email). Services enqueue; delivery marks them SENT.
+ * A Dedupe_Key keeps a scheduled job from queueing the same notice twice.
+ *
+ * Notification_Queue columns:
+ *   Notification_ID - UUID
+ *   Created_At      - When queued
+ *   Type            - What kind of notice (BP_EXPIRY_WARNING, ...)
+ *   PreferredName   - Player the notice is for or about
+ *   Message         - Text to deliver
+ *   Amount          - Amount the notice is about (optional)
+ *   Due_Date        - Date the notice refers to (optional)
+ *   Dedupe_Key      - A key already in the queue is not queued again
+ *   Status          - PENDING or SENT
+ *   Sent_At         - When delivered
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * Notification_Queue headers
+ */
+const NOTIFICATION_QUEUE_HEADERS = [
+  'Notification_ID', 'Created_At', 'Type', 'PreferredName', 'Message',
+  'Amount', 'Due_Date', 'Dedupe_Key', 'Status', 'Sent_At'
+];
+// ============================================================================
+// QUEUE API
+// ============================================================================
+/**
+ * Queues a notification (no-op if its dedupe key is already queued)
+ * @param {string} type - Notification type
+ * @param {string} preferredName - Player
+ * @param {string} message - Text to deliver
+ * @param {Object} meta - {amount, dueDate, dedupeKey} (optional)
+ * @return {Object} {queued, notificationId}
+ */
+function enqueueNotification(type, preferredName, message, meta = {}) {
+  return withScriptLock_(() => {
+    const sheet = ensureNotificationQueue_();
+    if (meta.dedupeKey) {
+      const existing = readNotificationQueue_(sheet).find(n => n.dedupeKey === meta.dedupeKey);
+      if (existing) return { queued: false, notificationId: existing.notificationId };
+    }
+    const notificationId = Utilities.getUuid();
+    sheet.appendRow([
+      notificationId, dateISO(), type, preferredName, message,
+      meta.amount === undefined ? '' : meta.amount, meta.dueDate || '', meta.dedupeKey || '', 'PENDING', ''
+    ]);
+    return { queued: true, notificationId };
+  });
+}
+/**
+ * Gets notifications waiting to be delivered, oldest first
+ * @param {string} type - Only this type (optional)
+ * @return {Array<Object>} {notificationId, createdAt, type, preferredName, message, amount, dueDate, dedupeKey, status, sentAt}
+ */
+function getPendingNotifications(type = null) {
+  return readNotificationQueue_(ensureNotificationQueue_())
+    .filter(n => n.status === 'PENDING' && (!type || n.type === type));
+}
+/**
+ * Marks a notification delivered
+ * @param {string} notificationId - Notification_ID
+ * @return {boolean} True if it was pending
+ */
+function markNotificationSent(notificationId) {
+  return withScriptLock_(() => {
+    const sheet = ensureNotificationQueue_();
+    const index = readNotificationQueue_(sheet).findIndex(n => n.notificationId === notificationId);
+    if (index === -1) {
+      throwError('Notification not found', 'NOTIFICATION_NOT_FOUND', notificationId);
+    }
+    const statusCol = NOTIFICATION_QUEUE_HEADERS.indexOf('Status') + 1;
+    const statusRange = sheet.getRange(index + 2, statusCol, 1, 2);
+    if (statusRange.getValues()[0][0] !== 'PENDING') return false;
+    statusRange.setValues([['SENT', dateISO()]]);
+    return true;
+  });
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Reads every queued notification
+ * @param {Sheet} sheet - Notification_Queue sheet
+ * @return {Array<Object>} Notifications in sheet order
+ * @private
+ */
+function readNotificationQueue_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return [];
+  return sheet.getRange(2, 1, lastRow - 1, NOTIFICATION_QUEUE_HEADERS.length).getValues().map(row => ({
+    notificationId: String(row[0]),
+    createdAt: row[1],
+    type: String(row[2]),
+    preferredName: String(row[3]),
+    message: String(row[4]),
+    amount: row[5],
+    dueDate: row[6],
+    dedupeKey: String(row[7]),
+    status: String(row[8]),
+    sentAt: row[9]
+  }));
+}
+/**
+ * Gets or creates Notification_Queue
+ * @return {Sheet} Notification_Queue sheet
+ * @private
+ */
+function ensureNotificationQueue_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Notification_Queue');
+  if (!sheet) {
+    sheet = ss.insertSheet('Notification_Queue');
+    sheet.appendRow(NOTIFICATION_QUEUE_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
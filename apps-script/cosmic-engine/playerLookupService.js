@@ -291,9 +291,10 @@ function sumKeyCount_(row, headers) {
 /**
  * Main entrypoint for Player Lookup sidebar.
  * @param {string} query - What staff typed (name, email, partial).
+ * @param {string} asOf - Optional "history at date" (YYYY-MM-DD): adds historyAtDate
  * @return {PlayerLookupProfile}
  */
-function getPlayerLookupProfile(query) {
+function getPlayerLookupProfile(query, asOf) {
   try {
     // Validate input
     if (!query || query.trim().length < 2) {
@@ -317,7 +318,7 @@ function getPlayerLookupProfile(query) {
     const canonicalName = resolveCanonicalName_(matches, trimmedQuery);
 
     // Build full profile
-    return buildPlayerProfile_(canonicalName, trimmedQuery);
+    return buildPlayerProfile_(canonicalName, trimmedQuery, asOf);
 
   } catch (e) {
     Logger.log('Error in getPlayerLookupProfile: ' + e.message);
@@ -354,6 +355,8 @@ function createErrorResponse_(query, message) {
  */
 function resolveCanonicalName_(matches, query) {
   const normalizedQuery = query.toLowerCase();
+  // preordersService.js's searchCustomers (loaded later) returns {preferredName, source} without name
+  matches = matches.map(m => Object.assign({ name: m.preferredName || '' }, m));
 
   // Exact match (case-insensitive)
   for (const match of matches) {
@@ -382,10 +385,11 @@ function resolveCanonicalName_(matches, query) {
  * Builds a complete player profile
  * @param {string} canonicalName - Resolved player name
  * @param {string} query - Original query
+ * @param {string} asOf - "History at date" (optional)
  * @return {PlayerLookupProfile}
  * @private
  */
-function buildPlayerProfile_(canonicalName, query) {
+function buildPlayerProfile_(canonicalName, query, asOf) {
   const errors = [];
 
   // Get identity info
@@ -412,6 +416,9 @@ function buildPlayerProfile_(canonicalName, query) {
   // Get flags info
   const flags = getFlagsInfo_(canonicalName, errors);
 
+  // Get balances at the requested date
+  const historyAtDate = asOf ? getHistoryAtDateInfo_(canonicalName, asOf, errors) : null;
+
   // Build summary line
   const summary = buildSummaryLine_(identity, bonusPoints, keys, storeCredit, attendance);
 
@@ -434,6 +441,7 @@ function buildPlayerProfile_(canonicalName, query) {
     missions: missions,
     leagues: [],
     flags: flags,
+    historyAtDate: historyAtDate,
 
     meta: {
       lastUpdated: dateISO(),
@@ -548,7 +556,9 @@ function getBonusPointsInfo_(name, errors) {
     lifetimeSpent: 0,
     pending: 0,
     lastEarnedFrom: 'Unknown',
-    lastUpdated: ''
+    lastUpdated: '',
+    expiringSoon: 0,
+    expiringOn: ''
   };
 
   try {
@@ -586,6 +596,16 @@ function getBonusPointsInfo_(name, errors) {
     Logger.log('BP lookup error: ' + e.message);
   }
 
+  // BP the expiry policy will take within the warning window (as of the last
+  // expiry run; capped at what the player still has)
+  try {
+    const expiring = getScheduledBPExpiry(name);
+    result.expiringSoon = Math.min(expiring.amount, result.current);
+    result.expiringOn = result.expiringSoon > 0 ? expiring.expiresOn : '';
+  } catch (e) {
+    errors.push('BP expiry lookup error: ' + e.message);
+  }
+
   return result;
 }
 
@@ -678,6 +698,24 @@ function getStoreCreditInfo_(name, errors) {
   return result;
 }
 
+/**
+ * Gets BP, keys and store credit as of a date, with the entries behind them
+ * @param {string} name - Player name
+ * @param {string} asOf - Date (YYYY-MM-DD) or timestamp
+ * @param {string[]} errors - Error array
+ * @return {Object|null} getBalanceAsOf result, or null on error
+ * @private
+ */
+function getHistoryAtDateInfo_(name, asOf, errors) {
+  try {
+    return getBalanceAsOf(name, asOf);
+  } catch (e) {
+    errors.push('History lookup error: ' + e.message);
+    Logger.log('History lookup error: ' + e.message);
+    return null;
+  }
+}
+
 /**
  * Gets preorders info
  * @param {string} name - Player name
@@ -0,0 +1,331 @@
+/**
+ * Prestige Tier Service - Configurable Tiers and Tier-Up Rewards
+ * @fileoverview Prestige points (BP overflowed past the caps) rank players
+ * into tiers defined on Prestige_Tiers:
+ *
+ *   Tier         - Tier ID (BRONZE, SILVER, ...)
+ *   Display_Name - Shown to staff and players (BP_Prestige Prestige_Milestone)
+ *   Threshold    - Prestige points needed (positive)
+ *   Reward_Type  - NONE, BP, KEYS or ITEM
+ *   Reward_Value - KEYS: key color; ITEM: Prize_Catalog code; otherwise blank
+ *   Reward_Qty   - BP amount, keys or items (default 1)
+ *
+ * Without the sheet the defaults below apply (the thresholds the old
+ * hardcoded tiers used, no rewards). createPrestigeTiersSheet() writes them
+ * out for editing. Staff edits are checked as they are made (onEdit toasts
+ * the first bad row); until the sheet is fixed the BP projections leave the
+ * tier labels on BP_Prestige as they were.
+ *
+ * Every prestige change goes through BP_Ledger OVERFLOW entries, so
+ * recordBPAward() and syncBPLedgerFromSources() hand each increase to
+ * applyPrestigeTierUps_(). A tier crossed for the first time is claimed on
+ * Prestige_Tier_Rewards (one row per player and tier, so the reward is given
+ * exactly once even if prestige later drops and climbs back), rewarded,
+ * logged as PRESTIGE_TIER_UP and queued for staff as a PRESTIGE_TIER_UP
+ * notification. A reward that failed, was out of stock or was left PENDING
+ * by a run that died is given again by retryPrestigeTierRewards() (the
+ * reward recorded on the row, not the current Prestige_Tiers).
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * Prestige_Tiers headers
+ */
+const PRESTIGE_TIER_HEADERS = ['Tier', 'Display_Name', 'Threshold', 'Reward_Type', 'Reward_Value', 'Reward_Qty'];
+/**
+ * Tiers used when Prestige_Tiers does not exist
+ */
+const PRESTIGE_TIER_DEFAULTS = [
+  ['BRONZE', 'Bronze', 1, 'NONE', '', ''],
+  ['SILVER', 'Silver', 50, 'NONE', '', ''],
+  ['GOLD', 'Gold', 100, 'NONE', '', ''],
+  ['PLATINUM', 'Platinum', 250, 'NONE', '', ''],
+  ['DIAMOND', 'Diamond', 500, 'NONE', '', '']
+];
+/**
+ * Reward types
+ */
+const PRESTIGE_REWARD_TYPES = ['NONE', 'BP', 'KEYS', 'ITEM'];
+/**
+ * Prestige_Tier_Rewards headers
+ */
+const PRESTIGE_TIER_REWARD_HEADERS = [
+  'Reward_ID', 'Awarded_At', 'PreferredName', 'Tier', 'Display_Name', 'Threshold', 'Prestige',
+  'Reward_Type', 'Reward_Value', 'Reward_Qty', 'Status', 'Notes'
+];
+/**
+ * Reward statuses retryPrestigeTierRewards picks up
+ */
+const PRESTIGE_TIER_RETRY_STATUSES = ['PENDING', 'FAILED', 'OUT_OF_STOCK'];
+/**
+ * Minutes a PENDING reward is left to the run that claimed it before a retry takes it over
+ * @private
+ */
+const PRESTIGE_TIER_PENDING_MINUTES_ = 10;
+// ============================================================================
+// TIERS
+// ============================================================================
+/**
+ * Gets the prestige tiers, lowest threshold first
+ * @return {Array<Object>} {tier, displayName, threshold, rewardType, rewardValue, rewardQty}
+ */
+function getPrestigeTiers() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Prestige_Tiers');
+  const rows = sheet && sheet.getLastRow() > 1
+    ? sheet.getDataRange().getValues().slice(1).filter(row => String(row[0] || '').trim())
+    : PRESTIGE_TIER_DEFAULTS;
+  return rows.map(row => {
+    const tier = {
+      tier: String(row[0]).trim(),
+      displayName: String(row[1] || row[0]).trim(),
+      threshold: coerceNumber(row[2], 0),
+      rewardType: String(row[3] || 'NONE').trim().toUpperCase(),
+      rewardValue: String(row[4] || '').trim(),
+      rewardQty: coerceNumber(row[5], 1)
+    };
+    if (tier.threshold <= 0) {
+      throwError(`Prestige tier ${tier.tier} needs a positive Threshold`, 'INVALID_CONFIG');
+    }
+    if (!PRESTIGE_REWARD_TYPES.includes(tier.rewardType)) {
+      throwError(`Invalid Reward_Type for prestige tier ${tier.tier}`, 'INVALID_CONFIG',
+        `Must be one of: ${PRESTIGE_REWARD_TYPES.join(', ')}`);
+    }
+    return tier;
+  }).sort((a, b) => a.threshold - b.threshold);
+}
+/**
+ * Checks Prestige_Tiers without throwing
+ * @return {Object} {valid, tiers, error}
+ */
+function validatePrestigeTiers() {
+  try {
+    return { valid: true, tiers: getPrestigeTiers(), error: '' };
+  } catch (e) {
+    return { valid: false, tiers: [], error: e.message };
+  }
+}
+/**
+ * Gets the tier a prestige total falls in
+ * @param {number} prestige - Prestige points
+ * @param {Array<Object>} tiers - From getPrestigeTiers (optional)
+ * @return {Object|null} Highest tier reached (null below the first threshold)
+ */
+function getPrestigeTier(prestige, tiers = null) {
+  const reached = (tiers || getPrestigeTiers()).filter(t => coerceNumber(prestige, 0) >= t.threshold);
+  return reached.length > 0 ? reached[reached.length - 1] : null;
+}
+/**
+ * Creates Prestige_Tiers with the default tiers (no-op if it exists)
+ * @return {Sheet} Prestige_Tiers sheet
+ */
+function createPrestigeTiersSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Prestige_Tiers');
+  if (!sheet) {
+    sheet = ss.insertSheet('Prestige_Tiers');
+    sheet.appendRow(PRESTIGE_TIER_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.getRange(2, 1, PRESTIGE_TIER_DEFAULTS.length, PRESTIGE_TIER_HEADERS.length).setValues(PRESTIGE_TIER_DEFAULTS);
+  }
+  return sheet;
+}
+/**
+ * Checks Prestige_Tiers after a staff edit (called from onEdit)
+ * Simple triggers cannot show alerts, so a bad row is reported in a toast.
+ * @param {Object} e - Edit event
+ * @private
+ */
+function handlePrestigeTiersEdit_(e) {
+  if (!e || !e.range || e.range.getSheet().getName() !== 'Prestige_Tiers') return;
+  const check = validatePrestigeTiers();
+  if (!check.valid) {
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+      `${check.error}. Tier labels on BP_Prestige are not updated until this is fixed.`, 'Prestige_Tiers', 10);
+  }
+}
+// ============================================================================
+// TIER-UPS
+// ============================================================================
+/**
+ * Rewards every tier a prestige increase crossed for the first time
+ * Call outside the script lock (rewards write to the ledger and Key_Tracker).
+ * @param {string} preferredName - Player
+ * @param {number} before - Prestige before the change
+ * @param {number} after - Prestige after the change
+ * @return {Array<Object>} {tier, displayName, status, notes} per tier reached
+ * @private
+ */
+function applyPrestigeTierUps_(preferredName, before, after) {
+  if (after <= before) return [];
+  // The award is already written; a bad Prestige_Tiers row must not fail it
+  const { valid, tiers, error } = validatePrestigeTiers();
+  if (!valid) {
+    logIntegrityAction('PRESTIGE_TIER_UP', {
+      preferredName,
+      details: `Prestige ${before} → ${after} not checked for tier-ups: ${error}`,
+      status: 'WARNING'
+    });
+    return [];
+  }
+  const crossed = tiers.filter(t => t.threshold > before && t.threshold <= after);
+  if (crossed.length === 0) return [];
+  // Claim under the lock so a concurrent award cannot reward the same tier twice
+  const claimed = withScriptLock_(() => {
+    const sheet = ensurePrestigeTierRewards_();
+    const data = sheet.getDataRange().getValues();
+    const taken = new Set(data.slice(1).map(row => row[2] + '|' + row[3]));
+    return crossed.filter(t => !taken.has(preferredName + '|' + t.tier)).map(t => {
+      sheet.appendRow([
+        Utilities.getUuid(), dateISO(), preferredName, t.tier, t.displayName, t.threshold, after,
+        t.rewardType, t.rewardValue, t.rewardType === 'NONE' ? '' : t.rewardQty, 'PENDING', ''
+      ]);
+      return Object.assign({ row: sheet.getLastRow() }, t);
+    });
+  });
+  return claimed.map(tier => {
+    const outcome = grantPrestigeTierReward_(preferredName, tier);
+    const statusCol = PRESTIGE_TIER_REWARD_HEADERS.indexOf('Status') + 1;
+    ensurePrestigeTierRewards_().getRange(tier.row, statusCol, 1, 2).setValues([[outcome.status, outcome.notes]]);
+    logIntegrityAction('PRESTIGE_TIER_UP', {
+      preferredName,
+      details: `Reached ${tier.displayName} (${tier.threshold}) at ${after} prestige | ${outcome.notes}`,
+      status: outcome.status === 'AWARDED' ? 'SUCCESS' : 'WARNING'
+    });
+    enqueueNotification('PRESTIGE_TIER_UP', preferredName,
+      `${preferredName} reached ${tier.displayName} prestige. ${outcome.notes}`,
+      { amount: after, dedupeKey: `PRESTIGE_TIER_UP:${preferredName}:${tier.tier}` });
+    return { tier: tier.tier, displayName: tier.displayName, status: outcome.status, notes: outcome.notes };
+  });
+}
+/**
+ * Gives again the tier rewards that did not go through
+ * FAILED and OUT_OF_STOCK rows are retried; PENDING rows only once they are
+ * older than PRESTIGE_TIER_PENDING_MINUTES_ (the run that claimed them died).
+ * @param {string} preferredName - Only this player (optional)
+ * @return {Array<Object>} {rewardId, preferredName, tier, displayName, status, notes} per row retried
+ */
+function retryPrestigeTierRewards(preferredName = null) {
+  // Wall-clock strings, like the dateISO() stamps in Awarded_At
+  const staleBefore = balanceClock_(new Date(Date.now() - PRESTIGE_TIER_PENDING_MINUTES_ * 60000));
+  const statusCol = PRESTIGE_TIER_REWARD_HEADERS.indexOf('Status') + 1;
+  // Claim under the lock (PENDING, Awarded_At now) so two retries cannot give the same reward
+  const claimed = withScriptLock_(() => {
+    const sheet = ensurePrestigeTierRewards_();
+    const rows = [];
+    sheet.getDataRange().getValues().forEach((row, i) => {
+      const [rewardId, awardedAt, name, tier, displayName, threshold, prestige, rewardType, rewardValue, rewardQty, status] = row;
+      if (i === 0 || (preferredName && name !== preferredName)) return;
+      if (!PRESTIGE_TIER_RETRY_STATUSES.includes(status)) return;
+      if (status === 'PENDING' && balanceClock_(awardedAt) > staleBefore) return;
+      sheet.getRange(i + 1, 2).setValue(dateISO());
+      sheet.getRange(i + 1, statusCol).setValue('PENDING');
+      rows.push({
+        row: i + 1, rewardId, preferredName: name, tier, displayName, threshold, prestige,
+        rewardType, rewardValue, rewardQty: coerceNumber(rewardQty, 1), status
+      });
+    });
+    return rows;
+  });
+  return claimed.map(reward => {
+    const outcome = grantPrestigeTierReward_(reward.preferredName, reward);
+    ensurePrestigeTierRewards_().getRange(reward.row, statusCol, 1, 2).setValues([[outcome.status, outcome.notes]]);
+    logIntegrityAction('PRESTIGE_TIER_RETRY', {
+      preferredName: reward.preferredName,
+      details: `${reward.displayName} reward (was ${reward.status}) | ${outcome.notes}`,
+      status: outcome.status === 'AWARDED' ? 'SUCCESS' : 'WARNING'
+    });
+    if (outcome.status === 'AWARDED') {
+      enqueueNotification('PRESTIGE_TIER_UP', reward.preferredName,
+        `${reward.preferredName}'s ${reward.displayName} prestige reward went through. ${outcome.notes}`,
+        { amount: reward.prestige, dedupeKey: `PRESTIGE_TIER_RETRY:${reward.rewardId}` });
+    }
+    return {
+      rewardId: reward.rewardId, preferredName: reward.preferredName, tier: reward.tier,
+      displayName: reward.displayName, status: outcome.status, notes: outcome.notes
+    };
+  });
+}
+/**
+ * Gives a tier's reward
+ * ITEM rewards take the stock and write a Spent_Pool row (Event_ID PRESTIGE_TIER).
+ * @param {string} preferredName - Player
+ * @param {Object} tier - Tier from getPrestigeTiers
+ * @return {Object} {status: AWARDED | OUT_OF_STOCK | FAILED, notes}
+ * @private
+ */
+function grantPrestigeTierReward_(preferredName, tier) {
+  const key = `PRESTIGE_TIER:${preferredName}:${tier.tier}`;
+  try {
+    if (tier.rewardType === 'BP') {
+      const result = awardBonusPoints(preferredName, tier.rewardQty, 'PRESTIGE_TIER', {
+        idempotencyKey: key,
+        note: `${tier.displayName} tier reward`
+      });
+      if (!result.success) return { status: 'FAILED', notes: result.error };
+      return { status: 'AWARDED', notes: `Reward: ${tier.rewardQty} BP` };
+    }
+    if (tier.rewardType === 'KEYS') {
+      addKey(preferredName, tier.rewardValue, tier.rewardQty, { idempotencyKey: key });
+      return { status: 'AWARDED', notes: `Reward: ${tier.rewardQty} ${tier.rewardValue} key(s)` };
+    }
+    if (tier.rewardType === 'ITEM') {
+      // Stock is read and taken under the script lock, like BP store orders and prize commits
+      return withScriptLock_(() => {
+        const item = getCatalogMap().get(tier.rewardValue);
+        if (!item) return { status: 'FAILED', notes: `Catalog item ${tier.rewardValue} not found` };
+        const qty = coerceNumber(item.Qty, 0);
+        if (qty < tier.rewardQty) {
+          return { status: 'OUT_OF_STOCK', notes: `Reward: ${tier.rewardQty} × ${tier.rewardValue} (out of stock, ${qty} left)` };
+        }
+        updateItems([{ code: tier.rewardValue, field: 'Qty', value: qty - tier.rewardQty }]);
+        writeSpentPool([{
+          eventId: 'PRESTIGE_TIER',
+          itemCode: tier.rewardValue,
+          itemName: item.Name || tier.rewardValue,
+          level: item.Level || '',
+          qty: tier.rewardQty,
+          cogs: coerceNumber(item.COGS, 0),
+          eventType: 'PRESTIGE_REWARD'
+        }], newBatchId());
+        return { status: 'AWARDED', notes: `Reward: ${tier.rewardQty} × ${item.Name || tier.rewardValue} to hand out` };
+      });
+    }
+    return { status: 'AWARDED', notes: 'No reward configured' };
+  } catch (e) {
+    return { status: 'FAILED', notes: e.message };
+  }
+}
+/**
+ * Gets the tier rewards given to a player (or everyone)
+ * @param {string} preferredName - Player (optional)
+ * @return {Array<Object>} {rewardId, awardedAt, preferredName, tier, displayName, threshold, prestige, rewardType, rewardValue, rewardQty, status, notes}
+ */
+function getPrestigeTierRewards(preferredName = null) {
+  const data = ensurePrestigeTierRewards_().getDataRange().getValues();
+  return data.slice(1)
+    .filter(row => !preferredName || row[2] === preferredName)
+    .map(row => ({
+      rewardId: row[0], awardedAt: row[1], preferredName: row[2], tier: row[3], displayName: row[4],
+      threshold: row[5], prestige: row[6], rewardType: row[7], rewardValue: row[8], rewardQty: row[9],
+      status: row[10], notes: row[11]
+    }));
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Gets or creates Prestige_Tier_Rewards
+ * @return {Sheet} Prestige_Tier_Rewards sheet
+ * @private
+ */
+function ensurePrestigeTierRewards_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Prestige_Tier_Rewards');
+  if (!sheet) {
+    sheet = ss.insertSheet('Prestige_Tier_Rewards');
+    sheet.appendRow(PRESTIGE_TIER_REWARD_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
@@ -0,0 +1,174 @@
+/**
+ * Preview Override Service - Staff Edits to Stored Previews
+ * @fileoverview Replace, remove or add single end prize allocations in a
+ * stored preview artifact without re-rolling the seed.
+ *
+ * Overrides are stored on the artifact (Preview_Artifacts.Overrides) and
+ * replayed on top of the seeded preview, so commitEndPrizes regenerates the
+ * exact edited allocation list and verifies it against the updated hash.
+ * Every override is logged to Integrity_Log (PREVIEW_OVERRIDE) with the
+ * operator, the reason and the before/after preview hashes.
+ */
+// ============================================================================
+// OVERRIDE API
+// ============================================================================
+/**
+ * Applies a staff override to the stored end prize preview
+ * @param {string} eventId - Event tab name
+ * @param {Object} override - Override
+ * @param {string} override.action - REPLACE | REMOVE | ADD
+ * @param {string} override.preferredName - Player
+ * @param {string} override.code - New item code (REPLACE, ADD)
+ * @param {string} override.fromCode - Allocated item code (REPLACE, REMOVE)
+ * @param {string} override.reason - Why (required)
+ * @return {Object} Updated preview (same shape as previewEndPrizes, plus overrides)
+ */
+function overridePreviewAllocation(eventId, override) {
+  return withEventLock(eventId, 'OVERRIDE', () => overridePreviewAllocationLocked_(eventId, override));
+}
+/**
+ * Applies a staff override (caller holds the event lock)
+ * @param {string} eventId - Event tab name
+ * @param {Object} override - Override (see overridePreviewAllocation)
+ * @return {Object} Updated preview
+ * @private
+ */
+function overridePreviewAllocationLocked_(eventId, override) {
+  const reason = String(override.reason || '').trim();
+  if (!reason) {
+    throwError('Override reason required', 'REASON_REQUIRED', 'Say why the allocation is being changed');
+  }
+  const artifact = getPreviewArtifact(eventId);
+  if (!artifact) {
+    throwError('No preview found', 'NO_PREVIEW', 'Generate a preview first');
+  }
+  // Rebuild the preview the artifact describes; refuse to edit a stale one
+  const current = applyPreviewOverrides_(previewEndPrizes(eventId, null, artifact.seed), artifact.overrides);
+  if (current.hash !== artifact.previewHash) {
+    throwError('Preview hash mismatch', 'HASH_MISMATCH', 'Preview has changed. Regenerate preview.');
+  }
+  const action = String(override.action || '').toUpperCase();
+  if (action === 'ADD' && !getRosterNames_(eventId).includes(override.preferredName)) {
+    throwError(`Player not on roster: ${override.preferredName}`, 'PLAYER_NOT_FOUND');
+  }
+  const record = {
+    action,
+    preferredName: override.preferredName,
+    code: override.code || '',
+    fromCode: override.fromCode || '',
+    reason,
+    operator: currentUser(),
+    at: dateISO()
+  };
+  const overrides = artifact.overrides.concat([record]);
+  const updated = applyPreviewOverrides_(current, [record]);
+  updated.overrides = overrides;
+  updatePreviewArtifact(artifact.artifactId, updated.hash, overrides);
+  logIntegrityAction('PREVIEW_OVERRIDE', {
+    eventId,
+    preferredName: record.preferredName,
+    seed: artifact.seed,
+    checksumBefore: current.hash,
+    checksumAfter: updated.hash,
+    rlBand: updated.rlBand,
+    details: `${action} ${[record.fromCode, record.code].filter(Boolean).join(' → ')} | Reason: ${reason} | Spend: ${formatCurrency(updated.spend)}`,
+    status: 'SUCCESS'
+  });
+  return updated;
+}
+/**
+ * Gets overrides applied to the stored preview
+ * @param {string} eventId - Event tab name
+ * @return {Array<Object>} Overrides [{action, preferredName, code, fromCode, reason, operator, at}]
+ */
+function getPreviewOverrides(eventId) {
+  const artifact = getPreviewArtifact(eventId);
+  return artifact ? artifact.overrides : [];
+}
+// ============================================================================
+// REPLAY
+// ============================================================================
+/**
+ * Replays overrides on a preview and recomputes spend, RL band and hash
+ * @param {Object} preview - Preview from previewEndPrizes
+ * @param {Array<Object>} overrides - Overrides to apply in order
+ * @return {Object} New preview (input is not modified)
+ * @private
+ */
+function applyPreviewOverrides_(preview, overrides) {
+  if (!overrides || overrides.length === 0) return preview;
+  const catalogMap = getCatalogMap();
+  const allocations = preview.allocations.map(a => Object.assign({}, a));
+  overrides.forEach(override => applyOverride_(allocations, override, catalogMap));
+  const spend = sumBy(allocations, a => coerceNumber(a.cogs, 0) * a.qty) + (preview.payoutSpend || 0);
+  const rlBand = getRLBandInfo(spend, preview.budget);
+  return Object.assign({}, preview, {
+    allocations,
+    spend,
+    hash: hashEndPreview_(preview.eventId, preview.seed, allocations, preview.payouts || []),
+    rlBand: rlBand.band,
+    rlPercent: rlBand.percent
+  });
+}
+/**
+ * Applies one override to an allocation list (in place)
+ * @param {Array<Object>} allocations - Allocations
+ * @param {Object} override - Override record
+ * @param {Map<string, Object>} catalogMap - Prize_Catalog by Code
+ * @private
+ */
+function applyOverride_(allocations, override, catalogMap) {
+  const findAllocation = () => {
+    const idx = allocations.findIndex(a =>
+      a.preferredName === override.preferredName && a.code === override.fromCode
+    );
+    if (idx === -1) {
+      throwError(`${override.preferredName} has no ${override.fromCode} in this preview`, 'ALLOCATION_NOT_FOUND');
+    }
+    return idx;
+  };
+  const toAllocation = () => {
+    const item = catalogMap.get(override.code);
+    if (!item) {
+      throwError(`Item not found: ${override.code}`, 'ITEM_NOT_FOUND', 'Use a Code from Prize_Catalog');
+    }
+    const allocated = sumBy(allocations.filter(a => a.code === override.code), a => a.qty);
+    if (!coerceBoolean(item.InStock) || coerceNumber(item.Qty, 0) <= allocated) {
+      throwError(`Out of stock: ${override.code}`, 'OUT_OF_STOCK', 'Choose another item or restock');
+    }
+    return {
+      preferredName: override.preferredName,
+      code: item.Code,
+      name: item.Name,
+      level: item.Level || 'L0',
+      qty: 1,
+      cogs: coerceNumber(item.COGS, 0)
+    };
+  };
+  if (override.action === 'REPLACE') {
+    // Remove first so swapping to the same code is not counted twice
+    const idx = findAllocation();
+    allocations.splice(idx, 1);
+    allocations.splice(idx, 0, toAllocation());
+  } else if (override.action === 'REMOVE') {
+    allocations.splice(findAllocation(), 1);
+  } else if (override.action === 'ADD') {
+    allocations.push(toAllocation());
+  } else {
+    throwError(`Unknown override action: ${override.action}`, 'OVERRIDE_INVALID', 'Use REPLACE, REMOVE or ADD');
+  }
+}
+/**
+ * Gets PreferredNames on an event roster
+ * @param {string} eventId - Event tab name
+ * @return {Array<string>} Names
+ * @private
+ */
+function getRosterNames_(eventId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(eventId);
+  if (!sheet) {
+    throwError('Event not found', 'EVENT_NOT_FOUND');
+  }
+  return sheet.getDataRange().getValues().slice(1).map(row => row[1]).filter(Boolean);
+}
@@ -0,0 +1,179 @@
+/**
+ * Prize Diversity Service - Cross-Event Repeat Avoidance
+ * @fileoverview Builds per-player prize history from past event tabs
+ * (End_Prizes / R*_Prize) and Spent_Pool so allocation can down-weight or
+ * exclude items a player received within the lookback window.
+ *
+ * Throttle parameters:
+ *   Diversity_Mode          - OFF | DOWNWEIGHT | EXCLUDE
+ *   Diversity_Lookback_Days - Window in days before the event date
+ *   Diversity_Weight        - EF weight multiplier for repeats (DOWNWEIGHT)
+ */
+// ============================================================================
+// DIVERSITY CONTEXT
+// ============================================================================
+/**
+ * Builds the diversity context for an event
+ * @param {string} eventId - Event tab name
+ * @param {Object} throttle - Throttle params
+ * @return {Object|null} {mode, weight, lookbackDays, history, skipped}, or null when OFF
+ */
+function buildDiversityContext(eventId, throttle) {
+  const mode = String(throttle.Diversity_Mode || 'OFF').toUpperCase();
+  if (mode !== 'DOWNWEIGHT' && mode !== 'EXCLUDE') {
+    return null;
+  }
+  const lookbackDays = coerceNumber(throttle.Diversity_Lookback_Days, 28);
+  return {
+    mode,
+    weight: coerceNumber(throttle.Diversity_Weight, 0.25),
+    lookbackDays,
+    history: getPlayerPrizeHistory(eventId, lookbackDays),
+    skipped: []
+  };
+}
+/**
+ * Gets prizes each player received in other events within the lookback window
+ * The window is measured back from the event's own date (not today), so a
+ * preview and its later commit see the same history.
+ * @param {string} eventId - Event tab name
+ * @param {number} lookbackDays - Window in days
+ * @return {Object} {preferredName: {code: [{eventId, daysAgo}]}}
+ */
+function getPlayerPrizeHistory(eventId, lookbackDays) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const eventDate = parseEventDate(eventId);
+  if (!eventDate) return {};
+  // Wizard rounds write item names; End_Prizes writes codes
+  const codeByName = new Map();
+  getCatalog().forEach(item => {
+    if (item.Name) codeByName.set(String(item.Name).trim(), item.Code);
+  });
+  const revertedByEvent = getRevertedSpentCodes_();
+  const history = {};
+  listEventTabs().forEach(tabName => {
+    if (tabName === eventId) return;
+    const tabDate = parseEventDate(tabName);
+    if (!tabDate) return;
+    const daysAgo = Math.round((eventDate.getTime() - tabDate.getTime()) / 86400000);
+    if (daysAgo < 0 || daysAgo > lookbackDays) return;
+    const data = ss.getSheetByName(tabName).getDataRange().getValues();
+    if (data.length <= 1) return;
+    const headers = data[0].map(h => String(h).trim());
+    const nameCol = headers.indexOf('PreferredName');
+    const prizeCols = headers
+      .map((h, i) => (h === 'End_Prizes' || /^R\d+_Prize$/.test(h) ? i : -1))
+      .filter(i => i !== -1);
+    if (nameCol === -1 || prizeCols.length === 0) return;
+    const reverted = revertedByEvent.get(tabName) || new Set();
+    for (let i = 1; i < data.length; i++) {
+      const preferredName = String(data[i][nameCol] || '').trim();
+      if (!preferredName) continue;
+      prizeCols.forEach(col => {
+        String(data[i][col] || '').split(',').map(s => s.trim()).filter(Boolean).forEach(token => {
+          const code = codeByName.get(token) || token;
+          if (reverted.has(code)) return;
+          if (!history[preferredName]) history[preferredName] = {};
+          if (!history[preferredName][code]) history[preferredName][code] = [];
+          history[preferredName][code].push({ eventId: tabName, daysAgo });
+        });
+      });
+    }
+  });
+  return history;
+}
+// ============================================================================
+// ALLOCATION HOOKS
+// ============================================================================
+/**
+ * Gets the most recent time a player received an item
+ * @param {Object} diversity - Diversity context
+ * @param {string} preferredName - Player name
+ * @param {string} code - Item code
+ * @return {Object|null} {eventId, daysAgo}
+ * @private
+ */
+function getRecentPrize_(diversity, preferredName, code) {
+  const byCode = diversity.history[preferredName];
+  if (!byCode || !byCode[code]) return null;
+  return byCode[code].reduce((best, hit) => (best === null || hit.daysAgo < best.daysAgo ? hit : best), null);
+}
+/**
+ * Applies diversity rules to a player's candidate items
+ * EXCLUDE drops repeats (the caller falls back to consolation when nothing
+ * is left); DOWNWEIGHT keeps them with a reduced EF weight.
+ * @param {Object} diversity - Diversity context (null = no-op)
+ * @param {string} preferredName - Player name
+ * @param {Array<Object>} items - Candidate catalog items
+ * @return {Object} {items, weightOf: function(item): number}
+ * @private
+ */
+function applyPrizeDiversity_(diversity, preferredName, items) {
+  if (!diversity) {
+    return { items, weightOf: null };
+  }
+  const isRepeat = item => getRecentPrize_(diversity, preferredName, item.Code) !== null;
+  if (diversity.mode === 'EXCLUDE') {
+    return { items: items.filter(item => !isRepeat(item)), weightOf: null };
+  }
+  return {
+    items,
+    weightOf: item => (isRepeat(item) ? diversity.weight : 1)
+  };
+}
+/**
+ * Records why repeat candidates were skipped (or allowed) for a player
+ * @param {Object} diversity - Diversity context (null = no-op)
+ * @param {string} preferredName - Player name
+ * @param {Array<Object>} items - Candidate catalog items
+ * @param {string|null} pickedCode - Code actually allocated
+ * @private
+ */
+function recordDiversitySkips_(diversity, preferredName, items, pickedCode) {
+  if (!diversity) return;
+  const seen = new Set();
+  items.forEach(item => {
+    if (seen.has(item.Code)) return;
+    seen.add(item.Code);
+    const recent = getRecentPrize_(diversity, preferredName, item.Code);
+    if (!recent) return;
+    let action = diversity.mode === 'EXCLUDE' ? 'EXCLUDED' : 'DOWNWEIGHTED';
+    if (item.Code === pickedCode) action = 'REPEATED';
+    diversity.skipped.push({
+      preferredName,
+      code: item.Code,
+      action,
+      reason: `Received ${item.Code} in ${recent.eventId} (${recent.daysAgo}d ago, lookback ${diversity.lookbackDays}d)`
+    });
+  });
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Gets item codes whose Spent_Pool rows for an event were all reverted
+ * @return {Map<string, Set<string>>} Event_ID → reverted codes
+ * @private
+ */
+function getRevertedSpentCodes_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Spent_Pool');
+  const result = new Map();
+  if (!sheet || sheet.getLastRow() <= 1) return result;
+  const live = new Set();
+  const reverted = [];
+  toObjects(sheet.getDataRange().getValues()).forEach(row => {
+    const key = `${row.Event_ID}|${row.Item_Code}`;
+    if (coerceBoolean(row.Reverted)) {
+      reverted.push([row.Event_ID, row.Item_Code, key]);
+    } else {
+      live.add(key);
+    }
+  });
+  reverted.forEach(([eventId, code, key]) => {
+    if (live.has(key)) return;
+    if (!result.has(eventId)) result.set(eventId, new Set());
+    result.get(eventId).add(code);
+  });
+  return result;
+}
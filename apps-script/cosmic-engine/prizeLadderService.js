@@ -0,0 +1,233 @@
+/**
+ * Prize Ladder Service - Rank → Prize Level Mapping
+ * @fileoverview Per-suffix, player-count-aware ladders read by end prize
+ * previews, the Commander wizard and Bath_Log.
+ *
+ * Prize_Ladder rows (first matching rung wins, top to bottom):
+ *   Suffix       - Event suffix (A–Z) or * for every suffix
+ *   Min_Players  - Smallest roster the row applies to (blank = 0)
+ *   Max_Players  - Largest roster the row applies to (blank = no limit)
+ *   Rank_From    - First rank on the rung: number or % of roster (blank = 1)
+ *   Rank_To      - Last rank on the rung: number or % of roster (blank = last place)
+ *   Level        - Prize level (L0–L10) or NONE
+ *   Notes        - Free text
+ *
+ * Example — Draft with 8–15 players:
+ *   D | 8 | 15 | 1 | 1 | L5
+ *   D | 8 | 15 | 2 | 2 | L4
+ *   D | 8 | 15 | 3 | 4 | L3
+ *   D | 8 | 15 | 5 |   | L0
+ */
+// ============================================================================
+// LADDER SCHEMA
+// ============================================================================
+/**
+ * Prize_Ladder headers
+ */
+const PRIZE_LADDER_HEADERS = ['Suffix', 'Min_Players', 'Max_Players', 'Rank_From', 'Rank_To', 'Level', 'Notes'];
+/**
+ * Built-in ladder (the historical Top 4 / Top 8 / everyone split)
+ */
+const PRIZE_LADDER_DEFAULTS = [
+  ['*', 0, '', 1, 4, 'L3', 'Top 4'],
+  ['*', 0, '', 5, 8, 'L2', 'Top 8'],
+  ['*', 0, '', 9, '', 'L1', 'Participation']
+];
+/**
+ * Ensures Prize_Ladder exists (seeded with the default ladder)
+ * @return {Sheet} Prize_Ladder sheet
+ */
+function ensurePrizeLadderSchema() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Prize_Ladder');
+  if (sheet && sheet.getLastRow() > 0) {
+    return sheet;
+  }
+  if (!sheet) {
+    sheet = ss.insertSheet('Prize_Ladder');
+  }
+  const rows = [PRIZE_LADDER_HEADERS, ...PRIZE_LADDER_DEFAULTS];
+  sheet.getRange(1, 1, rows.length, PRIZE_LADDER_HEADERS.length).setValues(rows);
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, PRIZE_LADDER_HEADERS.length).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+  logIntegrityAction('LADDER_CREATE', {
+    details: 'Created Prize_Ladder with default ladder',
+    status: 'SUCCESS'
+  });
+  return sheet;
+}
+// ============================================================================
+// LADDER RESOLUTION
+// ============================================================================
+/**
+ * Resolves the prize ladder for an event
+ * Suffix rows win over * rows; the built-in ladder is used when neither
+ * covers the player count (or Prize_Ladder does not exist).
+ * @param {string} eventId - Event tab name
+ * @param {number} playerCount - Number of players
+ * @return {Object} {suffix, source, minPlayers, maxPlayers, rungs, label}
+ */
+function resolvePrizeLadder(eventId, playerCount) {
+  const suffix = getSuffixFromEventId_(eventId) || '*';
+  const rows = getPrizeLadderRows_().filter(row =>
+    playerCount >= row.minPlayers &&
+    (row.maxPlayers === null || playerCount <= row.maxPlayers)
+  );
+  let matched = rows.filter(row => row.suffix === suffix);
+  let source = 'SUFFIX';
+  if (matched.length === 0) {
+    matched = rows.filter(row => row.suffix === '*');
+    source = 'DEFAULT';
+  }
+  if (matched.length === 0) {
+    matched = PRIZE_LADDER_DEFAULTS.map(parsePrizeLadderRow_);
+    source = 'BUILTIN';
+  }
+  const ladder = {
+    suffix: matched[0].suffix,
+    source,
+    minPlayers: matched[0].minPlayers,
+    maxPlayers: matched[0].maxPlayers,
+    rungs: toLadderRungs_(matched)
+  };
+  ladder.label = formatPrizeLadder_(ladder, playerCount);
+  return ladder;
+}
+/**
+ * Gets the prize level for a finishing rank
+ * @param {Object} ladder - Ladder from resolvePrizeLadder (null = built-in)
+ * @param {number} rank - Finishing rank (1 = first)
+ * @param {number} playerCount - Number of players (for % ranks)
+ * @return {string|null} Level code, or null if the rank earns no end prize
+ */
+function getLadderLevelForRank(ladder, rank, playerCount) {
+  const rungs = ladder ? ladder.rungs : toLadderRungs_(PRIZE_LADDER_DEFAULTS.map(parsePrizeLadderRow_));
+  for (const rung of rungs) {
+    const from = resolveLadderRank_(rung.from, playerCount, 1);
+    const to = resolveLadderRank_(rung.to, playerCount, playerCount);
+    if (rank >= from && rank <= to) {
+      return rung.level;
+    }
+  }
+  return null;
+}
+/**
+ * Checks Prize_Ladder without throwing
+ * @return {Object} {valid, rows, error}
+ */
+function validatePrizeLadder() {
+  try {
+    return { valid: true, rows: getPrizeLadderRows_(), error: '' };
+  } catch (e) {
+    return { valid: false, rows: [], error: e.message };
+  }
+}
+/**
+ * Checks Prize_Ladder after a staff edit (called from onEdit)
+ * Simple triggers cannot show alerts, so a bad row is reported in a toast.
+ * @param {Object} e - Edit event
+ * @private
+ */
+function handlePrizeLadderEdit_(e) {
+  if (!e || !e.range || e.range.getSheet().getName() !== 'Prize_Ladder') return;
+  const check = validatePrizeLadder();
+  if (!check.valid) {
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+      `${check.error}. End prize previews fail until this is fixed.`, 'Prize_Ladder', 10);
+  }
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Reads Prize_Ladder rows (sheet order preserved)
+ * A row with a Level other than L0–L10 or NONE fails the whole ladder, so a
+ * typo never drops a rung silently.
+ * @return {Array<Object>} Parsed rows
+ * @private
+ */
+function getPrizeLadderRows_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Prize_Ladder');
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  return toObjects(sheet.getDataRange().getValues())
+    .map((obj, index) => ({ obj, rowNumber: index + 2 }))
+    .filter(({ obj }) => String(obj.Suffix || '').trim() !== '')
+    .map(({ obj, rowNumber }) => {
+      const row = parsePrizeLadderRow_([
+        obj.Suffix, obj.Min_Players, obj.Max_Players, obj.Rank_From, obj.Rank_To, obj.Level, obj.Notes
+      ]);
+      if (row.level === undefined) {
+        throwError(`Prize_Ladder row ${rowNumber} (suffix ${row.suffix}) has an invalid Level "${obj.Level}"`,
+          'INVALID_CONFIG', 'Must be L0–L10 or NONE');
+      }
+      return row;
+    });
+}
+/**
+ * Parses a raw Prize_Ladder row
+ * @param {Array} row - [Suffix, Min, Max, From, To, Level, Notes]
+ * @return {Object} {suffix, minPlayers, maxPlayers, rankFrom, rankTo, level, notes}
+ * @private
+ */
+function parsePrizeLadderRow_(row) {
+  const rawLevel = String(row[5] || '').trim().toUpperCase();
+  let level;
+  if (rawLevel === '' || rawLevel === 'NONE') {
+    level = null;
+  } else if (/^L([0-9]|10)$/.test(rawLevel)) {
+    level = rawLevel;
+  }
+  return {
+    suffix: String(row[0]).trim().toUpperCase(),
+    minPlayers: coerceNumber(row[1], 0),
+    maxPlayers: row[2] === '' || row[2] === null || row[2] === undefined ? null : coerceNumber(row[2], 0),
+    rankFrom: row[3] === '' || row[3] === undefined ? null : row[3],
+    rankTo: row[4] === '' || row[4] === undefined ? null : row[4],
+    level,
+    notes: row[6] || ''
+  };
+}
+/**
+ * Maps parsed rows to ladder rungs
+ * @param {Array<Object>} rows - Parsed Prize_Ladder rows
+ * @return {Array<Object>} Rungs [{from, to, level}]
+ * @private
+ */
+function toLadderRungs_(rows) {
+  return rows.map(row => ({ from: row.rankFrom, to: row.rankTo, level: row.level }));
+}
+/**
+ * Converts a ladder rank (number or "25%") to an absolute rank
+ * @param {number|string|null} value - Rank cell value
+ * @param {number} playerCount - Number of players
+ * @param {number} fallback - Value used when the cell is blank
+ * @return {number} Absolute rank
+ * @private
+ */
+function resolveLadderRank_(value, playerCount, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const str = String(value).trim();
+  if (str.endsWith('%')) {
+    const pct = parseFloat(str) / 100;
+    return Math.max(1, Math.ceil(pct * playerCount));
+  }
+  return coerceNumber(str, fallback);
+}
+/**
+ * Formats a ladder for previews and logs, e.g. "D[8-15] 1:L5 2:L4 3-4:L3 5+:L0"
+ * @param {Object} ladder - Ladder
+ * @param {number} playerCount - Number of players
+ * @return {string} Label
+ * @private
+ */
+function formatPrizeLadder_(ladder, playerCount) {
+  const band = `${ladder.minPlayers}-${ladder.maxPlayers === null ? '' : ladder.maxPlayers}`;
+  const rungs = ladder.rungs.map(rung => {
+    const from = resolveLadderRank_(rung.from, playerCount, 1);
+    const to = resolveLadderRank_(rung.to, playerCount, playerCount);
+    const span = rung.to === null ? `${from}+` : (from === to ? `${from}` : `${from}-${to}`);
+    return `${span}:${rung.level || 'NONE'}`;
+  });
+  return `${ladder.suffix}[${band}] ${rungs.join(' ')}`;
+}
@@ -0,0 +1,399 @@
+/**
+ * Prize Revert Service - Full Batch Revert
+ * @fileoverview Undoes a committed prize batch: re-increments Prize_Catalog
+ * stock, restores the event cells the commit wrote, resets Commander wizard
+ * flags, reverses HYBRID BP / store credit payouts and marks the batch's
+ * Spent_Pool rows reverted.
+ *
+ * Commits journal every change to Commit_Journal (CELL / STOCK / FLAG /
+ * BP / CREDIT with before/after values), so a revert restores exactly what
+ * was written. A cell that was edited after the commit is reported as a
+ * CONFLICT and left alone. Batches committed before the journal existed
+ * fall back to Spent_Pool: stock is re-incremented by the logged Qty and the
+ * batch's codes are removed from the event's prize columns.
+ *
+ * Every revert logs REVERT to Integrity_Log with checksums of the affected
+ * state before and after. Dry-run returns the same plan without writing.
+ */
+// ============================================================================
+// REVERT API
+// ============================================================================
+/**
+ * Reverts a committed prize batch
+ * @param {string} batchId - Batch ID (Spent_Pool.Batch_ID / Commit_Journal.Batch_ID)
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - List what would change without writing (default: false)
+ * @return {Object} Plan {batchId, eventId, dryRun, legacy, stock[], cells[], flags[], payouts[], spentRows, conflicts, checksumBefore, checksumAfter}
+ */
+function revertPrizeBatch(batchId, options = {}) {
+  return withEventLock(getBatchEventId_(batchId), 'REVERT', () => revertPrizeBatchLocked_(batchId, options));
+}
+/**
+ * Reverts a committed prize batch (caller holds the event lock)
+ * @param {string} batchId - Batch ID
+ * @param {Object} options - Options (see revertPrizeBatch)
+ * @return {Object} Plan
+ * @private
+ */
+function revertPrizeBatchLocked_(batchId, options) {
+  const dryRun = coerceBoolean(options.dryRun);
+  const plan = buildRevertPlan_(batchId);
+  plan.dryRun = dryRun;
+  plan.checksumBefore = computeChecksum(readRevertScope_(plan));
+  if (dryRun) {
+    plan.checksumAfter = computeChecksum(projectRevertScope_(plan));
+    return plan;
+  }
+  applyRevertPlan_(plan);
+  plan.checksumAfter = computeChecksum(readRevertScope_(plan));
+  logIntegrityAction('REVERT', {
+    eventId: plan.eventId,
+    checksumBefore: plan.checksumBefore,
+    checksumAfter: plan.checksumAfter,
+    details: formatRevertSummary_(plan),
+    status: plan.conflicts > 0 ? 'PARTIAL' : 'SUCCESS'
+  });
+  return plan;
+}
+/**
+ * Lists what reverting a batch would change (no writes)
+ * @param {string} batchId - Batch ID
+ * @return {Object} Plan (see revertPrizeBatch)
+ */
+function previewPrizeBatchRevert(batchId) {
+  return revertPrizeBatch(batchId, { dryRun: true });
+}
+// ============================================================================
+// PLAN
+// ============================================================================
+/**
+ * Builds the revert plan for a batch from Commit_Journal and Spent_Pool
+ * @param {string} batchId - Batch ID
+ * @return {Object} Plan
+ * @private
+ */
+function buildRevertPlan_(batchId) {
+  const spent = getBatchSpentRows_(batchId);
+  const journal = getBatchJournal(batchId);
+  if (spent.length === 0 && journal.length === 0) {
+    throwError(`Batch not found: ${batchId}`, 'BATCH_NOT_FOUND', 'Check the Batch_ID in Spent_Pool');
+  }
+  const live = spent.filter(row => !row.reverted);
+  const reverted = spent.length > 0 ? live.length === 0 : journal.every(change => change.reverted);
+  if (reverted) {
+    throwError(`Batch already reverted: ${batchId}`, 'ALREADY_REVERTED');
+  }
+  const eventId = spent.length > 0 ? spent[0].eventId : journal[0].eventId;
+  const legacy = journal.length === 0;
+  const plan = {
+    batchId,
+    eventId,
+    legacy,
+    stock: [],
+    cells: [],
+    flags: [],
+    payouts: [],
+    spentRows: live.length,
+    conflicts: 0
+  };
+  const catalog = getCatalogRows_();
+  const addStock = (code, qty, source) => {
+    if (!qty) return;
+    const existing = plan.stock.find(s => s.code === code);
+    if (existing) {
+      existing.qtyAfter += qty;
+      return;
+    }
+    const item = catalog.get(code);
+    if (!item) {
+      plan.stock.push({ code, row: null, qtyBefore: null, qtyAfter: null, source, status: 'MISSING' });
+      return;
+    }
+    plan.stock.push({ code, row: item.row, qtyBefore: item.qty, qtyAfter: item.qty + qty, source, status: 'RESTOCK' });
+  };
+  if (legacy) {
+    live.forEach(row => {
+      // Wizard end commits (COGS 0) never decremented stock
+      if (!isWizardEndSpentRow_(row)) addStock(row.code, row.qty, 'SPENT_POOL');
+    });
+    plan.cells = planLegacyCellClears_(eventId, live);
+    if (live.some(isWizardEndSpentRow_)) {
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+      [CMD_FLAGS.END, CMD_FLAGS.LOCKED].forEach(flag => {
+        plan.flags.push({ flag, from: sheet ? getCommanderFlagValue_(sheet, flag) : '', to: 'false' });
+      });
+    }
+  } else {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const pending = journal.filter(change => !change.reverted);
+    pending.filter(change => change.kind === 'STOCK').forEach(change => {
+      addStock(change.target, coerceNumber(change.before, 0) - coerceNumber(change.after, 0), 'JOURNAL');
+    });
+    // Undo cells newest first so a cell written twice ends at its original value
+    pending.filter(change => change.kind === 'CELL').reverse().forEach(change => {
+      const sheet = ss.getSheetByName(change.target);
+      const current = sheet ? sheet.getRange(change.row, change.col).getValue() : '';
+      const unchanged = sheet && String(current) === String(change.after);
+      plan.cells.push({
+        sheet: change.target,
+        row: change.row,
+        col: change.col,
+        from: current,
+        to: unchanged ? change.before : current,
+        expected: change.after,
+        status: unchanged ? 'RESTORE' : 'CONFLICT'
+      });
+    });
+    const eventSheet = ss.getSheetByName(eventId);
+    pending.filter(change => change.kind === 'FLAG').reverse().forEach(change => {
+      plan.flags.push({
+        flag: change.target,
+        from: eventSheet ? getCommanderFlagValue_(eventSheet, change.target) : '',
+        // A flag that did not exist before is stored as false so the
+        // Integrity_Log fallback cannot re-derive it
+        to: change.before === '' ? 'false' : String(change.before)
+      });
+    });
+    pending.filter(change => change.kind === 'BP' || change.kind === 'CREDIT').forEach(change => {
+      const type = change.kind === 'BP' ? 'BP' : 'STORE_CREDIT';
+      plan.payouts.push({
+        type,
+        preferredName: change.target,
+        amount: coerceNumber(change.after, 0) - coerceNumber(change.before, 0),
+        balanceBefore: getHybridPayoutBalance_(type, change.target)
+      });
+    });
+  }
+  plan.conflicts = plan.cells.filter(cell => cell.status === 'CONFLICT').length;
+  return plan;
+}
+/**
+ * Plans prize column clears for a batch committed before the journal existed
+ * Removes one token (code or item name) per unit from the event's End_Prizes
+ * and R*_Prize cells.
+ * @param {string} eventId - Event tab name
+ * @param {Array<Object>} spentRows - Live Spent_Pool rows of the batch
+ * @return {Array<Object>} Cell changes
+ * @private
+ */
+function planLegacyCellClears_(eventId, spentRows) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+  if (!sheet) return [];
+  const data = sheet.getDataRange().getValues();
+  const prizeCols = data[0]
+    .map((h, i) => (String(h).trim() === 'End_Prizes' || /^R\d+_Prize$/.test(String(h).trim()) ? i : -1))
+    .filter(i => i !== -1);
+  const working = new Map();
+  const tokensAt = (r, c) => {
+    const key = `${r}|${c}`;
+    if (!working.has(key)) {
+      working.set(key, String(data[r][c] || '').split(',').map(s => s.trim()).filter(Boolean));
+    }
+    return working.get(key);
+  };
+  spentRows.forEach(row => {
+    for (let unit = 0; unit < row.qty; unit++) {
+      let removed = false;
+      for (let r = 1; r < data.length && !removed; r++) {
+        for (const c of prizeCols) {
+          const tokens = tokensAt(r, c);
+          const idx = tokens.findIndex(t => t === row.code || t === row.name);
+          if (idx !== -1) {
+            tokens.splice(idx, 1);
+            removed = true;
+            break;
+          }
+        }
+      }
+    }
+  });
+  const cells = [];
+  working.forEach((tokens, key) => {
+    const [r, c] = key.split('|').map(Number);
+    const to = tokens.join(', ');
+    if (to !== String(data[r][c] || '')) {
+      cells.push({ sheet: eventId, row: r + 1, col: c + 1, from: data[r][c], to, expected: data[r][c], status: 'CLEAR' });
+    }
+  });
+  return cells;
+}
+// ============================================================================
+// APPLY
+// ============================================================================
+/**
+ * Writes a revert plan to the workbook
+ * @param {Object} plan - Plan from buildRevertPlan_
+ * @private
+ */
+function applyRevertPlan_(plan) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const catalogSheet = ss.getSheetByName('Prize_Catalog');
+  if (catalogSheet) {
+    const headers = catalogSheet.getRange(1, 1, 1, catalogSheet.getLastColumn()).getValues()[0];
+    const qtyCol = headers.indexOf('Qty');
+    const inStockCol = headers.indexOf('InStock');
+    plan.stock.filter(s => s.status === 'RESTOCK').forEach(s => {
+      catalogSheet.getRange(s.row, qtyCol + 1).setValue(s.qtyAfter);
+      if (inStockCol !== -1) {
+        catalogSheet.getRange(s.row, inStockCol + 1).setValue(s.qtyAfter > 0);
+      }
+    });
+  }
+  plan.cells.filter(cell => cell.status !== 'CONFLICT').forEach(cell => {
+    ss.getSheetByName(cell.sheet).getRange(cell.row, cell.col).setValue(cell.to);
+  });
+  const eventSheet = ss.getSheetByName(plan.eventId);
+  if (eventSheet) {
+    plan.flags.forEach(f => setCommanderFlag_(eventSheet, f.flag, f.to));
+  }
+  plan.payouts.filter(p => p.amount > 0).forEach(p => reverseHybridPayout_(p, plan.batchId));
+  markSpentPoolReverted_(plan.batchId);
+  markJournalReverted_(plan.batchId);
+}
+/**
+ * Flags a batch's Commit_Journal rows as reverted
+ * @param {string} batchId - Batch ID
+ * @private
+ */
+function markJournalReverted_(batchId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Commit_Journal');
+  if (!sheet) return;
+  getBatchJournal(batchId).filter(change => !change.reverted).forEach(change => {
+    sheet.getRange(change.journalRow, 10).setValue(true); // Reverted column
+  });
+}
+// ============================================================================
+// CHECKSUM SCOPE
+// ============================================================================
+/**
+ * Reads the current values of everything a plan touches
+ * @param {Object} plan - Revert plan
+ * @return {Array} Scope values [stock, cells, flags]
+ * @private
+ */
+function readRevertScope_(plan) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const catalog = getCatalogRows_();
+  const eventSheet = ss.getSheetByName(plan.eventId);
+  return [
+    plan.stock.map(s => {
+      const item = catalog.get(s.code);
+      return [s.code, item ? item.qty : null];
+    }),
+    plan.cells.map(cell => {
+      const sheet = ss.getSheetByName(cell.sheet);
+      return [cell.sheet, cell.row, cell.col, sheet ? String(sheet.getRange(cell.row, cell.col).getValue()) : ''];
+    }),
+    plan.flags.map(f => [f.flag, eventSheet ? getCommanderFlagValue_(eventSheet, f.flag) : '']),
+    plan.payouts.map(p => [p.type, p.preferredName, getHybridPayoutBalance_(p.type, p.preferredName)])
+  ];
+}
+/**
+ * Projects the values a plan would leave behind (for dry runs)
+ * @param {Object} plan - Revert plan
+ * @return {Array} Scope values [stock, cells, flags]
+ * @private
+ */
+function projectRevertScope_(plan) {
+  return [
+    plan.stock.map(s => [s.code, s.qtyAfter]),
+    plan.cells.map(cell => [cell.sheet, cell.row, cell.col, String(cell.to)]),
+    plan.flags.map(f => [f.flag, String(f.to)]),
+    plan.payouts.map(p => [
+      p.type,
+      p.preferredName,
+      p.type === 'BP' ? Math.max(0, p.balanceBefore - p.amount) : p.balanceBefore - p.amount
+    ])
+  ];
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Gets a batch's Spent_Pool rows
+ * @param {string} batchId - Batch ID
+ * @return {Array<Object>} Rows [{eventId, code, name, qty, cogs, eventType, reverted, throttleVersion, throttleProfile}]
+ * @private
+ */
+function getBatchSpentRows_(batchId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Spent_Pool');
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  return toObjects(sheet.getDataRange().getValues())
+    .filter(row => row.Batch_ID === batchId)
+    .map(row => ({
+      eventId: row.Event_ID,
+      code: row.Item_Code,
+      name: row.Item_Name,
+      qty: coerceNumber(row.Qty, 0),
+      cogs: coerceNumber(row.COGS, 0),
+      eventType: row.Event_Type,
+      reverted: coerceBoolean(row.Reverted),
+      throttleVersion: coerceNumber(row.Throttle_Version, 0),
+      throttleProfile: String(row.Throttle_Profile || '')
+    }));
+}
+/**
+ * Gets the event a batch was committed for
+ * @param {string} batchId - Batch ID
+ * @return {string} Event ID
+ * @private
+ */
+function getBatchEventId_(batchId) {
+  const spent = getBatchSpentRows_(batchId);
+  if (spent.length > 0) return spent[0].eventId;
+  const journal = getBatchJournal(batchId);
+  if (journal.length > 0) return journal[0].eventId;
+  throwError(`Batch not found: ${batchId}`, 'BATCH_NOT_FOUND', 'Check the Batch_ID in Spent_Pool');
+}
+/**
+ * Checks whether a Spent_Pool row came from the Commander wizard end commit
+ * @param {Object} row - Row from getBatchSpentRows_
+ * @return {boolean} True for wizard end rows
+ * @private
+ */
+function isWizardEndSpentRow_(row) {
+  return row.eventType === 'COMMANDER' && row.cogs === 0;
+}
+/**
+ * Gets Prize_Catalog rows by code
+ * @return {Map<string, Object>} Code → {row, qty}
+ * @private
+ */
+function getCatalogRows_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Prize_Catalog');
+  const result = new Map();
+  if (!sheet || sheet.getLastRow() <= 1) return result;
+  const data = sheet.getDataRange().getValues();
+  const codeCol = data[0].indexOf('Code');
+  const qtyCol = data[0].indexOf('Qty');
+  if (codeCol === -1 || qtyCol === -1) return result;
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][codeCol]) {
+      result.set(data[i][codeCol], { row: i + 1, qty: coerceNumber(data[i][qtyCol], 0) });
+    }
+  }
+  return result;
+}
+/**
+ * Formats a revert plan for Integrity_Log
+ * @param {Object} plan - Revert plan
+ * @return {string} Summary
+ * @private
+ */
+function formatRevertSummary_(plan) {
+  const stock = plan.stock
+    .filter(s => s.status === 'RESTOCK')
+    .map(s => `${s.code} +${s.qtyAfter - s.qtyBefore}`)
+    .join(', ');
+  const restored = plan.cells.length - plan.conflicts;
+  const flags = plan.flags.map(f => `${f.flag}=${f.to}`).join(', ');
+  const payouts = plan.payouts.map(p => `${p.preferredName} -${p.type === 'BP' ? `${p.amount} BP` : formatCurrency(p.amount)}`).join(', ');
+  return [
+    `Batch ${plan.batchId}${plan.legacy ? ' (legacy)' : ''}`,
+    `Spent_Pool: ${plan.spentRows}`,
+    `Stock: ${stock || 'none'}`,
+    `Cells: ${restored}${plan.conflicts ? ` (${plan.conflicts} conflicts skipped)` : ''}`,
+    `Flags: ${flags || 'none'}`,
+    `Payouts: ${payouts || 'none'}`
+  ].join(' | ');
+}
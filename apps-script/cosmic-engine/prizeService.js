@@ -8,9 +8,9 @@
 /**
  * Previews end prizes for an event
  * @param {string} eventId - Event tab name
- * @param {Object} throttle - Throttle parameters (optional, will fetch if not provided)
+ * @param {Object} throttle - Throttle parameters (optional, resolves the event's throttle profile if not provided)
  * @param {string} seed - Seed (optional, will use event seed if not provided)
- * @return {Object} Preview object {allocations, spend, hash, rlBand}
+ * @return {Object} Preview object {allocations, payouts, spend, hash, rlBand, ladder, profile, diversity, draw, trim}
  */
 function previewEndPrizes(eventId, throttle = null, seed = null) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -31,66 +31,132 @@ function previewEndPrizes(eventId, throttle = null, seed = null) {
   if (players.length === 0) {
     throwError('No players in roster', 'NO_PLAYERS');
   }
-  // Get throttle params
+  // Get throttle params (event's throttle profile unless given)
+  const profile = throttle ? null : resolveThrottleProfile(eventId, eventProps);
   if (!throttle) {
-    throttle = getThrottleKV();
+    throttle = profile.throttle;
   }
   // Get or use seed
   const useSeed = seed || eventProps.event_seed || generateSeed();
   // Compute budget
-  const budgetInfo = derivedBudgetForEvent(eventProps, players.length);
+  const budgetInfo = derivedBudgetForEvent(eventProps, players.length, throttle);
   const budget = budgetInfo.budget;
+  // HYBRID: the payout half (BP / store credit) comes off the product budget
+  const productBudget = budgetInfo.product_budget;
+  const payouts = allocateHybridPayouts_(players, budgetInfo.payout_budget, throttle);
+  const payoutSpend = sumBy(payouts, p => p.amount);
   // Get catalog
-  const catalog = getCatalog();
-  const eligibleItems = catalog.filter(item =>
-    coerceBoolean(item.Eligible_End) &&
-    coerceBoolean(item.InStock) &&
-    coerceNumber(item.Qty, 0) > 0 &&
-    players.length >= coerceNumber(item.Player_Threshold, 0)
-  );
+  const eligibleItems = getEligibleEndItems_(getCatalog(), players.length);
   if (eligibleItems.length === 0) {
     throwError('No eligible prizes in catalog', 'NO_PRIZES');
   }
+  // Resolve rank → level ladder (Prize_Ladder)
+  const ladder = resolvePrizeLadder(eventId, players.length);
+  // Cross-event repeat avoidance (Diversity_Mode)
+  const diversity = buildDiversityContext(eventId, throttle);
   // Allocate prizes deterministically
-  const allocations = allocatePrizes_(players, eligibleItems, budget, throttle, useSeed);
+  const seeded = allocatePrizes_(players, eligibleItems, productBudget, throttle, useSeed, ladder, diversity);
+  // Auto-trim RED previews to Auto_Trim_Target (lowest ranks first)
+  const trim = autoTrimEndPrizes_(eventId, useSeed, seeded, players, eligibleItems, productBudget, diversity, payouts);
+  const allocations = trim.allocations;
   // Compute spend
-  const spend = sumBy(allocations, a => coerceNumber(a.cogs, 0) * a.qty);
+  const spend = sumBy(allocations, a => coerceNumber(a.cogs, 0) * a.qty) + payoutSpend;
   // Compute hash
-  const previewObj = {
-    eventId,
-    seed: useSeed,
-    allocations: allocations.map(a => ({
-      preferredName: a.preferredName,
-      code: a.code,
-      qty: a.qty
-    }))
-  };
-  const hash = computeHash(previewObj);
+  const hash = hashEndPreview_(eventId, useSeed, allocations, payouts);
   // RL band
   const rlBand = getRLBandInfo(spend, budget);
   return {
     eventId,
     seed: useSeed,
     allocations,
+    payouts,
     spend,
     budget,
+    productBudget,
+    payoutSpend,
     hash,
     rlBand: rlBand.band,
     rlPercent: rlBand.percent,
-    players: players.length
+    players: players.length,
+    ladder: ladder.label,
+    profile: profile ? describeThrottleProfile(profile) : null,
+    mode: getAllocationMode_(throttle),
+    diversity: diversity ? diversity.skipped : [],
+    // allocatePrizes_ inputs and output (recorded for seed verification, see seedCommitmentService.js)
+    draw: { players, eligibleItems, budget: productBudget, throttle, ladder, diversity, allocations: seeded },
+    trim: {
+      applied: trim.applied,
+      target: trim.target,
+      untrimmedSpend: trim.untrimmedSpend + payoutSpend,
+      untrimmedHash: trim.untrimmedHash,
+      trimAmount: trim.untrimmedSpend + payoutSpend - spend,
+      steps: trim.steps
+    }
+  };
+}
+/**
+ * Filters the catalog to items that can be given as end prizes
+ * @param {Array<Object>} catalog - Prize_Catalog rows
+ * @param {number} playerCount - Number of players (for Player_Threshold)
+ * @return {Array<Object>} Eligible items
+ * @private
+ */
+function getEligibleEndItems_(catalog, playerCount) {
+  return catalog.filter(item =>
+    coerceBoolean(item.Eligible_End) &&
+    coerceBoolean(item.InStock) &&
+    coerceNumber(item.Qty, 0) > 0 &&
+    playerCount >= coerceNumber(item.Player_Threshold, 0)
+  );
+}
+/**
+ * Computes the end prize preview hash
+ * @param {string} eventId - Event tab name
+ * @param {string} seed - Seed
+ * @param {Array<Object>} allocations - Allocations
+ * @param {Array<Object>} payouts - HYBRID payouts (optional)
+ * @return {string} Preview hash
+ * @private
+ */
+function hashEndPreview_(eventId, seed, allocations, payouts = []) {
+  const payload = {
+    eventId,
+    seed,
+    allocations: allocations.map(a => ({
+      preferredName: a.preferredName,
+      code: a.code,
+      qty: a.qty
+    }))
   };
+  // Only HYBRID previews carry payouts, so other hashes are unchanged
+  if (payouts.length > 0) {
+    payload.payouts = payouts.map(p => ({
+      preferredName: p.preferredName,
+      type: p.type,
+      amount: p.amount,
+      bp: p.bp
+    }));
+  }
+  return computeHash(payload);
 }
 /**
  * Allocates prizes deterministically
+ * Allocation_Mode OPTIMAL uses the budget solver; GREEDY (default) walks
+ * ranks once and skips anyone whose pick no longer fits.
  * @param {Array<Object>} players - Player list
  * @param {Array<Object>} eligibleItems - Eligible catalog items
  * @param {number} budget - Budget in COGS
  * @param {Object} throttle - Throttle params
  * @param {string} seed - Seed
+ * @param {Object} ladder - Prize ladder from resolvePrizeLadder (optional, built-in if omitted)
+ * @param {Object} diversity - Context from buildDiversityContext (optional, skip reasons are appended)
  * @return {Array<Object>} Allocations [{preferredName, code, name, level, qty, cogs}]
  * @private
  */
-function allocatePrizes_(players, eligibleItems, budget, throttle, seed) {
+function allocatePrizes_(players, eligibleItems, budget, throttle, seed, ladder = null, diversity = null) {
+  if (getAllocationMode_(throttle) === 'OPTIMAL') {
+    return solveBudgetAllocation_(players, eligibleItems, budget, seed, ladder, diversity);
+  }
   const rng = createSeededRandom(seed);
   const allocations = [];
   const efMin = parseFloat(throttle.EF_Clamp_Min || 0.80);
@@ -106,29 +172,30 @@ function allocatePrizes_(players, eligibleItems, budget, throttle, seed) {
   const itemsByLevel = groupBy(eligibleItems, item => item.Level || 'L0');
   // Allocate to each player
   players.forEach(player => {
-    // Determine target level based on rank (simplified logic)
-    let targetLevel = 'L1';
-    if (player.rank <= 4) {
-      targetLevel = 'L3'; // Top 4
-    } else if (player.rank <= 8) {
-      targetLevel = 'L2'; // Top 8
-    }
+    // Determine target level based on rank (Prize_Ladder)
+    let targetLevel = getLadderLevelForRank(ladder, player.rank, players.length);
+    if (!targetLevel) return; // Rank earns no end prize
     // Get available items at target level
     let levelItems = itemsByLevel.get(targetLevel) || [];
     levelItems = levelItems.filter(item => itemStock.get(item.Code) > 0);
-    if (levelItems.length === 0) {
+    // Drop or down-weight recent repeats (Diversity_Mode)
+    let candidates = applyPrizeDiversity_(diversity, player.preferredName, levelItems);
+    const considered = levelItems.slice();
+    if (candidates.items.length === 0) {
       // Fall back to consolation (L1 or L0)
       const useL1 = rng() < consolationRatio;
       targetLevel = useL1 ? 'L1' : 'L0';
       levelItems = (itemsByLevel.get(targetLevel) || []).filter(item => itemStock.get(item.Code) > 0);
+      candidates = applyPrizeDiversity_(diversity, player.preferredName, levelItems);
+      considered.push(...levelItems);
     }
-    if (levelItems.length === 0) return; // No items available
     // Select item using EF clamp (weighted by EV_Cost)
-    const item = selectItemWithEF_(levelItems, efMin, efMax, rng);
-    if (!item) return;
-    const itemCOGS = coerceNumber(item.COGS, 0);
+    const item = selectItemWithEF_(candidates.items, efMin, efMax, rng, candidates.weightOf);
+    const itemCOGS = item ? coerceNumber(item.COGS, 0) : 0;
     // Check budget and stock
-    if (itemCOGS <= remainingBudget && itemStock.get(item.Code) > 0) {
+    const fits = item !== null && itemCOGS <= remainingBudget && itemStock.get(item.Code) > 0;
+    recordDiversitySkips_(diversity, player.preferredName, considered, fits ? item.Code : null);
+    if (fits) {
       allocations.push({
         preferredName: player.preferredName,
         code: item.Code,
@@ -149,15 +216,16 @@ function allocatePrizes_(players, eligibleItems, budget, throttle, seed) {
  * @param {number} efMin - EF min
  * @param {number} efMax - EF max
  * @param {Function} rng - RNG function
+ * @param {Function} weightOf - Extra weight multiplier per item (optional)
  * @return {Object|null} Selected item
  * @private
  */
-function selectItemWithEF_(items, efMin, efMax, rng) {
+function selectItemWithEF_(items, efMin, efMax, rng, weightOf = null) {
   if (items.length === 0) return null;
   // Weight by EV_Cost (clamped)
   const weights = items.map(item => {
     const ev = coerceNumber(item.EV_Cost, 1);
-    return clamp(ev, efMin, efMax);
+    return clamp(ev, efMin, efMax) * (weightOf ? weightOf(item) : 1);
   });
   const totalWeight = weights.reduce((sum, w) => sum + w, 0);
   let roll = rng() * totalWeight;
@@ -170,39 +238,329 @@ function selectItemWithEF_(items, efMin, efMax, rng) {
   return items[items.length - 1]; // Fallback
 }
 // ============================================================================
+// END PRIZES - BUDGET SOLVER
+// ============================================================================
+/**
+ * Gets the allocation mode from throttle params
+ * @param {Object} throttle - Throttle params
+ * @return {string} GREEDY or OPTIMAL
+ * @private
+ */
+function getAllocationMode_(throttle) {
+  const mode = String((throttle && throttle.Allocation_Mode) || 'GREEDY').toUpperCase();
+  return mode === 'OPTIMAL' ? 'OPTIMAL' : 'GREEDY';
+}
+/**
+ * Allocates prizes to fill the budget as closely as possible
+ *
+ * Guarantees:
+ *   - Stock: never allocates more units than Qty
+ *   - Ladder: a player only gets items at or below their ladder level
+ *   - Determinism: equal-COGS ties are ordered by the seeded RNG
+ *   - Diversity: recent repeats are only used when nothing fresh fits
+ *     (never under Diversity_Mode EXCLUDE)
+ *
+ * Rank order is kept where those allow it, not guaranteed: a player gets no
+ * more COGS than anyone ranked above unless nothing at or under that price
+ * is left for them (out of stock, above their ladder level, or an EXCLUDE
+ * repeat). Such a pricier fallback is swapped up to the higher rank when both
+ * players may hold both items without a new repeat; otherwise the lower rank
+ * keeps it.
+ *
+ * Pass 1 gives every ranked player (top down) the cheapest eligible item
+ * until the budget runs out. Later passes step each player (top down) up to
+ * the next-cheapest item that still fits the remaining budget and does not
+ * exceed the player above, until no player can move.
+ *
+ * @param {Array<Object>} players - Player list
+ * @param {Array<Object>} eligibleItems - Eligible catalog items
+ * @param {number} budget - Budget in COGS
+ * @param {string} seed - Seed
+ * @param {Object} ladder - Prize ladder (optional, built-in if omitted)
+ * @param {Object} diversity - Diversity context (optional)
+ * @return {Array<Object>} Allocations [{preferredName, code, name, level, qty, cogs}]
+ * @private
+ */
+function solveBudgetAllocation_(players, eligibleItems, budget, seed, ladder = null, diversity = null) {
+  const rng = createSeededRandom(seed);
+  const itemStock = new Map();
+  eligibleItems.forEach(item => {
+    itemStock.set(item.Code, coerceNumber(item.Qty, 0));
+  });
+  // Cheapest first, seeded tie-break
+  const items = eligibleItems
+    .map(item => ({
+      item,
+      cogs: coerceNumber(item.COGS, 0),
+      levelNum: parseInt(String(item.Level || 'L0').substring(1), 10) || 0,
+      tie: rng()
+    }))
+    .sort((a, b) => a.cogs - b.cogs || a.tie - b.tie);
+  const slots = players
+    .slice()
+    .sort((a, b) => a.rank - b.rank)
+    .map(player => {
+      const level = getLadderLevelForRank(ladder, player.rank, players.length);
+      return {
+        player,
+        maxLevel: level ? parseInt(level.substring(1), 10) : null,
+        pick: null
+      };
+    })
+    .filter(slot => slot.maxLevel !== null);
+  const isRepeat = (slot, entry) =>
+    diversity !== null && getRecentPrize_(diversity, slot.player.preferredName, entry.item.Code) !== null;
+  const canUse = (slot, entry) =>
+    entry.levelNum <= slot.maxLevel && itemStock.get(entry.item.Code) > 0;
+  // Fresh items first; repeats only as a fallback outside EXCLUDE
+  const findFor = (slot, test) => {
+    const fresh = items.find(e => test(e) && canUse(slot, e) && !isRepeat(slot, e));
+    if (fresh || !diversity || diversity.mode === 'EXCLUDE') return fresh;
+    return items.find(e => test(e) && canUse(slot, e));
+  };
+  let remainingBudget = budget;
+  // Pass 1: cheapest eligible item per player, top rank first; once the
+  // cheapest item runs out, the cheapest one still in stock
+  let cap = Infinity;
+  for (const slot of slots) {
+    const entry = findFor(slot, e => e.cogs <= cap) || findFor(slot, () => true);
+    if (!entry || entry.cogs > remainingBudget + 1e-9) break;
+    slot.pick = entry;
+    remainingBudget -= entry.cogs;
+    itemStock.set(entry.item.Code, itemStock.get(entry.item.Code) - 1);
+    cap = entry.cogs;
+  }
+  // A fallback pick can cost more than the rank above it: swap so higher ranks hold the pricier items
+  const picked = slots.filter(slot => slot.pick);
+  picked.forEach((upper, i) => {
+    picked.slice(i + 1).forEach(lower => {
+      const a = upper.pick;
+      const b = lower.pick;
+      if (b.cogs > a.cogs && b.levelNum <= upper.maxLevel && a.levelNum <= lower.maxLevel &&
+        !isRepeat(upper, b) && !isRepeat(lower, a)) {
+        upper.pick = b;
+        lower.pick = a;
+      }
+    });
+  });
+  // Upgrade passes: smallest step up that fits, top rank first
+  let moved = true;
+  while (moved) {
+    moved = false;
+    cap = Infinity;
+    for (const slot of slots) {
+      if (!slot.pick) break;
+      const current = slot.pick;
+      const next = findFor(slot, e =>
+        e.cogs > current.cogs &&
+        e.cogs <= cap &&
+        e.cogs - current.cogs <= remainingBudget + 1e-9
+      );
+      if (next) {
+        itemStock.set(current.item.Code, itemStock.get(current.item.Code) + 1);
+        itemStock.set(next.item.Code, itemStock.get(next.item.Code) - 1);
+        remainingBudget -= next.cogs - current.cogs;
+        slot.pick = next;
+        moved = true;
+      }
+      cap = slot.pick.cogs;
+    }
+  }
+  slots.forEach(slot => {
+    const candidates = items.filter(e => e.levelNum <= slot.maxLevel).map(e => e.item);
+    recordDiversitySkips_(diversity, slot.player.preferredName, candidates, slot.pick ? slot.pick.item.Code : null);
+  });
+  return slots
+    .filter(slot => slot.pick)
+    .map(slot => ({
+      preferredName: slot.player.preferredName,
+      code: slot.pick.item.Code,
+      name: slot.pick.item.Name,
+      level: slot.pick.item.Level || 'L0',
+      qty: 1,
+      cogs: slot.pick.cogs
+    }));
+}
+// ============================================================================
+// END PRIZES - AUTO-TRIM
+// ============================================================================
+/**
+ * Gets auto-trim and Bath_Log settings (PrizeThrottleService named ranges)
+ * @return {Object} {enabled, target, bathLogging}
+ * @private
+ */
+function getAutoTrimSettings_() {
+  try {
+    const throttle = new PrizeThrottleService();
+    return {
+      enabled: throttle.isAutoTrimEnabled(),
+      target: throttle.getAutoTrimTarget(),
+      bathLogging: throttle.isBathLoggingEnabled()
+    };
+  } catch (e) {
+    // No Prize_Throttle sheet: nothing to read, nothing to log to
+    return { enabled: false, target: 0.90, bathLogging: false };
+  }
+}
+/**
+ * Trims a RED end prize allocation to Auto_Trim_Target × budget
+ * The lowest-ranked player is stepped down one item at a time (next cheaper
+ * in-stock item at or below their level) until the target is met or they
+ * hold the cheapest item, then the next rank up. Prizes are only dropped,
+ * lowest rank first, when every player is already at the cheapest item.
+ * @param {string} eventId - Event tab name
+ * @param {string} seed - Seed
+ * @param {Array<Object>} allocations - Seeded allocations
+ * @param {Array<Object>} players - Player list (with rank)
+ * @param {Array<Object>} eligibleItems - Eligible catalog items
+ * @param {number} budget - Budget in COGS
+ * @param {Object} diversity - Diversity context (EXCLUDE repeats are never trimmed into)
+ * @param {Array<Object>} payouts - HYBRID payouts (hashed, never trimmed)
+ * @return {Object} {allocations, applied, target, untrimmedSpend, untrimmedHash, steps}
+ * @private
+ */
+function autoTrimEndPrizes_(eventId, seed, allocations, players, eligibleItems, budget, diversity, payouts = []) {
+  const untrimmedSpend = sumBy(allocations, a => coerceNumber(a.cogs, 0) * a.qty);
+  const settings = getAutoTrimSettings_();
+  const result = {
+    allocations,
+    applied: false,
+    target: settings.target,
+    untrimmedSpend,
+    untrimmedHash: hashEndPreview_(eventId, seed, allocations, payouts),
+    steps: []
+  };
+  if (!settings.enabled || getRLBandInfo(untrimmedSpend, budget).band !== 'RED') {
+    return result;
+  }
+  const targetSpend = budget * settings.target;
+  const rankOf = new Map(players.map(p => [p.preferredName, p.rank]));
+  const levelNum = level => parseInt(String(level || 'L0').substring(1), 10) || 0;
+  const itemStock = new Map(eligibleItems.map(item => [item.Code, coerceNumber(item.Qty, 0)]));
+  allocations.forEach(a => itemStock.set(a.code, (itemStock.get(a.code) || 0) - a.qty));
+  // Cheapest last, so the next step down is the first cheaper entry
+  const ladder = eligibleItems
+    .map((item, idx) => ({ item, cogs: coerceNumber(item.COGS, 0), idx }))
+    .sort((a, b) => b.cogs - a.cogs || a.idx - b.idx);
+  const trimmed = allocations.map(a => Object.assign({}, a));
+  const order = trimmed
+    .map((a, idx) => idx)
+    .sort((a, b) => (rankOf.get(trimmed[b].preferredName) || 0) - (rankOf.get(trimmed[a].preferredName) || 0));
+  let spend = untrimmedSpend;
+  const stepDown = alloc => ladder.find(e =>
+    e.cogs < alloc.cogs &&
+    levelNum(e.item.Level) <= levelNum(alloc.level) &&
+    itemStock.get(e.item.Code) > 0 &&
+    !(diversity && diversity.mode === 'EXCLUDE' && getRecentPrize_(diversity, alloc.preferredName, e.item.Code))
+  );
+  for (const idx of order) {
+    const alloc = trimmed[idx];
+    let next = spend > targetSpend + 1e-9 ? stepDown(alloc) : null;
+    while (next) {
+      result.steps.push({ preferredName: alloc.preferredName, rank: rankOf.get(alloc.preferredName), fromCode: alloc.code, toCode: next.item.Code });
+      itemStock.set(alloc.code, itemStock.get(alloc.code) + alloc.qty);
+      itemStock.set(next.item.Code, itemStock.get(next.item.Code) - alloc.qty);
+      spend -= (alloc.cogs - next.cogs) * alloc.qty;
+      Object.assign(alloc, { code: next.item.Code, name: next.item.Name, level: next.item.Level || 'L0', cogs: next.cogs });
+      next = spend > targetSpend + 1e-9 ? stepDown(alloc) : null;
+    }
+  }
+  const dropped = new Set();
+  for (const idx of order) {
+    if (spend <= targetSpend + 1e-9) break;
+    const alloc = trimmed[idx];
+    result.steps.push({ preferredName: alloc.preferredName, rank: rankOf.get(alloc.preferredName), fromCode: alloc.code, toCode: null });
+    spend -= alloc.cogs * alloc.qty;
+    dropped.add(idx);
+  }
+  result.allocations = trimmed.filter((a, idx) => !dropped.has(idx));
+  result.applied = result.steps.length > 0;
+  return result;
+}
+/**
+ * Records an end prize trim or near-miss (AMBER/RED) in Bath_Log
+ * @param {Sheet} sheet - Event sheet
+ * @param {Object} preview - Preview being committed
+ * @param {string} previewHash - Hash of the stored preview artifact
+ * @param {string} batchId - Committed Batch_ID ('' if blocked)
+ * @param {string} notes - Extra notes
+ * @private
+ */
+function logEndPrizeBathEvent_(sheet, preview, previewHash, batchId, notes) {
+  const trim = preview.trim;
+  const nearMiss = preview.rlBand !== 'GREEN' || getRLBandInfo(trim.untrimmedSpend, preview.budget).band !== 'GREEN';
+  if (!trim.applied && !nearMiss) return;
+  if (!getAutoTrimSettings_().bathLogging) return;
+  const eventProps = getEventProps(sheet);
+  const steps = trim.steps.map(s => `#${s.rank} ${s.preferredName}: ${s.fromCode} → ${s.toCode || 'none'}`);
+  const untrimmed = trim.applied ? `Untrimmed hash ${trim.untrimmedHash}` : '';
+  new BathLogService().logBathEvent({
+    event_id: preview.eventId,
+    event_date: eventProps.event_date || '',
+    format: eventProps.event_type || 'CONSTRUCTED',
+    player_count: preview.players,
+    entry_fee: coerceNumber(eventProps.entry, 0),
+    rl_baseline: preview.budget,
+    seed: preview.seed,
+    prize_ladder: preview.ladder
+  }, {
+    totalCOGS: trim.untrimmedSpend,
+    preview_hash: previewHash
+  }, {
+    was_trimmed: trim.applied,
+    near_miss: nearMiss,
+    trim_amount: trim.untrimmedSpend - preview.spend,
+    final_cogs: preview.spend,
+    final_rl_usage: preview.rlPercent,
+    rl_band: preview.rlBand,
+    df_tags: trim.applied ? ['DF-240'] : [],
+    commit_hash: batchId ? hashSeedDraw_(preview.allocations) : '',
+    batch_id: batchId,
+    notes: [notes, untrimmed, steps.join('; ')].filter(Boolean).join(' | ')
+  });
+}
+// ============================================================================
 // END PRIZES - COMMIT
 // ============================================================================
 /**
- * Commits end prizes (with hash verification)
+ * Commits end prizes (with hash verification, under the event lock)
  * @param {string} eventId - Event tab name
  * @param {string} previewHash - Hash from preview
  * @return {Object} Commit result
  */
 function commitEndPrizes(eventId, previewHash) {
-  // Get preview artifact
-  const artifact = getPreviewArtifact(eventId);
-  if (!artifact) {
-    throwError('No preview found', 'NO_PREVIEW', 'Generate a preview first');
-  }
-  if (artifact.previewHash !== previewHash) {
-    throwError('Preview hash mismatch', 'HASH_MISMATCH', 'Preview has changed. Regenerate preview.');
-  }
-  // Regenerate preview to get allocations
-  const preview = previewEndPrizes(eventId, null, artifact.seed);
+  return withEventLock(eventId, 'COMMIT', () => commitEndPrizesLocked_(eventId, previewHash));
+}
+/**
+ * Commits end prizes (caller holds the event lock)
+ * @param {string} eventId - Event tab name
+ * @param {string} previewHash - Hash from preview
+ * @return {Object} Commit result
+ * @private
+ */
+function commitEndPrizesLocked_(eventId, previewHash) {
+  // Active preview artifact; roster and catalog unchanged since preview
+  const artifact = requireCommittablePreview_(eventId, previewHash);
+  // Seed published at event start (commit-reveal)
+  requireCommittedSeed_(eventId, artifact.seed);
+  // Regenerate preview to get allocations (replaying any staff overrides)
+  const preview = applyPreviewOverrides_(previewEndPrizes(eventId, null, artifact.seed), artifact.overrides);
   // Verify hash again
   if (preview.hash !== previewHash) {
     throwError('Preview hash mismatch on regeneration', 'HASH_MISMATCH');
   }
-  // Check RL band
-  if (preview.rlBand === 'RED') {
-    throwError('Budget exceeded', 'BUDGET_RED', 'Reduce allocations or increase budget');
-  }
-  // Write to event sheet (column F: End_Prizes)
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName(eventId);
   if (!sheet) {
     throwError('Event not found', 'EVENT_NOT_FOUND');
   }
+  // Check RL band (still RED after auto-trim, or auto-trim disabled)
+  if (preview.rlBand === 'RED') {
+    logEndPrizeBathEvent_(sheet, preview, artifact.previewHash, '', 'Commit blocked: RED');
+    throwError('Budget exceeded', 'BUDGET_RED', 'Reduce allocations or increase budget');
+  }
+  // HYBRID payouts must be payable before anything is written
+  validateHybridPayouts_(preview.payouts);
   const data = sheet.getDataRange().getValues();
   const headers = data[0];
   const nameCol = headers.indexOf('PreferredName');
@@ -210,6 +568,9 @@ function commitEndPrizes(eventId, previewHash) {
   if (nameCol === -1 || endCol === -1) {
     throwError('Invalid event schema', 'SCHEMA_INVALID');
   }
+  // Record the draw for seed verification before anything is written
+  const batchId = newBatchId();
+  recordSeedDraw_(eventId, preview, artifact.overrides, batchId);
   // Group allocations by player
   const allocationMap = new Map();
   preview.allocations.forEach(alloc => {
@@ -220,16 +581,17 @@ function commitEndPrizes(eventId, previewHash) {
       allocationMap.get(alloc.preferredName).push(alloc.code);
     }
   });
-  // Write to sheet
+  // Write to sheet (journaled so the batch can be reverted cell by cell)
+  const journal = [];
   for (let i = 1; i < data.length; i++) {
     const preferredName = data[i][nameCol];
     const codes = allocationMap.get(preferredName) || [];
-    sheet.getRange(i + 1, endCol + 1).setValue(codes.join(', '));
+    setJournaledValue_(sheet, i + 1, endCol + 1, codes.join(', '), journal);
   }
   // Decrement catalog stock
-  decrementCatalogStock_(preview.allocations);
+  decrementCatalogStock_(preview.allocations, journal);
   // Write to Spent_Pool
-  const batchId = newBatchId();
+  journalBatchChanges(batchId, eventId, journal);
   const eventProps = getEventProps(sheet);
   const spentEntries = preview.allocations.map(alloc => ({
     eventId,
@@ -239,10 +601,14 @@ function commitEndPrizes(eventId, previewHash) {
     qty: alloc.qty,
     cogs: alloc.cogs,
     eventType: eventProps.event_type || 'CONSTRUCTED'
-  }));
-  writeSpentPool(spentEntries, batchId);
+  })).concat(hybridPayoutSpentEntries_(eventId, preview.payouts));
+  writeSpentPool(spentEntries, batchId, preview.profile);
+  // HYBRID: BP / store credit half (reverts the whole batch on failure)
+  commitHybridPayouts_(eventId, preview.payouts, batchId);
   // Log commit
   logCommit(eventId, artifact.seed, previewHash, preview.hash, preview.rlBand, preview.spend);
+  // Record trims and near-misses
+  logEndPrizeBathEvent_(sheet, preview, artifact.previewHash, batchId, '');
   // Delete artifact
   deletePreviewArtifact(artifact.artifactId);
   return {
@@ -250,15 +616,18 @@ function commitEndPrizes(eventId, previewHash) {
     allocated: preview.allocations.length,
     spend: preview.spend,
     budget: preview.budget,
+    payouts: preview.payouts.length,
+    trimmed: preview.trim.applied,
     batchId
   };
 }
 /**
  * Decrements catalog stock for allocations
  * @param {Array<Object>} allocations - Allocations
+ * @param {Array<Object>} journal - Journal for the STOCK changes (optional)
  * @private
  */
-function decrementCatalogStock_(allocations) {
+function decrementCatalogStock_(allocations, journal = null) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName('Prize_Catalog');
   if (!sheet) return;
@@ -282,6 +651,9 @@ function decrementCatalogStock_(allocations) {
       const currentQty = coerceNumber(data[i][qtyCol], 0);
       const newQty = Math.max(0, currentQty - deduct);
       sheet.getRange(i + 1, qtyCol + 1).setValue(newQty);
+      if (journal) {
+        journal.push({ kind: 'STOCK', target: code, row: i + 1, col: qtyCol + 1, before: currentQty, after: newQty });
+      }
       // Update InStock
       if (inStockCol !== -1) {
         sheet.getRange(i + 1, inStockCol + 1).setValue(newQty > 0);
@@ -294,15 +666,18 @@ function decrementCatalogStock_(allocations) {
 // ============================================================================
 /**
  * Previews Commander round prizes
+ * Seats and levels come from the Commander template in Prize_Throttle
+ * (fixed R1=1st, R2=1st&4th, R3=1st at L1 when no template is present).
+ * Items are drawn with the seeded RNG from a rarity-weighted pool, EF-clamped
+ * like end prizes, within the round's share of the RL budget, and never
+ * repeat an item already given in this event unless Allow_Duplicates is TRUE.
  * @param {string} eventId - Event ID
  * @param {number} roundId - Round number (1-3)
- * @param {Object} throttle - Throttle params
- * @param {string} seed - Seed
- * @return {Object} Preview
+ * @param {Object} throttle - Throttle params (optional, resolves the event's throttle profile if not provided)
+ * @param {string} seed - Seed (optional, will use event seed if not provided)
+ * @return {Object} Preview {allocations, spend, budget, rlBand, profile, excluded, hash}
  */
 function previewCommanderRound(eventId, roundId, throttle = null, seed = null) {
-  // Fixed seats: R1=1st, R2=1st&4th, R3=1st
-  const seats = (roundId === 2) ? [1, 4] : [1];
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName(eventId);
   if (!sheet) {
@@ -316,55 +691,118 @@ function previewCommanderRound(eventId, roundId, throttle = null, seed = null) {
       players.push({ preferredName, rank: data[i][0] || i });
     }
   }
-  // Get throttle
+  if (players.length === 0) {
+    throwError('No players in roster', 'NO_PLAYERS');
+  }
+  // Get throttle (event's throttle profile unless given)
+  const eventProps = getEventProps(sheet);
+  const profile = throttle ? null : resolveThrottleProfile(eventId, eventProps);
   if (!throttle) {
-    throttle = getThrottleKV();
+    throttle = profile.throttle;
   }
-  const useSeed = seed || generateSeed();
+  const useSeed = seed || eventProps.event_seed || generateSeed();
+  const rng = createSeededRandom(`${useSeed}|R${roundId}`);
+  const efMin = parseFloat(throttle.EF_Clamp_Min || 0.80);
+  const efMax = parseFloat(throttle.EF_Clamp_Max || 2.25);
+  const allowDuplicates = coerceBoolean(throttle.Allow_Duplicates);
   const catalog = getCatalog();
   const eligibleItems = catalog.filter(item =>
     coerceBoolean(item.Eligible_Rounds) &&
     coerceBoolean(item.InStock) &&
     coerceNumber(item.Qty, 0) > 0
   );
+  // Seats for this round (template or fixed fallback)
+  const roundKey = `R${roundId}`;
+  const template = getCommanderTemplate_();
+  let seatRows = template.filter(row => row.round === roundKey);
+  if (template.length === 0) {
+    const seats = (roundId === 2) ? ['1st', '4th'] : ['1st'];
+    seatRows = seats.map(seat => ({ round: roundKey, seat, qtys: { L1: 1 } }));
+  }
+  // Round budget = event RL budget × this round's share of the template
+  const eventBudget = derivedBudgetForEvent(eventProps, players.length, throttle).budget;
+  const budget = eventBudget * getCommanderRoundShare_(template, roundKey, catalog);
+  let remainingBudget = budget;
+  // Items already given in this event (other rounds / end prizes)
+  const excluded = allowDuplicates ? new Set() : getEventPrizeCodes_(sheet, `${roundKey}_Prize`, catalog);
+  const excludedEarlier = Array.from(excluded);
+  const itemStock = new Map();
+  eligibleItems.forEach(item => itemStock.set(item.Code, coerceNumber(item.Qty, 0)));
+  const raritySelector = new RaritySelectionService();
   const allocations = [];
-  seats.forEach(seat => {
-    const player = players.find(p => p.rank === seat) || players[seat - 1];
-    if (!player) return;
-    // Allocate simple L1 prize
-    const l1Items = eligibleItems.filter(item => item.Level === 'L1' && coerceNumber(item.Qty, 0) > 0);
-    if (l1Items.length > 0) {
-      const item = l1Items[0]; // Simple: take first
-      allocations.push({
-        preferredName: player.preferredName,
-        code: item.Code,
-        name: item.Name,
-        level: item.Level,
-        qty: 1,
-        cogs: coerceNumber(item.COGS, 0),
-        round: roundId
+  seatRows.forEach(row => {
+    resolveTemplateSeat_(row.seat, players).forEach(player => {
+      Object.keys(row.qtys).forEach(level => {
+        for (let n = 0; n < row.qtys[level]; n++) {
+          // Affordable, in-stock, not yet given; step down a level if empty
+          let levelNum = parseInt(level.substring(1), 10);
+          let item = null;
+          while (!item && levelNum >= 0) {
+            const candidates = eligibleItems.filter(candidate =>
+              candidate.Level === `L${levelNum}` &&
+              itemStock.get(candidate.Code) > 0 &&
+              !excluded.has(candidate.Code) &&
+              coerceNumber(candidate.COGS, 0) <= remainingBudget
+            );
+            const pool = raritySelector.buildWeightedPool(
+              candidates.map(candidate => ({ item: candidate, rarity: coerceNumber(candidate.Rarity, 5) }))
+            );
+            item = selectItemWithEF_(pool.map(ticket => ticket.item), efMin, efMax, rng);
+            levelNum--;
+          }
+          if (!item) continue;
+          const itemCOGS = coerceNumber(item.COGS, 0);
+          allocations.push({
+            preferredName: player.preferredName,
+            code: item.Code,
+            name: item.Name,
+            level: item.Level,
+            qty: 1,
+            cogs: itemCOGS,
+            round: roundId
+          });
+          remainingBudget -= itemCOGS;
+          itemStock.set(item.Code, itemStock.get(item.Code) - 1);
+          if (!allowDuplicates) excluded.add(item.Code);
+        }
       });
-    }
+    });
   });
   const spend = sumBy(allocations, a => a.cogs * a.qty);
   const hash = computeHash({ eventId, roundId, seed: useSeed, allocations });
+  const rlBand = getRLBandInfo(spend, budget);
   return {
     eventId,
     roundId,
     seed: useSeed,
     allocations,
     spend,
+    budget,
+    rlBand: rlBand.band,
+    profile: profile ? describeThrottleProfile(profile) : null,
+    excluded: excludedEarlier,
     hash
   };
 }
 /**
- * Commits Commander round prizes
+ * Commits Commander round prizes (under the event lock)
  * @param {string} eventId - Event ID
  * @param {number} roundId - Round number
  * @param {string} previewHash - Preview hash
  * @return {Object} Commit result
  */
 function commitCommanderRound(eventId, roundId, previewHash) {
+  return withEventLock(eventId, 'COMMIT', () => commitCommanderRoundLocked_(eventId, roundId, previewHash));
+}
+/**
+ * Commits Commander round prizes (caller holds the event lock)
+ * @param {string} eventId - Event ID
+ * @param {number} roundId - Round number
+ * @param {string} previewHash - Preview hash
+ * @return {Object} Commit result
+ * @private
+ */
+function commitCommanderRoundLocked_(eventId, roundId, previewHash) {
   // Similar to commitEndPrizes but writes to R1_Prize, R2_Prize, or R3_Prize column
   const colName = `R${roundId}_Prize`;
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -384,19 +822,26 @@ function commitCommanderRound(eventId, roundId, previewHash) {
   if (nameCol === -1 || roundCol === -1) {
     throwError('Invalid schema', 'SCHEMA_INVALID');
   }
-  // Write allocations
+  // Write allocations (one cell per player, codes comma-separated)
+  const codesByPlayer = new Map();
   preview.allocations.forEach(alloc => {
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][nameCol] === alloc.preferredName) {
-        sheet.getRange(i + 1, roundCol + 1).setValue(alloc.code);
-        break;
-      }
+    if (!codesByPlayer.has(alloc.preferredName)) {
+      codesByPlayer.set(alloc.preferredName, []);
     }
+    codesByPlayer.get(alloc.preferredName).push(alloc.code);
   });
+  const journal = [];
+  for (let i = 1; i < data.length; i++) {
+    const codes = codesByPlayer.get(data[i][nameCol]);
+    if (codes) {
+      setJournaledValue_(sheet, i + 1, roundCol + 1, codes.join(', '), journal);
+    }
+  }
   // Decrement stock
-  decrementCatalogStock_(preview.allocations);
+  decrementCatalogStock_(preview.allocations, journal);
   // Spent_Pool
   const batchId = newBatchId();
+  journalBatchChanges(batchId, eventId, journal);
   const eventProps = getEventProps(sheet);
   const spentEntries = preview.allocations.map(alloc => ({
     eventId,
@@ -407,7 +852,7 @@ function commitCommanderRound(eventId, roundId, previewHash) {
     cogs: alloc.cogs,
     eventType: eventProps.event_type || 'CONSTRUCTED'
   }));
-  writeSpentPool(spentEntries, batchId);
+  writeSpentPool(spentEntries, batchId, preview.profile);
   logIntegrityAction('ROUND_ALLOCATE', {
     eventId,
     details: `Round ${roundId}: ${preview.allocations.length} prizes`,
@@ -416,9 +861,96 @@ function commitCommanderRound(eventId, roundId, previewHash) {
   return {
     success: true,
     allocated: preview.allocations.length,
-    spend: preview.spend
+    spend: preview.spend,
+    batchId
   };
 }
+/**
+ * Reads the Commander template grid from Prize_Throttle (A20:N29)
+ * @return {Array<Object>} Rows [{round, seat, level, qtys: {L0: n, ...}}], [] if absent
+ * @private
+ */
+function getCommanderTemplate_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Prize_Throttle');
+  if (!sheet || sheet.getLastRow() < 21) return [];
+  if (String(sheet.getRange('A20').getValue()).trim() !== 'Round') return [];
+  return sheet.getRange('A21:N29').getValues()
+    .filter(([round, seat]) => round && seat)
+    .map(([round, seat, level, ...levelQtys]) => {
+      const qtys = {};
+      levelQtys.forEach((qty, idx) => {
+        const qtyNum = parseInt(qty, 10) || 0;
+        if (qtyNum > 0) qtys[`L${idx}`] = qtyNum;
+      });
+      return { round: String(round).trim(), seat: String(seat).trim(), level, qtys };
+    });
+}
+/**
+ * Resolves a template seat ("1st", "4th", "5-8th", "3") to players
+ * @param {string} seat - Seat label
+ * @param {Array<Object>} players - Players in rank order
+ * @return {Array<Object>} Players in the seat
+ * @private
+ */
+function resolveTemplateSeat_(seat, players) {
+  const range = String(seat).match(/^(\d+)\s*-\s*(\d+)/);
+  if (range) {
+    return players.slice(parseInt(range[1], 10) - 1, parseInt(range[2], 10)).filter(p => p);
+  }
+  const single = String(seat).match(/^(\d+)/);
+  if (!single) return [];
+  const rankNum = parseInt(single[1], 10);
+  const player = players.find(p => p.rank === rankNum) || players[rankNum - 1];
+  return player ? [player] : [];
+}
+/**
+ * Gets a round's share of the event budget from the Commander template
+ * Each template row is valued at qty × average COGS of its level; the round's
+ * share is its rows' value over the whole template (rounds + End).
+ * @param {Array<Object>} template - Template rows
+ * @param {string} roundKey - R1, R2 or R3
+ * @param {Array<Object>} catalog - Prize_Catalog rows
+ * @return {number} Share 0-1 (an even quarter when there is no template)
+ * @private
+ */
+function getCommanderRoundShare_(template, roundKey, catalog) {
+  // No template: R1, R2, R3 and End split the budget evenly
+  if (template.length === 0) return 1 / 4;
+  const levelCost = {};
+  groupBy(catalog, item => item.Level || 'L0').forEach((items, level) => {
+    levelCost[level] = sumBy(items, item => coerceNumber(item.COGS, 0)) / items.length;
+  });
+  const rowValue = row => Object.keys(row.qtys)
+    .reduce((sum, level) => sum + row.qtys[level] * (levelCost[level] || 0), 0);
+  const total = sumBy(template, rowValue);
+  if (total <= 0) return 0;
+  return sumBy(template.filter(row => row.round === roundKey), rowValue) / total;
+}
+/**
+ * Gets item codes already written to an event's prize columns
+ * @param {Sheet} sheet - Event sheet
+ * @param {string} skipHeader - Prize column to ignore (the one being previewed)
+ * @param {Array<Object>} catalog - Prize_Catalog rows (maps item names to codes)
+ * @return {Set<string>} Item codes
+ * @private
+ */
+function getEventPrizeCodes_(sheet, skipHeader, catalog) {
+  const codeByName = new Map(catalog.map(item => [String(item.Name).trim(), item.Code]));
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0].map(h => String(h).trim());
+  const codes = new Set();
+  headers.forEach((header, col) => {
+    if (header === skipHeader) return;
+    if (header !== 'End_Prizes' && !/^R\d+_Prize$/.test(header)) return;
+    for (let i = 1; i < data.length; i++) {
+      String(data[i][col] || '').split(',').map(t => t.trim()).filter(Boolean).forEach(token => {
+        codes.add(codeByName.get(token) || token);
+      });
+    }
+  });
+  return codes;
+}
 
 // ============================================================================
 // COMMANDER PRIZE PREVIEW/COMMIT (Full Template-Based)
@@ -427,9 +959,10 @@ function commitCommanderRound(eventId, roundId, previewHash) {
 /**
  * Previews Commander prizes from Prize_Throttle template
  * @param {string} eventId - Event ID
+ * @param {boolean} storeArtifact - Store (and supersede) the preview artifact (default: true; false when regenerating for commit)
  * @return {Object} Preview with all rounds and budget info
  */
-function previewCommanderPrizesFromTemplate(eventId) {
+function previewCommanderPrizesFromTemplate(eventId, storeArtifact = true) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const eventSheet = ss.getSheetByName(eventId);
 
@@ -450,11 +983,13 @@ function previewCommanderPrizesFromTemplate(eventId) {
     if (key) controls[key] = value;
   });
 
-  const rlPercent = parseFloat(controls.RL_Percentage || '0.95');
-  const defaultEntryFee = parseFloat(controls.Default_Entry_Fee || '15');
-
   // Get event props
   const eventProps = getEventProps(eventSheet);
+
+  // Throttle profile overrides win over the panel's master controls
+  const profile = resolveThrottleProfile(eventId, eventProps);
+  const rlPercent = parseFloat(profile.overrides.RL_Percentage || controls.RL_Percentage || '0.95');
+  const defaultEntryFee = parseFloat(controls.Default_Entry_Fee || '15');
   const entryFee = eventProps.entry || defaultEntryFee;
 
   // Get players
@@ -558,7 +1093,9 @@ function previewCommanderPrizesFromTemplate(eventId) {
   // Store preview artifact
   const seed = eventProps.event_seed || generateSeed();
   const previewHash = computeHash({ eventId, allocations, seed });
-  storePreviewArtifact(eventId + '_COMMANDER', seed, previewHash, 24);
+  if (storeArtifact) {
+    storePreviewArtifact(eventId + '_COMMANDER', seed, previewHash, 24);
+  }
 
   logIntegrityAction('COMMANDER_PREVIEW', {
     eventId,
@@ -578,30 +1115,34 @@ function previewCommanderPrizesFromTemplate(eventId) {
     rlPercent: rlBandInfo.percent,
     rlPercentFormatted: rlBandInfo.percentFormatted,
     players: players.length,
+    profile: describeThrottleProfile(profile),
     hash: previewHash
   };
 }
 
 /**
- * Commits Commander prizes from template to event sheet
+ * Commits Commander prizes from template to event sheet (under the event lock)
  * @param {string} eventId - Event ID
  * @param {string} previewHash - Hash from preview
  * @return {Object} Commit result
  */
 function commitCommanderPrizesFromTemplate(eventId, previewHash) {
-  // Get preview artifact
-  const artifact = getPreviewArtifact(eventId + '_COMMANDER');
-
-  if (!artifact) {
-    throwError('No preview found', 'NO_PREVIEW', 'Run Preview first');
-  }
+  return withEventLock(eventId, 'COMMIT', () => commitCommanderPrizesFromTemplateLocked_(eventId, previewHash));
+}
 
-  if (artifact.previewHash !== previewHash) {
-    throwError('Preview hash mismatch', 'HASH_MISMATCH', 'Preview has changed. Regenerate preview.');
-  }
+/**
+ * Commits Commander prizes from template (caller holds the event lock)
+ * @param {string} eventId - Event ID
+ * @param {string} previewHash - Hash from preview
+ * @return {Object} Commit result
+ * @private
+ */
+function commitCommanderPrizesFromTemplateLocked_(eventId, previewHash) {
+  // Active preview artifact; roster and catalog unchanged since preview
+  const artifact = requireCommittablePreview_(eventId + '_COMMANDER', previewHash);
 
   // Regenerate preview to get allocations
-  const preview = previewCommanderPrizesFromTemplate(eventId);
+  const preview = previewCommanderPrizesFromTemplate(eventId, false);
 
   // Verify hash
   if (preview.hash !== previewHash) {
@@ -654,7 +1195,8 @@ function commitCommanderPrizesFromTemplate(eventId, previewHash) {
     }
   });
 
-  // Write to sheet
+  // Write to sheet (journaled so the batch can be reverted cell by cell)
+  const journal = [];
   for (let i = 1; i < data.length; i++) {
     const preferredName = data[i][nameCol];
     const playerAllocs = allocationsByPlayer[preferredName];
@@ -662,24 +1204,24 @@ function commitCommanderPrizesFromTemplate(eventId, previewHash) {
     if (!playerAllocs) continue;
 
     if (r1Col !== -1 && playerAllocs.R1.length > 0) {
-      sheet.getRange(i + 1, r1Col + 1).setValue(playerAllocs.R1.join(', '));
+      setJournaledValue_(sheet, i + 1, r1Col + 1, playerAllocs.R1.join(', '), journal);
     }
     if (r2Col !== -1 && playerAllocs.R2.length > 0) {
-      sheet.getRange(i + 1, r2Col + 1).setValue(playerAllocs.R2.join(', '));
+      setJournaledValue_(sheet, i + 1, r2Col + 1, playerAllocs.R2.join(', '), journal);
     }
     if (r3Col !== -1 && playerAllocs.R3.length > 0) {
-      sheet.getRange(i + 1, r3Col + 1).setValue(playerAllocs.R3.join(', '));
+      setJournaledValue_(sheet, i + 1, r3Col + 1, playerAllocs.R3.join(', '), journal);
     }
     if (endCol !== -1 && playerAllocs.End.length > 0) {
-      sheet.getRange(i + 1, endCol + 1).setValue(playerAllocs.End.join(', '));
+      setJournaledValue_(sheet, i + 1, endCol + 1, playerAllocs.End.join(', '), journal);
     }
   }
 
   // Decrement catalog stock
-  decrementCatalogStock_(preview.allocations);
+  decrementCatalogStock_(preview.allocations, journal);
 
   // Write to Spent_Pool
-  const batchId = newBatchId();
+  journalBatchChanges(batchId, eventId, journal);
   const eventProps = getEventProps(sheet);
   const spentEntries = preview.allocations.map(alloc => ({
     eventId,
@@ -691,7 +1233,7 @@ function commitCommanderPrizesFromTemplate(eventId, previewHash) {
     eventType: eventProps.event_type || 'CONSTRUCTED'
   }));
 
-  writeSpentPool(spentEntries, batchId);
+  writeSpentPool(spentEntries, batchId, preview.profile);
 
   // Log commit
   logCommit(eventId + '_COMMANDER', preview.seed, previewHash, preview.hash, preview.rlBand, preview.expectedCOGS);
@@ -425,7 +425,8 @@ function createBathLogSheet() {
     'Timestamp', 'Event_ID', 'Event_Date', 'Format', 'Player_Count', 'Entry_Fee',
     'RL_Baseline_95', 'RL_Dial_%', 'RL_Dial_$', 'Preview_Prize_COGS', 'RL_Usage_%',
     'RLbath_$', 'RLbath_%', 'Was_Trimmed', 'Trim_Amount_$', 'Final_Prize_COGS',
-    'RL_Final_%', 'RL_Band_Final', 'df_tags', 'Seed', 'Preview_Hash', 'Commit_Hash', 'Notes'
+    'RL_Final_%', 'RL_Band_Final', 'df_tags', 'Seed', 'Preview_Hash', 'Commit_Hash', 'Notes',
+    'Prize_Ladder'
   ];
 
   sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
@@ -438,7 +439,7 @@ function createBathLogSheet() {
   sheet.autoResizeColumns(1, headers.length);
 
   // Create named range
-  ss.setNamedRange('Bath_Log_Data', sheet.getRange('A2:W'));
+  ss.setNamedRange('Bath_Log_Data', sheet.getRange('A2:X'));
 
   Logger.log('Bath_Log sheet created');
 
@@ -0,0 +1,232 @@
+/**
+ * Reorder Forecast Service - Prize Catalog Burn Rates and Reorder Suggestions
+ * @fileoverview Projects when each Prize_Catalog item and level runs out and
+ * how many units to reorder, and writes the result to Reorder_Suggestions.
+ *
+ * Burn rate: units per event from non-reverted Spent_Pool rows of events in
+ * the last Reorder_Lookback_Weeks (HYBRID payouts and codes no longer in the
+ * catalog are ignored). Rows not tied to an event tab (BP store redemptions,
+ * prestige rewards) are not events: they are a demand of their own, units
+ * per week over the same window by Timestamp.
+ *
+ * Demand: each week ahead expects the larger of the event tabs scheduled in
+ * that week (dated today or later with nothing committed yet) and the
+ * historical events per week.
+ *
+ * Supply: Qty on hand plus Projected_Qty (incoming preorder allocations from
+ * importPreorders).
+ *
+ * Recommended_Qty tops each item up to Reorder_Cover_Weeks of demand. Items
+ * in a level can stand in for each other, so a level row's stock-out date is
+ * for the level as a whole; its Recommended_Qty is the sum of its items'
+ * (never less than the level's own shortfall).
+ */
+// ============================================================================
+// FORECAST API
+// ============================================================================
+/**
+ * Forecasts stock-outs and writes Reorder_Suggestions
+ * @param {Object} options - Options
+ * @param {number} options.coverWeeks - Weeks of stock to keep (default: Reorder_Cover_Weeks)
+ * @param {number} options.lookbackWeeks - Weeks of Spent_Pool history (default: Reorder_Lookback_Weeks)
+ * @return {Object} {generatedAt, coverWeeks, lookbackWeeks, pastEvents, scheduledEvents, levels, items}
+ */
+function forecastReorders(options = {}) {
+  const coverWeeks = Math.floor(coerceNumber(options.coverWeeks, getThrottleNumber('Reorder_Cover_Weeks', 4)));
+  const lookbackWeeks = Math.floor(coerceNumber(options.lookbackWeeks, getThrottleNumber('Reorder_Lookback_Weeks', 8)));
+  const errors = validateThrottleUpdates_({ Reorder_Cover_Weeks: coverWeeks, Reorder_Lookback_Weeks: lookbackWeeks });
+  if (errors.length > 0) {
+    throwError('Invalid forecast window', 'FORECAST_INVALID', errors.join('; '));
+  }
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const catalog = getCatalog();
+  const catalogMap = toMapByKey(catalog, 'Code');
+  const history = getBurnHistory_(catalogMap, today, lookbackWeeks);
+  const scheduled = listEventTabs()
+    .filter(eventId => !history.committedEvents.has(eventId))
+    .map(eventId => parseEventDate(eventId))
+    .filter(date => date && date >= today);
+  const weeklyEvents = buildWeeklyEventForecast_(scheduled, history.pastEvents / lookbackWeeks, today);
+  const items = catalog
+    .filter(item => item.Code)
+    .map(item => {
+      const onHand = Math.max(0, coerceNumber(item.Qty, 0));
+      const incoming = Math.max(0, coerceNumber(item.Projected_Qty, 0));
+      const burnPerEvent = history.pastEvents > 0 ? (history.unitsByCode[item.Code] || 0) / history.pastEvents : 0;
+      const otherPerWeek = (history.otherUnitsByCode[item.Code] || 0) / lookbackWeeks;
+      const projection = projectStockout_(onHand + incoming, burnPerEvent, weeklyEvents, coverWeeks, today, otherPerWeek);
+      return Object.assign({
+        code: item.Code,
+        name: item.Name,
+        level: item.Level || 'L0',
+        onHand,
+        incoming,
+        burnPerEvent,
+        otherPerWeek
+      }, projection, {
+        estCost: projection.recommendedQty * coerceNumber(item.COGS, 0)
+      });
+    });
+  const levels = Array.from(groupBy(items, item => item.level).entries())
+    .map(([level, levelItems]) => {
+      const onHand = sumBy(levelItems, i => i.onHand);
+      const incoming = sumBy(levelItems, i => i.incoming);
+      const burnPerEvent = sumBy(levelItems, i => i.burnPerEvent);
+      const otherPerWeek = sumBy(levelItems, i => i.otherPerWeek);
+      return Object.assign({
+        level,
+        onHand,
+        incoming,
+        burnPerEvent,
+        otherPerWeek
+      }, projectStockout_(onHand + incoming, burnPerEvent, weeklyEvents, coverWeeks, today, otherPerWeek), {
+        recommendedQty: sumBy(levelItems, i => i.recommendedQty),
+        estCost: sumBy(levelItems, i => i.estCost)
+      });
+    })
+    .sort((a, b) => String(b.level).localeCompare(String(a.level)));
+  const result = {
+    generatedAt: dateISO(),
+    coverWeeks,
+    lookbackWeeks,
+    pastEvents: history.pastEvents,
+    scheduledEvents: scheduled.length,
+    levels,
+    items
+  };
+  writeReorderSuggestions_(result);
+  logIntegrityAction('REORDER_FORECAST', {
+    details: `${history.pastEvents} past / ${scheduled.length} scheduled events | Cover ${coverWeeks}w | ` +
+      `${items.filter(i => i.recommendedQty > 0).length} items to reorder (${formatCurrency(sumBy(items, i => i.estCost))})`,
+    status: 'SUCCESS'
+  });
+  return result;
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Sums Spent_Pool units per catalog code over the lookback window
+ * Rows whose Event_ID is not an event tab (BP_REDEEM, PRESTIGE_TIER) are
+ * dated by Timestamp and summed apart, without counting as events.
+ * @param {Map<string, Object>} catalogMap - Catalog by Code
+ * @param {Date} today - Start of today
+ * @param {number} lookbackWeeks - Window length
+ * @return {Object} {unitsByCode, otherUnitsByCode, pastEvents, committedEvents: Set}
+ * @private
+ */
+function getBurnHistory_(catalogMap, today, lookbackWeeks) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Spent_Pool');
+  const unitsByCode = {};
+  const otherUnitsByCode = {};
+  const windowEvents = new Set();
+  const committedEvents = new Set();
+  if (!sheet) return { unitsByCode, otherUnitsByCode, pastEvents: 0, committedEvents };
+  const since = new Date(today.getTime() - lookbackWeeks * 7 * 86400000);
+  toObjects(sheet.getDataRange().getValues()).forEach(row => {
+    if (coerceBoolean(row.Reverted)) return;
+    const eventId = String(row.Event_ID);
+    const eventDate = parseEventDate(eventId);
+    const date = eventDate || new Date(row.Timestamp);
+    if (eventDate) committedEvents.add(eventId);
+    if (isNaN(date.getTime()) || date < since || date >= today) return;
+    if (eventDate) windowEvents.add(eventId);
+    if (!catalogMap.has(row.Item_Code)) return;
+    const units = eventDate ? unitsByCode : otherUnitsByCode;
+    units[row.Item_Code] = (units[row.Item_Code] || 0) + coerceNumber(row.Qty, 0);
+  });
+  return { unitsByCode, otherUnitsByCode, pastEvents: windowEvents.size, committedEvents };
+}
+/**
+ * Builds expected events per week for the next 52 weeks
+ * @param {Array<Date>} scheduled - Dates of scheduled events
+ * @param {number} historicalPerWeek - Past events per week
+ * @param {Date} today - Start of today
+ * @return {Array<number>} Expected events for week 0..51
+ * @private
+ */
+function buildWeeklyEventForecast_(scheduled, historicalPerWeek, today) {
+  const weeks = new Array(52).fill(0);
+  scheduled.forEach(date => {
+    const week = Math.floor((date - today) / (7 * 86400000));
+    if (week < weeks.length) weeks[week]++;
+  });
+  return weeks.map(count => Math.max(count, historicalPerWeek));
+}
+/**
+ * Projects a stock-out date and reorder quantity
+ * @param {number} available - On hand plus incoming
+ * @param {number} burnPerEvent - Units per event
+ * @param {Array<number>} weeklyEvents - Expected events per week
+ * @param {number} coverWeeks - Weeks of stock to keep
+ * @param {Date} today - Start of today
+ * @param {number} otherPerWeek - Units per week used outside events (default: 0)
+ * @return {Object} {burnPerWeek, weeksOfCover, stockoutDate, recommendedQty} (weeksOfCover / stockoutDate null = not within 52 weeks)
+ * @private
+ */
+function projectStockout_(available, burnPerEvent, weeklyEvents, coverWeeks, today, otherPerWeek = 0) {
+  let weeksOfCover = null;
+  let used = 0;
+  for (let week = 0; week < weeklyEvents.length && (burnPerEvent > 0 || otherPerWeek > 0); week++) {
+    const demand = weeklyEvents[week] * burnPerEvent + otherPerWeek;
+    if (demand > 0 && used + demand >= available) {
+      weeksOfCover = week + (available - used) / demand;
+      break;
+    }
+    used += demand;
+  }
+  const coverDemand = sumBy(weeklyEvents.slice(0, coverWeeks), events => events * burnPerEvent + otherPerWeek);
+  const recommendedQty = Math.max(0, Math.ceil(coverDemand - available - 1e-9));
+  return {
+    burnPerWeek: coverDemand / coverWeeks,
+    weeksOfCover,
+    stockoutDate: weeksOfCover === null ? null : new Date(today.getTime() + Math.floor(weeksOfCover * 7) * 86400000),
+    recommendedQty
+  };
+}
+/**
+ * Writes a forecast to Reorder_Suggestions (replaces previous forecast)
+ * @param {Object} result - Forecast result
+ * @private
+ */
+function writeReorderSuggestions_(result) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Reorder_Suggestions');
+  if (!sheet) {
+    sheet = ss.insertSheet('Reorder_Suggestions');
+  }
+  const tz = Session.getScriptTimeZone();
+  const rows = [[
+    'Type', 'Level', 'Code', 'Name', 'On_Hand', 'Incoming', 'Burn_Per_Event', 'Burn_Per_Week',
+    'Weeks_Of_Cover', 'Stockout_Date', 'Cover_Weeks', 'Recommended_Qty', 'Est_Cost'
+  ]];
+  const toRow = (type, entry) => [
+    type,
+    entry.level,
+    entry.code || '',
+    entry.name || '',
+    entry.onHand,
+    entry.incoming,
+    entry.burnPerEvent,
+    entry.burnPerWeek,
+    entry.weeksOfCover === null ? '' : entry.weeksOfCover,
+    entry.stockoutDate ? Utilities.formatDate(entry.stockoutDate, tz, 'yyyy-MM-dd') : '',
+    result.coverWeeks,
+    entry.recommendedQty,
+    entry.estCost
+  ];
+  result.levels.forEach(level => rows.push(toRow('LEVEL', level)));
+  result.items
+    .slice()
+    .sort((a, b) =>
+      String(b.level).localeCompare(String(a.level)) ||
+      (a.weeksOfCover === null ? Infinity : a.weeksOfCover) - (b.weeksOfCover === null ? Infinity : b.weeksOfCover)
+    )
+    .forEach(item => rows.push(toRow('SKU', item)));
+  sheet.clear();
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  sheet.getRange(1, 1, 1, rows[0].length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+}
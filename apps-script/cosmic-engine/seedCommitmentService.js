@@ -0,0 +1,460 @@
+/**
+ * Seed Commitment Service - Commit-Reveal Seeds for End Prizes
+ * @fileoverview Lets players check that an event's prize seed was fixed
+ * before results were known.
+ *
+ *   1. commitEventSeed (event start): publishes sha256(event_seed) to
+ *      Seed_Commitments (the public view) and returns a printable notice.
+ *      From then on an end prize commit must use the committed seed.
+ *   2. commitEndPrizes records the draw before writing anything: the
+ *      allocatePrizes_ inputs (roster, eligible items, budget, throttle,
+ *      ladder, the roster's diversity history) and the published
+ *      allocations, plus any auto-trim steps and staff overrides. Draws are
+ *      appended to Seed_Draws under their batch (split across rows, as a
+ *      draw can outgrow one cell); a re-commit after a revert adds a draw
+ *      and never replaces the earlier one.
+ *   3. revealEventSeed (after the commit): publishes the seed itself. Once
+ *      the seed is public the draw is final: a further commit is refused.
+ *   4. verifyEventSeed: anyone re-runs allocatePrizes_ from the revealed seed
+ *      and recorded roster; the draw must reproduce exactly, and replaying
+ *      the disclosed adjustments (trim steps, then overrides) on it must give
+ *      the published allocations: every difference is matched to the step
+ *      that made it, and one no step explains fails verification.
+ *
+ * Commander template and round prizes are not covered.
+ */
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+/**
+ * Seed_Commitments headers
+ */
+const SEED_COMMITMENT_HEADERS = [
+  'Event_ID', 'Seed_Hash', 'Committed_At', 'Committed_By', 'Status', 'Seed', 'Revealed_At',
+  'Batch_ID', 'Draw_Hash', 'Published_Hash', 'Adjustments', 'Verified', 'Verified_At'
+];
+/**
+ * Seed_Draws headers (one draw spans rows Part 1..n)
+ */
+const SEED_DRAW_HEADERS = ['Event_ID', 'Batch_ID', 'Part', 'Draw_JSON'];
+/**
+ * Characters of draw JSON per Seed_Draws row (Sheets cells hold 50,000)
+ */
+const SEED_DRAW_PART_CHARS = 45000;
+// ============================================================================
+// COMMIT / REVEAL / VERIFY
+// ============================================================================
+/**
+ * Commits an event's seed: publishes sha256(seed) before prizes are drawn
+ * @param {string} eventId - Event tab name
+ * @return {Object} {eventId, seedHash, committedAt, committedBy, notice}
+ */
+function commitEventSeed(eventId) {
+  return withEventLock(eventId, 'SEED', () => {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+    if (!sheet) {
+      throwError('Event not found', 'EVENT_NOT_FOUND');
+    }
+    const existing = getSeedCommitment(eventId);
+    if (existing) {
+      return Object.assign(existing, { notice: formatSeedCommitmentNotice_(existing) });
+    }
+    if (getLiveEventBatches_(eventId).length > 0) {
+      throwError('Prizes already committed for this event', 'SEED_TOO_LATE', 'Commit the seed at event start, before prizes are drawn');
+    }
+    let seed = getEventProp(sheet, 'event_seed');
+    if (!seed) {
+      seed = generateSeed();
+      setEventProps(sheet, { event_seed: seed });
+    }
+    const commitment = {
+      eventId,
+      seedHash: sha256(String(seed)),
+      committedAt: dateISO(),
+      committedBy: currentUser(),
+      status: 'COMMITTED'
+    };
+    const row = SEED_COMMITMENT_HEADERS.map(() => '');
+    row[0] = eventId;
+    row[1] = commitment.seedHash;
+    row[2] = commitment.committedAt;
+    row[3] = commitment.committedBy;
+    row[4] = commitment.status;
+    getSeedCommitmentsSheet_().appendRow(row);
+    logIntegrityAction('SEED_COMMIT', {
+      eventId,
+      checksumAfter: commitment.seedHash.substring(0, 12),
+      details: `Published sha256(seed) ${commitment.seedHash}`,
+      status: 'SUCCESS'
+    });
+    return Object.assign(commitment, { notice: formatSeedCommitmentNotice_(commitment) });
+  });
+}
+/**
+ * Gets an event's seed commitment
+ * @param {string} eventId - Event tab name
+ * @return {Object|null} {eventId, seedHash, committedAt, committedBy, status, seed, revealedAt, batchId, drawHash, publishedHash, adjustments, verified, verifiedAt, row}
+ */
+function getSeedCommitment(eventId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Seed_Commitments');
+  if (!sheet) return null;
+  const data = sheet.getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) { // Skip header
+    const r = data[i];
+    if (r[0] === eventId) {
+      return {
+        eventId,
+        seedHash: r[1],
+        committedAt: r[2],
+        committedBy: r[3],
+        status: r[4],
+        seed: r[5] === '' ? null : String(r[5]),
+        revealedAt: r[6],
+        batchId: r[7],
+        drawHash: r[8],
+        publishedHash: r[9],
+        adjustments: r[10],
+        verified: r[11],
+        verifiedAt: r[12],
+        row: i + 1
+      };
+    }
+  }
+  return null;
+}
+/**
+ * Reveals a committed seed once the event's end prizes are committed
+ * @param {string} eventId - Event tab name
+ * @return {Object} {eventId, seed, seedHash, revealedAt}
+ */
+function revealEventSeed(eventId) {
+  return withEventLock(eventId, 'SEED', () => {
+    const commitment = getSeedCommitment(eventId);
+    if (!commitment) {
+      throwError('No seed commitment for this event', 'NO_COMMITMENT', 'Run commitEventSeed at event start');
+    }
+    if (commitment.status === 'REVEALED') {
+      return { eventId, seed: commitment.seed, seedHash: commitment.seedHash, revealedAt: commitment.revealedAt };
+    }
+    if (!commitment.batchId || !getLiveEventBatches_(eventId).includes(commitment.batchId)) {
+      throwError('End prizes not committed yet', 'SEED_NOT_DRAWN', 'Reveal the seed after committing end prizes');
+    }
+    const seed = String(getEventProp(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId), 'event_seed'));
+    if (sha256(seed) !== commitment.seedHash) {
+      throwError('Event seed no longer matches the commitment', 'SEED_MISMATCH');
+    }
+    const revealedAt = dateISO();
+    const sheet = getSeedCommitmentsSheet_();
+    sheet.getRange(commitment.row, 5, 1, 3).setValues([['REVEALED', seed, revealedAt]]);
+    logIntegrityAction('SEED_REVEAL', {
+      eventId,
+      seed,
+      details: `Revealed seed for sha256 ${commitment.seedHash} (batch ${commitment.batchId})`,
+      status: 'SUCCESS'
+    });
+    return { eventId, seed, seedHash: commitment.seedHash, revealedAt };
+  });
+}
+/**
+ * Verifies an event's draw from the revealed (or a given) seed
+ * @param {string} eventId - Event tab name
+ * @param {string} seed - Seed to check (default: the revealed seed)
+ * @return {Object} {eventId, verified, seedMatches, drawReproduced, allocations, published, adjustments, differences, unexplained}
+ *   differences: [{preferredName, drawn, published, explainedBy}] (explainedBy: the adjustments for that player)
+ *   unexplained: differences left after replaying the adjustments
+ */
+function verifyEventSeed(eventId, seed = null) {
+  const commitment = getSeedCommitment(eventId);
+  if (!commitment || !commitment.drawHash) {
+    throwError('No recorded draw for this event', 'NO_COMMITMENT', 'Commit the seed and the end prizes first');
+  }
+  const useSeed = seed !== null ? String(seed) : commitment.seed;
+  if (!useSeed) {
+    throwError('Seed not revealed yet', 'SEED_NOT_REVEALED', 'Run revealEventSeed after the commit');
+  }
+  const sheet = getSeedCommitmentsSheet_();
+  const draw = readSeedDraw_(eventId, commitment.batchId);
+  const seedMatches = sha256(useSeed) === commitment.seedHash;
+  const diversity = draw.diversity ? Object.assign({}, draw.diversity, { skipped: [] }) : null;
+  const allocations = allocatePrizes_(draw.players, draw.items, draw.budget, draw.throttle, useSeed, draw.ladder, diversity);
+  const drawReproduced = hashSeedDraw_(allocations) === commitment.drawHash;
+  const steps = draw.steps || [];
+  const unexplained = diffSeedDraw_(replaySeedDrawSteps_(allocations, steps), draw.published);
+  const differences = diffSeedDraw_(allocations, draw.published).map(diff => Object.assign(diff, {
+    explainedBy: unexplained.some(u => u.preferredName === diff.preferredName)
+      ? []
+      : steps.filter(step => step.preferredName === diff.preferredName).map(describeSeedDrawStep_)
+  }));
+  const verified = seedMatches && drawReproduced && unexplained.length === 0;
+  // Only the revealed seed updates the public record
+  if (seed === null) {
+    sheet.getRange(commitment.row, 12, 1, 2).setValues([[verified ? 'VERIFIED' : 'FAILED', dateISO()]]);
+  }
+  logIntegrityAction('SEED_VERIFY', {
+    eventId,
+    seed: useSeed,
+    details: `Seed ${seedMatches ? 'matches' : 'does not match'} commitment | Draw ${drawReproduced ? 'reproduced' : 'NOT reproduced'} | ` +
+      `${differences.length} difference(s), ${draw.adjustments.length} disclosed adjustment(s), ${unexplained.length} unexplained`,
+    status: verified ? 'SUCCESS' : 'FAILURE'
+  });
+  return {
+    eventId,
+    verified,
+    seedMatches,
+    drawReproduced,
+    allocations: allocations.map(a => ({ preferredName: a.preferredName, code: a.code })),
+    published: draw.published,
+    adjustments: draw.adjustments,
+    differences,
+    unexplained
+  };
+}
+/**
+ * Gets the printable commitment notice for an event
+ * @param {string} eventId - Event tab name
+ * @return {string} Notice text
+ */
+function getSeedCommitmentNotice(eventId) {
+  const commitment = getSeedCommitment(eventId);
+  if (!commitment) {
+    throwError('No seed commitment for this event', 'NO_COMMITMENT', 'Run commitEventSeed at event start');
+  }
+  return formatSeedCommitmentNotice_(commitment);
+}
+// ============================================================================
+// COMMIT HOOK
+// ============================================================================
+/**
+ * Checks an end prize commit against the event's seed commitment
+ * @param {string} eventId - Event tab name
+ * @param {string} seed - Seed of the preview being committed
+ * @private
+ */
+function requireCommittedSeed_(eventId, seed) {
+  const commitment = getSeedCommitment(eventId);
+  if (commitment && commitment.status === 'REVEALED') {
+    throwError('The seed is revealed; its draw is final', 'SEED_REVEALED',
+      `Batch ${commitment.batchId} is the published draw. Correct single prizes by hand and log why`);
+  }
+  if (commitment && sha256(String(seed)) !== commitment.seedHash) {
+    throwError('Preview seed does not match the published seed commitment', 'SEED_MISMATCH',
+      'Preview again with the event seed');
+  }
+}
+/**
+ * Records a committed end prize draw on the event's seed commitment
+ * @param {string} eventId - Event tab name
+ * @param {Object} preview - Committed preview (with draw, trim, overrides)
+ * @param {Array<Object>} overrides - Staff overrides applied to the preview
+ * @param {string} batchId - Commit batch
+ * @private
+ */
+function recordSeedDraw_(eventId, preview, overrides, batchId) {
+  const commitment = getSeedCommitment(eventId);
+  if (!commitment) return;
+  const draw = preview.draw;
+  // In the order they were applied: auto-trim, then staff overrides
+  const steps = preview.trim.steps
+    .map(step => ({ kind: 'TRIM', preferredName: step.preferredName, fromCode: step.fromCode, toCode: step.toCode || '' }))
+    .concat((overrides || []).map(o => ({
+      kind: 'OVERRIDE', action: o.action, preferredName: o.preferredName, fromCode: o.fromCode || '', toCode: o.code || '', reason: o.reason
+    })));
+  const adjustments = steps.map(describeSeedDrawStep_);
+  const record = {
+    players: draw.players.map(p => ({ preferredName: p.preferredName, rank: p.rank })),
+    items: draw.eligibleItems.map(item => ({
+      Code: item.Code, Name: item.Name, Level: item.Level, COGS: item.COGS, EV_Cost: item.EV_Cost, Qty: item.Qty
+    })),
+    budget: draw.budget,
+    throttle: {
+      Allocation_Mode: draw.throttle.Allocation_Mode || '',
+      EF_Clamp_Min: draw.throttle.EF_Clamp_Min,
+      EF_Clamp_Max: draw.throttle.EF_Clamp_Max,
+      Consolation_L1_Ratio: draw.throttle.Consolation_L1_Ratio
+    },
+    ladder: draw.ladder,
+    diversity: draw.diversity
+      ? {
+        mode: draw.diversity.mode,
+        weight: draw.diversity.weight,
+        lookbackDays: draw.diversity.lookbackDays,
+        history: rosterPrizeHistory_(draw.diversity.history, draw.players)
+      }
+      : null,
+    published: preview.allocations.map(a => ({ preferredName: a.preferredName, code: a.code })),
+    steps,
+    adjustments
+  };
+  const json = JSON.stringify(record);
+  const parts = [];
+  for (let i = 0; i < json.length; i += SEED_DRAW_PART_CHARS) {
+    parts.push([eventId, batchId, parts.length + 1, json.substring(i, i + SEED_DRAW_PART_CHARS)]);
+  }
+  const draws = getSeedDrawsSheet_();
+  draws.getRange(draws.getLastRow() + 1, 1, parts.length, SEED_DRAW_HEADERS.length).setValues(parts);
+  getSeedCommitmentsSheet_().getRange(commitment.row, 8, 1, 4).setValues([[
+    batchId,
+    hashSeedDraw_(draw.allocations),
+    hashSeedDraw_(preview.allocations),
+    adjustments.join('; ')
+  ]]);
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Lists an event's Spent_Pool batches that are not reverted
+ * @param {string} eventId - Event tab name
+ * @return {Array<string>} Batch IDs
+ * @private
+ */
+function getLiveEventBatches_(eventId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Spent_Pool');
+  if (!sheet) return [];
+  const data = sheet.getDataRange().getValues();
+  const batches = [];
+  for (let i = 1; i < data.length; i++) { // Skip header
+    const [evId, , , , , , , , batchId, reverted] = data[i];
+    if (evId === eventId && !coerceBoolean(reverted) && !batches.includes(batchId)) {
+      batches.push(batchId);
+    }
+  }
+  return batches;
+}
+/**
+ * Reads a recorded draw back from its Seed_Draws parts
+ * @param {string} eventId - Event tab name
+ * @param {string} batchId - Commit batch
+ * @return {Object} Draw record
+ * @private
+ */
+function readSeedDraw_(eventId, batchId) {
+  const sheet = getSeedDrawsSheet_();
+  const parts = sheet.getDataRange().getValues().slice(1)
+    .filter(r => r[0] === eventId && r[1] === batchId)
+    .sort((a, b) => a[2] - b[2]);
+  if (parts.length === 0) {
+    throwError(`No recorded draw for batch ${batchId}`, 'NO_COMMITMENT');
+  }
+  return JSON.parse(parts.map(r => String(r[3])).join(''));
+}
+/**
+ * Keeps the prize history of roster players only (the draw only looks them up)
+ * @param {Object} history - {preferredName: {code: [{eventId, daysAgo}]}}
+ * @param {Array<Object>} players - Roster
+ * @return {Object} History of the roster players
+ * @private
+ */
+function rosterPrizeHistory_(history, players) {
+  const roster = {};
+  players.forEach(p => {
+    if (history[p.preferredName]) roster[p.preferredName] = history[p.preferredName];
+  });
+  return roster;
+}
+/**
+ * Hashes allocations as (player, code) pairs
+ * @param {Array<Object>} allocations - Allocations
+ * @return {string} Hash
+ * @private
+ */
+function hashSeedDraw_(allocations) {
+  return computeHash(allocations.map(a => ({ preferredName: a.preferredName, code: a.code })));
+}
+/**
+ * Lists where re-drawn allocations differ from the published ones
+ * @param {Array<Object>} drawn - Re-drawn allocations
+ * @param {Array<Object>} published - Published [{preferredName, code}]
+ * @return {Array<Object>} [{preferredName, drawn, published}]
+ * @private
+ */
+function diffSeedDraw_(drawn, published) {
+  const codesFor = (list, name) => list.filter(a => a.preferredName === name).map(a => a.code).sort().join(', ');
+  return unique(drawn.concat(published).map(a => a.preferredName))
+    .map(name => ({ preferredName: name, drawn: codesFor(drawn, name), published: codesFor(published, name) }))
+    .filter(diff => diff.drawn !== diff.published);
+}
+/**
+ * Applies recorded trim / override steps to re-drawn allocations
+ * A step whose allocation is not there changes nothing, so its difference stays unexplained.
+ * @param {Array<Object>} drawn - Re-drawn allocations
+ * @param {Array<Object>} steps - Recorded steps {kind, action, preferredName, fromCode, toCode}
+ * @return {Array<Object>} [{preferredName, code}]
+ * @private
+ */
+function replaySeedDrawSteps_(drawn, steps) {
+  const allocations = drawn.map(a => ({ preferredName: a.preferredName, code: a.code }));
+  steps.forEach(step => {
+    if (step.kind === 'OVERRIDE' && step.action === 'ADD') {
+      allocations.push({ preferredName: step.preferredName, code: step.toCode });
+      return;
+    }
+    const idx = allocations.findIndex(a => a.preferredName === step.preferredName && a.code === step.fromCode);
+    if (idx === -1) return;
+    if (step.toCode) {
+      allocations[idx].code = step.toCode;
+    } else {
+      allocations.splice(idx, 1);
+    }
+  });
+  return allocations;
+}
+/**
+ * Describes a recorded trim / override step
+ * @param {Object} step - {kind, action, preferredName, fromCode, toCode, reason}
+ * @return {string} e.g. "TRIM Ava: L2-PLAY → L1-PACK"
+ * @private
+ */
+function describeSeedDrawStep_(step) {
+  if (step.kind === 'TRIM') {
+    return `TRIM ${step.preferredName}: ${step.fromCode} → ${step.toCode || 'dropped'}`;
+  }
+  return `OVERRIDE ${step.action} ${step.preferredName}: ${[step.fromCode, step.toCode].filter(Boolean).join(' → ')} (${step.reason})`;
+}
+/**
+ * Formats the printable commitment notice
+ * @param {Object} commitment - Seed commitment
+ * @return {string} Notice text
+ * @private
+ */
+function formatSeedCommitmentNotice_(commitment) {
+  return [
+    `Event ${commitment.eventId} - prize seed commitment`,
+    `sha256(seed) = ${commitment.seedHash}`,
+    `Committed ${commitment.committedAt} by ${commitment.committedBy}`,
+    'End prizes are drawn from this seed. It is revealed after prizes are committed;',
+    'check that sha256 of the revealed seed equals the value above.'
+  ].join('\n');
+}
+/**
+ * Gets Seed_Draws, creating it (hidden) if missing
+ * @return {Sheet} Seed_Draws sheet
+ * @private
+ */
+function getSeedDrawsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Seed_Draws');
+  if (!sheet) {
+    sheet = ss.insertSheet('Seed_Draws');
+    sheet.appendRow(SEED_DRAW_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+/**
+ * Gets Seed_Commitments, creating it if missing
+ * @return {Sheet} Seed_Commitments sheet
+ * @private
+ */
+function getSeedCommitmentsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Seed_Commitments');
+  if (!sheet) {
+    sheet = ss.insertSheet('Seed_Commitments');
+    sheet.appendRow(SEED_COMMITMENT_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.getRange(1, 1, 1, SEED_COMMITMENT_HEADERS.length).setFontWeight('bold');
+  }
+  return sheet;
+}
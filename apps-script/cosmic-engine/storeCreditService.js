@@ -17,7 +17,9 @@ const STORE_CREDIT_SHEET_NAME = 'Store_Credit_Ledger';
  * @param {string} payload.description - Additional description
  * @param {string} payload.posRefType - POS reference type (e.g., "Invoice", "TicketID")
  * @param {string} payload.posRefId - POS reference ID
+ * @param {string} payload.idempotencyKey - Dedupe key (optional; the UI sends one per submit)
  * @return {Object} Result object with success status and transaction details
+ *   (a repeat returns the first result with duplicate: true)
  */
 function logStoreCreditTransaction(payload) {
   try {
@@ -36,74 +38,78 @@ function logStoreCreditTransaction(payload) {
       throw new Error('amount must be a positive number');
     }
 
-    // Get the ledger sheet
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName(STORE_CREDIT_SHEET_NAME);
-
-    if (!sheet) {
-      throw new Error('Store_Credit_Ledger sheet not found. Please create it first.');
-    }
-
-    // Calculate signed amount
-    const signedAmount = direction === 'IN' ? amount : -amount;
-
-    // Get player's last running balance
+    // A repeat of an applied transaction returns the original result; the lock also
+    // keeps two writers from reading the same running balance
     const preferredNameId = String(payload.preferred_name_id).trim();
-    const lastBalance = getLastRunningBalance_(sheet, preferredNameId);
-    const newBalance = lastBalance + signedAmount;
-
-    // Generate unique row ID and timestamp
-    const rowId = Utilities.getUuid();
-    const now = new Date();
-    const timestamp = Utilities.formatDate(now, Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ss.SSSZ");
-
-    // Build the row data matching ledger headers:
-    // Timestamp, preferred_name_id, InOut, Amount, Reason, Category, TenderType,
-    // Description, POSRefType, POSRefId, RunningBalance, RowId
-    const rowData = [
-      timestamp,
-      preferredNameId,
-      direction,
-      signedAmount,
-      payload.reason || '',
-      payload.category || '',
-      payload.tenderType || '',
-      payload.description || '',
-      payload.posRefType || '',
-      payload.posRefId || '',
-      newBalance,
-      rowId
-    ];
-
-    // Append the row
-    sheet.appendRow(rowData);
-
-    // Flag that the ledger was updated (for polling/checkForLedgerUpdates)
-    PropertiesService.getScriptProperties()
-      .setProperty('LEDGER_LAST_UPDATED', String(now.getTime()));
-
-    // Log to integrity log if available
-    try {
-      logIntegrityAction('STORE_CREDIT_' + direction, {
+    return applyIdempotent_('STORE_CREDIT', preferredNameId, payload.idempotencyKey, () => {
+      // Get the ledger sheet
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName(STORE_CREDIT_SHEET_NAME);
+
+      if (!sheet) {
+        throw new Error('Store_Credit_Ledger sheet not found. Please create it first.');
+      }
+
+      // Calculate signed amount
+      const signedAmount = direction === 'IN' ? amount : -amount;
+
+      // Get player's last running balance
+      const lastBalance = getLastRunningBalance_(sheet, preferredNameId);
+      const newBalance = lastBalance + signedAmount;
+
+      // Generate unique row ID and timestamp
+      const rowId = Utilities.getUuid();
+      const now = new Date();
+      const timestamp = Utilities.formatDate(now, Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ss.SSSZ");
+
+      // Build the row data matching ledger headers:
+      // Timestamp, preferred_name_id, InOut, Amount, Reason, Category, TenderType,
+      // Description, POSRefType, POSRefId, RunningBalance, RowId
+      const rowData = [
+        timestamp,
+        preferredNameId,
+        direction,
+        signedAmount,
+        payload.reason || '',
+        payload.category || '',
+        payload.tenderType || '',
+        payload.description || '',
+        payload.posRefType || '',
+        payload.posRefId || '',
+        newBalance,
+        rowId
+      ];
+
+      // Append the row
+      sheet.appendRow(rowData);
+
+      // Flag that the ledger was updated (for polling/checkForLedgerUpdates)
+      PropertiesService.getScriptProperties()
+        .setProperty('LEDGER_LAST_UPDATED', String(now.getTime()));
+
+      // Log to integrity log if available
+      try {
+        logIntegrityAction('STORE_CREDIT_' + direction, {
+          preferred_name_id: preferredNameId,
+          amount: signedAmount,
+          newBalance: newBalance,
+          rowId: rowId
+        });
+      } catch (logError) {
+        // Integrity logging is optional - don't fail the transaction
+        console.warn('Failed to log to integrity log:', logError);
+      }
+
+      return {
+        success: true,
         preferred_name_id: preferredNameId,
-        amount: signedAmount,
         newBalance: newBalance,
+        direction: direction,
+        amount: signedAmount,
+        timestamp: timestamp,
         rowId: rowId
-      });
-    } catch (logError) {
-      // Integrity logging is optional - don't fail the transaction
-      console.warn('Failed to log to integrity log:', logError);
-    }
-
-    return {
-      success: true,
-      preferred_name_id: preferredNameId,
-      newBalance: newBalance,
-      direction: direction,
-      amount: signedAmount,
-      timestamp: timestamp,
-      rowId: rowId
-    };
+      };
+    });
 
   } catch (error) {
     console.error('logStoreCreditTransaction error:', error);
@@ -256,6 +262,7 @@ function ensureStoreCreditLedger() {
  * @param {string} payload.description - Description
  * @param {string} payload.posRefType - POS reference type
  * @param {string} payload.posRefId - POS reference ID
+ * @param {string} payload.idempotencyKey - One per submit (a resubmitted form replays)
  * @return {Object} { newBalance: number }
  */
 function submitStoreCredit(payload) {
@@ -284,7 +291,8 @@ function submitStoreCredit(payload) {
     tenderType: payload.tenderType || '',
     description: payload.description || '',
     posRefType: payload.posRefType || '',
-    posRefId: payload.posRefId || ''
+    posRefId: payload.posRefId || '',
+    idempotencyKey: payload.idempotencyKey || ''
   };
 
   // Use core service to write the row + calculate running balance
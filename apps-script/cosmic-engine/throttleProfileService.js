@@ -0,0 +1,225 @@
+/**
+ * Throttle Profile Service - Scoped Prize_Throttle Overrides
+ * @fileoverview Resolves which Throttle_Profiles row applies to an event and
+ * merges its overrides over the global Prize_Throttle KV.
+ *
+ * Throttle_Profiles columns:
+ *   Profile    - Name shown on previews
+ *   Scope      - SUFFIX, GAME, TIME or NIGHT
+ *   Match      - SUFFIX: codes from SUFFIX_MAP ("D,T"); GAME: games ("MTG,LORCANA")
+ *   Start_Time - TIME: window start (HH:mm, event start_time)
+ *   End_Time   - TIME: window end (HH:mm, exclusive; may wrap past midnight)
+ *   Overrides  - "Key=Value; Key=Value" (validated like setThrottleKV)
+ *   Enabled    - FALSE skips the row
+ *   Notes      - Free text
+ *
+ * Resolution order (first match wins, sheet order within a scope):
+ *   1. SUFFIX - the event tab's suffix
+ *   2. TIME   - the event's start_time falls in the window
+ *   3. NIGHT  - Night Mode: Night_Mode_Enabled and start_time falls between
+ *               Night_Mode_Start and Night_Mode_End; applies the NIGHT row
+ *               named by Night_Mode_Profile (STANDARD / ENHANCED)
+ *   4. GAME   - event game (game metadata, else the suffix's SUFFIX_MAP game)
+ *   5. GLOBAL - Prize_Throttle as is
+ */
+// ============================================================================
+// PROFILE SCHEMA
+// ============================================================================
+/**
+ * Throttle_Profiles headers
+ */
+const THROTTLE_PROFILE_HEADERS = ['Profile', 'Scope', 'Match', 'Start_Time', 'End_Time', 'Overrides', 'Enabled', 'Notes'];
+/**
+ * Built-in profiles (the two Night_Mode_Profile choices)
+ */
+const THROTTLE_PROFILE_DEFAULTS = [
+  ['STANDARD', 'NIGHT', '', '', '', '', true, 'Night Mode: global settings'],
+  ['ENHANCED', 'NIGHT', '', '', '', 'Consolation_L1_Ratio=0.40; EF_Clamp_Max=2.50', true, 'Night Mode: more L1 consolation, wider EF clamp']
+];
+/**
+ * Ensures Throttle_Profiles exists (seeded with the Night Mode profiles)
+ * @return {Sheet} Throttle_Profiles sheet
+ */
+function ensureThrottleProfilesSchema() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Throttle_Profiles');
+  if (sheet && sheet.getLastRow() > 0) {
+    return sheet;
+  }
+  if (!sheet) {
+    sheet = ss.insertSheet('Throttle_Profiles');
+  }
+  const rows = [THROTTLE_PROFILE_HEADERS, ...THROTTLE_PROFILE_DEFAULTS];
+  sheet.getRange(1, 1, rows.length, THROTTLE_PROFILE_HEADERS.length).setValues(rows);
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, THROTTLE_PROFILE_HEADERS.length).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+  logIntegrityAction('PROFILES_CREATE', {
+    details: 'Created Throttle_Profiles with Night Mode profiles',
+    status: 'SUCCESS'
+  });
+  return sheet;
+}
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+/**
+ * Resolves the throttle profile for an event
+ * @param {string} eventId - Event tab name
+ * @param {Object} eventProps - Event metadata (optional, read from the tab if omitted)
+ * @return {Object} {name, scope, match, overrides, throttle}
+ */
+function resolveThrottleProfile(eventId, eventProps = null) {
+  const global = getThrottleKV();
+  if (!eventProps) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+    eventProps = sheet ? getEventProps(sheet) : {};
+  }
+  const suffix = getSuffixFromEventId_(eventId);
+  const suffixMeta = suffix ? getSuffixMeta_(suffix) : null;
+  const game = String(eventProps.game || (suffixMeta ? suffixMeta.game : '') || '').toUpperCase();
+  const startMinutes = parseTimeOfDay_(eventProps.start_time);
+  const rows = getThrottleProfileRows_().filter(row => row.enabled);
+  const inWindow = (start, end) => startMinutes !== null && isInTimeWindow_(startMinutes, start, end);
+  const nightProfile = String(global.Night_Mode_Profile || 'STANDARD').toUpperCase();
+  const nightActive = coerceBoolean(global.Night_Mode_Enabled) &&
+    inWindow(parseTimeOfDay_(global.Night_Mode_Start), parseTimeOfDay_(global.Night_Mode_End));
+  const matchers = [
+    row => row.scope === 'SUFFIX' && suffix !== null && row.match.includes(suffix),
+    row => row.scope === 'TIME' && inWindow(row.startTime, row.endTime),
+    row => row.scope === 'NIGHT' && nightActive && row.name.toUpperCase() === nightProfile,
+    row => row.scope === 'GAME' && game !== '' && row.match.includes(game)
+  ];
+  for (const matches of matchers) {
+    const row = rows.find(matches);
+    if (row) {
+      return buildThrottleProfile_(row, global);
+    }
+  }
+  if (nightActive) {
+    // Night Mode without a Throttle_Profiles row: global settings, labelled
+    return { name: nightProfile, scope: 'NIGHT', match: '', overrides: {}, throttle: global };
+  }
+  return { name: 'GLOBAL', scope: 'GLOBAL', match: '', overrides: {}, throttle: global };
+}
+/**
+ * Gets the merged throttle params for an event
+ * @param {string} eventId - Event tab name
+ * @param {Object} eventProps - Event metadata (optional)
+ * @return {Object} Throttle params (global KV with profile overrides)
+ */
+function getThrottleForEvent(eventId, eventProps = null) {
+  return resolveThrottleProfile(eventId, eventProps).throttle;
+}
+/**
+ * Summarizes a resolved profile for previews
+ * @param {Object} profile - Profile from resolveThrottleProfile
+ * @return {Object} {name, scope, overrides}
+ */
+function describeThrottleProfile(profile) {
+  return { name: profile.name, scope: profile.scope, overrides: profile.overrides };
+}
+/**
+ * Formats a profile for Spent_Pool Throttle_Profile: "NAME" or "NAME: Key=Value; Key=Value"
+ * @param {Object} profile - From resolveThrottleProfile or describeThrottleProfile (null = none)
+ * @return {string} Profile name and applied overrides ('' for none)
+ */
+function formatThrottleProfile(profile) {
+  if (!profile) return '';
+  const overrides = Object.keys(profile.overrides || {}).map(key => `${key}=${profile.overrides[key]}`).join('; ');
+  return overrides ? `${profile.name}: ${overrides}` : profile.name;
+}
+// ============================================================================
+// HELPERS
+// ============================================================================
+/**
+ * Merges a profile row over the global throttle
+ * @param {Object} row - Parsed Throttle_Profiles row
+ * @param {Object} global - Global throttle KV
+ * @return {Object} {name, scope, match, overrides, throttle}
+ * @private
+ */
+function buildThrottleProfile_(row, global) {
+  const throttle = Object.assign({}, global, row.overrides);
+  const errors = validateThrottleUpdates_(row.overrides);
+  if (parseFloat(throttle.EF_Clamp_Min) >= parseFloat(throttle.EF_Clamp_Max)) {
+    errors.push('EF_Clamp_Min must be less than EF_Clamp_Max');
+  }
+  if (errors.length > 0) {
+    throwError(`Invalid throttle profile: ${row.name}`, 'PROFILE_INVALID', errors.join('; '));
+  }
+  return {
+    name: row.name,
+    scope: row.scope,
+    match: row.match.join(','),
+    overrides: row.overrides,
+    throttle
+  };
+}
+/**
+ * Reads Throttle_Profiles (built-in Night Mode profiles if the sheet does not exist)
+ * @return {Array<Object>} [{name, scope, match[], startTime, endTime, overrides, enabled}]
+ * @private
+ */
+function getThrottleProfileRows_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Throttle_Profiles');
+  const data = sheet ? sheet.getDataRange().getValues() : [THROTTLE_PROFILE_HEADERS, ...THROTTLE_PROFILE_DEFAULTS];
+  if (data.length <= 1) return [];
+  return toObjects(data)
+    .filter(obj => String(obj.Profile || '').trim() !== '')
+    .map(obj => ({
+      name: String(obj.Profile).trim(),
+      scope: String(obj.Scope || '').trim().toUpperCase(),
+      match: String(obj.Match || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+      startTime: parseTimeOfDay_(obj.Start_Time),
+      endTime: parseTimeOfDay_(obj.End_Time),
+      overrides: parseThrottleOverrides_(obj.Overrides),
+      enabled: obj.Enabled === '' || obj.Enabled === undefined || coerceBoolean(obj.Enabled)
+    }));
+}
+/**
+ * Parses "Key=Value; Key=Value" overrides
+ * @param {string} text - Overrides cell
+ * @return {Object} Overrides KV
+ * @private
+ */
+function parseThrottleOverrides_(text) {
+  const overrides = {};
+  String(text || '').split(/[;\n]/).forEach(part => {
+    const idx = part.indexOf('=');
+    if (idx === -1) return;
+    const key = part.substring(0, idx).trim();
+    if (key) overrides[key] = part.substring(idx + 1).trim();
+  });
+  return overrides;
+}
+/**
+ * Parses a time of day
+ * @param {string|Date} value - "HH:mm" or a sheet time value
+ * @return {number|null} Minutes after midnight (null if blank or invalid)
+ * @private
+ */
+function parseTimeOfDay_(value) {
+  if (value instanceof Date) {
+    return value.getHours() * 60 + value.getMinutes();
+  }
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+/**
+ * Checks a time against a window (end exclusive; wraps past midnight when end < start)
+ * @param {number} minutes - Time (minutes after midnight)
+ * @param {number|null} start - Window start
+ * @param {number|null} end - Window end
+ * @return {boolean} True if inside
+ * @private
+ */
+function isInTimeWindow_(minutes, start, end) {
+  if (start === null || end === null) return false;
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
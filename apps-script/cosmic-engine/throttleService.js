@@ -15,12 +15,23 @@ const THROTTLE_DEFAULTS = {
   'Consolation_L1_Ratio': '0.20',
   'Night_Mode_Enabled': 'FALSE',
   'Night_Mode_Profile': 'STANDARD',
+  'Night_Mode_Start': '21:00',
+  'Night_Mode_End': '04:00',
   'Resolver_EV_Target': 'L1_EV',
   'Rainbow_Rate': '3:1',
   'BP_Cap_Per_Event': '20',
   'BP_Global_Cap': '100',
   'Hybrid_Cap_Enabled': 'TRUE',
-  'RL_Red_Threshold': '0.95'
+  'RL_Red_Threshold': '0.95',
+  'Allocation_Mode': 'GREEDY',
+  'Diversity_Mode': 'OFF',
+  'Diversity_Lookback_Days': '28',
+  'Diversity_Weight': '0.25',
+  'Hybrid_Payout_Type': 'STORE_CREDIT',
+  'Hybrid_Payout_Split': '50,30,20',
+  'Hybrid_BP_Per_Dollar': '1',
+  'Reorder_Cover_Weeks': '4',
+  'Reorder_Lookback_Weeks': '8'
 };
 /**
  * Gets all throttle parameters as KV object
@@ -45,38 +56,37 @@ function getThrottleKV() {
 }
 /**
  * Sets throttle parameters (validates first)
+ * Every change is stored as a new Throttle_History version.
  * @param {Object} updates - KV updates
+ * @param {string} reason - Why the change was made (optional)
+ * @return {Object} {version, changes[{key, from, to}]}
  * @throws {Error} If validation fails
  */
-function setThrottleKV(updates) {
+function setThrottleKV(updates, reason = '') {
   // Validate updates
   const errors = validateThrottleUpdates_(updates);
   if (errors.length > 0) {
     throwError('Invalid throttle parameters', 'THROTTLE_INVALID', errors.join('; '));
   }
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName('Prize_Throttle');
-  if (!sheet) {
-    sheet = createThrottleSheet_();
-  }
-  const data = sheet.getDataRange().getValues();
-  const existingKV = toKV(data);
-  // Apply updates
-  Object.keys(updates).forEach(key => {
-    existingKV[key] = updates[key];
-  });
-  // Write back to sheet
-  const rows = [['Parameter', 'Value']];
-  Object.keys(existingKV).forEach(key => {
-    rows.push([key, existingKV[key]]);
+  // Read, write and version under one lock so two saves cannot take the same version
+  const version = withScriptLock_(() => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName('Prize_Throttle');
+    if (!sheet) {
+      sheet = createThrottleSheet_();
+    }
+    const existingKV = toKV(getThrottleKVRange_(sheet).getValues());
+    // Apply updates
+    const nextKV = Object.assign({}, existingKV, updates);
+    writeThrottleRows_(sheet, nextKV);
+    return recordThrottleVersion_(existingKV, nextKV, 'SET', reason);
   });
-  sheet.clear();
-  sheet.getRange(1, 1, rows.length, 2).setValues(rows);
   // Log change
   logIntegrityAction('THROTTLE_CHANGE', {
-    details: `Updated: ${Object.keys(updates).join(', ')}`,
+    details: `v${version.version}: ${formatThrottleChanges_(version.changes) || 'no changes'}${reason ? ` | ${reason}` : ''}`,
     status: 'SUCCESS'
   });
+  return version;
 }
 /**
  * Gets a single throttle parameter
@@ -92,9 +102,245 @@ function getThrottleParam(key, defaultValue = null) {
  * Sets a single throttle parameter
  * @param {string} key - Parameter key
  * @param {*} value - Parameter value
+ * @param {string} reason - Why the change was made (optional)
+ * @return {Object} {version, changes}
  */
-function setThrottleParam(key, value) {
-  setThrottleKV({ [key]: value });
+function setThrottleParam(key, value, reason = '') {
+  return setThrottleKV({ [key]: value }, reason);
+}
+/**
+ * Last Parameter/Value row when Prize_Throttle carries the Commander template
+ * (banner from A18, grid at A20:N29)
+ * @private
+ */
+const THROTTLE_KV_LAST_ROW_ = 17;
+/**
+ * Gets the Parameter/Value block of Prize_Throttle (A:B, above the Commander template if present)
+ * @param {Sheet} sheet - Prize_Throttle sheet
+ * @return {Range} Block, header row first
+ * @private
+ */
+function getThrottleKVRange_(sheet) {
+  const template = sheet.getLastRow() >= 20 && String(sheet.getRange('A20').getValue()).trim() === 'Round';
+  return sheet.getRange(1, 1, template ? THROTTLE_KV_LAST_ROW_ : Math.max(sheet.getLastRow(), 1), 2);
+}
+/**
+ * Writes a KV object into the Parameter/Value block of Prize_Throttle
+ * Keys keep their rows, removed keys are blanked and new keys fill blank rows
+ * (then go below the block). Nothing outside A:B of the block is touched.
+ * @param {Sheet} sheet - Prize_Throttle sheet
+ * @param {Object} kv - Parameters
+ * @private
+ */
+function writeThrottleRows_(sheet, kv) {
+  const range = getThrottleKVRange_(sheet);
+  const values = range.getValues();
+  const pending = Object.keys(kv);
+  values.forEach((row, i) => {
+    if (i === 0 || !row[0]) return;
+    const index = pending.indexOf(row[0]);
+    values[i] = index === -1 ? ['', ''] : [row[0], kv[row[0]]];
+    if (index !== -1) pending.splice(index, 1);
+  });
+  values.forEach((row, i) => {
+    if (i > 0 && !row[0] && pending.length > 0) {
+      const key = pending.shift();
+      values[i] = [key, kv[key]];
+    }
+  });
+  const below = pending.map(key => [key, kv[key]]);
+  // A block that ends above other content (the Commander template) cannot grow
+  if (below.length > 0 && range.getLastRow() < sheet.getLastRow()) {
+    throwError('No room for new parameters above the Commander template', 'THROTTLE_FULL',
+      `Prize_Throttle rows 2-${THROTTLE_KV_LAST_ROW_} are full; remove unused parameters`);
+  }
+  range.setValues(values);
+  if (below.length > 0) {
+    sheet.getRange(range.getNumRows() + 1, 1, below.length, 2).setValues(below);
+  }
+}
+// ============================================================================
+// VERSION HISTORY
+// ============================================================================
+/**
+ * Throttle_History keeps a full Prize_Throttle snapshot per version. The
+ * first recorded change also stores the settings it replaced as version 0,
+ * which is the version Spent_Pool batches committed before any change carry.
+ * Direct edits to Prize_Throttle are not versioned; they show up as the
+ * "from" values of the next recorded change.
+ */
+const THROTTLE_HISTORY_HEADERS = ['Version', 'Timestamp', 'Author', 'Action', 'Reason', 'Changes', 'Snapshot'];
+/**
+ * Gets the current throttle version
+ * @return {number} Latest Throttle_History version (0 before any recorded change)
+ */
+function getCurrentThrottleVersion() {
+  const rows = getThrottleHistoryRows_();
+  return rows.length > 0 ? rows[rows.length - 1].version : 0;
+}
+/**
+ * Lists throttle versions (oldest first)
+ * @return {Array<Object>} [{version, timestamp, author, action, reason, changes}]
+ */
+function listThrottleVersions() {
+  return getThrottleHistoryRows_().map(row => ({
+    version: row.version,
+    timestamp: row.timestamp,
+    author: row.author,
+    action: row.action,
+    reason: row.reason,
+    changes: row.changes
+  }));
+}
+/**
+ * Gets one throttle version with its snapshot and per-key changes
+ * @param {number} version - Version number
+ * @return {Object} {version, timestamp, author, action, reason, snapshot, changes[{key, from, to}]}
+ */
+function getThrottleVersion(version) {
+  const rows = getThrottleHistoryRows_();
+  const idx = rows.findIndex(row => row.version === Number(version));
+  if (idx === -1) {
+    throwError(`Throttle version not found: ${version}`, 'VERSION_NOT_FOUND', 'See listThrottleVersions()');
+  }
+  const row = rows[idx];
+  return {
+    version: row.version,
+    timestamp: row.timestamp,
+    author: row.author,
+    action: row.action,
+    reason: row.reason,
+    snapshot: row.snapshot,
+    changes: idx > 0 ? diffThrottleKV_(rows[idx - 1].snapshot, row.snapshot) : []
+  };
+}
+/**
+ * Diffs two throttle versions
+ * @param {number} fromVersion - Older version
+ * @param {number} toVersion - Newer version (default: current)
+ * @return {Object} {from, to, changes[{key, from, to}]}
+ */
+function diffThrottleVersions(fromVersion, toVersion = null) {
+  const to = toVersion === null ? getCurrentThrottleVersion() : Number(toVersion);
+  return {
+    from: Number(fromVersion),
+    to,
+    changes: diffThrottleKV_(getThrottleVersion(fromVersion).snapshot, getThrottleVersion(to).snapshot)
+  };
+}
+/**
+ * Rolls Prize_Throttle back to a version (recorded as a new version)
+ * @param {number} version - Version to restore
+ * @param {string} reason - Why (optional)
+ * @return {Object} {version, changes[{key, from, to}]} (version unchanged when nothing differs)
+ */
+function rollbackThrottle(version, reason = '') {
+  const target = getThrottleVersion(version);
+  const note = `Rollback to v${target.version}${reason ? `: ${reason}` : ''}`;
+  const result = withScriptLock_(() => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName('Prize_Throttle');
+    if (!sheet) {
+      sheet = createThrottleSheet_();
+    }
+    const existingKV = toKV(getThrottleKVRange_(sheet).getValues());
+    if (diffThrottleKV_(existingKV, target.snapshot).length === 0) {
+      return { version: getCurrentThrottleVersion(), changes: [] };
+    }
+    writeThrottleRows_(sheet, target.snapshot);
+    return recordThrottleVersion_(existingKV, target.snapshot, 'ROLLBACK', note);
+  });
+  if (result.changes.length === 0) return result;
+  logIntegrityAction('THROTTLE_ROLLBACK', {
+    details: `v${result.version}: ${note} | ${formatThrottleChanges_(result.changes)}`,
+    status: 'SUCCESS'
+  });
+  return result;
+}
+/**
+ * Gets the throttle settings a Spent_Pool batch was allocated under
+ * @param {string} batchId - Batch ID
+ * @return {Object} Throttle version (see getThrottleVersion); snapshot null for v0 batches committed before any change was recorded
+ */
+function getThrottleForBatch(batchId) {
+  const row = getBatchSpentRows_(batchId)[0];
+  if (!row) {
+    throwError(`Batch not found: ${batchId}`, 'BATCH_NOT_FOUND', 'Check the Batch_ID in Spent_Pool');
+  }
+  const version = row.throttleVersion;
+  if (version === 0 && getCurrentThrottleVersion() === 0) {
+    return { version: 0, snapshot: null, changes: [] };
+  }
+  return getThrottleVersion(version);
+}
+/**
+ * Appends a version to Throttle_History (and the v0 baseline if first)
+ * @param {Object} beforeKV - Settings before the change
+ * @param {Object} afterKV - Settings after the change
+ * @param {string} action - SET or ROLLBACK
+ * @param {string} reason - Reason
+ * @return {Object} {version, changes[{key, from, to}]}
+ * @private
+ */
+function recordThrottleVersion_(beforeKV, afterKV, action, reason) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Throttle_History');
+  if (!sheet) {
+    sheet = ss.insertSheet('Throttle_History');
+    sheet.appendRow(THROTTLE_HISTORY_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  let version = getCurrentThrottleVersion() + 1;
+  if (sheet.getLastRow() <= 1) {
+    sheet.appendRow([0, dateISO(), currentUser(), 'BASELINE', 'Settings before versioning', '', JSON.stringify(beforeKV)]);
+    version = 1;
+  }
+  const changes = diffThrottleKV_(beforeKV, afterKV);
+  sheet.appendRow([version, dateISO(), currentUser(), action, reason || '', formatThrottleChanges_(changes), JSON.stringify(afterKV)]);
+  return { version, changes };
+}
+/**
+ * Reads Throttle_History
+ * @return {Array<Object>} [{version, timestamp, author, action, reason, changes, snapshot}]
+ * @private
+ */
+function getThrottleHistoryRows_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Throttle_History');
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  return toObjects(sheet.getDataRange().getValues()).map(row => ({
+    version: coerceNumber(row.Version, 0),
+    timestamp: row.Timestamp,
+    author: row.Author,
+    action: row.Action,
+    reason: row.Reason,
+    changes: row.Changes,
+    snapshot: JSON.parse(row.Snapshot || '{}')
+  }));
+}
+/**
+ * Diffs two throttle KV objects
+ * @param {Object} fromKV - Old settings
+ * @param {Object} toKV - New settings
+ * @return {Array<Object>} [{key, from, to}] (missing values are '')
+ * @private
+ */
+function diffThrottleKV_(fromKV, toKV) {
+  return unique(Object.keys(fromKV).concat(Object.keys(toKV)))
+    .filter(key => String(fromKV[key] === undefined ? '' : fromKV[key]) !== String(toKV[key] === undefined ? '' : toKV[key]))
+    .map(key => ({
+      key,
+      from: fromKV[key] === undefined ? '' : fromKV[key],
+      to: toKV[key] === undefined ? '' : toKV[key]
+    }));
+}
+/**
+ * Formats throttle changes for logs
+ * @param {Array<Object>} changes - [{key, from, to}]
+ * @return {string} "Key: old → new; ..."
+ * @private
+ */
+function formatThrottleChanges_(changes) {
+  return changes.map(c => `${c.key}: ${c.from === '' ? '(unset)' : c.from} → ${c.to === '' ? '(unset)' : c.to}`).join('; ');
 }
 // ============================================================================
 // VALIDATION
@@ -173,6 +419,69 @@ function validateThrottleUpdates_(updates) {
       errors.push('Night_Mode_Profile must be STANDARD or ENHANCED');
     }
   }
+  // Night_Mode_Start / Night_Mode_End: HH:mm
+  ['Night_Mode_Start', 'Night_Mode_End'].forEach(key => {
+    if (updates[key] !== undefined && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(String(updates[key]).trim())) {
+      errors.push(`${key} must be a time of day (HH:mm)`);
+    }
+  });
+  // Allocation_Mode: GREEDY or OPTIMAL
+  if (updates.Allocation_Mode !== undefined) {
+    const val = String(updates.Allocation_Mode).toUpperCase();
+    if (!['GREEDY', 'OPTIMAL'].includes(val)) {
+      errors.push('Allocation_Mode must be GREEDY or OPTIMAL');
+    }
+  }
+  // Diversity_Mode: OFF, DOWNWEIGHT or EXCLUDE
+  if (updates.Diversity_Mode !== undefined) {
+    const val = String(updates.Diversity_Mode).toUpperCase();
+    if (!['OFF', 'DOWNWEIGHT', 'EXCLUDE'].includes(val)) {
+      errors.push('Diversity_Mode must be OFF, DOWNWEIGHT or EXCLUDE');
+    }
+  }
+  // Diversity_Lookback_Days: 0 - 365
+  if (updates.Diversity_Lookback_Days !== undefined) {
+    const val = parseInt(updates.Diversity_Lookback_Days, 10);
+    if (isNaN(val) || val < 0 || val > 365) {
+      errors.push('Diversity_Lookback_Days must be between 0 and 365');
+    }
+  }
+  // Diversity_Weight: 0.0 - 1.0
+  if (updates.Diversity_Weight !== undefined) {
+    const val = parseFloat(updates.Diversity_Weight);
+    if (isNaN(val) || val < 0 || val > 1) {
+      errors.push('Diversity_Weight must be between 0.0 and 1.0');
+    }
+  }
+  // Hybrid_Payout_Type: STORE_CREDIT or BP
+  if (updates.Hybrid_Payout_Type !== undefined) {
+    const val = String(updates.Hybrid_Payout_Type).toUpperCase();
+    if (!['STORE_CREDIT', 'BP'].includes(val)) {
+      errors.push('Hybrid_Payout_Type must be STORE_CREDIT or BP');
+    }
+  }
+  // Hybrid_Payout_Split: comma-separated positive weights by rank
+  if (updates.Hybrid_Payout_Split !== undefined) {
+    if (parseHybridPayoutSplit_(updates.Hybrid_Payout_Split).length === 0) {
+      errors.push('Hybrid_Payout_Split must be comma-separated positive weights (e.g., "50,30,20")');
+    }
+  }
+  // Hybrid_BP_Per_Dollar: 0 - 100
+  if (updates.Hybrid_BP_Per_Dollar !== undefined) {
+    const val = parseFloat(updates.Hybrid_BP_Per_Dollar);
+    if (isNaN(val) || val <= 0 || val > 100) {
+      errors.push('Hybrid_BP_Per_Dollar must be greater than 0 and at most 100');
+    }
+  }
+  // Reorder_Cover_Weeks / Reorder_Lookback_Weeks: 1 - 52
+  ['Reorder_Cover_Weeks', 'Reorder_Lookback_Weeks'].forEach(key => {
+    if (updates[key] !== undefined) {
+      const val = parseInt(updates[key], 10);
+      if (isNaN(val) || val < 1 || val > 52) {
+        errors.push(`${key} must be between 1 and 52`);
+      }
+    }
+  });
   return errors;
 }
 // ============================================================================
@@ -180,20 +489,26 @@ function validateThrottleUpdates_(updates) {
 // ============================================================================
 /**
  * Computes derived RL95 budget for an event
+ * HYBRID events split the budget: hybrid_cap goes to BP / store credit
+ * payouts (payout_budget) and the rest to product prizes (product_budget).
  * @param {Object} eventProps - Event metadata
- * @param {string} eventProps.event_type - CONSTRUCTED or LIMITED
+ * @param {string} eventProps.event_type - CONSTRUCTED, LIMITED or HYBRID
  * @param {number} eventProps.entry - Entry fee
- * @param {number} eventProps.kit_cost_per_player - Kit cost (LIMITED only)
+ * @param {number} eventProps.kit_cost_per_player - Kit cost (LIMITED, HYBRID)
  * @param {number} playerCount - Number of players
- * @return {Object} {budget, rl_percentage, hybrid_cap}
+ * @param {Object} throttle - Throttle params (optional, will fetch if not provided)
+ * @param {string} eventId - Event tab name (optional, resolves its throttle profile when throttle is not provided)
+ * @return {Object} {budget, rl_percentage, hybrid_cap, product_budget, payout_budget}
  */
-function derivedBudgetForEvent(eventProps, playerCount) {
-  const throttle = getThrottleKV();
+function derivedBudgetForEvent(eventProps, playerCount, throttle = null, eventId = null) {
+  if (!throttle) {
+    throttle = eventId ? getThrottleForEvent(eventId, eventProps) : getThrottleKV();
+  }
   const rlPercent = parseFloat(throttle.RL_Percentage || 0.95);
   const hybridCapEnabled = coerceBoolean(throttle.Hybrid_Cap_Enabled);
   let eligibleNet = 0;
-  if (eventProps.event_type === 'LIMITED') {
-    // LIMITED: (Entry - Kit Cost) × Player Count × 0.95
+  if (eventProps.event_type === 'LIMITED' || eventProps.event_type === 'HYBRID') {
+    // LIMITED / HYBRID: (Entry - Kit Cost) × Player Count × 0.95
     const entry = eventProps.entry || 0;
     const kitCost = eventProps.kit_cost_per_player || 0;
     eligibleNet = (entry - kitCost) * playerCount * rlPercent;
@@ -210,9 +525,24 @@ function derivedBudgetForEvent(eventProps, playerCount) {
   return {
     budget: eligibleNet,
     rl_percentage: rlPercent,
-    hybrid_cap: hybridCap
+    hybrid_cap: hybridCap,
+    product_budget: eligibleNet - hybridCap,
+    payout_budget: hybridCap
   };
 }
+/**
+ * Parses Hybrid_Payout_Split ("50,30,20") into rank weights
+ * @param {string} value - Split setting
+ * @return {Array<number>} Weights for ranks 1..n ([] if invalid)
+ * @private
+ */
+function parseHybridPayoutSplit_(value) {
+  const weights = String(value || '').split(',').map(s => parseFloat(s.trim()));
+  if (weights.length === 0 || weights.some(w => isNaN(w) || w < 0) || weights.every(w => w === 0)) {
+    return [];
+  }
+  return weights;
+}
 // ============================================================================
 // HELPERS
 // ============================================================================
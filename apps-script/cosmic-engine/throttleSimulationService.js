@@ -0,0 +1,283 @@
+/**
+ * Throttle Simulation Service - Monte Carlo What-If for Prize_Throttle
+ * @fileoverview Replays allocatePrizes_ over N events with the current
+ * Prize_Catalog under the current Prize_Throttle and under a proposed set of
+ * overrides, and writes both side by side to Throttle_Simulation.
+ *
+ * Event inputs (player count, entry fee, event type, kit cost) come from the
+ * existing event tabs:
+ *   HISTORICAL - replays each past event in turn (cycling until N runs)
+ *   SYNTHETIC  - draws player count and entry fee independently from the
+ *                past events, so combinations not yet seen are covered
+ *
+ * Both settings see the same events and the same per-run seed, so every
+ * difference in the report comes from the settings. Each run starts from
+ * full catalog stock; diversity and auto-trim are not applied.
+ *
+ * Reported per setting: spend distribution, RL band frequencies, units per
+ * event and events-to-depletion per level, and average prize value by rank.
+ */
+// ============================================================================
+// SIMULATION API
+// ============================================================================
+/**
+ * Simulates a Prize_Throttle change
+ * @param {Object} proposed - Throttle overrides, e.g. {RL_Percentage: '0.90'}
+ * @param {Object} options - Options
+ * @param {number} options.runs - Number of simulated events (default: 200, max: 2000)
+ * @param {string} options.source - HISTORICAL or SYNTHETIC (default: HISTORICAL)
+ * @param {string} options.seed - Simulation seed (default: generated)
+ * @return {Object} {runs, source, seed, events, changed, current, proposed}
+ */
+function simulateThrottleChange(proposed = {}, options = {}) {
+  const runs = Math.floor(coerceNumber(options.runs, 200));
+  if (runs < 1 || runs > 2000) {
+    throwError('Runs must be between 1 and 2000', 'SIMULATION_INVALID');
+  }
+  const source = String(options.source || 'HISTORICAL').toUpperCase();
+  if (!['HISTORICAL', 'SYNTHETIC'].includes(source)) {
+    throwError('Source must be HISTORICAL or SYNTHETIC', 'SIMULATION_INVALID');
+  }
+  const current = getThrottleKV();
+  const candidate = Object.assign({}, current, proposed);
+  const errors = validateThrottleUpdates_(proposed);
+  if (parseFloat(candidate.EF_Clamp_Min) >= parseFloat(candidate.EF_Clamp_Max)) {
+    errors.push('EF_Clamp_Min must be less than EF_Clamp_Max');
+  }
+  if (errors.length > 0) {
+    throwError('Invalid proposed throttle parameters', 'THROTTLE_INVALID', unique(errors).join('; '));
+  }
+  const history = getSimulationHistory_();
+  if (history.length === 0) {
+    throwError('No past events with players and an entry fee', 'NO_EVENTS', 'Run at least one event first');
+  }
+  const seed = options.seed || generateSeed();
+  const events = buildSimulationEvents_(history, runs, source, seed);
+  const catalog = getCatalog();
+  const ladders = new Map();
+  const result = {
+    runs,
+    source,
+    seed,
+    events: history.length,
+    changed: Object.keys(proposed).filter(key => String(proposed[key]) !== String(current[key])),
+    current: runThrottleScenario_(events, catalog, current, ladders),
+    proposed: runThrottleScenario_(events, catalog, candidate, ladders)
+  };
+  writeThrottleSimulation_(result, current, candidate);
+  logIntegrityAction('THROTTLE_SIMULATION', {
+    seed,
+    details: `${runs} ${source} runs | Changed: ${result.changed.join(', ') || 'none'} | ` +
+      `Mean spend ${formatCurrency(result.current.spend.mean)} → ${formatCurrency(result.proposed.spend.mean)}`,
+    status: 'SUCCESS'
+  });
+  return result;
+}
+// ============================================================================
+// EVENT INPUTS
+// ============================================================================
+/**
+ * Reads simulation inputs from past event tabs
+ * @return {Array<Object>} [{eventId, eventType, entry, kitCost, playerCount}]
+ * @private
+ */
+function getSimulationHistory_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return listEventTabs()
+    .map(eventId => {
+      const sheet = ss.getSheetByName(eventId);
+      const props = getEventProps(sheet);
+      const playerCount = sheet.getDataRange().getValues().slice(1).filter(row => row[1]).length;
+      return {
+        eventId,
+        eventType: String(props.event_type || 'CONSTRUCTED').toUpperCase(),
+        entry: coerceNumber(props.entry, 0),
+        kitCost: coerceNumber(props.kit_cost_per_player, 0),
+        playerCount
+      };
+    })
+    .filter(event => event.playerCount > 0 && event.entry > 0);
+}
+/**
+ * Builds the simulated event list
+ * @param {Array<Object>} history - Past event inputs
+ * @param {number} runs - Number of events
+ * @param {string} source - HISTORICAL or SYNTHETIC
+ * @param {string} seed - Simulation seed
+ * @return {Array<Object>} Events (history shape plus run seed)
+ * @private
+ */
+function buildSimulationEvents_(history, runs, source, seed) {
+  const rng = createSeededRandom(`${seed}-EVENTS`);
+  const pick = () => history[Math.floor(rng() * history.length)];
+  const events = [];
+  for (let i = 0; i < runs; i++) {
+    let event = history[i % history.length];
+    if (source === 'SYNTHETIC') {
+      // Fee (with its event type / kit cost) and turnout drawn independently
+      event = Object.assign({}, pick(), { playerCount: pick().playerCount });
+    }
+    events.push(Object.assign({}, event, { seed: `${seed}-${i + 1}` }));
+  }
+  return events;
+}
+// ============================================================================
+// SCENARIO
+// ============================================================================
+/**
+ * Runs every simulated event under one throttle setting
+ * @param {Array<Object>} events - Simulated events
+ * @param {Array<Object>} catalog - Prize_Catalog rows
+ * @param {Object} throttle - Throttle params
+ * @param {Map} ladders - Ladder cache (eventId|playerCount → ladder)
+ * @return {Object} Summary {spend, rlPercent, bands, levels, ranks}
+ * @private
+ */
+function runThrottleScenario_(events, catalog, throttle, ladders) {
+  const spends = [];
+  const rlPercents = [];
+  const bands = { GREEN: 0, AMBER: 0, RED: 0 };
+  const unitsByLevel = {};
+  const rankTotals = [];
+  events.forEach(event => {
+    const players = [];
+    for (let rank = 1; rank <= event.playerCount; rank++) {
+      players.push({ preferredName: `P${rank}`, rank });
+    }
+    const budgetInfo = derivedBudgetForEvent({
+      event_type: event.eventType,
+      entry: event.entry,
+      kit_cost_per_player: event.kitCost
+    }, players.length, throttle);
+    const ladderKey = `${event.eventId}|${players.length}`;
+    if (!ladders.has(ladderKey)) {
+      ladders.set(ladderKey, resolvePrizeLadder(event.eventId, players.length));
+    }
+    const eligibleItems = getEligibleEndItems_(catalog, players.length);
+    const allocations = allocatePrizes_(players, eligibleItems, budgetInfo.product_budget, throttle, event.seed, ladders.get(ladderKey));
+    const payouts = allocateHybridPayouts_(players, budgetInfo.payout_budget, throttle);
+    const spend = sumBy(allocations, a => a.cogs * a.qty) + sumBy(payouts, p => p.amount);
+    const rlBand = getRLBandInfo(spend, budgetInfo.budget);
+    spends.push(spend);
+    rlPercents.push(rlBand.percent);
+    bands[rlBand.band]++;
+    const rankOf = new Map(players.map(p => [p.preferredName, p.rank]));
+    const valueByRank = new Array(players.length).fill(0);
+    allocations.forEach(a => {
+      unitsByLevel[a.level] = (unitsByLevel[a.level] || 0) + a.qty;
+      valueByRank[rankOf.get(a.preferredName) - 1] += a.cogs * a.qty;
+    });
+    payouts.forEach(p => {
+      valueByRank[p.rank - 1] += p.amount;
+    });
+    valueByRank.forEach((value, idx) => {
+      rankTotals[idx] = rankTotals[idx] || { sum: 0, count: 0 };
+      rankTotals[idx].sum += value;
+      rankTotals[idx].count++;
+    });
+  });
+  return {
+    spend: summarizeDistribution_(spends),
+    rlPercent: summarizeDistribution_(rlPercents),
+    bands: Object.keys(bands).reduce((acc, band) => {
+      acc[band] = bands[band] / events.length;
+      return acc;
+    }, {}),
+    levels: summarizeLevelDepletion_(catalog, unitsByLevel, events.length),
+    ranks: rankTotals.map((total, idx) => ({ rank: idx + 1, avgValue: total.sum / total.count, events: total.count }))
+  };
+}
+/**
+ * Summarizes a numeric sample
+ * @param {Array<number>} values - Sample
+ * @return {Object} {mean, min, p10, p50, p90, max}
+ * @private
+ */
+function summarizeDistribution_(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const at = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return {
+    mean: sumBy(sorted, v => v) / sorted.length,
+    min: sorted[0],
+    p10: at(0.10),
+    p50: at(0.50),
+    p90: at(0.90),
+    max: sorted[sorted.length - 1]
+  };
+}
+/**
+ * Summarizes stock use per level against current end-eligible stock
+ * @param {Array<Object>} catalog - Prize_Catalog rows
+ * @param {Object} unitsByLevel - Units allocated per level over all runs
+ * @param {number} runs - Number of runs
+ * @return {Array<Object>} [{level, stock, unitsPerEvent, eventsToDeplete}] (eventsToDeplete null = never)
+ * @private
+ */
+function summarizeLevelDepletion_(catalog, unitsByLevel, runs) {
+  const stockByLevel = {};
+  getEligibleEndItems_(catalog, Infinity).forEach(item => {
+    const level = item.Level || 'L0';
+    stockByLevel[level] = (stockByLevel[level] || 0) + coerceNumber(item.Qty, 0);
+  });
+  return Object.keys(stockByLevel).sort().reverse().map(level => {
+    const unitsPerEvent = (unitsByLevel[level] || 0) / runs;
+    return {
+      level,
+      stock: stockByLevel[level],
+      unitsPerEvent,
+      eventsToDeplete: unitsPerEvent > 0 ? stockByLevel[level] / unitsPerEvent : null
+    };
+  });
+}
+// ============================================================================
+// OUTPUT
+// ============================================================================
+/**
+ * Writes a simulation result to Throttle_Simulation (replaces previous run)
+ * @param {Object} result - Simulation result
+ * @param {Object} current - Current throttle params
+ * @param {Object} candidate - Proposed throttle params (merged)
+ * @private
+ */
+function writeThrottleSimulation_(result, current, candidate) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Throttle_Simulation');
+  if (!sheet) {
+    sheet = ss.insertSheet('Throttle_Simulation');
+  }
+  const rows = [['Section', 'Metric', 'Current', 'Proposed', 'Delta']];
+  const add = (section, metric, a, b) => {
+    const numeric = typeof a === 'number' && typeof b === 'number';
+    rows.push([section, metric, a, b, numeric ? b - a : '']);
+  };
+  const cur = result.current;
+  const pro = result.proposed;
+  add('Run', 'Generated', dateISO(), '');
+  add('Run', 'Runs', result.runs, result.runs);
+  add('Run', 'Source', result.source, result.source);
+  add('Run', 'Seed', result.seed, result.seed);
+  add('Run', 'Past events', result.events, result.events);
+  ['RL_Percentage', 'EF_Clamp_Min', 'EF_Clamp_Max', 'Consolation_L1_Ratio']
+    .concat(result.changed)
+    .filter((key, idx, keys) => keys.indexOf(key) === idx)
+    .forEach(key => add('Settings', key, String(current[key]), String(candidate[key])));
+  ['mean', 'min', 'p10', 'p50', 'p90', 'max'].forEach(stat => {
+    add('Spend', stat.toUpperCase(), cur.spend[stat], pro.spend[stat]);
+  });
+  add('Spend', 'Mean RL %', cur.rlPercent.mean, pro.rlPercent.mean);
+  ['GREEN', 'AMBER', 'RED'].forEach(band => add('RL Band', `${band} %`, cur.bands[band], pro.bands[band]));
+  cur.levels.forEach((level, idx) => {
+    const next = pro.levels[idx];
+    add('Stock', `${level.level} units/event`, level.unitsPerEvent, next.unitsPerEvent);
+    add('Stock', `${level.level} events to deplete (${level.stock} in stock)`,
+      level.eventsToDeplete === null ? 'never' : level.eventsToDeplete,
+      next.eventsToDeplete === null ? 'never' : next.eventsToDeplete);
+  });
+  cur.ranks.forEach((rank, idx) => {
+    add('Prize Value', `Rank ${rank.rank} avg (${rank.events} events)`, rank.avgValue, pro.ranks[idx].avgValue);
+  });
+  sheet.clear();
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  sheet.getRange(1, 1, 1, rows[0].length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+}
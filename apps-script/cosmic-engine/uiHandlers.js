@@ -66,17 +66,25 @@ function lookupPlayerProfile(name) {
 // ============================================================================
 
 /**
- * Previews end prizes from UI
+ * Previews end prizes from UI (supersedes any earlier preview of the event)
  * @param {string} eventId - Event ID
- * @return {Object} Preview object
+ * @return {Object} Preview object (superseded: the replaced preview, or null)
  */
 function previewEndPrizesFromUI(eventId) {
-  const preview = previewEndPrizes(eventId);
-
-  // Store artifact
-  storePreviewArtifact(eventId, preview.seed, preview.hash);
-
-  return preview;
+  return withEventLock(eventId, 'PREVIEW', () => {
+    const preview = previewEndPrizes(eventId);
+    const previous = getPreviewArtifact(eventId);
+
+    // Store artifact
+    storePreviewArtifact(eventId, preview.seed, preview.hash);
+
+    preview.superseded = previous
+      ? { artifactId: previous.artifactId, createdBy: previous.createdBy, createdAt: previous.createdAt }
+      : null;
+    // The recorded draw (catalog, prize history) is for seed verification, not the dialog
+    delete preview.draw;
+    return preview;
+  });
 }
 
 /**
@@ -89,6 +97,37 @@ function commitEndPrizesFromUI(eventId, previewHash) {
   return commitEndPrizes(eventId, previewHash);
 }
 
+/**
+ * Applies a staff override to the stored end prize preview from UI
+ * @param {string} eventId - Event ID
+ * @param {Object} override - {action, preferredName, code, fromCode, reason}
+ * @return {Object} Updated preview (use its hash to commit)
+ */
+function overridePreviewAllocationFromUI(eventId, override) {
+  const preview = overridePreviewAllocation(eventId, override);
+  delete preview.draw;
+  return preview;
+}
+
+/**
+ * Publishes the event's seed commitment from UI (event start)
+ * @param {string} eventId - Event ID
+ * @return {Object} Commitment (notice: printable text)
+ */
+function commitEventSeedFromUI(eventId) {
+  return commitEventSeed(eventId);
+}
+
+/**
+ * Reveals the event's seed and verifies the draw from UI (after commit)
+ * @param {string} eventId - Event ID
+ * @return {Object} Verification result
+ */
+function revealEventSeedFromUI(eventId) {
+  revealEventSeed(eventId);
+  return verifyEventSeed(eventId);
+}
+
 /**
  * Previews Commander round from UI
  * @param {string} eventId - Event ID
@@ -110,6 +149,45 @@ function commitCommanderRoundFromUI(eventId, roundId, previewHash) {
   return commitCommanderRound(eventId, roundId, previewHash);
 }
 
+/**
+ * Reverts a committed prize batch from UI
+ * @param {string} batchId - Batch ID
+ * @param {boolean} dryRun - Only list what would change
+ * @return {Object} Revert plan
+ */
+function revertPrizeBatchFromUI(batchId, dryRun) {
+  return revertPrizeBatch(batchId, { dryRun: dryRun });
+}
+
+/**
+ * Simulates a Prize_Throttle change from UI (writes Throttle_Simulation)
+ * @param {Object} proposed - Throttle overrides
+ * @param {Object} options - {runs, source, seed}
+ * @return {Object} Simulation result
+ */
+function simulateThrottleChangeFromUI(proposed, options) {
+  return simulateThrottleChange(proposed, options || {});
+}
+
+/**
+ * Rolls Prize_Throttle back to a version from UI
+ * @param {number} version - Throttle_History version
+ * @param {string} reason - Why
+ * @return {Object} {version, changes}
+ */
+function rollbackThrottleFromUI(version, reason) {
+  return rollbackThrottle(version, reason || '');
+}
+
+/**
+ * Forecasts catalog stock-outs from UI (writes Reorder_Suggestions)
+ * @param {Object} options - {coverWeeks, lookbackWeeks}
+ * @return {Object} Forecast result
+ */
+function forecastReordersFromUI(options) {
+  return forecastReorders(options || {});
+}
+
 // ============================================================================
 // ADDITIONAL HELPER FUNCTIONS
 // ============================================================================
@@ -151,7 +229,7 @@ function ensureAllSheets() {
   // Spent_Pool
   if (!ss.getSheetByName('Spent_Pool')) {
     const sheet = ss.insertSheet('Spent_Pool');
-    sheet.appendRow(['Event_ID', 'Item_Code', 'Item_Name', 'Level', 'Qty', 'COGS', 'Total', 'Timestamp', 'Batch_ID', 'Reverted', 'Event_Type']);
+    sheet.appendRow(['Event_ID', 'Item_Code', 'Item_Name', 'Level', 'Qty', 'COGS', 'Total', 'Timestamp', 'Batch_ID', 'Reverted', 'Event_Type', 'Throttle_Version', 'Throttle_Profile']);
     sheet.setFrozenRows(1);
   }
 
@@ -252,7 +330,7 @@ function getCurrentUserEmail() {
  */
 function initializeWorkbook() {
   // Run auto-fix for all gates
-  const gates = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+  const gates = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J'];
   gates.forEach(gate => {
     try {
       runAutoFix(gate);
@@ -89,17 +89,42 @@ function computeChecksum(rangeValues) {
   return sha256(serialized).substring(0, 12); // First 12 chars
 }
 
+/**
+ * computeHash serialization version, stored with each preview artifact
+ * 1: JSON.stringify with a top-level key list; 2: canonical JSON (canonicalJson_).
+ * Bump it whenever the serialization changes so stored previews are re-made.
+ */
+const PREVIEW_HASH_VERSION = 2;
+
 /**
  * Computes hash for preview object (deterministic)
  * @param {Object} obj - Object to hash
  * @return {string} Hash string
  */
 function computeHash(obj) {
-  // Stringify with sorted keys for determinism
-  const serialized = JSON.stringify(obj, Object.keys(obj).sort());
+  // Stringify with sorted keys at every depth for determinism (a key-list
+  // replacer would also drop nested keys such as allocation codes)
+  const serialized = canonicalJson_(obj);
   return sha256(serialized).substring(0, 16);
 }
 
+/**
+ * Serializes a value as JSON with object keys sorted recursively
+ * @param {*} value - Value to serialize
+ * @return {string} Canonical JSON
+ * @private
+ */
+function canonicalJson_(value) {
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalJson_).join(',') + ']';
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return '{' + keys.map(key => JSON.stringify(key) + ':' + canonicalJson_(value[key])).join(',') + '}';
+}
+
 // ============================================================================
 // DATE & TIME
 // ============================================================================
@@ -436,4 +461,26 @@ function unique(array) {
  */
 function deepClone(obj) {
   return JSON.parse(JSON.stringify(obj));
-}
\ No newline at end of file
+}
+// ============================================================================
+// TRIGGERS
+// ============================================================================
+
+/**
+ * Installs a daily time-based trigger, replacing the handler's existing ones
+ * @param {string} handler - Function name the trigger runs
+ * @param {number} hour - Hour of day to run
+ * @return {string} Trigger ID
+ * @private
+ */
+function installDailyTrigger_(handler, hour) {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === handler)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  const trigger = ScriptApp.newTrigger(handler)
+    .timeBased()
+    .everyDays(1)
+    .atHour(hour)
+    .create();
+  return trigger.getUniqueId();
+}
@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+test('BP as of a date replays the ledger up to that day', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-10-05T15:00:00Z' });
+  engine.run('awardBonusPoints', 'Ava', 10, 'MANUAL');
+  engine.setNow('2025-10-10T15:00:00Z');
+  engine.run('redeemBonusPoints', 'Ava', 15, 'STORE_CREDIT');
+
+  const before = engine.run('getBPBalanceAsOf', 'Ava', '2025-10-07');
+  assert.equal(before.currentBP, 50);
+  assert.equal(before.redeemedBP, 0);
+  assert.equal(before.complete, true);
+  assert.deepEqual(before.entries.map(e => [e.type, e.amount, e.currentBP]).slice(-1), [['AWARD', 10, 50]]);
+
+  const after = engine.run('getBPBalanceAsOf', 'Ava', '2025-10-10');
+  assert.equal(after.currentBP, 35);
+  assert.equal(after.redeemedBP, 15);
+  assert.deepEqual(after.entries.slice(-1).map(e => [e.type, e.amount, e.currentBP]), [['REDEEM', -15, 35]]);
+
+  const unopened = engine.run('getBPBalanceAsOf', 'Ava', '2025-10-01');
+  assert.equal(unopened.complete, false);
+  assert.deepEqual(unopened.entries, []);
+});
+
+test('BP before the ledger was opened replays the logged awards and redemptions', () => {
+  const log = (ts, action, details) => [ts, '', '', action, 'staff@example.com', 'Cam', '', '', '', '', '', details, 'SUCCESS', '', ''];
+  const fixture = patchFixture('player_ledgers', {
+    rows: { BP_Total: { 4: ['Cam', 4, 0, 0, 0, '', 10, 6] } },
+    sheets: {
+      Integrity_Log: [
+        ['Timestamp', 'StoreID', 'Event_ID', 'Action', 'Operator', 'PreferredName', 'Seed', 'Checksum_Before', 'Checksum_After',
+          'RL_Band', 'DF_Tags', 'Details', 'Status', 'Prev_Hash', 'Row_Hash'],
+        log('2025-09-01T12:00:00Z', 'BP_AWARD', 'Source: MANUAL | Awarded: 10 BP | 0 → 10 (Overflow: 0)'),
+        log('2025-09-10T12:00:00Z', 'BP_REDEEM', 'Sink: STORE_CREDIT | Redeemed: 4 BP | 10 → 6')
+      ],
+      Redeemed_BP: [
+        ['PreferredName', 'Total_Redeemed', 'Item_Redeemed', 'Notes', 'BP_Current', 'BP_Historical', 'LastUpdated'],
+        ['Cam', 4, 'STORE_CREDIT', '', 6, 10, '2025-09-10T12:00:01Z']
+      ],
+      BP_Redeemed_Log: [
+        ['Timestamp', 'PreferredName', 'BP_Amount', 'Reason', 'Category', 'Event_ID', 'Staff', 'RowId'],
+        [{ $date: '2025-09-15T12:00:00Z' }, 'Cam', 2, 'Sleeves', 'Prize', '', 'staff@example.com', 'R1']
+      ]
+    }
+  });
+  const engine = createEngine({ fixture, now: '2025-10-05T15:00:00Z' });
+
+  const early = engine.run('getBPBalanceAsOf', 'Cam', '2025-09-12');
+  assert.deepEqual([early.currentBP, early.historicalBP, early.redeemedBP], [6, 10, 4]);
+  assert.deepEqual(early.entries.map(e => [e.type, e.amount, e.currentBP]), [['AWARD', 10, 10], ['REDEEM', -4, 6]]);
+  assert.equal(early.complete, true);
+
+  const late = engine.run('getBPBalanceAsOf', 'Cam', '2025-09-20');
+  assert.deepEqual([late.currentBP, late.redeemedBP, late.entries.length], [4, 6, 3]);
+  assert.equal(engine.run('getBPBalanceAsOf', 'Ava', '2025-09-20').complete, false);
+});
+
+test('keys as of a date replay the Integrity_Log key entries', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-10-05T15:00:00Z' });
+  engine.run('addKey', 'Dee', 'Blue', 3);
+  engine.setNow('2025-10-06T15:00:00Z');
+  engine.run('addKey', 'Dee', 'Red', 1);
+  engine.setNow('2025-10-08T15:00:00Z');
+  engine.run('convertRainbow', 'Dee', 'Blue', 1);
+
+  const mid = engine.run('getKeysBalanceAsOf', 'Dee', '2025-10-06');
+  assert.deepEqual(mid.keys, { Red: 1, Blue: 3, Green: 0, Yellow: 0, Purple: 0, RainbowEligible: 0 });
+  assert.deepEqual(mid.entries.map(e => e.action), ['KEY_AWARD', 'KEY_AWARD']);
+  assert.equal(mid.complete, true);
+
+  const late = engine.run('getKeysBalanceAsOf', 'Dee', '2025-10-08');
+  assert.deepEqual(late.keys, { Red: 1, Blue: 0, Green: 0, Yellow: 0, Purple: 0, RainbowEligible: 1 });
+  assert.equal(engine.run('getKeysBalanceAsOf', 'Dee', '2025-10-04').entries.length, 0);
+});
+
+test('keys changed outside the logged paths are flagged incomplete', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-10-05T15:00:00Z' });
+
+  const ava = engine.run('getKeysBalanceAsOf', 'Ava', '2025-10-05');
+
+  assert.equal(ava.complete, false);
+  assert.equal(ava.keys.Red, 0);
+});
+
+test('store credit as of a date sums the ledger rows up to that day', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-10-09T15:00:00Z' });
+  engine.run('logStoreCreditTransaction', { preferred_name_id: 'Ava', direction: 'OUT', amount: 5, reason: 'Purchase' });
+
+  assert.equal(engine.run('getStoreCreditBalanceAsOf', 'Ava', '2025-09-30').balance, 0);
+  assert.equal(engine.run('getStoreCreditBalanceAsOf', 'Ava', '2025-10-01').balance, 20);
+  const now = engine.run('getStoreCreditBalanceAsOf', 'Ava', '2025-10-09');
+  assert.deepEqual(now.entries.map(e => [e.direction, e.amount, e.balance]), [['IN', 20, 20], ['OUT', -5, 15]]);
+  assert.throws(() => engine.run('getStoreCreditBalanceAsOf', 'Ava', 'last week'), /INVALID_DATE/);
+});
+
+test('the player lookup profile shows the history at a date', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-10-05T15:00:00Z' });
+  engine.run('awardBonusPoints', 'Ava', 10, 'MANUAL');
+
+  const profile = engine.run('getPlayerLookupProfile', 'Ava', '2025-10-05');
+
+  assert.equal(profile.status, 'OK');
+  assert.equal(profile.historyAtDate.asOf, '2025-10-05T23:59:59Z');
+  assert.equal(profile.historyAtDate.bonusPoints.currentBP, 50);
+  assert.equal(profile.historyAtDate.storeCredit.balance, 20);
+  assert.equal(engine.run('getPlayerLookupProfile', 'Ava').historyAtDate, null);
+  const bad = engine.run('getPlayerLookupProfile', 'Ava', 'soon');
+  assert.equal(bad.historyAtDate, null);
+  assert.match(bad.meta.errors.join(' '), /INVALID_DATE/);
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture } = require('./harness/engine');
+
+test('awardBonusPoints resolves the name and updates current and historical BP', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const result = engine.run('awardBonusPoints', ' ava ', 10, 'MANUAL', { eventId: '11-01D-2025' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.player, 'Ava');
+  assert.equal(result.currentBP, 50);
+
+  const ava = engine.rows('BP_Total').find(r => r.PreferredName === 'Ava');
+  assert.equal(ava.BP_Current, 50);
+  assert.equal(ava.BP_Historical, 50);
+
+  const log = engine.rows('Integrity_Log');
+  assert.equal(log[0].Action, 'BP_AWARD');
+  assert.equal(log[0].Event_ID, '11-01D-2025');
+});
+
+test('awardBonusPoints caps at BP_Global_Cap and reports the overflow', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const result = engine.run('awardBonusPoints', 'Ben', 10, 'MANUAL');
+
+  assert.equal(result.currentBP, 100);
+  assert.equal(result.overflow, 5);
+  assert.ok(engine.rows('Integrity_Log').some(r => r.Action === 'PRESTIGE_OVERFLOW'));
+});
+
+test('awardBonusPoints rejects unknown players and records them', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const result = engine.run('awardBonusPoints', 'Nobody', 5, 'MANUAL');
+
+  assert.equal(result.success, false);
+  assert.equal(engine.rows('UndiscoveredNames')[0].Potential_Name, 'Nobody');
+});
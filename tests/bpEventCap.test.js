@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+const OTHER_EVENT_ID = '11-08D-2025';
+
+/**
+ * Gets a player's ledger entries after the opening balance
+ * @param {Object} engine - Engine
+ * @param {string} name - Player
+ * @return {Array<Array>} [type, amount, source, eventId]
+ */
+function awards(engine, name) {
+  return engine.run('getBPLedgerEntries', name)
+    .filter(e => !e.idempotencyKey.startsWith('OPENING:'))
+    .map(e => [e.type, e.amount, e.source, e.eventId]);
+}
+
+test('awards at one event stop at BP_Cap_Per_Event and the rest goes to prestige', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  engine.run('awardBonusPoints', 'Ava', 15, 'MANUAL', { eventId: EVENT_ID });
+  const hybrid = engine.run('awardFromHybridRoll', 'Ava', 10, EVENT_ID);
+  const d20 = engine.run('awardFromD20Roll', 'Ava', 15, EVENT_ID);
+
+  assert.equal(hybrid.overflow, 5);
+  assert.equal(hybrid.eventCapped, 5);
+  assert.equal(d20.overflow, 1);
+  assert.deepEqual(awards(engine, 'Ava'), [
+    ['AWARD', 15, 'MANUAL', EVENT_ID],
+    ['AWARD', 5, 'HYBRID_ROLL', EVENT_ID],
+    ['OVERFLOW', 5, 'HYBRID_ROLL', EVENT_ID],
+    ['OVERFLOW', 1, 'D20_ROLL', EVENT_ID]
+  ]);
+  assert.equal(engine.run('getBPLedgerBalance', 'Ava').currentBP, 60);
+  assert.deepEqual(engine.rows('BP_Prestige').map(r => [r.PreferredName, r.Prestige_Points]), [['Ava', 6]]);
+  const logged = engine.rows('Integrity_Log').filter(r => r.Action === 'BP_EVENT_CAP');
+  assert.deepEqual(logged.map(r => [r.PreferredName, r.Event_ID]), [['Ava', EVENT_ID], ['Ava', EVENT_ID]]);
+});
+
+test('the cap is per player and per event', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  engine.run('awardBonusPoints', 'Ava', 20, 'MANUAL', { eventId: EVENT_ID });
+  const other = engine.run('awardBonusPoints', 'Ava', 20, 'MANUAL', { eventId: OTHER_EVENT_ID });
+  const cam = engine.run('awardBonusPoints', 'Cam', 20, 'MANUAL', { eventId: EVENT_ID });
+
+  assert.equal(other.overflow, 0);
+  assert.equal(other.eventCapped, 0);
+  assert.equal(cam.overflow, 0);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'BP_EVENT_CAP').length, 0);
+});
+
+test('awards without an event ID only answer to the global cap', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const result = engine.run('awardBonusPoints', 'Ava', 50, 'MANUAL');
+
+  assert.equal(result.overflow, 0);
+  assert.equal(result.eventCapped, 0);
+  assert.deepEqual(awards(engine, 'Ava'), [['AWARD', 50, 'MANUAL', '']]);
+});
+
+test('a lower BP_Cap_Per_Event on Prize_Throttle applies to flag missions at the event', () => {
+  const fixture = patchFixture('player_ledgers', {
+    settings: { BP_Cap_Per_Event: '10' },
+    sheets: {
+      Flag_Missions: [
+        ['PreferredName', 'Cosmic_Merchant', 'Gravitational_Pull', 'Quantum_Collector', 'Flag Mission Points'],
+        ['Ava', false, true, true, 10]
+      ]
+    }
+  });
+  const engine = createEngine({ fixture });
+  engine.run('awardBonusPoints', 'Ava', 8, 'MANUAL', { eventId: EVENT_ID });
+
+  const result = engine.run('awardFlagMission', 'Ava', 'Cosmic_Merchant', EVENT_ID);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(awards(engine, 'Ava').slice(1), [
+    ['AWARD', 2, 'FLAG_MISSIONS', EVENT_ID],
+    ['OVERFLOW', 1, 'FLAG_MISSIONS', EVENT_ID]
+  ]);
+  const flag = engine.rows('BP_Total').find(r => r.PreferredName === 'Ava')['Flag Mission Points'];
+  assert.equal(flag, 13);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'BP_EVENT_CAP').length, 1);
+});
+
+test('a flag mission credits only flag points to its event', () => {
+  const fixture = patchFixture('player_ledgers', {
+    sheets: {
+      Attendance_Missions: [['PreferredName', 'Attendance Mission Points'], ['Ava', 25]],
+      Flag_Missions: [
+        ['PreferredName', 'Cosmic_Merchant', 'Gravitational_Pull', 'Quantum_Collector', 'Flag Mission Points'],
+        ['Ava', false, true, true, 10]
+      ]
+    }
+  });
+  const engine = createEngine({ fixture });
+
+  engine.run('awardFlagMission', 'Ava', 'Cosmic_Merchant', EVENT_ID);
+
+  assert.deepEqual(awards(engine, 'Ava'), [['AWARD', 3, 'FLAG_MISSIONS', EVENT_ID]]);
+  assert.equal(engine.run('getBPLedgerBalance', 'Ava').currentBP, 43);
+});
+
+test('the event cap report lists capped player-events for staff', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  engine.run('awardBonusPoints', 'Ava', 25, 'MANUAL', { eventId: EVENT_ID });
+  engine.run('awardBonusPoints', 'Cam', 20, 'MANUAL', { eventId: EVENT_ID });
+  engine.run('awardBonusPoints', 'Cam', 30, 'MANUAL', { eventId: OTHER_EVENT_ID });
+
+  const rows = engine.run('buildBPEventCapReport');
+
+  assert.deepEqual(rows.map(r => [r.eventId, r.preferredName, r.attempted, r.earned, r.prestige, r.cap]), [
+    [EVENT_ID, 'Ava', 25, 20, 5, 20],
+    [OTHER_EVENT_ID, 'Cam', 30, 20, 10, 20]
+  ]);
+  assert.deepEqual(engine.rows('BP_Event_Caps').map(r => [r.Event_ID, r.PreferredName, r.Prestige_BP]),
+    [[EVENT_ID, 'Ava', 5], [OTHER_EVENT_ID, 'Cam', 10]]);
+  assert.equal(engine.run('buildBPEventCapReport', EVENT_ID).length, 1);
+});
+
+test('Top-4 and Black Hole Survivor bonuses are awarded per event under the cap', () => {
+  const fixture = patchFixture('player_ledgers', {
+    settings: { BP_Top4: '15', BP_Black_Hole_Survivor: '10' },
+    sheets: { '11-01-2025': [['Rank', 'PreferredName'], [1, 'Ava'], [2, 'Ben'], [3, 'Cam']] }
+  });
+  const engine = createEngine({ fixture });
+
+  const result = engine.run('recomputeRankAndSurvivorBonuses');
+  const again = engine.run('recomputeRankAndSurvivorBonuses');
+
+  assert.deepEqual([result.awards, again.awards], [4, 0]);
+  assert.deepEqual(awards(engine, 'Cam'), [
+    ['AWARD', 15, 'TOP4', '11-01-2025'],
+    ['AWARD', 5, 'BLACK_HOLE', '11-01-2025'],
+    ['OVERFLOW', 5, 'BLACK_HOLE', '11-01-2025']
+  ]);
+  const report = engine.run('buildBPEventCapReport');
+  assert.deepEqual(report.map(r => [r.preferredName, r.eventId]), [['Cam', '11-01-2025']]);
+});
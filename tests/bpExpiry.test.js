@@ -0,0 +1,155 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const FIFO = { BP_Expiry_Mode: 'FIFO', BP_Expiry_Days: '30', BP_Expiry_Warn_Days: '7', BP_Expiry_Since: '2025-01-01T00:00:00Z' };
+
+/**
+ * Gets a player's BP_Current
+ * @param {Object} engine - Engine
+ * @param {string} name - Player
+ * @return {number} BP_Current
+ */
+function currentBP(engine, name) {
+  return engine.rows('BP_Total').find(r => r.PreferredName === name).BP_Current;
+}
+
+test('FIFO expiry spends the oldest batches first, warns ahead, then expires', () => {
+  const engine = createEngine({
+    fixture: patchFixture('player_ledgers', { settings: FIFO }),
+    now: '2025-01-01T15:00:00Z'
+  });
+  engine.run('rebuildBPProjections');
+  engine.setNow('2025-01-20T15:00:00Z');
+  engine.run('awardBonusPoints', 'Ava', 10, 'MANUAL');
+  engine.run('redeemBonusPoints', 'Ava', 15, 'STORE_CREDIT');
+
+  engine.setNow('2025-01-26T15:00:00Z');
+  const warned = engine.run('runBPExpiryJob');
+  assert.deepEqual(warned.expired, []);
+  assert.deepEqual(warned.warned.find(w => w.preferredName === 'Ava'), { preferredName: 'Ava', amount: 25, expiresOn: '2025-01-31' });
+  assert.equal(engine.run('runBPExpiryJob').warned.length, 0);
+  assert.equal(engine.run('getPendingNotifications', 'BP_EXPIRY_WARNING').filter(n => n.preferredName === 'Ava').length, 1);
+
+  engine.setNow('2025-02-01T15:00:00Z');
+  const expired = engine.run('runBPExpiryJob');
+  assert.deepEqual(expired.expired.find(e => e.preferredName === 'Ava'), { preferredName: 'Ava', amount: 25 });
+  assert.equal(currentBP(engine, 'Ava'), 10);
+  assert.deepEqual(engine.run('getBPLedgerEntries', 'Ava').slice(-1).map(e => [e.type, e.amount]), [['EXPIRE', -25]]);
+  assert.deepEqual(engine.run('runBPExpiryJob').expired, []);
+  assert.equal(currentBP(engine, 'Ava'), 10);
+});
+
+test('inactivity expiry counts from the last event the player attended', () => {
+  const fixture = patchFixture('player_ledgers', {
+    settings: { BP_Expiry_Mode: 'INACTIVITY', BP_Expiry_Days: '60', BP_Expiry_Warn_Days: '14', BP_Expiry_Since: '2025-01-01T00:00:00Z' },
+    sheets: { '01-10-2025': [['Rank', 'PreferredName'], [1, 'Ben']] }
+  });
+  const engine = createEngine({ fixture, now: '2025-01-01T15:00:00Z' });
+  engine.run('rebuildBPProjections');
+
+  engine.setNow('2025-03-05T15:00:00Z');
+  const result = engine.run('runBPExpiryJob');
+
+  assert.deepEqual(result.expired, [{ preferredName: 'Ava', amount: 40 }]);
+  assert.deepEqual(result.warned, [{ preferredName: 'Ben', amount: 95, expiresOn: '2025-03-11' }]);
+  assert.equal(currentBP(engine, 'Ava'), 0);
+  assert.equal(currentBP(engine, 'Ben'), 95);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'BP_EXPIRY_RUN').length, 1);
+});
+
+test('the lookup profile shows BP expiring soon', () => {
+  const engine = createEngine({
+    fixture: patchFixture('player_ledgers', { settings: FIFO }),
+    now: '2025-01-01T15:00:00Z'
+  });
+  engine.run('rebuildBPProjections');
+  engine.setNow('2025-01-20T15:00:00Z');
+  engine.run('awardBonusPoints', 'Ava', 10, 'MANUAL');
+
+  engine.setNow('2025-01-27T15:00:00Z');
+  assert.equal(engine.run('getPlayerLookupProfile', 'Ava').bonusPoints.expiringSoon, 0);
+  engine.run('runBPExpiryJob');
+  const bp = engine.run('getPlayerLookupProfile', 'Ava').bonusPoints;
+
+  assert.equal(bp.expiringSoon, 40);
+  assert.equal(bp.expiringOn, '2025-01-31');
+  assert.equal(engine.run('getBPExpiringSoon', 'Ava').batches.length, 1);
+
+  // Spent since the run: never more than the balance
+  engine.run('redeemBonusPoints', 'Ava', 45, 'STORE_CREDIT');
+  assert.equal(engine.run('getPlayerLookupProfile', 'Ava').bonusPoints.expiringSoon, 5);
+
+  // The ledger is not planned per lookup, and a bad policy leaves the balance shown
+  const plan = globalThis.planBPExpiry_;
+  globalThis.planBPExpiry_ = () => assert.fail('lookup planned from the ledger');
+  try {
+    engine.run('getPlayerLookupProfile', 'Ava');
+  } finally {
+    globalThis.planBPExpiry_ = plan;
+  }
+  engine.run('setThrottleParam', 'BP_Expiry_Mode', 'WEEKLY');
+  const profile = engine.run('getPlayerLookupProfile', 'Ava');
+  assert.equal(profile.bonusPoints.current, 5);
+  assert.ok(profile.meta.errors.some(e => /BP expiry lookup error/.test(e)));
+});
+
+test('with the policy off nothing expires and a dry run writes nothing', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2030-01-01T15:00:00Z' });
+
+  assert.deepEqual(engine.run('runBPExpiryJob'), { mode: 'OFF', expired: [], warned: [] });
+  assert.equal(engine.run('getPlayerLookupProfile', 'Ava').bonusPoints.expiringSoon, 0);
+
+  engine.sheet('Prize_Throttle').appendRow(['BP_Expiry_Mode', 'FIFO']);
+  engine.sheet('Prize_Throttle').appendRow(['BP_Expiry_Days', '30']);
+  engine.setNow('2030-03-01T15:00:00Z');
+  const dry = engine.run('runBPExpiryJob', { dryRun: true });
+  assert.deepEqual([dry.expired.length, dry.warned.length], [0, 2]);
+  assert.equal(engine.run('getBPLedgerEntries').filter(e => e.type === 'EXPIRE').length, 0);
+  assert.equal(engine.sheet('Notification_Queue'), null);
+  assert.equal(engine.run('getThrottleKV').BP_Expiry_Since, undefined);
+});
+
+test('turning a policy on warns about overdue BP before any of it expires', () => {
+  const settings = { BP_Expiry_Mode: 'FIFO', BP_Expiry_Days: '30', BP_Expiry_Warn_Days: '7' };
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', { settings }), now: '2025-01-01T15:00:00Z' });
+  engine.run('rebuildBPProjections');
+
+  engine.setNow('2025-06-01T15:00:00Z');
+  const first = engine.run('runBPExpiryJob');
+  assert.deepEqual(first.expired, []);
+  assert.deepEqual(first.warned.find(w => w.preferredName === 'Ava'), { preferredName: 'Ava', amount: 40, expiresOn: '2025-06-08' });
+  assert.match(engine.run('getThrottleKV').BP_Expiry_Since, /^2025-06-01T/);
+
+  engine.setNow('2025-06-08T15:00:00Z');
+  assert.deepEqual(engine.run('runBPExpiryJob').expired.find(e => e.preferredName === 'Ava'), { preferredName: 'Ava', amount: 40 });
+
+  // Off clears the start, so switching back on warns again first
+  engine.run('setThrottleParam', 'BP_Expiry_Mode', 'OFF');
+  engine.run('runBPExpiryJob');
+  assert.equal(engine.run('getThrottleKV').BP_Expiry_Since, '');
+});
+
+test('the expiry job installs as a single daily trigger', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  engine.run('installIntegrityCheckpointTrigger');
+  engine.run('installBPExpiryTrigger');
+  engine.run('installBPExpiryTrigger', 5);
+  engine.run('installBPReservationExpiryTrigger');
+
+  assert.deepEqual(engine.state.triggers.map(t => t.getHandlerFunction()),
+    ['writeIntegrityCheckpoint', 'runBPExpiryJob', 'expireBPReservations']);
+});
+
+test('delivered notifications leave the pending queue', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const first = engine.run('enqueueNotification', 'TEST', 'Ava', 'Hello', { dedupeKey: 'k1' });
+  assert.equal(engine.run('enqueueNotification', 'TEST', 'Ava', 'Hello', { dedupeKey: 'k1' }).queued, false);
+
+  assert.equal(engine.run('markNotificationSent', first.notificationId), true);
+  assert.equal(engine.run('markNotificationSent', first.notificationId), false);
+  assert.deepEqual(engine.run('getPendingNotifications'), []);
+  assert.throws(() => engine.run('markNotificationSent', 'nope'), /NOTIFICATION_NOT_FOUND/);
+});
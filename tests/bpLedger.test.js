@@ -0,0 +1,146 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+const BP_COLUMNS = ['BP_Current', 'Attendance Mission Points', 'Flag Mission Points', 'Dice Roll Points', 'BP_Historical', 'BP_Redeemed'];
+
+/**
+ * Gets the projected BP_Total columns per player
+ * @param {Object} engine - Engine
+ * @return {Array<Array>} [name, ...BP_COLUMNS]
+ */
+function bpTotals(engine) {
+  return engine.rows('BP_Total').map(r => [r.PreferredName, ...BP_COLUMNS.map(c => r[c])]);
+}
+
+test('the ledger opens from the existing balances without changing them', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const before = bpTotals(engine);
+
+  engine.run('rebuildBPProjections');
+
+  assert.deepEqual(bpTotals(engine), before);
+  const ben = engine.run('getBPLedgerEntries', 'Ben');
+  assert.deepEqual(ben.map(e => [e.type, e.amount, e.source]), [
+    ['AWARD', 50, 'ATTENDANCE_MISSIONS'],
+    ['AWARD', 30, 'FLAG_MISSIONS'],
+    ['AWARD', 15, 'DICE_ROLLS'],
+    ['AWARD', 15, 'OPENING'],
+    ['REDEEM', -15, 'OPENING']
+  ]);
+  assert.ok(ben.every(e => e.idempotencyKey.startsWith('OPENING:Ben:')));
+  assert.deepEqual(engine.run('getBPLedgerEntries', 'Cam'), []);
+});
+
+test('reading an unopened ledger opens it only under the script lock, once', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const held = globalThis.LockService.getScriptLock();
+  held.tryLock(0);
+  try {
+    assert.throws(() => engine.run('getBPLedgerBalance', 'Ben'), /script lock/);
+  } finally {
+    held.releaseLock();
+  }
+  assert.equal(engine.rows('BP_Ledger').length, 0);
+
+  const opened = engine.run('getBPLedgerEntries').length;
+  assert.equal(engine.run('getBPLedgerBalance', 'Ben').currentBP, 95);
+
+  assert.equal(engine.run('getBPLedgerEntries').length, opened);
+});
+
+test('awards, overflow and redemptions are entries the projections rebuild from', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  engine.run('awardBonusPoints', 'Ben', 10, 'MANUAL', { eventId: EVENT_ID });
+  engine.run('redeemBonusPoints', 'Ava', 15, 'STORE_CREDIT');
+
+  const ben = engine.run('getBPLedgerEntries', 'Ben').slice(-2);
+  assert.deepEqual(ben.map(e => [e.type, e.amount, e.source, e.eventId]),
+    [['AWARD', 5, 'MANUAL', EVENT_ID], ['OVERFLOW', 5, 'MANUAL', EVENT_ID]]);
+  assert.equal(ben[0].idempotencyKey, ben[1].idempotencyKey);
+  const projected = bpTotals(engine);
+  assert.deepEqual(projected.slice(0, 2), [
+    ['Ava', 25, 20, 10, 10, 40, 15],
+    ['Ben', 100, 50, 30, 15, 120, 15]
+  ]);
+  assert.deepEqual(engine.rows('BP_Prestige').map(r => [r.PreferredName, r.Prestige_Points]), [['Ben', 5]]);
+
+  // Projections are disposable: scribble over them and rebuild
+  engine.sheet('BP_Total').getRange(2, 2, 3, 1).setValues([[999], [999], [999]]);
+  engine.sheet('BP_Prestige').getRange(2, 2).setValue(0);
+  engine.run('rebuildBPProjections');
+
+  assert.deepEqual(bpTotals(engine), projected);
+  assert.equal(engine.rows('BP_Prestige')[0].Prestige_Points, 5);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'BP_PROJECTION_REBUILD').length, 1);
+});
+
+test('an idempotency key makes a repeated award a no-op', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const meta = { idempotencyKey: 'FLAG:Ava:first-win' };
+
+  const first = engine.run('awardBonusPoints', 'Ava', 10, 'FLAG_MISSION', meta);
+  const second = engine.run('awardBonusPoints', 'Ava', 10, 'FLAG_MISSION', meta);
+
+  assert.equal(first.duplicate, false);
+  assert.equal(second.duplicate, true);
+  assert.equal(second.currentBP, 50);
+  assert.equal(engine.run('getBPLedgerEntries', 'Ava').filter(e => e.idempotencyKey === meta.idempotencyKey).length, 1);
+  assert.equal(engine.rows('BP_Total').find(r => r.PreferredName === 'Ava').BP_Current, 50);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'BP_AWARD').length, 1);
+});
+
+test('mission sheet changes are synced as ledger deltas', () => {
+  const fixture = patchFixture('player_ledgers', {
+    sheets: { Attendance_Missions: [['PreferredName', 'Attendance Mission Points'], ['Ava', 25], ['Ben', 40], ['Dee', 5]] }
+  });
+  const engine = createEngine({ fixture });
+
+  assert.equal(engine.run('updateBPTotalFromSources'), 3);
+  assert.equal(engine.run('updateBPTotalFromSources'), 0);
+
+  const synced = engine.run('getBPLedgerEntries').filter(e => !e.idempotencyKey.startsWith('OPENING:'));
+  assert.deepEqual(synced.map(e => [e.preferredName, e.type, e.amount, e.source]), [
+    ['Ava', 'AWARD', 5, 'ATTENDANCE_MISSIONS'],
+    ['Ben', 'ADJUST', -10, 'ATTENDANCE_MISSIONS'],
+    ['Dee', 'AWARD', 5, 'ATTENDANCE_MISSIONS']
+  ]);
+  assert.deepEqual(bpTotals(engine), [
+    ['Ava', 45, 25, 10, 10, 45, 0],
+    ['Ben', 85, 40, 30, 15, 100, 15],
+    ['Cam', 0, 0, 0, 0, 0, 0],
+    ['Dee', 5, 5, 0, 0, 5, 0]
+  ]);
+
+  // Installed BP Aggregator triggers still fire; the shim syncs the edited source
+  const missions = engine.sheet('Attendance_Missions');
+  missions.getRange(4, 2).setValue(8);
+  engine.run('onEditBPAggregator', { range: missions.getRange(1, 2) });
+  engine.run('onEditBPAggregator', { range: engine.sheet('BP_Total').getRange(2, 2) });
+  assert.equal(engine.run('getBPLedgerBalance', 'Dee').currentBP, 5);
+  engine.run('onEditBPAggregator', { range: missions.getRange(4, 2) });
+  assert.deepEqual(engine.run('getBPLedgerEntries', 'Dee').map(e => e.amount), [5, 3]);
+  assert.equal(engine.run('getBPLedgerBalance', 'Dee').currentBP, 8);
+});
+
+test('reverting a HYBRID BP batch writes REVERSE entries', () => {
+  const fixture = patchFixture('prize_event', {
+    metadata: { [EVENT_ID]: { event_type: 'HYBRID' } },
+    settings: { Hybrid_Payout_Type: 'BP', Hybrid_BP_Per_Dollar: '2' }
+  });
+  const engine = createEngine({ fixture });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  const { batchId } = engine.run('commitEndPrizes', EVENT_ID, preview.hash);
+
+  engine.run('revertPrizeBatch', batchId);
+
+  const entries = engine.run('getBPLedgerEntries');
+  const reversals = entries.filter(e => e.type === 'REVERSE');
+  assert.deepEqual(reversals.map(e => [e.preferredName, e.amount]), [['Ava', -11], ['Ben', -6], ['Cam', -4]]);
+  assert.ok(reversals.every(e => e.batchId === batchId && entries.find(o => o.entryId === e.reverses).type === 'AWARD'));
+  assert.deepEqual(engine.rows('BP_Total').map(r => r.BP_Current), [0, 0, 0]);
+});
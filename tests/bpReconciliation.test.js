@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, patchFixture } = require('./harness/engine');
+
+/**
+ * player_ledgers patch: mission sheets that match BP_Total
+ */
+const MISSIONS = {
+  sheets: {
+    Attendance_Missions: [['PreferredName', 'Attendance Mission Points'], ['Ava', 20], ['Ben', 50]],
+    Flag_Missions: [['PreferredName', 'Flag Mission Points'], ['Ava', 10], ['Ben', 30]],
+    'Dice Roll Points': [['PreferredName', 'Dice Roll Points'], ['Ava', 10], ['Ben', 15]]
+  }
+};
+
+/**
+ * Ticks Approved on the BP_Reconciliation rows a filter picks
+ * @param {Object} engine - Engine
+ * @param {Function} pick - function(row) → boolean
+ */
+function approve(engine, pick) {
+  const [headers, ...rows] = engine.values('BP_Reconciliation');
+  const col = headers.indexOf('Approved') + 1;
+  rows.forEach((row, i) => {
+    const fix = Object.fromEntries(headers.map((h, c) => [h, row[c]]));
+    if (pick(fix)) engine.sheet('BP_Reconciliation').getRange(i + 2, col).setValue(true);
+  });
+}
+
+test('a workbook that matches its sources has nothing to reconcile', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', MISSIONS) });
+
+  assert.deepEqual(engine.run('buildBPReconciliation'), []);
+  assert.equal(engine.rows('BP_Reconciliation').length, 0);
+  const log = engine.rows('Integrity_Log').filter(r => r.Action === 'REPORT_GENERATED').slice(-1)[0];
+  assert.match(log.Details, /0 discrepancies across 0 player/);
+  assert.throws(() => engine.run('applyBPReconciliationFixes'), /No BP reconciliation report/);
+});
+
+test('mission drift and a repeated source row are proposed, approved and applied', () => {
+  const fixture = patchFixture('player_ledgers', MISSIONS, {
+    rows: { Attendance_Missions: { 2: ['Ava', 25] } },
+    append: { Flag_Missions: [['Ben', 30]] }
+  });
+  const engine = createEngine({ fixture });
+  const fixes = engine.run('buildBPReconciliation');
+
+  assert.deepEqual(fixes.map(f => [f.preferredName, f.issue, f.field, f.bpTotalValue, f.expectedValue, f.proposedFix, f.status]), [
+    ['Ava', 'MISSION_DRIFT', 'Attendance Mission Points', 20, 25, 'SYNC_SOURCES', 'PROPOSED'],
+    ['Ben', 'DUPLICATE_SOURCE_ROW', 'Flag_Missions!4', '', '', 'DELETE_ROW', 'PROPOSED']
+  ]);
+  assert.deepEqual([fixes[0].expectedCurrent, fixes[0].expectedHistorical], [45, 45]);
+
+  approve(engine, () => true);
+  assert.deepEqual(engine.run('applyBPReconciliationFixes'), { applied: 2, stale: 0, failed: 0 });
+  assert.equal(engine.run('getPlayerBP', 'Ava'), 45);
+  assert.deepEqual(engine.values('Flag_Missions').slice(1), [['Ava', 10], ['Ben', 30]]);
+  assert.deepEqual(engine.rows('BP_Reconciliation').map(r => r.Status), ['APPLIED', 'APPLIED']);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'BP_RECONCILIATION_FIX').length, 2);
+  assert.deepEqual(engine.run('buildBPReconciliation'), []);
+});
+
+test('logged redemptions missing from the ledger count repeated log rows once', () => {
+  const logRow = [{ $date: '2025-10-02T12:00:00Z' }, 'Ava', 10, 'Prize Pack', 'Prize', '', 'staff@example.com', 'R1'];
+  const fixture = patchFixture('player_ledgers', MISSIONS, {
+    sheets: {
+      BP_Redeemed_Log: [['Timestamp', 'PreferredName', 'BP_Amount', 'Reason', 'Category', 'Event_ID', 'Staff', 'RowId'], logRow, logRow],
+      Redeemed_BP: [
+        ['PreferredName', 'Total_Redeemed', 'Item_Redeemed', 'Notes', 'BP_Current', 'BP_Historical', 'LastUpdated'],
+        ['Ben', 5, 'Sleeves', '', 105, 110, ''],
+        ['Ben', 15, 'Deck Box', '', 95, 110, '']
+      ]
+    }
+  });
+  const engine = createEngine({ fixture });
+  const fixes = engine.run('buildBPReconciliation');
+
+  assert.deepEqual(fixes.map(f => [f.preferredName, f.issue, f.proposedFix, f.fixAmount]), [
+    ['Ava', 'MISSING_REDEMPTION', 'RECORD_REDEMPTION', 10],
+    ['Ava', 'DUPLICATE_SOURCE_ROW', 'DELETE_ROW', 1]
+  ]);
+  assert.equal(fixes[0].expectedCurrent, 30);
+
+  approve(engine, fix => fix.Issue === 'MISSING_REDEMPTION');
+  assert.deepEqual(engine.run('applyBPReconciliationFixes'), { applied: 1, stale: 0, failed: 0 });
+  const balance = engine.run('getBPLedgerBalance', 'Ava');
+  assert.deepEqual([balance.currentBP, balance.redeemedBP], [30, 10]);
+  assert.deepEqual(engine.rows('BP_Reconciliation').map(r => r.Status), ['APPLIED', 'PROPOSED']);
+  assert.equal(engine.values('BP_Redeemed_Log').length, 3);
+  assert.deepEqual(engine.run('applyBPReconciliationFixes'), { applied: 0, stale: 0, failed: 0 });
+});
+
+test('BP_Current over the global cap is routed to prestige', () => {
+  const fixture = patchFixture('player_ledgers', MISSIONS, { rows: { BP_Total: { 3: ['Ben', 130, 50, 30, 15, '', 145, 15] } } });
+  const engine = createEngine({ fixture });
+  const fixes = engine.run('buildBPReconciliation');
+
+  assert.deepEqual(fixes.map(f => [f.issue, f.bpTotalValue, f.expectedValue, f.fixAmount, f.expectedCurrent, f.expectedHistorical]),
+    [['CAP_OVERFLOW_NOT_ROUTED', 130, 100, 30, 100, 145]]);
+
+  approve(engine, () => true);
+  engine.run('applyBPReconciliationFixes');
+  const balance = engine.run('getBPLedgerBalance', 'Ben');
+  assert.deepEqual([balance.currentBP, balance.historicalBP, balance.prestige], [100, 145, 30]);
+  assert.deepEqual(engine.rows('BP_Prestige').map(r => [r.PreferredName, r.Prestige_Points]), [['Ben', 30]]);
+});
+
+test('hand edits are reprojected, stale fixes skipped and differing rows left for review', () => {
+  const fixture = patchFixture('player_ledgers', MISSIONS, { append: { 'Dice Roll Points': [['Ava', 12]] } });
+  const engine = createEngine({ fixture });
+  engine.run('getBPLedgerBalance', 'Ben');
+  engine.sheet('BP_Total').getRange(3, 2).setValue(999);
+  const fixes = engine.run('buildBPReconciliation');
+
+  assert.deepEqual(fixes.map(f => [f.preferredName, f.issue, f.proposedFix, f.status]), [
+    ['Ava', 'MISSION_DRIFT', 'SYNC_SOURCES', 'PROPOSED'],
+    ['Ava', 'DUPLICATE_SOURCE_ROW', 'NONE', 'REVIEW'],
+    ['Ben', 'PROJECTION_DRIFT', 'REPROJECT', 'PROPOSED']
+  ]);
+
+  approve(engine, () => true);
+  engine.run('syncBPLedgerFromSources');
+  assert.deepEqual(engine.run('applyBPReconciliationFixes'), { applied: 1, stale: 1, failed: 0 });
+  assert.deepEqual(engine.rows('BP_Reconciliation').map(r => r.Status), ['STALE', 'REVIEW', 'APPLIED']);
+  assert.equal(engine.rows('BP_Total').find(r => r.PreferredName === 'Ben').BP_Current, 95);
+  assert.equal(engine.values('Dice Roll Points').length, 4);
+});
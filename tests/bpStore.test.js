@@ -0,0 +1,155 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, patchFixture } = require('./harness/engine');
+
+/**
+ * player_ledgers patch: a small BP store catalog
+ */
+const STORE = {
+  sheets: {
+    Prize_Catalog: [
+      ['Code', 'Name', 'Level', 'COGS', 'Qty', 'InStock', 'BP_Price', 'Redeemable'],
+      ['CAP', 'Cosmic Cap', 'L1', 4, 2, true, 30, true],
+      ['MAT', 'Playmat', 'L2', 9, 5, true, 60, true],
+      ['PIN', 'Enamel Pin', 'L1', 1, 10, true, 10, false],
+      ['DICE', 'Dice Set', 'L1', 2, 3, false, 5, true]
+    ]
+  }
+};
+
+/**
+ * Gets a catalog item's Qty
+ * @param {Object} engine - Engine
+ * @param {string} code - Item code
+ * @return {number} Qty
+ */
+function qty(engine, code) {
+  return engine.rows('Prize_Catalog').find(r => r.Code === code).Qty;
+}
+
+test('lists only redeemable, in-stock items the player can afford, cheapest first', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', STORE) });
+
+  assert.deepEqual(engine.run('getRedeemableItems').map(i => i.code), ['CAP', 'MAT']);
+  assert.deepEqual(engine.run('getRedeemableItems', 'Ava').map(i => [i.code, i.bpPrice]), [['CAP', 30]]);
+  assert.deepEqual(engine.run('getRedeemableItems', 'Cam'), []);
+  const ui = engine.run('getBPInfoForUI', 'ben');
+  assert.equal(ui.success, true);
+  assert.equal(ui.currentBP, 95);
+  assert.deepEqual(ui.items.map(i => i.code), ['CAP', 'MAT']);
+});
+
+test('redeeming takes the BP and the item and writes the logs', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', STORE) });
+  const result = engine.run('redeemCatalogItem', 'Ava', 'CAP');
+
+  assert.deepEqual([result.status, result.spent, result.remaining], ['CLAIMED', 30, 10]);
+  assert.equal(engine.run('getPlayerBP', 'Ava'), 10);
+  assert.equal(qty(engine, 'CAP'), 1);
+  const log = engine.rows('BP_Redeemed_Log').slice(-1)[0];
+  assert.deepEqual([log.PreferredName, log.BP_Amount, log.Category, log.RowId],
+    ['Ava', 30, 'BP_STORE', result.reservationId]);
+  assert.deepEqual(engine.rows('Spent_Pool').map(r => [r.Event_ID, r.Item_Code, r.Qty]), [['BP_REDEEM', 'CAP', 1]]);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'BP_STORE_REDEEM').length, 1);
+});
+
+test('a refused order changes nothing', () => {
+  const soldOut = { rows: { Prize_Catalog: { 2: ['CAP', 'Cosmic Cap', 'L1', 4, 0, true, 30, true] } } };
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', STORE, soldOut) });
+
+  assert.throws(() => engine.run('redeemCatalogItem', 'Ava', 'MAT'), /Insufficient BP/);
+  assert.throws(() => engine.run('redeemCatalogItem', 'Ben', 'CAP'), /out of stock/);
+  assert.throws(() => engine.run('redeemCatalogItem', 'Ben', 'PIN'), /not redeemable/);
+  assert.equal(engine.run('getPlayerBP', 'Ava'), 40);
+  assert.equal(engine.run('getPlayerBP', 'Ben'), 95);
+  assert.equal(qty(engine, 'MAT'), 5);
+  assert.equal(engine.run('getBPReservations').length, 0);
+  assert.equal(engine.rows('Spent_Pool').length, 0);
+});
+
+test('a reservation is handed over when claimed', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', STORE) });
+  const order = engine.run('reserveCatalogItem', 'Ben', 'MAT');
+
+  assert.equal(order.status, 'RESERVED');
+  assert.equal(engine.run('getPlayerBP', 'Ben'), 35);
+  assert.equal(qty(engine, 'MAT'), 4);
+  assert.equal(engine.rows('Spent_Pool').length, 0);
+
+  engine.run('claimBPReservation', order.reservationId);
+  assert.deepEqual(engine.run('getBPReservations', 'Ben').map(r => r.status), ['CLAIMED']);
+  assert.deepEqual(engine.rows('Spent_Pool').map(r => [r.Item_Code, r.COGS]), [['MAT', 9]]);
+  assert.throws(() => engine.run('cancelBPReservation', order.reservationId), /Reservation is CLAIMED/);
+});
+
+test('an unclaimed reservation expires, restocks and refunds', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', STORE) });
+  const order = engine.run('reserveCatalogItem', 'Ava', 'CAP');
+
+  engine.advance(6 * 24 * 60 * 60 * 1000);
+  assert.deepEqual(engine.run('expireBPReservations').expired, []);
+
+  engine.advance(2 * 24 * 60 * 60 * 1000);
+  const { expired } = engine.run('expireBPReservations');
+  assert.deepEqual(expired.map(e => [e.reservationId, e.bpPrice]), [[order.reservationId, 30]]);
+  assert.equal(engine.run('getPlayerBP', 'Ava'), 40);
+  assert.equal(qty(engine, 'CAP'), 2);
+  assert.deepEqual(engine.run('getBPReservations', 'Ava').map(r => r.status), ['EXPIRED']);
+  const notices = engine.run('getPendingNotifications', 'BP_RESERVATION_EXPIRED');
+  assert.deepEqual(notices.map(n => [n.preferredName, n.amount]), [['Ava', 30]]);
+});
+
+test('cancelling refunds, and catalog redemption must pay the BP price', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', STORE) });
+  const order = engine.run('reserveCatalogItem', 'Ben', 'CAP');
+  engine.run('cancelBPReservation', order.reservationId, 'Changed mind');
+
+  assert.equal(engine.run('getPlayerBP', 'Ben'), 95);
+  assert.equal(qty(engine, 'CAP'), 2);
+  assert.throws(() => engine.run('redeemBP_Catalog', 'Ben', 10, 'CAP'), /does not match the BP price/);
+  assert.throws(() => engine.run('redeemBP_Catalog', 'Ben', 10, 'PIN'), /NOT_REDEEMABLE/);
+  assert.throws(() => engine.run('redeemBP_Catalog', 'Ben', 45), /ITEM_NOT_FOUND/);
+  assert.equal(engine.run('redeemBP_Catalog', 'Ben', 30, 'CAP').remaining, 65);
+  assert.equal(engine.run('redeemBP_Catalog', 'Ben', 60).item.code, 'MAT');
+  assert.deepEqual([qty(engine, 'CAP'), qty(engine, 'MAT'), qty(engine, 'PIN')], [1, 4, 10]);
+  assert.equal(engine.rows('BP_Redeemed_Log').length, 2);
+});
+
+test('a refund that fails leaves the reservation open and the item out of stock', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', STORE) });
+  const order = engine.run('reserveCatalogItem', 'Ben', 'CAP');
+  engine.advance(8 * 24 * 60 * 60 * 1000);
+  const append = globalThis.appendBPLedgerRows_;
+  globalThis.appendBPLedgerRows_ = () => { throw new Error('Ledger write failed'); };
+  try {
+    assert.throws(() => engine.run('cancelBPReservation', order.reservationId), /Ledger write failed/);
+    assert.deepEqual(engine.run('expireBPReservations'),
+      { expired: [], failed: [{ reservationId: order.reservationId, error: 'Ledger write failed' }] });
+  } finally {
+    globalThis.appendBPLedgerRows_ = append;
+  }
+
+  assert.deepEqual(engine.run('getBPReservations', 'Ben').map(r => r.status), ['RESERVED']);
+  assert.deepEqual([engine.run('getPlayerBP', 'Ben'), qty(engine, 'CAP')], [65, 1]);
+  assert.equal(engine.run('expireBPReservations').expired.length, 1);
+  assert.deepEqual([engine.run('getPlayerBP', 'Ben'), qty(engine, 'CAP')], [95, 2]);
+});
+
+test('buying the same item twice is two orders unless the submission key repeats', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', STORE) });
+  const first = engine.run('redeemCatalogItem', 'Ben', 'CAP');
+  const second = engine.run('redeemCatalogItem', 'Ben', 'CAP');
+
+  assert.notEqual(second.reservationId, first.reservationId);
+  assert.equal(engine.run('getPlayerBP', 'Ben'), 35);
+  assert.equal(qty(engine, 'CAP'), 0);
+  assert.equal(engine.rows('BP_Redeemed_Log').length, 2);
+
+  const keyed = createEngine({ fixture: patchFixture('player_ledgers', STORE) });
+  const order = keyed.run('handleBPStoreFromUI', { rawName: 'Ben', itemCode: 'CAP', idempotencyKey: 'submit-1' });
+  const retry = keyed.run('handleBPStoreFromUI', { rawName: 'Ben', itemCode: 'CAP', idempotencyKey: 'submit-1' });
+  assert.deepEqual([retry.duplicate, retry.reservationId], [true, order.reservationId]);
+  assert.equal(keyed.run('getPlayerBP', 'Ben'), 65);
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture } = require('./harness/engine');
+
+const LIST = [
+  'Name,Amount,Reason,Event ID',
+  'ava,10,League top 4,10-18-2025',
+  'Benn,5,,',
+  '',
+  'Cam,abc',
+  'Ben,10,League,10-18-2025'
+].join('\n');
+
+test('the preview resolves names, suggests fixes and shows where the caps bite', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const preview = engine.run('previewBulkBPAward', LIST);
+
+  assert.deepEqual(preview.rows.map(r => [r.line, r.preferredName, r.status, r.before, r.after, r.overflow]), [
+    [2, 'Ava', 'READY', 40, 50, 0],
+    [3, '', 'UNKNOWN_PLAYER', '', '', 0],
+    [5, 'Cam', 'INVALID_AMOUNT', '', '', 0],
+    [6, 'Ben', 'READY', 95, 100, 5]
+  ]);
+  assert.ok(preview.rows[1].suggestions.includes('Ben'));
+  assert.match(preview.rows[1].error, /Did you mean .*Ben/);
+  assert.equal(preview.rows[1].reason, 'Bulk award');
+  assert.deepEqual(preview.totals, { lines: 4, ready: 2, errors: 2, players: 2, bp: 20, overflow: 5, eventCapped: 0 });
+  assert.deepEqual(engine.run('getBPLedgerEntries').filter(e => e.source === 'BULK_AWARD'), []);
+});
+
+test('a pasted list commits as one batch, per-event cap included, and a repeat is a replay', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const text = 'Ava\t15\tLeague\tE1\nAva\t10\tBonus round\tE1\nCam\t3';
+  const preview = engine.run('previewBulkBPAward', text);
+
+  assert.deepEqual(preview.rows.map(r => [r.after, r.overflow, r.eventCapped]), [[55, 0, 0], [60, 5, 5], [3, 0, 0]]);
+  const result = engine.run('commitBulkBPAward', text, preview.previewHash);
+  assert.deepEqual([result.success, result.awards, result.bp, result.overflow], [true, 3, 28, 5]);
+
+  const balance = engine.run('getBPLedgerBalance', 'Ava');
+  assert.deepEqual([balance.currentBP, balance.prestige], [60, 5]);
+  const batch = engine.run('getBPLedgerEntries').filter(e => e.batchId === result.batchId);
+  assert.deepEqual(batch.map(e => [e.preferredName, e.type, e.amount, e.source]), [
+    ['Ava', 'AWARD', 15, 'BULK_AWARD'],
+    ['Ava', 'AWARD', 5, 'BULK_AWARD'],
+    ['Ava', 'OVERFLOW', 5, 'BULK_AWARD'],
+    ['Cam', 'AWARD', 3, 'BULK_AWARD']
+  ]);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'BULK_BP_AWARD').length, 1);
+
+  const again = engine.run('commitBulkBPAward', text, preview.previewHash);
+  assert.deepEqual([again.duplicate, again.batchId], [true, result.batchId]);
+  assert.equal(engine.run('getPlayerBP', 'Cam'), 3);
+});
+
+test('a list with bad lines or a stale preview is refused without awarding', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const bad = engine.run('previewBulkBPAward', LIST);
+  assert.throws(() => engine.run('commitBulkBPAward', LIST, bad.previewHash), /Fix or remove line 3, line 5/);
+
+  const text = 'Ava,10\nBen,2';
+  const preview = engine.run('previewBulkBPAward', text);
+  engine.run('awardBonusPoints', 'Ava', 1, 'MANUAL');
+  assert.throws(() => engine.run('commitBulkBPAward', text, preview.previewHash), /changed since the preview/);
+  assert.equal(engine.run('getPlayerBP', 'Ben'), 95);
+
+  assert.deepEqual(engine.run('commitBulkBPAwardFromUI', text, preview.previewHash).success, false);
+  assert.match(engine.run('previewBulkBPAwardFromUI', '\n\n').error, /No awards found/);
+});
+
+test('a committed batch reverts in one step', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const text = 'Ava,70,League\nBen,4,League';
+  const { batchId } = engine.run('commitBulkBPAward', text, engine.run('previewBulkBPAward', text).previewHash);
+  assert.equal(engine.run('getBPLedgerBalance', 'Ava').prestige, 10);
+
+  const result = engine.run('revertBulkBPAward', batchId, 'Wrong league');
+  assert.deepEqual([result.players, result.entries, result.bp], [2, 3, 74]);
+  const ava = engine.run('getBPLedgerBalance', 'Ava');
+  assert.deepEqual([ava.currentBP, ava.historicalBP, ava.prestige], [40, 40, 0]);
+  assert.equal(engine.run('getPlayerBP', 'Ben'), 95);
+  assert.match(engine.rows('Integrity_Log').slice(-1)[0].Details, /Wrong league/);
+
+  assert.throws(() => engine.run('revertBulkBPAward', batchId), /already reverted/);
+  assert.throws(() => engine.run('revertBulkBPAward', 'NOPE'), /batch not found/);
+});
+
+test('an award cannot land between the preview check and the batch, and tier rewards follow the batch', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const text = 'Ava,10\nBen,10';
+  const { previewHash } = engine.run('previewBulkBPAward', text);
+  const preview = globalThis.previewBulkBPAward;
+  let interleaved = null;
+  globalThis.previewBulkBPAward = (...args) => {
+    const result = preview(...args);
+    interleaved = globalThis.awardBonusPoints('Ava', 1, 'MANUAL');
+    return result;
+  };
+  try {
+    engine.run('commitBulkBPAward', text, previewHash);
+  } finally {
+    globalThis.previewBulkBPAward = preview;
+  }
+
+  assert.match(interleaved.error, /script lock/);
+  assert.deepEqual(engine.run('getBPLedgerEntries', 'Ava').filter(e => e.source === 'MANUAL'), []);
+  assert.deepEqual(['Ava', 'Ben'].map(name => engine.run('getPlayerBP', name)), [50, 100]);
+  assert.deepEqual(engine.run('getPrestigeTierRewards', 'Ben').map(r => [r.tier, r.status]), [['BRONZE', 'AWARDED']]);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'BP_AWARD' && /BULK_AWARD/.test(r.Details)).length, 2);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * prize_event patch: the Commander template grid at Prize_Throttle A20:N29
+ * (rows are Round, Seat, Level, L0..L10)
+ */
+const TEMPLATE = {
+  rows: {
+    Prize_Throttle: Object.fromEntries([
+      ['Round', 'Seat', 'Level', 'L0', 'L1', 'L2', 'L3', 'L4', 'L5', 'L6', 'L7', 'L8', 'L9', 'L10'],
+      ['R1', '1st', 'L2', '', '', '1'],
+      ['R2', '1st', 'L2', '', '', '1'],
+      ['R2', '4th', 'L1', '', '1'],
+      ['R3', '1st', 'L2', '', '', '1'],
+      ['End', '1st', 'L3', '', '', '', '1'],
+      ['End', '5-8th', 'L1', '', '1']
+    ].map((row, i) => [20 + i, row.concat(Array(14 - row.length).fill(''))]))
+  }
+};
+
+test('round picks are seeded and weighted rather than the first L1 row', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const first = engine.run('previewCommanderRound', EVENT_ID, 1);
+  const again = engine.run('previewCommanderRound', EVENT_ID, 1);
+  assert.equal(first.hash, again.hash);
+  assert.deepEqual(first.allocations, again.allocations);
+
+  const codes = new Set();
+  for (let i = 0; i < 20; i++) {
+    const preview = engine.run('previewCommanderRound', EVENT_ID, 1, null, `SEED-${i}`);
+    assert.equal(preview.allocations.length, 1);
+    codes.add(preview.allocations[0].code);
+  }
+  assert.ok(codes.has('L1-PACK') && codes.has('L1-SLEEVE'));
+  assert.ok(!codes.has('L1-OOS'));
+});
+
+test('template seats, levels and round budget split are respected', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', TEMPLATE) });
+  const preview = engine.run('previewCommanderRound', EVENT_ID, 2);
+
+  assert.deepEqual(preview.allocations.map(a => [a.preferredName, a.level]), [['Ava', 'L2'], ['Dee', 'L1']]);
+  assert.ok(preview.budget > 0 && preview.budget < 114);
+  assert.ok(preview.spend <= preview.budget);
+});
+
+test('without a template the rounds and End split the event budget evenly', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const budgets = [1, 2, 3].map(round => engine.run('previewCommanderRound', EVENT_ID, round).budget);
+
+  assert.deepEqual(budgets, [28.5, 28.5, 28.5]); // 114 / 4
+});
+
+test('items already given in the event are not repeated', () => {
+  // Ava's R1_Prize (the wizard writes names)
+  const given = { rows: { [EVENT_ID]: { 2: [1, 'Ava', 'Play Booster 3-Pack', '', '', ''] } } };
+  const engine = createEngine({ fixture: patchFixture('prize_event', TEMPLATE, given) });
+
+  const preview = engine.run('previewCommanderRound', EVENT_ID, 3);
+  assert.deepEqual(preview.excluded, ['L2-PLAY']);
+  assert.equal(preview.allocations[0].code, 'L2-DECK');
+
+  const commit = engine.run('commitCommanderRound', EVENT_ID, 3, preview.hash);
+  assert.equal(commit.success, true);
+  const ava = engine.rows(EVENT_ID).find(r => r.PreferredName === 'Ava');
+  assert.equal(ava.R3_Prize, 'L2-DECK');
+});
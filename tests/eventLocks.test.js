@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * Previews end prizes and stores the artifact
+ * @param {Object} engine - Engine
+ * @param {string} seed - Seed (optional)
+ * @return {Object} Preview
+ */
+function preview(engine, seed = null) {
+  const result = engine.run('previewEndPrizes', EVENT_ID, null, seed);
+  engine.run('storePreviewArtifact', EVENT_ID, result.seed, result.hash);
+  return result;
+}
+
+test('another staff member cannot preview, revert or import while the event is locked', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event'), userEmail: 'ana@cosmic.test', now: '2025-11-01T20:00:00Z' });
+  const committed = engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash);
+  engine.run('acquireEventLock', EVENT_ID, 'COMMIT');
+
+  engine.state.userEmail = 'ben@cosmic.test';
+  assert.throws(() => preview(engine), /EVENT_LOCKED.*ana@cosmic\.test \(COMMIT\)/);
+  assert.throws(() => engine.run('revertPrizeBatch', committed.batchId), /EVENT_LOCKED/);
+  assert.throws(() => engine.run('rosterImport', EVENT_ID, 'Ava'), /EVENT_LOCKED/);
+  assert.equal(engine.run('getEventLock', EVENT_ID).owner, 'ana@cosmic.test');
+
+  // A lock never released (execution killed) expires
+  engine.advance(7 * 60 * 1000);
+  assert.equal(engine.run('getEventLock', EVENT_ID), null);
+  engine.run('revertPrizeBatch', committed.batchId);
+  const log = engine.rows('Integrity_Log').filter(r => r.Action === 'LOCK_EXPIRED');
+  assert.equal(log.length, 1);
+  assert.match(log[0].Details, /COMMIT lock of ana@cosmic\.test/);
+  // Released after use
+  assert.equal(engine.rows('Event_Locks').length, 0);
+});
+
+test('a second preview supersedes the first explicitly', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event'), userEmail: 'ana@cosmic.test' });
+  const first = preview(engine, 'SEEDANA');
+
+  engine.state.userEmail = 'ben@cosmic.test';
+  const second = engine.run('previewEndPrizesFromUI', EVENT_ID);
+
+  assert.notEqual(second.hash, first.hash);
+  assert.equal(second.superseded.createdBy, 'ana@cosmic.test');
+  const artifacts = engine.rows('Preview_Artifacts');
+  assert.deepEqual(artifacts.map(a => [a.Created_By, a.Status]), [['ana@cosmic.test', 'SUPERSEDED'], ['ben@cosmic.test', 'ACTIVE']]);
+  assert.equal(artifacts[0].Superseded_By, artifacts[1].Artifact_ID);
+  const log = engine.rows('Integrity_Log').filter(r => r.Action === 'PREVIEW_SUPERSEDED');
+  assert.equal(log.length, 1);
+  assert.match(log[0].Details, /by ben@cosmic\.test supersedes .* by ana@cosmic\.test/);
+
+  engine.state.userEmail = 'ana@cosmic.test';
+  assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, first.hash), /PREVIEW_SUPERSEDED.*ben@cosmic\.test/);
+  assert.equal(engine.run('commitEndPrizes', EVENT_ID, second.hash).success, true);
+});
+
+test('commits fail when the roster or eligible catalog rows changed since preview', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const roster = preview(engine);
+  engine.sheet(EVENT_ID).appendRow([13, 'Max', '', '', '', '']);
+
+  assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, roster.hash), /ROSTER_CHANGED/);
+  assert.equal(engine.run('getEventLock', EVENT_ID), null);
+
+  const catalog = preview(engine);
+  const codes = engine.values('Prize_Catalog').map(row => row[0]);
+  engine.sheet('Prize_Catalog').getRange(codes.indexOf('L2-PLAY') + 1, 7).setValue(5);
+
+  assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, catalog.hash), /CATALOG_CHANGED/);
+  assert.equal(engine.rows('Spent_Pool').length, 0);
+});
+
+test('rows outside the eligible catalog do not block a commit', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const result = preview(engine);
+  const codes = engine.values('Prize_Catalog').map(row => row[0]);
+  // L1-OOS is out of stock, so no preview can draw from it
+  engine.sheet('Prize_Catalog').getRange(codes.indexOf('L1-OOS') + 1, 2).setValue('Renamed');
+
+  assert.equal(engine.run('commitEndPrizes', EVENT_ID, result.hash).success, true);
+});
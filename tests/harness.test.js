@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAppsScriptFakes, formatDate_ } = require('./harness/fakes');
+const { patchFixture } = require('./harness/engine');
+
+test('ranges resolve A1 notation and reject size mismatches', () => {
+  const { spreadsheet } = createAppsScriptFakes({
+    fixture: { sheets: { Data: { values: [['a', 'b'], [1, 2], [3, 4]] } } }
+  });
+  const sheet = spreadsheet.getSheetByName('Data');
+
+  assert.deepEqual(sheet.getRange('A2:B3').getValues(), [[1, 2], [3, 4]]);
+  assert.deepEqual(sheet.getRange('B:B').getValues().slice(0, 3), [['b'], [2], [4]]);
+  assert.equal(sheet.getDataRange().getA1Notation(), 'A1:B3');
+  assert.throws(() => sheet.getRange(1, 1, 1, 2).setValues([[1]]), /number of columns/);
+  assert.throws(() => sheet.getRange('Not_A_Range'), /Range not found/);
+});
+
+test('empty sheets behave like Apps Script', () => {
+  const { spreadsheet } = createAppsScriptFakes();
+  const sheet = spreadsheet.insertSheet('Blank');
+
+  assert.equal(sheet.getLastRow(), 0);
+  assert.deepEqual(sheet.getDataRange().getValues(), [['']]);
+  assert.throws(() => spreadsheet.insertSheet('Blank'), /already exists/);
+});
+
+test('Utilities.formatDate follows SimpleDateFormat patterns in the script time zone', () => {
+  const date = new Date('2025-11-01T18:05:09.042Z');
+
+  assert.equal(formatDate_(date, 'America/Chicago', "yyyy-MM-dd'T'HH:mm:ss'Z'"), '2025-11-01T13:05:09Z');
+  assert.equal(formatDate_(date, 'America/Chicago', 'yyyyMMdd-HHmmss-'), '20251101-130509-');
+  assert.equal(formatDate_(date, 'America/Chicago', "yyyy-MM-dd'T'HH:mm:ss.SSSZ"), '2025-11-01T13:05:09.042-0500');
+  assert.equal(formatDate_(date, 'UTC', 'MM-dd-yyyy'), '11-01-2025');
+});
+
+test('Utilities.computeDigest returns signed bytes', () => {
+  const { globals } = createAppsScriptFakes();
+  const bytes = globals.Utilities.computeDigest(globals.Utilities.DigestAlgorithm.SHA_256, 'abc');
+
+  assert.equal(bytes.length, 32);
+  assert.ok(bytes.every(b => b >= -128 && b <= 127));
+  const hex = bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+  assert.equal(hex, 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('script locks are exclusive until released', () => {
+  const { globals } = createAppsScriptFakes();
+  const first = globals.LockService.getScriptLock();
+  const second = globals.LockService.getScriptLock();
+
+  assert.equal(first.tryLock(1000), true);
+  assert.equal(second.tryLock(1000), false);
+  assert.throws(() => second.waitLock(1000), /Lock timeout/);
+  first.releaseLock();
+  assert.equal(second.tryLock(1000), true);
+});
+
+test('fixture patches apply in order without changing the patch or the next load', () => {
+  const patch = { settings: { BP_Global_Cap: '40', BP_Top4: '15' }, append: { PreferredNames: [['Zed']] } };
+  const fixture = patchFixture('player_ledgers', patch, {
+    sheets: { Extra: [['A'], [1]] },
+    rows: { Extra: { 4: [3] } },
+    metadata: { Extra: { entry: '5' } }
+  });
+
+  const throttle = Object.fromEntries(fixture.sheets.Prize_Throttle.values);
+  assert.deepEqual([throttle.BP_Global_Cap, throttle.BP_Top4], ['40', '15']);
+  assert.deepEqual(fixture.sheets.PreferredNames.values.slice(-1), [['Zed']]);
+  assert.deepEqual(fixture.sheets.Extra, { values: [['A'], [1], [''], [3]], metadata: { entry: '5' } });
+  assert.deepEqual(patch.append.PreferredNames, [['Zed']]);
+  assert.equal(Object.fromEntries(patchFixture('player_ledgers').sheets.Prize_Throttle.values).BP_Global_Cap, '100');
+  assert.throws(() => patchFixture('player_ledgers', { rows: { Nope: { 2: [] } } }), /no sheet Nope/);
+});
@@ -0,0 +1,264 @@
+/**
+ * Offline engine loader
+ * @fileoverview Loads every apps-script/cosmic-engine/*.js file into one global
+ * scope (the way Apps Script does) on top of the in-memory service fakes.
+ *
+ * Files are evaluated in clasp push order (plain code-point sort, since
+ * .clasp.json leaves filePushOrder empty), so when two files declare the same
+ * function the later file wins exactly as it does in the deployed project.
+ *
+ * Usage:
+ *   const { createEngine } = require('./harness/engine');
+ *   const engine = createEngine({ fixture: require('./fixtures/prize_event.json') });
+ *   const preview = engine.run('previewEndPrizes', '11-01D-2025');
+ *   engine.values('Spent_Pool');
+ *
+ *   // Fixture changes for one test
+ *   createEngine({ fixture: patchFixture('player_ledgers', { settings: { BP_Global_Cap: '40' } }) });
+ *
+ * Run the suite with: node --test tests/
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createAppsScriptFakes } = require('./fakes');
+
+const ENGINE_DIR = path.resolve(__dirname, '..', '..', 'apps-script', 'cosmic-engine');
+
+let loaded = false;
+let clock = null;
+
+/**
+ * Lists engine source files in clasp push order
+ * @return {Array<string>} File names
+ */
+function listEngineFiles() {
+  return fs.readdirSync(ENGINE_DIR)
+    .filter(f => f.endsWith('.js') || f.endsWith('.gs'))
+    .sort();
+}
+
+/**
+ * Date subclass whose "now" can be pinned by the harness
+ */
+const RealDate = Date;
+class HarnessDate extends RealDate {
+  constructor(...args) {
+    if (args.length === 0 && clock !== null) {
+      super(clock);
+    } else {
+      super(...args);
+    }
+  }
+
+  static now() {
+    return clock !== null ? clock : RealDate.now();
+  }
+}
+
+/**
+ * Evaluates the engine sources once per process. Apps Script shares one
+ * global scope across files, so top-level const/class bindings cannot be
+ * redeclared; fresh workbooks are swapped in via installFakes_ instead.
+ */
+function loadEngineSources_() {
+  if (loaded) return;
+  globalThis.Date = HarnessDate;
+  listEngineFiles().forEach(file => {
+    const source = fs.readFileSync(path.join(ENGINE_DIR, file), 'utf8');
+    vm.runInThisContext(source, { filename: path.join(ENGINE_DIR, file) });
+  });
+  loaded = true;
+}
+
+/**
+ * Installs a fresh set of service fakes as globals
+ * @param {Object} fakes - Output of createAppsScriptFakes
+ */
+function installFakes_(fakes) {
+  Object.entries(fakes.globals).forEach(([name, value]) => {
+    globalThis[name] = value;
+  });
+}
+
+/**
+ * Creates an engine bound to a new in-memory workbook
+ * @param {Object} options - Options
+ * @param {Object} options.fixture - Workbook fixture
+ * @param {string} options.userEmail - Active user email (default: staff@cosmic.test)
+ * @param {string|Date} options.now - Pin the clock to this instant
+ * @param {Object} options.properties - Initial {script, document, user} properties
+ * @param {boolean} options.quiet - Silence console.log/warn/error from the engine (default: true)
+ * @return {Object} Engine handle
+ */
+function createEngine(options = {}) {
+  const fakes = createAppsScriptFakes({ ...options, engineDir: ENGINE_DIR });
+  installFakes_(fakes);
+  clock = options.now ? new RealDate(options.now).getTime() : null;
+  loadEngineSources_();
+
+  const quiet = options.quiet !== false;
+  const consoleLines = [];
+
+  const engine = {
+    spreadsheet: fakes.spreadsheet,
+    ui: fakes.ui,
+    logs: fakes.logs,
+    mail: fakes.mail,
+    state: fakes.state,
+    console: consoleLines,
+
+    /**
+     * Calls a global engine function with console output captured
+     * @param {string} name - Function name
+     * @param {...*} args - Arguments
+     * @return {*} Function result
+     */
+    run(name, ...args) {
+      const fn = globalThis[name];
+      if (typeof fn !== 'function') {
+        throw new Error(`Engine function not found: ${name}`);
+      }
+      installFakes_(fakes);
+      const saved = { log: console.log, warn: console.warn, error: console.error };
+      if (quiet) {
+        ['log', 'warn', 'error'].forEach(level => {
+          console[level] = (...parts) => consoleLines.push(`[${level}] ${parts.map(String).join(' ')}`);
+        });
+      }
+      try {
+        return fn(...args);
+      } finally {
+        Object.assign(console, saved);
+      }
+    },
+
+    /**
+     * Gets a global binding from the engine (function, class or constant)
+     * @param {string} name - Global name
+     * @return {*} Binding value
+     */
+    global(name) {
+      return vm.runInThisContext(`typeof ${name} === 'undefined' ? undefined : ${name}`);
+    },
+
+    /**
+     * Gets a sheet, or null
+     * @param {string} name - Sheet name
+     * @return {FakeSheet|null} Sheet
+     */
+    sheet(name) {
+      return fakes.spreadsheet.getSheetByName(name);
+    },
+
+    /**
+     * Gets all values of a sheet ([] when missing or empty)
+     * @param {string} name - Sheet name
+     * @return {Array<Array>} Values
+     */
+    values(name) {
+      const sheet = fakes.spreadsheet.getSheetByName(name);
+      return sheet ? sheet.toValues() : [];
+    },
+
+    /**
+     * Gets a sheet as row objects keyed by header
+     * @param {string} name - Sheet name
+     * @return {Array<Object>} Rows
+     */
+    rows(name) {
+      const [headers, ...rows] = engine.values(name);
+      if (!headers) return [];
+      return rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i]])));
+    },
+
+    /**
+     * Moves the pinned clock forward (pins it to real time first if unpinned)
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+      clock = (clock !== null ? clock : RealDate.now()) + ms;
+    },
+
+    /**
+     * Pins the clock to an instant
+     * @param {string|Date} when - Instant
+     */
+    setNow(when) {
+      clock = new RealDate(when).getTime();
+    }
+  };
+
+  return engine;
+}
+
+/**
+ * Loads a fixture JSON file from tests/fixtures
+ * @param {string} name - File name without extension
+ * @return {Object} Fixture
+ */
+function loadFixture(name) {
+  const file = path.resolve(__dirname, '..', 'fixtures', `${name}.json`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Loads a fixture with a test's changes applied
+ * Patches are copied, then applied in order, each one's parts in the order below.
+ * @param {string} name - File name without extension (see loadFixture)
+ * @param {...Object} patches - Changes
+ *   sheets: {sheetName: values | {values, metadata}} - adds or replaces sheets
+ *   settings: {parameter: value} - sets Prize_Throttle parameters (replaces the row or appends one)
+ *   metadata: {sheetName: {key: value}} - merged into a sheet's metadata
+ *   rows: {sheetName: {rowNumber: row}} - sets rows by 1-based number (blank rows fill any gap)
+ *   append: {sheetName: rows} - appends rows
+ * @return {Object} Fixture
+ */
+function patchFixture(name, ...patches) {
+  const fixture = loadFixture(name);
+  const sheetOf = sheetName => {
+    if (!fixture.sheets[sheetName]) {
+      throw new Error(`Fixture ${name} has no sheet ${sheetName}`);
+    }
+    return fixture.sheets[sheetName];
+  };
+  patches.map(patch => structuredClone(patch)).forEach(patch => {
+    Object.entries(patch.sheets || {}).forEach(([sheetName, sheet]) => {
+      fixture.sheets[sheetName] = Array.isArray(sheet) ? { values: sheet } : sheet;
+    });
+    Object.entries(patch.settings || {}).forEach(([parameter, value]) => {
+      const values = sheetOf('Prize_Throttle').values;
+      const row = values.find(r => r[0] === parameter);
+      if (row) {
+        row[1] = value;
+      } else {
+        values.push([parameter, value]);
+      }
+    });
+    Object.entries(patch.metadata || {}).forEach(([sheetName, metadata]) => {
+      const sheet = sheetOf(sheetName);
+      sheet.metadata = Object.assign(sheet.metadata || {}, metadata);
+    });
+    Object.entries(patch.rows || {}).forEach(([sheetName, rows]) => {
+      const values = sheetOf(sheetName).values;
+      Object.entries(rows).forEach(([rowNumber, row]) => {
+        while (values.length < rowNumber - 1) values.push(['']);
+        values[rowNumber - 1] = row;
+      });
+    });
+    Object.entries(patch.append || {}).forEach(([sheetName, rows]) => {
+      sheetOf(sheetName).values.push(...rows);
+    });
+  });
+  return fixture;
+}
+
+module.exports = {
+  ENGINE_DIR,
+  createEngine,
+  listEngineFiles,
+  loadFixture,
+  patchFixture
+};
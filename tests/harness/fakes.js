@@ -0,0 +1,1229 @@
+/**
+ * In-memory Apps Script service fakes
+ * @fileoverview SpreadsheetApp, Utilities, Session, LockService, HtmlService,
+ * PropertiesService and friends, backed by plain arrays so the cosmic-engine
+ * files can run under Node against fixture workbooks.
+ *
+ * Only the surface the engine actually touches is modelled. Formatting calls
+ * (setFontWeight, setBackground, merge, ...) are accepted and ignored.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Method name prefixes treated as formatting no-ops on ranges and sheets
+ */
+const NOOP_PREFIXES = [
+  'set', 'merge', 'break', 'autoResize', 'clearFormat', 'clearDataValidations',
+  'clearNote', 'insertCheckboxes', 'removeCheckboxes', 'applyRowBanding',
+  'applyColumnBanding', 'activate', 'sort', 'createFilter', 'trim', 'shift'
+];
+
+/**
+ * Wraps a fake so unknown formatting methods chain instead of throwing
+ * @param {Object} target - Fake object
+ * @return {Proxy} Wrapped fake
+ */
+function withNoopFormatting_(target) {
+  const proxy = new Proxy(target, {
+    get(obj, prop, receiver) {
+      if (prop in obj) return Reflect.get(obj, prop, receiver);
+      if (typeof prop === 'string' && NOOP_PREFIXES.some(p => prop.startsWith(p))) {
+        return () => proxy;
+      }
+      return undefined;
+    }
+  });
+  return proxy;
+}
+
+/**
+ * Builds a chainable stand-in for builder APIs (newDataValidation, ...)
+ * @param {string} name - Builder name, used in debugging output
+ * @return {Proxy} Builder whose every method returns itself
+ */
+function chainable_(name) {
+  const fn = function() {};
+  const proxy = new Proxy(fn, {
+    get(obj, prop) {
+      if (prop === 'toString') return () => `[${name}]`;
+      if (prop === Symbol.toPrimitive) return () => `[${name}]`;
+      return () => proxy;
+    },
+    apply() {
+      return proxy;
+    }
+  });
+  return proxy;
+}
+
+/**
+ * Converts a column letter sequence to a 1-based index
+ * @param {string} letters - Column letters (e.g., "AB")
+ * @return {number} Column index
+ */
+function columnFromLetters_(letters) {
+  let col = 0;
+  for (const ch of letters.toUpperCase()) {
+    col = col * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return col;
+}
+
+/**
+ * Converts a 1-based column index to letters
+ * @param {number} col - Column index
+ * @return {string} Column letters
+ */
+function lettersFromColumn_(col) {
+  let letters = '';
+  while (col > 0) {
+    const rem = (col - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    col = Math.floor((col - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Parses A1 notation ("B2", "A3:B16", "A:A", "2:2")
+ * @param {string} a1 - A1 notation
+ * @param {FakeSheet} sheet - Sheet used to bound open-ended ranges
+ * @return {Object|null} {row, col, numRows, numCols} or null when not A1
+ */
+function parseA1_(a1, sheet) {
+  const ref = String(a1).replace(/\$/g, '').replace(/^'?[^!]*'?!/, '');
+  const cell = /^([A-Z]+)?(\d+)?$/i;
+  const parts = ref.split(':');
+  if (parts.length > 2) return null;
+  const parsed = parts.map(p => p.match(cell));
+  if (parsed.some(m => !m || (!m[1] && !m[2]))) return null;
+
+  const [start, end = start] = parsed;
+  const maxRows = Math.max(sheet.getMaxRows(), 1);
+  const maxCols = Math.max(sheet.getMaxColumns(), 1);
+
+  const startCol = start[1] ? columnFromLetters_(start[1]) : 1;
+  const endCol = end[1] ? columnFromLetters_(end[1]) : maxCols;
+  const startRow = start[2] ? parseInt(start[2], 10) : 1;
+  const endRow = end[2] ? parseInt(end[2], 10) : maxRows;
+
+  return {
+    row: Math.min(startRow, endRow),
+    col: Math.min(startCol, endCol),
+    numRows: Math.abs(endRow - startRow) + 1,
+    numCols: Math.abs(endCol - startCol) + 1
+  };
+}
+
+/**
+ * Revives fixture cell values ({"$date": "..."} becomes a Date)
+ * @param {*} value - Fixture cell value
+ * @return {*} Cell value
+ */
+function reviveCell_(value) {
+  if (value && typeof value === 'object' && '$date' in value) {
+    return new Date(value.$date);
+  }
+  return value === null || value === undefined ? '' : value;
+}
+
+/**
+ * Converts a cell value to a fixture-safe value
+ * @param {*} value - Cell value
+ * @return {*} JSON-safe value
+ */
+function serializeCell_(value) {
+  return value instanceof Date ? { $date: value.toISOString() } : value;
+}
+
+/**
+ * Converts a signed-byte digest the way Apps Script returns it
+ * @param {Buffer} buffer - Digest buffer
+ * @return {Array<number>} Signed bytes (-128..127)
+ */
+function toSignedBytes_(buffer) {
+  return Array.from(buffer, b => (b > 127 ? b - 256 : b));
+}
+
+/**
+ * Converts a string or byte array input to a Buffer
+ * @param {string|Array<number>} value - Input
+ * @return {Buffer} Buffer
+ */
+function toBuffer_(value) {
+  if (Array.isArray(value)) {
+    return Buffer.from(value.map(b => (b < 0 ? b + 256 : b)));
+  }
+  return Buffer.from(String(value), 'utf8');
+}
+
+// ============================================================================
+// DEVELOPER METADATA
+// ============================================================================
+
+/**
+ * Developer metadata entry attached to a sheet or spreadsheet
+ */
+class FakeDeveloperMetadata {
+  constructor(owner, id, key, value) {
+    this.owner_ = owner;
+    this.id_ = id;
+    this.key_ = key;
+    this.value_ = value === undefined || value === null ? null : String(value);
+  }
+
+  getId() { return this.id_; }
+  getKey() { return this.key_; }
+  getValue() { return this.value_; }
+  getVisibility() { return 'DOCUMENT'; }
+
+  setKey(key) {
+    this.key_ = key;
+    return this;
+  }
+
+  setValue(value) {
+    this.value_ = String(value);
+    return this;
+  }
+
+  remove() {
+    this.owner_.metadata_ = this.owner_.metadata_.filter(m => m !== this);
+  }
+}
+
+// ============================================================================
+// RANGE
+// ============================================================================
+
+/**
+ * Rectangular view over a FakeSheet's cell grid
+ */
+class FakeRange {
+  constructor(sheet, row, col, numRows, numCols) {
+    if (row < 1 || col < 1 || numRows < 1 || numCols < 1) {
+      throw new Error(`The coordinates of the range are outside the dimensions of the sheet.`);
+    }
+    this.sheet_ = sheet;
+    this.row_ = row;
+    this.col_ = col;
+    this.numRows_ = numRows;
+    this.numCols_ = numCols;
+  }
+
+  getSheet() { return this.sheet_; }
+  getRow() { return this.row_; }
+  getColumn() { return this.col_; }
+  getNumRows() { return this.numRows_; }
+  getNumColumns() { return this.numCols_; }
+  getLastRow() { return this.row_ + this.numRows_ - 1; }
+  getLastColumn() { return this.col_ + this.numCols_ - 1; }
+
+  getA1Notation() {
+    const start = lettersFromColumn_(this.col_) + this.row_;
+    if (this.numRows_ === 1 && this.numCols_ === 1) return start;
+    return `${start}:${lettersFromColumn_(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  getValues() {
+    const out = [];
+    for (let r = 0; r < this.numRows_; r++) {
+      const row = [];
+      for (let c = 0; c < this.numCols_; c++) {
+        row.push(this.sheet_.cell_(this.row_ + r, this.col_ + c));
+      }
+      out.push(row);
+    }
+    return out;
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(v => (v instanceof Date ? v.toISOString() : String(v))));
+  }
+
+  getValue() {
+    return this.sheet_.cell_(this.row_, this.col_);
+  }
+
+  getDisplayValue() {
+    return this.getDisplayValues()[0][0];
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows_; r++) {
+      for (let c = 0; c < this.numCols_; c++) {
+        this.sheet_.write_(this.row_ + r, this.col_ + c, value);
+      }
+    }
+    return this;
+  }
+
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows_) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. ` +
+        `The data has ${values ? values.length : 0} but the range has ${this.numRows_}.`);
+    }
+    values.forEach((row, r) => {
+      if (!Array.isArray(row) || row.length !== this.numCols_) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. ` +
+          `The data has ${row ? row.length : 0} but the range has ${this.numCols_}.`);
+      }
+      row.forEach((value, c) => this.sheet_.write_(this.row_ + r, this.col_ + c, value));
+    });
+    return this;
+  }
+
+  setFormula(formula) {
+    return this.setValue(formula);
+  }
+
+  clear() {
+    return this.clearContent();
+  }
+
+  clearContent() {
+    return this.setValue('');
+  }
+
+  getNote() {
+    return this.sheet_.notes_.get(`${this.row_},${this.col_}`) || '';
+  }
+
+  setNote(note) {
+    this.sheet_.notes_.set(`${this.row_},${this.col_}`, note ? String(note) : '');
+    return this;
+  }
+
+  getFormula() { return ''; }
+  getFormulas() { return this.getValues().map(row => row.map(() => '')); }
+  getBackground() { return '#ffffff'; }
+  getMergedRanges() { return []; }
+  isBlank() { return this.getValues().every(row => row.every(v => v === '')); }
+}
+
+// ============================================================================
+// SHEET
+// ============================================================================
+
+/**
+ * Sheet backed by a sparse 2D array of cell values
+ */
+class FakeSheet {
+  constructor(spreadsheet, name, id, fixture = {}) {
+    this.parent_ = spreadsheet;
+    this.name_ = name;
+    this.id_ = id;
+    this.rows_ = (fixture.values || []).map(row => row.map(reviveCell_));
+    this.notes_ = new Map(Object.entries(fixture.notes || {}));
+    this.hidden_ = Boolean(fixture.hidden);
+    this.frozenRows_ = 0;
+    this.protected_ = Boolean(fixture.protected);
+    this.metadata_ = [];
+    Object.entries(fixture.metadata || {}).forEach(([key, value]) => {
+      this.metadata_.push(new FakeDeveloperMetadata(this, spreadsheet.nextId_(), key, value));
+    });
+  }
+
+  cell_(row, col) {
+    const r = this.rows_[row - 1];
+    if (!r) return '';
+    const v = r[col - 1];
+    return v === undefined ? '' : v;
+  }
+
+  write_(row, col, value) {
+    while (this.rows_.length < row) this.rows_.push([]);
+    const r = this.rows_[row - 1];
+    while (r.length < col - 1) r.push('');
+    r[col - 1] = value === undefined || value === null ? '' : value;
+  }
+
+  getName() { return this.name_; }
+  getSheetName() { return this.name_; }
+  getSheetId() { return this.id_; }
+  getParent() { return this.parent_; }
+  getIndex() { return this.parent_.sheets_.indexOf(this) + 1; }
+  getType() { return 'GRID'; }
+
+  setName(name) {
+    if (this.parent_.getSheetByName(name) && name !== this.name_) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    this.name_ = name;
+    return this;
+  }
+
+  getLastRow() {
+    for (let r = this.rows_.length; r > 0; r--) {
+      if (this.rows_[r - 1].some(v => v !== '' && v !== undefined)) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.rows_.forEach(row => {
+      for (let c = row.length; c > last; c--) {
+        if (row[c - 1] !== '' && row[c - 1] !== undefined) {
+          last = c;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  getMaxRows() {
+    return Math.max(this.rows_.length, 1000);
+  }
+
+  getMaxColumns() {
+    return Math.max(this.getLastColumn(), 26);
+  }
+
+  getRange(rowOrA1, col, numRows = 1, numCols = 1) {
+    if (typeof rowOrA1 === 'string') {
+      const parsed = parseA1_(rowOrA1, this);
+      if (!parsed) {
+        const named = this.parent_.namedRanges_.get(rowOrA1);
+        if (named) return named;
+        throw new Error(`Range not found`);
+      }
+      return withNoopFormatting_(new FakeRange(this, parsed.row, parsed.col, parsed.numRows, parsed.numCols));
+    }
+    return withNoopFormatting_(new FakeRange(this, rowOrA1, col, numRows, numCols));
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(rowContents) {
+    const row = this.getLastRow() + 1;
+    rowContents.forEach((value, idx) => this.write_(row, idx + 1, value));
+    return this;
+  }
+
+  deleteRow(rowPosition) {
+    return this.deleteRows(rowPosition, 1);
+  }
+
+  deleteRows(rowPosition, howMany) {
+    this.rows_.splice(rowPosition - 1, howMany);
+    return this;
+  }
+
+  insertRowBefore(beforePosition) {
+    return this.insertRowsBefore(beforePosition, 1);
+  }
+
+  insertRowsBefore(beforePosition, howMany) {
+    const blanks = Array.from({ length: howMany }, () => []);
+    while (this.rows_.length < beforePosition - 1) this.rows_.push([]);
+    this.rows_.splice(beforePosition - 1, 0, ...blanks);
+    return this;
+  }
+
+  insertRowAfter(afterPosition) {
+    return this.insertRowsBefore(afterPosition + 1, 1);
+  }
+
+  insertColumnAfter() { return this; }
+  deleteColumn(columnPosition) {
+    this.rows_.forEach(row => row.splice(columnPosition - 1, 1));
+    return this;
+  }
+
+  clear() {
+    this.rows_ = [];
+    this.notes_.clear();
+    return this;
+  }
+
+  clearContents() {
+    return this.clear();
+  }
+
+  hideSheet() {
+    this.hidden_ = true;
+    return this;
+  }
+
+  showSheet() {
+    this.hidden_ = false;
+    return this;
+  }
+
+  isSheetHidden() { return this.hidden_; }
+
+  setFrozenRows(rows) {
+    this.frozenRows_ = rows;
+    return this;
+  }
+
+  getFrozenRows() { return this.frozenRows_; }
+  getFrozenColumns() { return 0; }
+
+  getDeveloperMetadata() {
+    return [...this.metadata_];
+  }
+
+  addDeveloperMetadata(key, value) {
+    this.metadata_.push(new FakeDeveloperMetadata(this, this.parent_.nextId_(), key, value));
+    return this;
+  }
+
+  createDeveloperMetadataFinder() {
+    const sheet = this;
+    let key = null;
+    const finder = {
+      withKey(k) { key = k; return finder; },
+      find() { return sheet.metadata_.filter(m => key === null || m.getKey() === key); }
+    };
+    return finder;
+  }
+
+  protect() {
+    this.protected_ = true;
+    return withNoopFormatting_({
+      getEditors: () => [],
+      removeEditors: () => this,
+      addEditor: () => this,
+      canDomainEdit: () => false,
+      remove: () => { this.protected_ = false; }
+    });
+  }
+
+  getProtections() {
+    if (!this.protected_) return [];
+    return [this.protect()];
+  }
+
+  getCharts() { return []; }
+  getFilter() { return null; }
+  getConditionalFormatRules() { return []; }
+  getBandings() { return []; }
+  getTabColor() { return null; }
+
+  /**
+   * Snapshot of the sheet as plain values (for assertions)
+   * @return {Array<Array>} Values with trailing empty rows dropped
+   */
+  toValues() {
+    const lastRow = this.getLastRow();
+    const lastCol = this.getLastColumn();
+    if (lastRow === 0) return [];
+    return this.getRange(1, 1, lastRow, lastCol).getValues();
+  }
+}
+
+// ============================================================================
+// SPREADSHEET
+// ============================================================================
+
+/**
+ * Workbook holding FakeSheets, built from a fixture object
+ */
+class FakeSpreadsheet {
+  constructor(fixture = {}) {
+    this.name_ = fixture.name || 'Cosmic Test Workbook';
+    this.id_ = fixture.id || 'fake-spreadsheet-id';
+    this.timeZone_ = fixture.timeZone || 'America/Chicago';
+    this.idSeq_ = 1000;
+    this.sheets_ = [];
+    this.metadata_ = [];
+    this.namedRanges_ = new Map();
+    this.toasts = [];
+    Object.entries(fixture.sheets || {}).forEach(([name, sheetFixture]) => {
+      this.sheets_.push(withNoopFormatting_(new FakeSheet(this, name, this.nextId_(), sheetFixture)));
+    });
+    this.activeSheet_ = this.sheets_[0] || null;
+  }
+
+  nextId_() {
+    return ++this.idSeq_;
+  }
+
+  getName() { return this.name_; }
+  getId() { return this.id_; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id_}/edit`; }
+  getSpreadsheetTimeZone() { return this.timeZone_; }
+
+  getSheets() {
+    return [...this.sheets_];
+  }
+
+  getNumSheets() {
+    return this.sheets_.length;
+  }
+
+  getSheetByName(name) {
+    return this.sheets_.find(s => s.getName() === name) || null;
+  }
+
+  getSheetById(id) {
+    return this.sheets_.find(s => s.getSheetId() === id) || null;
+  }
+
+  insertSheet(name, index) {
+    if (typeof name !== 'string') {
+      name = `Sheet${this.sheets_.length + 1}`;
+    }
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    const sheet = withNoopFormatting_(new FakeSheet(this, name, this.nextId_()));
+    if (typeof index === 'number') {
+      this.sheets_.splice(index, 0, sheet);
+    } else {
+      this.sheets_.push(sheet);
+    }
+    this.activeSheet_ = sheet;
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets_ = this.sheets_.filter(s => s.getSheetId() !== sheet.getSheetId());
+    if (this.activeSheet_ && this.activeSheet_.getSheetId() === sheet.getSheetId()) {
+      this.activeSheet_ = this.sheets_[0] || null;
+    }
+  }
+
+  getActiveSheet() {
+    return this.activeSheet_;
+  }
+
+  setActiveSheet(sheet) {
+    this.activeSheet_ = sheet;
+    return sheet;
+  }
+
+  moveActiveSheet(position) {
+    const sheet = this.activeSheet_;
+    this.sheets_ = this.sheets_.filter(s => s !== sheet);
+    this.sheets_.splice(position - 1, 0, sheet);
+  }
+
+  getRange(a1) {
+    const match = String(a1).match(/^'?([^'!]+)'?!(.+)$/);
+    if (match) {
+      const sheet = this.getSheetByName(match[1]);
+      if (!sheet) throw new Error('Range not found');
+      return sheet.getRange(match[2]);
+    }
+    return this.activeSheet_.getRange(a1);
+  }
+
+  getRangeByName(name) {
+    return this.namedRanges_.get(name) || null;
+  }
+
+  setNamedRange(name, range) {
+    this.namedRanges_.set(name, range);
+  }
+
+  getDeveloperMetadata() {
+    return [...this.metadata_];
+  }
+
+  addDeveloperMetadata(key, value) {
+    this.metadata_.push(new FakeDeveloperMetadata(this, this.nextId_(), key, value));
+    return this;
+  }
+
+  toast(message, title, timeout) {
+    this.toasts.push({ message, title, timeout });
+  }
+
+  /**
+   * Snapshot of the workbook in fixture format
+   * @return {Object} Fixture object
+   */
+  toFixture() {
+    const sheets = {};
+    this.sheets_.forEach(sheet => {
+      const metadata = {};
+      sheet.getDeveloperMetadata().forEach(m => {
+        metadata[m.getKey()] = m.getValue();
+      });
+      sheets[sheet.getName()] = {
+        values: sheet.toValues().map(row => row.map(serializeCell_)),
+        metadata
+      };
+    });
+    return { name: this.name_, id: this.id_, timeZone: this.timeZone_, sheets };
+  }
+}
+
+// ============================================================================
+// UI
+// ============================================================================
+
+/**
+ * Scriptable SpreadsheetApp.getUi() stand-in.
+ * Queue responses with respondWith(); alerts default to OK/YES.
+ */
+class FakeUi {
+  constructor() {
+    this.Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+    this.ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+    this.alerts = [];
+    this.prompts = [];
+    this.dialogs = [];
+    this.responses_ = [];
+  }
+
+  /**
+   * Queues a response for the next alert/prompt
+   * @param {string|Object} response - Button name, or {button, text} for prompts
+   */
+  respondWith(response) {
+    this.responses_.push(response);
+  }
+
+  nextResponse_(fallbackButton) {
+    const next = this.responses_.shift();
+    if (next === undefined) return { button: fallbackButton, text: '' };
+    if (typeof next === 'string') return { button: next, text: '' };
+    return { button: next.button || this.Button.OK, text: next.text || '' };
+  }
+
+  alert(titleOrPrompt, prompt, buttons) {
+    const entry = prompt === undefined
+      ? { title: '', message: titleOrPrompt, buttons: this.ButtonSet.OK }
+      : { title: titleOrPrompt, message: prompt, buttons: buttons || this.ButtonSet.OK };
+    this.alerts.push(entry);
+    const fallback = entry.buttons === this.ButtonSet.YES_NO || entry.buttons === this.ButtonSet.YES_NO_CANCEL
+      ? this.Button.YES
+      : this.Button.OK;
+    return this.nextResponse_(fallback).button;
+  }
+
+  prompt(titleOrPrompt, prompt, buttons) {
+    this.prompts.push({ title: titleOrPrompt, message: prompt, buttons });
+    const response = this.nextResponse_(this.Button.OK);
+    return {
+      getResponseText: () => response.text,
+      getSelectedButton: () => response.button
+    };
+  }
+
+  showModalDialog(output, title) {
+    this.dialogs.push({ type: 'modal', title, output });
+  }
+
+  showModelessDialog(output, title) {
+    this.dialogs.push({ type: 'modeless', title, output });
+  }
+
+  showSidebar(output) {
+    this.dialogs.push({ type: 'sidebar', title: output.getTitle ? output.getTitle() : '', output });
+  }
+
+  createMenu() {
+    return chainable_('Menu');
+  }
+
+  createAddonMenu() {
+    return chainable_('Menu');
+  }
+}
+
+// ============================================================================
+// HTML SERVICE
+// ============================================================================
+
+/**
+ * HtmlOutput stand-in that keeps the content for assertions
+ */
+class FakeHtmlOutput {
+  constructor(content = '') {
+    this.content_ = String(content);
+    this.title_ = '';
+    this.width_ = null;
+    this.height_ = null;
+  }
+
+  getContent() { return this.content_; }
+  getTitle() { return this.title_; }
+  setContent(content) { this.content_ = String(content); return this; }
+  append(content) { this.content_ += String(content); return this; }
+  setTitle(title) { this.title_ = title; return this; }
+  setWidth(width) { this.width_ = width; return this; }
+  setHeight(height) { this.height_ = height; return this; }
+  getWidth() { return this.width_; }
+  getHeight() { return this.height_; }
+  setSandboxMode() { return this; }
+  setXFrameOptionsMode() { return this; }
+  setFaviconUrl() { return this; }
+  addMetaTag() { return this; }
+}
+
+/**
+ * Builds HtmlService; files resolve against the engine directory
+ * @param {string} engineDir - Directory holding the .html files
+ * @return {Object} HtmlService fake
+ */
+function createHtmlService_(engineDir) {
+  const readFile = name => {
+    const file = path.join(engineDir, name.endsWith('.html') ? name : `${name}.html`);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  };
+  return {
+    SandboxMode: { IFRAME: 'IFRAME', NATIVE: 'NATIVE', EMULATED: 'EMULATED' },
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    createHtmlOutput: content => new FakeHtmlOutput(content),
+    createHtmlOutputFromFile: name => new FakeHtmlOutput(readFile(name)),
+    createTemplate: content => createTemplate_(content),
+    createTemplateFromFile: name => createTemplate_(readFile(name))
+  };
+}
+
+/**
+ * Minimal HtmlTemplate: evaluate() returns the raw source
+ * @param {string} source - Template source
+ * @return {Object} Template
+ */
+function createTemplate_(source) {
+  const template = {
+    evaluate: () => new FakeHtmlOutput(source),
+    getRawContent: () => source,
+    getCode: () => ''
+  };
+  return template;
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * Gets date parts for a time zone
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA time zone
+ * @return {Object} Parts {year, month, day, hour, minute, second, weekday, offsetMinutes}
+ */
+function datePartsInZone_(date, timeZone) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'long',
+    hourCycle: 'h23'
+  });
+  const parts = {};
+  fmt.formatToParts(date).forEach(p => {
+    parts[p.type] = p.value;
+  });
+  const year = parseInt(parts.year, 10);
+  const month = parseInt(parts.month, 10);
+  const day = parseInt(parts.day, 10);
+  const hour = parseInt(parts.hour, 10);
+  const minute = parseInt(parts.minute, 10);
+  const second = parseInt(parts.second, 10);
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetMinutes = Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  return { year, month, day, hour, minute, second, weekday: parts.weekday, offsetMinutes };
+}
+
+const MONTH_NAMES_ = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Formats a date with a java.text.SimpleDateFormat pattern (common subset)
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA time zone (or "GMT"/"UTC")
+ * @param {string} pattern - Pattern like "yyyy-MM-dd'T'HH:mm:ss'Z'"
+ * @return {string} Formatted date
+ */
+function formatDate_(date, timeZone, pattern) {
+  const d = date instanceof Date ? date : new Date(date);
+  if (isNaN(d.getTime())) {
+    throw new Error('Invalid argument: date');
+  }
+  const zone = !timeZone || timeZone === 'GMT' ? 'UTC' : timeZone;
+  const p = datePartsInZone_(d, zone);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  const offset = sep => {
+    const sign = p.offsetMinutes >= 0 ? '+' : '-';
+    const abs = Math.abs(p.offsetMinutes);
+    return `${sign}${pad(Math.floor(abs / 60))}${sep}${pad(abs % 60)}`;
+  };
+  const tokens = {
+    yyyy: () => String(p.year),
+    yy: () => pad(p.year % 100),
+    MMMM: () => MONTH_NAMES_[p.month - 1],
+    MMM: () => MONTH_NAMES_[p.month - 1].slice(0, 3),
+    MM: () => pad(p.month),
+    M: () => String(p.month),
+    dd: () => pad(p.day),
+    d: () => String(p.day),
+    EEEE: () => p.weekday,
+    EEE: () => p.weekday.slice(0, 3),
+    E: () => p.weekday.slice(0, 3),
+    HH: () => pad(p.hour),
+    H: () => String(p.hour),
+    hh: () => pad(p.hour % 12 || 12),
+    h: () => String(p.hour % 12 || 12),
+    mm: () => pad(p.minute),
+    m: () => String(p.minute),
+    ss: () => pad(p.second),
+    s: () => String(p.second),
+    SSS: () => pad(d.getMilliseconds(), 3),
+    a: () => (p.hour < 12 ? 'AM' : 'PM'),
+    XXX: () => (p.offsetMinutes === 0 ? 'Z' : offset(':')),
+    Z: () => offset(''),
+    z: () => zone
+  };
+  const order = Object.keys(tokens).sort((a, b) => b.length - a.length);
+
+  let out = '';
+  let i = 0;
+  while (i < pattern.length) {
+    if (pattern[i] === "'") {
+      const end = pattern.indexOf("'", i + 1);
+      if (end === i + 1) {
+        out += "'";
+        i += 2;
+        continue;
+      }
+      out += pattern.slice(i + 1, end === -1 ? undefined : end);
+      i = end === -1 ? pattern.length : end + 1;
+      continue;
+    }
+    const token = order.find(t => pattern.startsWith(t, i));
+    if (token) {
+      out += tokens[token]();
+      i += token.length;
+    } else {
+      out += pattern[i];
+      i++;
+    }
+  }
+  return out;
+}
+
+/**
+ * Builds the Utilities fake
+ * @param {Object} state - Shared harness state (uuid counter)
+ * @return {Object} Utilities fake
+ */
+function createUtilities_(state) {
+  const algorithms = {
+    MD2: 'md2', MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_384: 'sha384', SHA_512: 'sha512'
+  };
+  return {
+    DigestAlgorithm: Object.fromEntries(Object.keys(algorithms).map(k => [k, k])),
+    Charset: { US_ASCII: 'US_ASCII', UTF_8: 'UTF_8' },
+    MacAlgorithm: { HMAC_MD5: 'md5', HMAC_SHA_1: 'sha1', HMAC_SHA_256: 'sha256', HMAC_SHA_384: 'sha384', HMAC_SHA_512: 'sha512' },
+
+    computeDigest(algorithm, value) {
+      const alg = algorithms[algorithm];
+      if (!alg) throw new Error(`Unsupported digest algorithm: ${algorithm}`);
+      return toSignedBytes_(crypto.createHash(alg).update(toBuffer_(value)).digest());
+    },
+
+    computeHmacSha256Signature(value, key) {
+      return toSignedBytes_(crypto.createHmac('sha256', toBuffer_(key)).update(toBuffer_(value)).digest());
+    },
+
+    computeHmacSignature(algorithm, value, key) {
+      return toSignedBytes_(crypto.createHmac(algorithm, toBuffer_(key)).update(toBuffer_(value)).digest());
+    },
+
+    base64Encode(value) {
+      return toBuffer_(value).toString('base64');
+    },
+
+    base64EncodeWebSafe(value) {
+      return toBuffer_(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+    },
+
+    base64Decode(encoded) {
+      return toSignedBytes_(Buffer.from(encoded, 'base64'));
+    },
+
+    newBlob(data) {
+      const bytes = toBuffer_(data);
+      return {
+        getBytes: () => toSignedBytes_(bytes),
+        getDataAsString: () => bytes.toString('utf8')
+      };
+    },
+
+    getUuid() {
+      state.uuidSeq++;
+      return `00000000-0000-4000-8000-${String(state.uuidSeq).padStart(12, '0')}`;
+    },
+
+    formatDate: formatDate_,
+
+    formatString(template, ...args) {
+      let idx = 0;
+      return template.replace(/%[sdf]/g, () => String(args[idx++]));
+    },
+
+    parseCsv(csv, delimiter = ',') {
+      return csv.split(/\r?\n/).filter(line => line !== '').map(line => line.split(delimiter));
+    },
+
+    sleep() {}
+  };
+}
+
+// ============================================================================
+// SESSION / LOCKS / PROPERTIES / TRIGGERS
+// ============================================================================
+
+/**
+ * Builds the Session fake
+ * @param {Object} state - Shared harness state (user email, time zone)
+ * @return {Object} Session fake
+ */
+function createSession_(state) {
+  const user = () => ({ getEmail: () => state.userEmail, getUsername: () => state.userEmail.split('@')[0] });
+  return {
+    getActiveUser: user,
+    getEffectiveUser: user,
+    getScriptTimeZone: () => state.timeZone,
+    getActiveUserLocale: () => 'en',
+    getTemporaryActiveUserKey: () => `temp-${state.userEmail}`
+  };
+}
+
+/**
+ * Builds LockService. Locks of the same scope share one holder, so a second
+ * getScriptLock().tryLock() fails until the first is released.
+ * @param {Object} state - Shared harness state (lock holders)
+ * @return {Object} LockService fake
+ */
+function createLockService_(state) {
+  const makeLock = scope => {
+    const lock = {
+      tryLock() {
+        const holder = state.locks[scope];
+        if (holder && holder !== lock) return false;
+        state.locks[scope] = lock;
+        return true;
+      },
+      waitLock(timeoutInMillis) {
+        if (!lock.tryLock(timeoutInMillis)) {
+          throw new Error('Lock timeout: another process was holding the lock for too long.');
+        }
+      },
+      releaseLock() {
+        if (state.locks[scope] === lock) delete state.locks[scope];
+      },
+      hasLock() {
+        return state.locks[scope] === lock;
+      }
+    };
+    return lock;
+  };
+  return {
+    getScriptLock: () => makeLock('script'),
+    getDocumentLock: () => makeLock('document'),
+    getUserLock: () => makeLock(`user:${state.userEmail}`)
+  };
+}
+
+/**
+ * Builds a Properties store
+ * @param {Object} store - Backing object
+ * @return {Object} Properties fake
+ */
+function createPropertyStore_(store) {
+  const props = {
+    getProperty: key => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+    setProperty: (key, value) => { store[key] = String(value); return props; },
+    getProperties: () => ({ ...store }),
+    setProperties: (values, deleteAllOthers) => {
+      if (deleteAllOthers) Object.keys(store).forEach(k => delete store[k]);
+      Object.entries(values).forEach(([k, v]) => { store[k] = String(v); });
+      return props;
+    },
+    getKeys: () => Object.keys(store),
+    deleteProperty: key => { delete store[key]; return props; },
+    deleteAllProperties: () => { Object.keys(store).forEach(k => delete store[k]); return props; }
+  };
+  return props;
+}
+
+/**
+ * Builds ScriptApp with an in-memory trigger list
+ * @param {Object} state - Shared harness state (triggers)
+ * @return {Object} ScriptApp fake
+ */
+function createScriptApp_(state) {
+  return {
+    EventType: { CLOCK: 'CLOCK', ON_EDIT: 'ON_EDIT', ON_OPEN: 'ON_OPEN', ON_CHANGE: 'ON_CHANGE' },
+    WeekDay: {
+      MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY', THURSDAY: 'THURSDAY',
+      FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY', SUNDAY: 'SUNDAY'
+    },
+    newTrigger(handlerFunction) {
+      const spec = { handlerFunction, schedule: {} };
+      const builder = new Proxy({}, {
+        get(obj, prop) {
+          if (prop === 'create') {
+            return () => {
+              const trigger = {
+                id: `trigger-${state.triggers.length + 1}`,
+                getHandlerFunction: () => spec.handlerFunction,
+                getUniqueId: () => trigger.id,
+                getEventType: () => 'CLOCK',
+                schedule: spec.schedule
+              };
+              state.triggers.push(trigger);
+              return trigger;
+            };
+          }
+          return (...args) => {
+            spec.schedule[prop] = args.length <= 1 ? args[0] : args;
+            return builder;
+          };
+        }
+      });
+      return builder;
+    },
+    getProjectTriggers: () => [...state.triggers],
+    deleteTrigger: trigger => {
+      state.triggers = state.triggers.filter(t => t !== trigger);
+    },
+    getScriptId: () => 'fake-script-id',
+    getOAuthToken: () => 'fake-oauth-token'
+  };
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Builds the full set of Apps Script globals for one workbook
+ * @param {Object} options - Options
+ * @param {Object} options.fixture - Workbook fixture ({sheets: {Name: {values, metadata}}})
+ * @param {string} options.userEmail - Active user email
+ * @param {string} options.timeZone - Script time zone
+ * @param {string} options.engineDir - Directory used to resolve HtmlService files
+ * @return {Object} {globals, spreadsheet, ui, logs, state}
+ */
+function createAppsScriptFakes(options = {}) {
+  const fixture = options.fixture ? JSON.parse(JSON.stringify(options.fixture)) : {};
+  const state = {
+    userEmail: options.userEmail || 'staff@cosmic.test',
+    timeZone: options.timeZone || fixture.timeZone || 'America/Chicago',
+    uuidSeq: 0,
+    locks: {},
+    triggers: [],
+    properties: { script: {}, document: {}, user: {} }
+  };
+  Object.entries(options.properties || {}).forEach(([scope, values]) => {
+    Object.assign(state.properties[scope], values);
+  });
+
+  const spreadsheet = new FakeSpreadsheet(fixture);
+  const ui = new FakeUi();
+  const logs = [];
+  const mail = [];
+
+  const SpreadsheetApp = {
+    getActiveSpreadsheet: () => spreadsheet,
+    getActive: () => spreadsheet,
+    getActiveSheet: () => spreadsheet.getActiveSheet(),
+    getActiveRange: () => (spreadsheet.getActiveSheet() ? spreadsheet.getActiveSheet().getRange(1, 1) : null),
+    setActiveSheet: sheet => spreadsheet.setActiveSheet(sheet),
+    openById: () => spreadsheet,
+    openByUrl: () => spreadsheet,
+    getUi: () => ui,
+    flush: () => {},
+    newDataValidation: () => chainable_('DataValidationBuilder'),
+    newConditionalFormatRule: () => chainable_('ConditionalFormatRuleBuilder'),
+    newRichTextValue: () => chainable_('RichTextValueBuilder'),
+    newTextStyle: () => chainable_('TextStyleBuilder'),
+    BorderStyle: chainable_('BorderStyle'),
+    ProtectionType: { RANGE: 'RANGE', SHEET: 'SHEET' },
+    DataValidationCriteria: chainable_('DataValidationCriteria'),
+    WrapStrategy: chainable_('WrapStrategy'),
+    BandingTheme: chainable_('BandingTheme'),
+    Dimension: { ROWS: 'ROWS', COLUMNS: 'COLUMNS' },
+    DeveloperMetadataVisibility: { DOCUMENT: 'DOCUMENT', PROJECT: 'PROJECT' }
+  };
+
+  const Logger = {
+    log: (...args) => {
+      logs.push(args.map(String).join(' '));
+      return Logger;
+    },
+    getLog: () => logs.join('\n'),
+    clear: () => { logs.length = 0; }
+  };
+
+  const globals = {
+    SpreadsheetApp,
+    Utilities: createUtilities_(state),
+    Session: createSession_(state),
+    LockService: createLockService_(state),
+    HtmlService: createHtmlService_(options.engineDir || ''),
+    PropertiesService: {
+      getScriptProperties: () => createPropertyStore_(state.properties.script),
+      getDocumentProperties: () => createPropertyStore_(state.properties.document),
+      getUserProperties: () => createPropertyStore_(state.properties.user)
+    },
+    CacheService: {
+      getScriptCache: () => createCache_(),
+      getDocumentCache: () => createCache_(),
+      getUserCache: () => createCache_()
+    },
+    ScriptApp: createScriptApp_(state),
+    MailApp: {
+      sendEmail: (...args) => { mail.push(args); },
+      getRemainingDailyQuota: () => 100
+    },
+    Browser: {
+      Buttons: { OK: 'ok', OK_CANCEL: 'ok_cancel', YES_NO: 'yes_no', YES_NO_CANCEL: 'yes_no_cancel' },
+      msgBox: (...args) => ui.alert(...args.map(String))
+    },
+    Logger
+  };
+
+  return { globals, spreadsheet, ui, logs, mail, state };
+}
+
+/**
+ * In-memory CacheService cache (not shared between calls)
+ * @return {Object} Cache fake
+ */
+function createCache_() {
+  const store = {};
+  return {
+    get: key => (key in store ? store[key] : null),
+    put: (key, value) => { store[key] = String(value); },
+    getAll: keys => Object.fromEntries(keys.filter(k => k in store).map(k => [k, store[k]])),
+    putAll: values => Object.assign(store, values),
+    remove: key => { delete store[key]; },
+    removeAll: keys => keys.forEach(k => delete store[k])
+  };
+}
+
+module.exports = {
+  createAppsScriptFakes,
+  formatDate_,
+  FakeSpreadsheet,
+  FakeSheet,
+  FakeRange
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * prize_event patch: the fixture event switched to HYBRID
+ */
+const HYBRID = { metadata: { [EVENT_ID]: { event_type: 'HYBRID' } } };
+
+/**
+ * Stores the preview and commits it
+ * @param {Object} engine - Engine
+ * @param {Object} preview - Preview
+ * @return {Object} Commit result
+ */
+function commit(engine, preview) {
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  return engine.run('commitEndPrizes', EVENT_ID, preview.hash);
+}
+
+test('HYBRID previews split the budget into products and capped payouts', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', HYBRID) });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  // (15 - 5) × 12 × 0.95 = 114; cap = min(11.40, 15)
+  assert.equal(preview.budget, 114);
+  assert.equal(preview.payoutSpend, 11.4);
+  assert.equal(preview.productBudget, 114 - 11.4);
+  assert.deepEqual(
+    preview.payouts.map(p => [p.preferredName, p.type, p.amount]),
+    [['Ava', 'STORE_CREDIT', 5.7], ['Ben', 'STORE_CREDIT', 3.42], ['Cam', 'STORE_CREDIT', 2.28]]
+  );
+  const productSpend = preview.allocations.reduce((sum, a) => sum + a.cogs * a.qty, 0);
+  assert.ok(productSpend <= preview.productBudget);
+  assert.equal(preview.spend, productSpend + 11.4);
+});
+
+test('non-HYBRID previews have no payouts and unchanged hashes', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.deepEqual(preview.payouts, []);
+  assert.equal(preview.productBudget, preview.budget);
+});
+
+test('commit pays store credit and logs both halves to Spent_Pool', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', HYBRID) });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  const result = commit(engine, preview);
+
+  const ledger = engine.rows('Store_Credit_Ledger');
+  assert.deepEqual(ledger.map(r => [r.preferred_name_id, r.Amount]), [['Ava', 5.7], ['Ben', 3.42], ['Cam', 2.28]]);
+  assert.ok(ledger.every(r => r.POSRefId === result.batchId));
+  const spent = engine.rows('Spent_Pool').filter(r => r.Batch_ID === result.batchId);
+  assert.equal(spent.filter(r => r.Item_Code === 'HYBRID-CREDIT').length, 3);
+  assert.equal(spent.length, preview.allocations.length + 3);
+});
+
+test('BP payouts award whole BP at Hybrid_BP_Per_Dollar', () => {
+  const fixture = patchFixture('prize_event', HYBRID, { settings: { Hybrid_Payout_Type: 'BP', Hybrid_BP_Per_Dollar: '2' } });
+  const engine = createEngine({ fixture });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  assert.deepEqual(preview.payouts.map(p => p.bp), [11, 6, 4]);
+
+  commit(engine, preview);
+
+  assert.deepEqual(engine.rows('BP_Total').map(r => [r.PreferredName, r.BP_Current]), [['Ava', 11], ['Ben', 6], ['Cam', 4]]);
+});
+
+test('a failed payout rolls back the whole batch', () => {
+  const fixture = patchFixture('prize_event', HYBRID, { settings: { Hybrid_Payout_Type: 'BP' } });
+  const engine = createEngine({ fixture });
+  const catalog = engine.values('Prize_Catalog');
+  const event = engine.values(EVENT_ID);
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  const award = globalThis.awardBonusPoints;
+  let calls = 0;
+  globalThis.awardBonusPoints = (...args) => (++calls === 2 ? { success: false, error: 'BP_Total locked' } : award(...args));
+  try {
+    assert.throws(() => commit(engine, preview), /PAYOUT_FAILED[\s\S]*BP_Total locked/);
+  } finally {
+    globalThis.awardBonusPoints = award;
+  }
+
+  assert.deepEqual(engine.values('Prize_Catalog'), catalog);
+  assert.deepEqual(engine.values(EVENT_ID), event);
+  assert.ok(engine.rows('Spent_Pool').every(r => r.Reverted === true));
+  assert.equal(engine.rows('BP_Total').find(r => r.PreferredName === 'Ava').BP_Current, 0);
+});
+
+test('reverting a HYBRID batch reverses the payouts', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', HYBRID) });
+  const result = commit(engine, engine.run('previewEndPrizes', EVENT_ID));
+
+  const plan = engine.run('revertPrizeBatch', result.batchId);
+
+  assert.equal(plan.payouts.length, 3);
+  assert.equal(engine.run('getStoreCreditBalance', 'Ava').balance, 0);
+  assert.equal(engine.rows('Store_Credit_Ledger').filter(r => r.InOut === 'OUT').length, 3);
+});
+
+test('Hybrid_Payout_Split is validated', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  assert.throws(() => engine.run('setThrottleKV', { Hybrid_Payout_Split: '50,abc' }), /Hybrid_Payout_Split/);
+  assert.throws(() => engine.run('setThrottleKV', { Hybrid_Payout_Type: 'CASH' }), /Hybrid_Payout_Type/);
+});
+
+test('a BP batch re-committed after a revert pays again', () => {
+  const fixture = patchFixture('prize_event', HYBRID, { settings: { Hybrid_Payout_Type: 'BP' } });
+  const engine = createEngine({ fixture });
+  const first = commit(engine, engine.run('previewEndPrizes', EVENT_ID));
+  engine.run('revertPrizeBatch', first.batchId);
+  assert.equal(engine.run('getPlayerBP', 'Ava'), 0);
+
+  const second = commit(engine, engine.run('previewEndPrizes', EVENT_ID));
+
+  assert.notEqual(second.batchId, first.batchId);
+  assert.deepEqual(engine.rows('BP_Total').map(r => [r.PreferredName, r.BP_Current]), [['Ava', 5], ['Ben', 3], ['Cam', 2]]);
+});
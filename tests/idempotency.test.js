@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * Counts a player's ledger entries after the opening balance
+ * @param {Object} engine - Engine
+ * @param {string} name - Player
+ * @return {number} Entry count
+ */
+function ledgerWrites(engine, name) {
+  return engine.run('getBPLedgerEntries', name).filter(e => !e.idempotencyKey.startsWith('OPENING:')).length;
+}
+
+test('a repeated award returns the original result instead of applying again', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-11-01T15:00:00Z' });
+  const first = engine.run('awardBonusPoints', 'Ava', 5, 'MANUAL', { eventId: EVENT_ID, idempotencyKey: 'click-1' });
+  engine.advance(60 * 1000);
+  const again = engine.run('awardBonusPoints', 'Ava', 5, 'MANUAL', { eventId: EVENT_ID, idempotencyKey: 'click-1' });
+
+  assert.equal(again.duplicate, true);
+  assert.equal(again.currentBP, first.currentBP);
+  assert.equal(ledgerWrites(engine, 'Ava'), 1);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'IDEMPOTENT_REPLAY').length, 1);
+
+  // Without a key the same award made again is a new one
+  const next = engine.run('awardBonusPoints', 'Ava', 5, 'MANUAL', { eventId: EVENT_ID });
+  engine.advance(3 * 60 * 1000);
+  const later = engine.run('awardBonusPoints', 'Ava', 5, 'MANUAL', { eventId: EVENT_ID });
+  assert.equal(next.duplicate, false);
+  assert.equal(later.duplicate, false);
+  assert.equal(later.currentBP, 55);
+});
+
+test('explicit keys never expire and failed calls are not remembered', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-11-01T15:00:00Z' });
+  const failed = engine.run('redeemBonusPoints', 'Ava', 50, 'STORE_CREDIT', { idempotencyKey: 'till-42' });
+  assert.equal(failed.success, false);
+
+  engine.run('awardBonusPoints', 'Ava', 10, 'MANUAL', { idempotencyKey: 'award-7' });
+  const first = engine.run('redeemBonusPoints', 'Ava', 50, 'STORE_CREDIT', { idempotencyKey: 'till-42' });
+  assert.equal(first.success, true);
+  assert.equal(first.newBP, 0);
+
+  engine.advance(3 * 24 * 60 * 60 * 1000);
+  const replay = engine.run('redeemBonusPoints', 'Ava', 50, 'STORE_CREDIT', { idempotencyKey: 'till-42' });
+  assert.deepEqual(replay, Object.assign({}, first, { duplicate: true, idempotencyKey: 'till-42' }));
+  assert.equal(engine.run('awardBonusPoints', 'Ava', 10, 'MANUAL', { idempotencyKey: 'award-7' }).duplicate, true);
+  assert.equal(engine.run('getBPLedgerBalance', 'Ava').currentBP, 0);
+});
+
+test('keys, flag missions and store credit replay too', () => {
+  const fixture = patchFixture('player_ledgers', {
+    sheets: { Flag_Missions: [['PreferredName', 'Cosmic_Merchant', 'Flag Mission Points'], ['Ava', false, 0]] }
+  });
+  const engine = createEngine({ fixture, now: '2025-11-01T15:00:00Z' });
+
+  const key = engine.run('addKey', 'Ava', 'Red', 1, { idempotencyKey: 'key-1' });
+  assert.equal(engine.run('addKey', 'Ava', 'Red', 1, { idempotencyKey: 'key-1' }).duplicate, true);
+  assert.equal(engine.run('getPlayerKeys', 'Ava').Red, key.after);
+  engine.run('addKey', 'Ava', 'Red', 1);
+  assert.equal(engine.run('getPlayerKeys', 'Ava').Red, key.after + 1);
+
+  const flag = engine.run('awardFlagMission', 'Ava', 'Cosmic_Merchant', EVENT_ID, { idempotencyKey: 'flag-1' });
+  const flagAgain = engine.run('awardFlagMission', 'Ava', 'Cosmic_Merchant', EVENT_ID, { idempotencyKey: 'flag-1' });
+  assert.equal(flag.success, true);
+  assert.equal(flagAgain.success, true);
+  assert.equal(flagAgain.duplicate, true);
+  assert.equal(engine.run('awardFlagMission', 'Ava', 'Cosmic_Merchant', EVENT_ID).message, 'Mission already completed');
+
+  const payload = { preferred_name_id: 'Ava', direction: 'OUT', amount: 5, reason: 'Purchase', idempotencyKey: 'till-1' };
+  const credit = engine.run('logStoreCreditTransaction', payload);
+  const creditAgain = engine.run('logStoreCreditTransaction', payload);
+  assert.equal(creditAgain.rowId, credit.rowId);
+  assert.equal(engine.rows('Store_Credit_Ledger').length, 2);
+  assert.equal(engine.run('logStoreCreditTransaction', Object.assign({}, payload, { idempotencyKey: '' })).newBalance, 10);
+});
+
+test('a keyed call checks, applies and records under the script lock', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-11-01T15:00:00Z' });
+  const red = engine.run('getPlayerKeys', 'Ava').Red;
+  const held = globalThis.LockService.getScriptLock();
+  held.tryLock(0);
+  try {
+    assert.throws(() => engine.run('addKey', 'Ava', 'Red', 1, { idempotencyKey: 'key-1' }), /\[LOCK_TIMEOUT\]/);
+    const payload = { preferred_name_id: 'Ava', direction: 'IN', amount: 5, idempotencyKey: 'till-1' };
+    assert.throws(() => engine.run('logStoreCreditTransaction', payload), /LOCK_TIMEOUT/);
+  } finally {
+    held.releaseLock();
+  }
+  assert.equal(engine.run('getPlayerKeys', 'Ava').Red, red);
+  assert.equal(engine.rows('Store_Credit_Ledger').length, 1);
+});
+
+test('the duplicate report lists suspected historical double applies', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-11-01T15:00:00Z' });
+  // Written before the dedupe index existed: different keys each time
+  engine.run('recordBPAward', 'Ben', 10, 'MANUAL', { eventId: EVENT_ID });
+  engine.advance(2 * 60 * 1000);
+  engine.run('recordBPAward', 'Ben', 10, 'MANUAL', { eventId: EVENT_ID });
+  engine.run('recordBPAward', 'Ava', 10, 'MANUAL', { eventId: EVENT_ID });
+  engine.sheet('Store_Credit_Ledger').appendRow(
+    ['2025-10-01T12:03:00.000-0500', 'Ava', 'IN', 20, 'League prize', 'Prize Payout', 'Store Credit', '', '', '', 40, 'row-2']);
+  engine.advance(60 * 60 * 1000);
+  engine.run('recordBPAward', 'Ava', 10, 'MANUAL', { eventId: EVENT_ID });
+
+  const rows = engine.run('buildDuplicateReport');
+
+  assert.deepEqual(rows.map(r => [r.kind, r.preferredName, r.amount, r.minutesApart]), [
+    ['BP_AWARD', 'Ben', 10, 2],
+    ['STORE_CREDIT', 'Ava', 20, 3]
+  ]);
+  assert.equal(engine.rows('Duplicate_Report').length, 2);
+  assert.equal(engine.run('buildDuplicateReport', 120).length, 3);
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * Creates an engine with a committed event and a few BP adjustments (9 chained log rows)
+ * @param {Object} patch - prize_event patch (see patchFixture)
+ * @return {Object} Engine
+ */
+function withChainedLog(patch = {}) {
+  const engine = createEngine({ fixture: patchFixture('prize_event', patch) });
+  engine.run('setThrottleKV', { RL_Percentage: '0.90' }, 'Tighten');
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  engine.run('commitEndPrizes', EVENT_ID, preview.hash);
+  ['Ava', 'Ben', 'Cal', 'Dee', 'Eli', 'Fay'].forEach((name, i) => {
+    engine.run('logIntegrityAction', 'BP_ADJUST', { preferredName: name, details: `+${i + 1} BP` });
+  });
+  return engine;
+}
+
+test('every Integrity_Log row is chained to the row above', () => {
+  const engine = withChainedLog();
+  const rows = engine.rows('Integrity_Log');
+
+  assert.equal(rows.length, 9);
+  assert.equal(rows[0].Prev_Hash, 'GENESIS');
+  rows.slice(1).forEach((row, i) => assert.equal(row.Prev_Hash, rows[i].Row_Hash));
+  const result = engine.run('verifyIntegrityChain');
+  assert.equal(result.ok, true);
+  assert.equal(result.chained, rows.length);
+  const gate = engine.run('shipGatesHealth').find(g => g.gate === 'J');
+  assert.equal(gate.pass, true);
+});
+
+test('verification pinpoints edited, deleted and inserted rows', () => {
+  const engine = withChainedLog();
+  const log = engine.sheet('Integrity_Log');
+  log.getRange(3, 12).setValue('Nothing to see here');
+  log.deleteRow(5);
+  log.insertRowAfter(6);
+  log.getRange(7, 1, 1, 4).setValues([['2025-11-01T10:00:00Z', 'MAIN', EVENT_ID, 'BP_ADJUST']]);
+
+  const result = engine.run('verifyIntegrityChain');
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.breaks.map(b => [b.row, b.type]), [[3, 'EDITED'], [5, 'LINK'], [7, 'UNCHAINED']]);
+  const gate = engine.run('shipGatesHealth').find(g => g.gate === 'J');
+  assert.equal(gate.pass, false);
+  assert.match(gate.details, /first at Integrity_Log row 3: EDITED/);
+});
+
+test('rows logged before the chain existed are legacy', () => {
+  const engine = withChainedLog({
+    sheets: {
+      Integrity_Log: [
+        ['Timestamp', 'StoreID', 'Event_ID', 'Action', 'Operator', 'PreferredName', 'Seed', 'Checksum_Before',
+          'Checksum_After', 'RL_Band', 'DF_Tags', 'Details', 'Status'],
+        ['2025-10-01T10:00:00Z', 'MAIN', '', 'EVENT_CREATE', 'staff@cosmic.test', '', '', '', '', '', '', '', 'SUCCESS'],
+        ['2025-10-02T10:00:00Z', 'MAIN', '', 'BP_ADJUST', 'staff@cosmic.test', 'Ava', '', '', '', '', '', '+5', 'SUCCESS']
+      ]
+    }
+  });
+
+  const result = engine.run('verifyIntegrityChain');
+
+  assert.equal(result.ok, true);
+  assert.equal(result.legacy, 2);
+  assert.equal(engine.rows('Integrity_Log')[2].Prev_Hash, 'GENESIS');
+});
+
+test('signed checkpoints catch a re-hashed or truncated log', () => {
+  const engine = withChainedLog();
+  const checkpoint = engine.run('writeIntegrityCheckpoint');
+  const log = engine.sheet('Integrity_Log');
+
+  assert.equal(checkpoint.chainStatus, 'OK');
+  assert.equal(engine.sheet('Integrity_Checkpoints').getProtections().length, 1);
+  assert.equal(engine.run('verifyIntegrityChain').checkpoints.checked, 1);
+
+  // Rewrite a row and recompute every hash after it: the chain itself verifies again
+  log.getRange(4, 12).setValue('Rewritten');
+  for (let row = 4; row <= log.getLastRow(); row++) {
+    const values = log.getRange(row, 1, 1, 13).getValues()[0];
+    const prev = log.getRange(row - 1, 15).getValue();
+    log.getRange(row, 14, 1, 2).setValues([[prev, engine.run('computeIntegrityRowHash_', prev, values)]]);
+  }
+  let result = engine.run('verifyIntegrityChain');
+  assert.deepEqual(result.breaks.map(b => b.type), ['CHECKPOINT']);
+  assert.equal(result.breaks[0].row, checkpoint.headRow);
+
+  // Truncating the log below the checkpoint is caught too
+  log.deleteRows(checkpoint.headRow - 1, 2);
+  result = engine.run('verifyIntegrityChain');
+  assert.match(result.breaks.find(b => b.type === 'CHECKPOINT').details, /fewer rows/);
+
+  // Checkpoints cannot be edited without the signing key
+  engine.sheet('Integrity_Checkpoints').getRange(2, 4).setValue(3);
+  assert.ok(engine.run('verifyIntegrityChain').breaks.some(b => b.type === 'SIGNATURE'));
+});
+
+test('Gate J autofix schedules the daily checkpoint', () => {
+  const engine = withChainedLog();
+  const fix = engine.run('runAutoFix', 'J');
+
+  assert.equal(fix.success, true);
+  assert.match(fix.message, /daily checkpoint scheduled/);
+  assert.deepEqual(engine.state.triggers.map(t => t.getHandlerFunction()), ['writeIntegrityCheckpoint']);
+  engine.run('runAutoFix', 'J');
+  assert.equal(engine.state.triggers.length, 1);
+  assert.equal(engine.rows('Integrity_Checkpoints').length, 2);
+});
+
+test('a row that cannot get the chain lock is refused, and an unchained row is a break', () => {
+  const engine = withChainedLog();
+  const writer = globalThis.LockService.getDocumentLock();
+  writer.tryLock(0);
+  try {
+    const sheet = engine.sheet('Integrity_Log');
+    assert.throws(() => engine.run('appendIntegrityLogRow_', sheet, ['2025-11-01T10:00:00Z', 'MAIN', '', 'BP_ADJUST']),
+      /\[LOCK_TIMEOUT\]/);
+  } finally {
+    writer.releaseLock();
+  }
+  assert.equal(engine.rows('Integrity_Log').length, 9);
+
+  // A row hashed on its own cannot pass as part of the chain
+  const content = ['2025-11-01T10:00:00Z', 'MAIN', '', 'BP_ADJUST', 'staff@cosmic.test', 'Gus', '', '', '', '', '', '+70 BP', 'SUCCESS'];
+  const forged = engine.run('computeIntegrityRowHash_', 'UNLINKED', content);
+  engine.sheet('Integrity_Log').appendRow(content.concat(['UNLINKED', forged]));
+  const result = engine.run('verifyIntegrityChain');
+  assert.deepEqual(result.breaks.map(b => [b.row, b.type]), [[11, 'LINK']]);
+});
+
+test('dice point awards are chained like every other log row', () => {
+  const engine = withChainedLog();
+  const ss = globalThis.SpreadsheetApp.getActiveSpreadsheet();
+  engine.run('logToIntegrityLog_', ss, { timestamp: new Date(), player: 'Ava', action: 'DICE_POINTS_AWARD', amount: 3 });
+  engine.run('logIntegrityAction', 'BP_ADJUST', { preferredName: 'Gus', details: '+7 BP' });
+
+  const rows = engine.rows('Integrity_Log');
+  assert.equal(rows[9].Action, 'DICE_POINTS_AWARD');
+  assert.equal(rows[9].Prev_Hash, rows[8].Row_Hash);
+  assert.equal(engine.run('verifyIntegrityChain').ok, true);
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture } = require('./harness/engine');
+
+test('addKey increments an existing player and stamps LastUpdated', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers'), now: '2025-11-01T18:00:00Z' });
+  const result = engine.run('addKey', 'Ava', 'Yellow', 2);
+
+  assert.deepEqual(result, { before: 0, after: 2, added: 2 });
+  const ava = engine.rows('Key_Tracker').find(r => r.PreferredName === 'Ava');
+  assert.equal(ava.Yellow, 2);
+  assert.equal(ava.LastUpdated, '2025-11-01T13:00:00Z');
+});
+
+test('addKey creates a row for a new player', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  engine.run('addKey', 'Dee', 'Red');
+
+  const dee = engine.rows('Key_Tracker').find(r => r.PreferredName === 'Dee');
+  assert.equal(dee.Red, 1);
+});
+
+test('addKey rejects unknown colors', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  assert.throws(() => engine.run('addKey', 'Ava', 'Orange'), /INVALID_COLOR/);
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture } = require('./harness/engine');
+
+test('sellPreorder records the sale and reserves bucket stock', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const result = engine.run('sellPreorder', {
+    customerName: 'Cam',
+    basket: [{ setName: 'Foundations', itemName: 'Play Booster Box', itemCode: 'FDN-PBB', qtyWanted: 2, unitPrice: 140 }],
+    totalDue: 280,
+    depositAmount: 80
+  });
+
+  assert.equal(result.status, 'OK');
+  assert.equal(result.balance, 200);
+
+  const sold = engine.rows('Preorders_Sold');
+  assert.equal(sold.length, 1);
+  assert.equal(sold[0].Preorder_ID, result.preorderId);
+  assert.equal(sold[0].Qty, 2);
+  assert.equal(sold[0].Status, 'Deposit_Paid');
+
+  const bucket = engine.rows('Preorders_Buckets')[0];
+  assert.equal(bucket.Reserved, 2);
+  assert.equal(bucket.Available, 8);
+});
+
+test('sellPreorder rejects an empty basket', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const result = engine.run('sellPreorder', { customerName: 'Cam', basket: [] });
+
+  assert.equal(result.status, 'ERROR');
+  assert.equal(engine.sheet('Preorders_Sold'), null);
+});
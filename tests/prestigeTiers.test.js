@@ -0,0 +1,145 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const TIER_HEADERS = ['Tier', 'Display_Name', 'Threshold', 'Reward_Type', 'Reward_Value', 'Reward_Qty'];
+
+/**
+ * player_ledgers patch: reward tiers and a one-item catalog (PIN out of stock)
+ */
+const TIERS = {
+  sheets: {
+    Prestige_Tiers: [
+      TIER_HEADERS,
+      ['NOVA', 'Nova', 5, 'KEYS', 'Red', 2],
+      ['PULSAR', 'Pulsar', 10, 'ITEM', 'PIN', 1],
+      ['QUASAR', 'Quasar', 20, 'BP', '', 5]
+    ],
+    Prize_Catalog: [['Code', 'Name', 'Qty'], ['PIN', 'Prestige Pin', 0]]
+  }
+};
+
+/**
+ * Gets a player's tier rewards as [tier, status]
+ * @param {Object} engine - Engine
+ * @param {string} name - Player
+ * @return {Array<Array>} [tier, status]
+ */
+function rewards(engine, name) {
+  return engine.run('getPrestigeTierRewards', name).map(r => [r.tier, r.status]);
+}
+
+test('default tiers label BP_Prestige and queue a staff notice on the first tier', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const result = engine.run('awardBonusPoints', 'Ben', 10, 'MANUAL');
+
+  assert.equal(result.prestige, 5);
+  assert.deepEqual(engine.rows('BP_Prestige').map(r => [r.PreferredName, r.Prestige_Milestone]), [['Ben', 'Bronze']]);
+  assert.deepEqual(rewards(engine, 'Ben'), [['BRONZE', 'AWARDED']]);
+  const notices = engine.run('getPendingNotifications', 'PRESTIGE_TIER_UP');
+  assert.deepEqual(notices.map(n => [n.preferredName, n.amount]), [['Ben', 5]]);
+  assert.equal(engine.run('getPrestigeTier', 120).displayName, 'Gold');
+  assert.equal(engine.run('getPrestigeTier', 0), null);
+});
+
+test('crossing several tiers gives each reward once', () => {
+  const stocked = { sheets: { Prize_Catalog: [['Code', 'Name', 'Level', 'COGS', 'Qty'], ['PIN', 'Prestige Pin', 'L1', 1.5, 3]] } };
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', TIERS, stocked) });
+  engine.run('awardBonusPoints', 'Ava', 72, 'MANUAL');
+
+  assert.deepEqual(rewards(engine, 'Ava'), [['NOVA', 'AWARDED'], ['PULSAR', 'AWARDED']]);
+  assert.equal(engine.run('getPlayerKeys', 'Ava').Red, 3);
+  assert.equal(engine.rows('Prize_Catalog')[0].Qty, 2);
+  assert.deepEqual(engine.rows('Spent_Pool').map(r => [r.Event_ID, r.Item_Code, r.Level, r.Qty, r.Total, r.Event_Type]),
+    [['PRESTIGE_TIER', 'PIN', 'L1', 1, 1.5, 'PRESTIGE_REWARD']]);
+
+  // QUASAR's 5 BP lands on a capped balance, so it overflows to prestige too
+  engine.run('awardBonusPoints', 'Ava', 10, 'MANUAL');
+  assert.deepEqual(rewards(engine, 'Ava').map(r => r[0]), ['NOVA', 'PULSAR', 'QUASAR']);
+  const balance = engine.run('getBPLedgerBalance', 'Ava');
+  assert.equal(balance.prestige, 27);
+  assert.deepEqual(engine.run('getBPLedgerEntries', 'Ava').slice(-1).map(e => [e.type, e.amount, e.source]),
+    [['OVERFLOW', 5, 'PRESTIGE_TIER']]);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'PRESTIGE_TIER_UP').length, 3);
+  assert.equal(engine.run('getPendingNotifications', 'PRESTIGE_TIER_UP').length, 3);
+});
+
+test('a tier is not rewarded again after prestige drops and climbs back', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', TIERS) });
+  engine.run('awardBonusPoints', 'Ben', 20, 'MANUAL', { batchId: 'B1' });
+  assert.deepEqual(rewards(engine, 'Ben'), [['NOVA', 'AWARDED'], ['PULSAR', 'OUT_OF_STOCK']]);
+
+  engine.run('reverseBPEntries', { batchId: 'B1' }, 'Entered twice');
+  assert.equal(engine.run('getBPLedgerBalance', 'Ben').prestige, 0);
+  engine.run('awardBonusPoints', 'Ben', 20, 'MANUAL');
+
+  assert.equal(rewards(engine, 'Ben').length, 2);
+  assert.equal(engine.run('getPlayerKeys', 'Ben').Red, 2);
+});
+
+test('prestige from a mission sync crosses tiers too', () => {
+  const fixture = patchFixture('player_ledgers', TIERS, {
+    settings: { BP_Global_Cap: '40' },
+    rows: { Prize_Catalog: { 2: ['PIN', 'Prestige Pin', 1] } },
+    sheets: {
+      Flag_Missions: [
+        ['PreferredName', 'Quantum_Collector', 'Cosmic_Merchant', 'Social_Media_Star', 'Gravitational_Pull', 'Flag Mission Points'],
+        ['Ava', true, true, true, false, 10]
+      ]
+    }
+  });
+  const engine = createEngine({ fixture });
+
+  engine.run('awardFlagMission', 'Ava', 'Gravitational_Pull');
+
+  assert.equal(engine.run('getBPLedgerBalance', 'Ava').prestige, 5);
+  assert.deepEqual(rewards(engine, 'Ava'), [['NOVA', 'AWARDED']]);
+});
+
+test('bad tier rows are rejected', () => {
+  const fixture = patchFixture('player_ledgers', {
+    sheets: { Prestige_Tiers: [TIER_HEADERS, ['X', 'X', 10, 'CAKE', '', 1]] }
+  });
+  const engine = createEngine({ fixture });
+  assert.throws(() => engine.run('getPrestigeTiers'), /INVALID_CONFIG/);
+});
+
+test('a bad tier row is reported on edit and leaves the BP projections running', () => {
+  const fixture = patchFixture('player_ledgers', {
+    sheets: { Prestige_Tiers: [TIER_HEADERS, ['X', 'X', 1, 'NONE', '', '']] }
+  });
+  const engine = createEngine({ fixture });
+  engine.run('awardBonusPoints', 'Ben', 10, 'MANUAL');
+  engine.sheet('Prestige_Tiers').getRange(2, 4).setValue('CAKE');
+
+  engine.run('onEdit', { range: engine.sheet('Prestige_Tiers').getRange(2, 4) });
+  assert.match(engine.spreadsheet.toasts.slice(-1)[0].message, /Invalid Reward_Type for prestige tier X/);
+
+  assert.equal(engine.run('awardBonusPoints', 'Ben', 5, 'MANUAL').success, true);
+  assert.deepEqual(engine.rows('BP_Prestige').map(r => [r.PreferredName, r.Prestige_Points, r.Prestige_Milestone]), [['Ben', 10, 'X']]);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'PRESTIGE_TIER_UP' && r.Status === 'WARNING').length, 1);
+});
+
+test('rewards that did not go through are retried once they can be given', () => {
+  const engine = createEngine({ fixture: patchFixture('player_ledgers', TIERS), now: '2025-10-05T15:00:00Z' });
+  engine.run('awardBonusPoints', 'Ben', 20, 'MANUAL');
+  assert.deepEqual(rewards(engine, 'Ben'), [['NOVA', 'AWARDED'], ['PULSAR', 'OUT_OF_STOCK']]);
+  assert.deepEqual(engine.run('retryPrestigeTierRewards').map(r => [r.tier, r.status]), [['PULSAR', 'OUT_OF_STOCK']]);
+
+  engine.sheet('Prize_Catalog').getRange(2, 3).setValue(1);
+  assert.deepEqual(engine.run('retryPrestigeTierRewards', 'Ben').map(r => [r.tier, r.status]), [['PULSAR', 'AWARDED']]);
+  assert.equal(engine.rows('Prize_Catalog')[0].Qty, 0);
+  assert.deepEqual(engine.run('retryPrestigeTierRewards'), []);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'PRESTIGE_TIER_RETRY').length, 2);
+
+  // A PENDING row belongs to the run that claimed it until it goes stale
+  const statusCol = engine.values('Prestige_Tier_Rewards')[0].indexOf('Status') + 1;
+  engine.sheet('Prestige_Tier_Rewards').getRange(2, statusCol).setValue('PENDING');
+  engine.setNow('2025-10-05T15:05:00Z');
+  assert.deepEqual(engine.run('retryPrestigeTierRewards'), []);
+  engine.setNow('2025-10-05T15:11:00Z');
+  assert.deepEqual(engine.run('retryPrestigeTierRewards').map(r => [r.preferredName, r.tier, r.status]), [['Ben', 'NOVA', 'AWARDED']]);
+  assert.equal(engine.run('getPlayerKeys', 'Ben').Red, 2);
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * Creates an engine with a stored end prize preview
+ * @return {Object} {engine, preview}
+ */
+function withStoredPreview() {
+  const engine = createEngine({ fixture: loadFixture('prize_event'), userEmail: 'to@cosmic.test' });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  return { engine, preview };
+}
+
+test('replace re-hashes the preview and commit writes the override', () => {
+  const { engine, preview } = withStoredPreview();
+  const target = preview.allocations.find(a => a.code !== 'L1-SLEEVE' && a.level === 'L1');
+
+  const updated = engine.run('overridePreviewAllocation', EVENT_ID, {
+    action: 'REPLACE',
+    preferredName: target.preferredName,
+    fromCode: target.code,
+    code: 'L1-SLEEVE',
+    reason: 'Already owns this product'
+  });
+
+  assert.notEqual(updated.hash, preview.hash);
+  assert.equal(updated.allocations.length, preview.allocations.length);
+  assert.equal(updated.spend, preview.spend - target.cogs + 2.5);
+
+  const result = engine.run('commitEndPrizes', EVENT_ID, updated.hash);
+  assert.equal(result.success, true);
+  const row = engine.rows(EVENT_ID).find(r => r.PreferredName === target.preferredName);
+  assert.equal(row.End_Prizes, 'L1-SLEEVE');
+
+  const log = engine.rows('Integrity_Log').find(r => r.Action === 'PREVIEW_OVERRIDE');
+  assert.equal(log.Operator, 'to@cosmic.test');
+  assert.equal(log.Checksum_Before, preview.hash);
+  assert.equal(log.Checksum_After, updated.hash);
+  assert.match(log.Details, /Reason: Already owns this product/);
+});
+
+test('overrides stack: remove then add', () => {
+  const { engine, preview } = withStoredPreview();
+  const first = preview.allocations[0];
+
+  engine.run('overridePreviewAllocation', EVENT_ID, {
+    action: 'REMOVE', preferredName: first.preferredName, fromCode: first.code, reason: 'Declined prize'
+  });
+  const updated = engine.run('overridePreviewAllocation', EVENT_ID, {
+    action: 'ADD', preferredName: 'Lou', code: 'L0-PROMO', reason: 'Judge award'
+  });
+
+  assert.equal(updated.overrides.length, 2);
+  assert.ok(!updated.allocations.some(a => a.preferredName === first.preferredName && a.code === first.code));
+  assert.equal(engine.run('getPreviewOverrides', EVENT_ID).length, 2);
+  assert.equal(engine.run('commitEndPrizes', EVENT_ID, updated.hash).success, true);
+});
+
+test('overrides are validated and require a reason', () => {
+  const { engine, preview } = withStoredPreview();
+  const first = preview.allocations[0];
+
+  assert.throws(() => engine.run('overridePreviewAllocation', EVENT_ID, {
+    action: 'REMOVE', preferredName: first.preferredName, fromCode: first.code
+  }), /REASON_REQUIRED/);
+  assert.throws(() => engine.run('overridePreviewAllocation', EVENT_ID, {
+    action: 'REPLACE', preferredName: first.preferredName, fromCode: first.code, code: 'L1-OOS', reason: 'x'
+  }), /OUT_OF_STOCK/);
+  assert.throws(() => engine.run('overridePreviewAllocation', EVENT_ID, {
+    action: 'ADD', preferredName: 'Nobody', code: 'L0-PROMO', reason: 'x'
+  }), /PLAYER_NOT_FOUND/);
+
+  // The original hash is no longer accepted once overridden
+  const updated = engine.run('overridePreviewAllocation', EVENT_ID, {
+    action: 'REMOVE', preferredName: first.preferredName, fromCode: first.code, reason: 'Left early'
+  });
+  assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, preview.hash), /HASH_MISMATCH/);
+  assert.equal(engine.run('commitEndPrizes', EVENT_ID, updated.hash).success, true);
+});
+
+test('previews hashed with the old format are refused and retired by the Gate F fix', () => {
+  const { engine, preview } = withStoredPreview();
+  const versionCol = engine.values('Preview_Artifacts')[0].indexOf('Hash_Version') + 1;
+  engine.sheet('Preview_Artifacts').getRange(2, versionCol).setValue('');
+
+  assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, preview.hash), /PREVIEW_HASH_OUTDATED/);
+  assert.equal(engine.run('checkGateF_').pass, false);
+
+  assert.match(engine.run('runAutoFix', 'F').message, /Retired 1 preview/);
+  assert.deepEqual(engine.rows('Preview_Artifacts').map(r => [r.Status, r.Superseded_By]), [['SUPERSEDED', 'HASH_V2']]);
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'PREVIEW_HASH_MIGRATION').length, 1);
+  assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, preview.hash), /PREVIEW_HASH_OUTDATED/);
+
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  assert.equal(engine.run('checkGateF_').pass, true);
+  assert.equal(engine.run('commitEndPrizes', EVENT_ID, preview.hash).success, true);
+});
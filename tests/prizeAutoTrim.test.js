@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * prize_event patch: the seeded end prize preview lands in RED
+ * (entry 13: budget 91.20, untrimmed spend 88.00)
+ */
+const RED = { metadata: { [EVENT_ID]: { entry: '13' } } };
+
+/**
+ * Stores the preview and commits it
+ * @param {Object} engine - Engine
+ * @param {Object} preview - Preview
+ * @return {Object} Commit result
+ */
+function commit(engine, preview) {
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  return engine.run('commitEndPrizes', EVENT_ID, preview.hash);
+}
+
+test('RED previews are trimmed to the target from the lowest rank up', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', RED) });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.equal(preview.trim.applied, true);
+  assert.equal(preview.trim.untrimmedSpend, 88);
+  assert.ok(preview.spend <= preview.budget * preview.trim.target);
+  assert.equal(preview.rlBand, 'GREEN');
+  assert.notEqual(preview.hash, preview.trim.untrimmedHash);
+  // Only the lowest-ranked winner needed stepping down
+  assert.deepEqual(
+    preview.trim.steps.map(s => [s.preferredName, s.fromCode, s.toCode]),
+    [['Hal', 'L2-PLAY', 'L2-DECK'], ['Hal', 'L2-DECK', 'L1-PACK'], ['Hal', 'L1-PACK', 'L1-SLEEVE']]
+  );
+  assert.deepEqual(engine.run('previewEndPrizes', EVENT_ID), preview);
+});
+
+test('trimmed commits are logged to Bath_Log with the stored preview hash, the committed draw hash and the batch', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', RED) });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  const result = commit(engine, preview);
+
+  assert.equal(result.trimmed, true);
+  assert.equal(engine.rows(EVENT_ID).find(r => r.PreferredName === 'Hal').End_Prizes, 'L1-SLEEVE');
+  const [row] = engine.rows('Bath_Log');
+  assert.equal(row.Was_Trimmed, true);
+  assert.equal(row.Preview_Prize_COGS, 88);
+  assert.equal(row.Final_Prize_COGS, preview.spend);
+  assert.equal(row.Preview_Hash, preview.hash);
+  assert.equal(row.Commit_Hash, engine.run('hashSeedDraw_', preview.allocations));
+  assert.equal(row.Batch_ID, result.batchId);
+  assert.equal(row.df_tags, 'DF-240');
+  assert.match(row.Notes, new RegExp(`Untrimmed hash ${preview.trim.untrimmedHash}`));
+  assert.match(row.Notes, /Hal: L1-PACK → L1-SLEEVE/);
+});
+
+test('AMBER commits are logged as near-misses without trimming', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', { settings: { Allocation_Mode: 'OPTIMAL' } }) });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  assert.equal(preview.rlBand, 'AMBER');
+  assert.equal(preview.trim.applied, false);
+
+  const result = commit(engine, preview);
+
+  const [row] = engine.rows('Bath_Log');
+  assert.equal(row.Was_Trimmed, false);
+  assert.equal(row.RL_Band_Final, 'AMBER');
+  assert.equal(row.Preview_Hash, preview.hash);
+  assert.equal(row.Commit_Hash, engine.run('hashSeedDraw_', preview.allocations));
+  assert.equal(row.Batch_ID, result.batchId);
+});
+
+test('GREEN commits leave Bath_Log alone', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  commit(engine, engine.run('previewEndPrizes', EVENT_ID));
+
+  assert.deepEqual(engine.rows('Bath_Log'), []);
+});
+
+test('with auto-trim disabled a RED commit is blocked and logged', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', RED) });
+  const throttle = engine.sheet('Prize_Throttle');
+  throttle.getRange('D1').setValue(false);
+  engine.spreadsheet.setNamedRange('Auto_Trim_Enabled', throttle.getRange('D1'));
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  assert.equal(preview.trim.applied, false);
+  assert.equal(preview.rlBand, 'RED');
+
+  assert.throws(() => commit(engine, preview), /BUDGET_RED/);
+  const [row] = engine.rows('Bath_Log');
+  assert.equal(row.RL_Band_Final, 'RED');
+  assert.equal(row.Preview_Hash, preview.hash);
+  assert.deepEqual([row.Commit_Hash, row.Batch_ID], ['', '']);
+  assert.match(row.Notes, /Commit blocked/);
+});
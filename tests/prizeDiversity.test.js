@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+const HEADERS = ['Rank', 'PreferredName', 'R1_Prize', 'R2_Prize', 'R3_Prize', 'End_Prizes'];
+
+/**
+ * prize_event patch: every top-4 player already won both L3 items on 10-25D-2025
+ * (Ava's Collector Booster came from a wizard round, so by item name)
+ */
+const HISTORY = {
+  sheets: {
+    '10-25D-2025': [
+      HEADERS,
+      [1, 'Ava', 'Collector Booster', '', '', 'L3-BUND'],
+      [2, 'Ben', '', '', '', 'L3-CBOX, L3-BUND'],
+      [3, 'Cam', '', '', '', 'L3-CBOX, L3-BUND'],
+      [4, 'Dee', '', '', '', 'L3-CBOX, L3-BUND']
+    ]
+  }
+};
+
+test('EXCLUDE steers top ranks away from items won in the lookback window', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', HISTORY, { settings: { Diversity_Mode: 'EXCLUDE' } }) });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  const top4 = preview.allocations.filter(a => ['Ava', 'Ben', 'Cam', 'Dee'].includes(a.preferredName));
+  assert.equal(top4.length, 4);
+  assert.ok(top4.every(a => a.level !== 'L3'), 'L3 repeats should fall back to consolation');
+
+  const skip = preview.diversity.find(d => d.preferredName === 'Ava' && d.code === 'L3-CBOX');
+  assert.equal(skip.action, 'EXCLUDED');
+  assert.match(skip.reason, /10-25D-2025 \(7d ago/);
+});
+
+test('history outside the window, reverted batches and OFF mode are ignored', () => {
+  const old = createEngine({
+    fixture: patchFixture('prize_event', {
+      sheets: { '09-01D-2025': HISTORY.sheets['10-25D-2025'] },
+      settings: { Diversity_Mode: 'EXCLUDE' }
+    })
+  });
+  assert.deepEqual(old.run('previewEndPrizes', EVENT_ID).diversity, []);
+
+  const reverted = createEngine({
+    fixture: patchFixture('prize_event', HISTORY, {
+      sheets: {
+        Spent_Pool: [
+          ['Event_ID', 'Item_Code', 'Item_Name', 'Level', 'Qty', 'COGS', 'Total', 'Timestamp', 'Batch_ID', 'Reverted', 'Event_Type'],
+          ['10-25D-2025', 'L3-BUND', 'Bundle', 'L3', 4, 12, 48, '', 'B1', true, 'LIMITED']
+        ]
+      },
+      settings: { Diversity_Mode: 'EXCLUDE' }
+    })
+  });
+  const preview = reverted.run('previewEndPrizes', EVENT_ID);
+  assert.ok(preview.diversity.every(d => d.code !== 'L3-BUND'));
+
+  const off = createEngine({ fixture: patchFixture('prize_event', HISTORY, { settings: { Diversity_Mode: 'OFF' } }) });
+  const base = createEngine({ fixture: loadFixture('prize_event') });
+  base.run('setThrottleParam', 'Diversity_Mode', 'OFF');
+  assert.equal(off.run('previewEndPrizes', EVENT_ID).hash, base.run('previewEndPrizes', EVENT_ID).hash);
+
+  // A workbook that never set Diversity_Mode keeps its allocations
+  const unset = createEngine({ fixture: patchFixture('prize_event', HISTORY) });
+  assert.deepEqual(unset.run('previewEndPrizes', EVENT_ID).diversity, []);
+  assert.equal(unset.run('previewEndPrizes', EVENT_ID).hash, off.run('previewEndPrizes', EVENT_ID).hash);
+});
+
+test('OPTIMAL mode prefers fresh items and reports allowed repeats', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', HISTORY, { settings: { Diversity_Mode: 'DOWNWEIGHT' } }) });
+  engine.run('setThrottleParam', 'Allocation_Mode', 'OPTIMAL');
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.ok(preview.diversity.length > 0);
+  assert.ok(preview.diversity.every(d => ['DOWNWEIGHTED', 'REPEATED'].includes(d.action)));
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  assert.equal(engine.run('commitEndPrizes', EVENT_ID, preview.hash).success, true);
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+const LADDER_HEADERS = ['Suffix', 'Min_Players', 'Max_Players', 'Rank_From', 'Rank_To', 'Level', 'Notes'];
+
+test('built-in ladder keeps the Top 4 / Top 8 split', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.equal(preview.ladder, '*[0-] 1-4:L3 5-8:L2 9+:L1');
+  assert.equal(engine.run('getLadderLevelForRank', null, 4, 12), 'L3');
+  assert.equal(engine.run('getLadderLevelForRank', null, 8, 12), 'L2');
+  assert.equal(engine.run('getLadderLevelForRank', null, 12, 12), 'L1');
+});
+
+test('suffix ladder for the roster size overrides the default', () => {
+  const engine = createEngine({
+    fixture: patchFixture('prize_event', {
+      sheets: {
+        Prize_Ladder: [
+          LADDER_HEADERS,
+          ['*', 0, '', 1, '', 'L1', ''],
+          ['D', 8, 15, 1, 1, 'L3', ''],
+          ['D', 8, 15, 2, 4, 'L2', ''],
+          ['D', 8, 15, 5, '', 'L0', ''],
+          ['D', 16, '', 1, '', 'L3', '']
+        ]
+      }
+    })
+  });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.equal(preview.ladder, 'D[8-15] 1:L3 2-4:L2 5+:L0');
+  const byName = Object.fromEntries(preview.allocations.map(a => [a.preferredName, a.level]));
+  assert.equal(byName.Ava, 'L3');
+  ['Ben', 'Cam', 'Dee'].forEach(name => assert.equal(byName[name], 'L2'));
+  ['Eli', 'Lou'].forEach(name => assert.equal(byName[name], 'L0'));
+});
+
+test('percentage ranks scale with player count and NONE skips ranks', () => {
+  const engine = createEngine({
+    fixture: patchFixture('prize_event', {
+      sheets: {
+        Prize_Ladder: [
+          LADDER_HEADERS,
+          ['*', 0, '', 1, '25%', 'L2', ''],
+          ['*', 0, '', '', '50%', 'L1', ''],
+          ['*', 0, '', '', '', 'NONE', '']
+        ]
+      }
+    })
+  });
+  const ladder = engine.run('resolvePrizeLadder', EVENT_ID, 12);
+
+  assert.equal(ladder.source, 'DEFAULT');
+  assert.equal(engine.run('getLadderLevelForRank', ladder, 3, 12), 'L2');
+  assert.equal(engine.run('getLadderLevelForRank', ladder, 4, 12), 'L1');
+  assert.equal(engine.run('getLadderLevelForRank', ladder, 7, 12), null);
+
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  assert.ok(preview.allocations.length <= 6);
+});
+
+test('Commander wizard end preview reads the same ladder', () => {
+  const engine = createEngine({
+    fixture: patchFixture('prize_event', {
+      sheets: {
+        Prize_Ladder: [
+          LADDER_HEADERS,
+          ['D', 0, '', 1, 2, 'L3', ''],
+          ['D', 0, '', 3, '', 'NONE', '']
+        ]
+      }
+    })
+  });
+  const preview = engine.run('previewCommanderEndPrizes', EVENT_ID);
+
+  assert.equal(preview.ladder, 'D[0-] 1-2:L3 3+:NONE');
+  assert.equal(preview.items.length, 2);
+  assert.ok(preview.items.every(item => item.rarity === 'L3'));
+});
+
+test('an invalid Level fails the ladder instead of dropping the rung', () => {
+  const engine = createEngine({
+    fixture: patchFixture('prize_event', {
+      sheets: {
+        Prize_Ladder: [
+          LADDER_HEADERS,
+          ['D', 0, '', 1, 1, 'L11', ''],
+          ['D', 0, '', 2, '', 'L1', '']
+        ]
+      }
+    })
+  });
+
+  assert.throws(() => engine.run('previewEndPrizes', EVENT_ID), /INVALID_CONFIG.*row 2 \(suffix D\).*"L11"/);
+  const check = engine.run('validatePrizeLadder');
+  assert.equal(check.valid, false);
+  engine.run('onEdit', { range: engine.sheet('Prize_Ladder').getRange(2, 6) });
+  assert.match(engine.spreadsheet.toasts.slice(-1)[0].message, /Prize_Ladder row 2/);
+
+  engine.sheet('Prize_Ladder').getRange(2, 6).setValue('L10');
+  assert.equal(engine.run('validatePrizeLadder').valid, true);
+  assert.equal(engine.run('resolvePrizeLadder', EVENT_ID, 6).label, 'D[0-] 1:L10 2+:L1');
+});
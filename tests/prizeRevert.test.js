@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * Creates an engine with committed end prizes
+ * @return {Object} {engine, before, result}
+ */
+function withCommittedEndPrizes() {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const before = {
+    catalog: engine.values('Prize_Catalog'),
+    event: engine.values(EVENT_ID)
+  };
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  const result = engine.run('commitEndPrizes', EVENT_ID, preview.hash);
+  return { engine, before, result };
+}
+
+test('dry run lists the changes without writing', () => {
+  const { engine, result } = withCommittedEndPrizes();
+  const catalog = engine.values('Prize_Catalog');
+  const event = engine.values(EVENT_ID);
+
+  const plan = engine.run('revertPrizeBatch', result.batchId, { dryRun: true });
+
+  assert.equal(plan.dryRun, true);
+  assert.equal(plan.eventId, EVENT_ID);
+  assert.ok(plan.stock.length > 0);
+  assert.ok(plan.cells.every(cell => cell.status === 'RESTORE' && cell.to === ''));
+  assert.equal(plan.spentRows, result.allocated);
+  assert.notEqual(plan.checksumBefore, plan.checksumAfter);
+  assert.deepEqual(engine.values('Prize_Catalog'), catalog);
+  assert.deepEqual(engine.values(EVENT_ID), event);
+  assert.ok(engine.rows('Spent_Pool').every(r => r.Reverted === false));
+  assert.ok(!engine.rows('Integrity_Log').some(r => r.Action === 'REVERT'));
+});
+
+test('revert restores stock, cells and Spent_Pool and logs checksums', () => {
+  const { engine, before, result } = withCommittedEndPrizes();
+  const dryRun = engine.run('revertPrizeBatch', result.batchId, { dryRun: true });
+
+  const plan = engine.run('revertPrizeBatch', result.batchId);
+
+  assert.deepEqual(engine.values('Prize_Catalog'), before.catalog);
+  assert.deepEqual(engine.values(EVENT_ID), before.event);
+  assert.ok(engine.rows('Spent_Pool').every(r => r.Reverted === true));
+  assert.equal(plan.checksumAfter, dryRun.checksumAfter);
+  const log = engine.rows('Integrity_Log').find(r => r.Action === 'REVERT');
+  assert.equal(log.Status, 'SUCCESS');
+  assert.equal(log.Checksum_Before, plan.checksumBefore);
+  assert.equal(log.Checksum_After, plan.checksumAfter);
+  assert.throws(() => engine.run('revertPrizeBatch', result.batchId), /ALREADY_REVERTED/);
+});
+
+test('cells edited after the commit are reported as conflicts and kept', () => {
+  const { engine, result } = withCommittedEndPrizes();
+  const data = engine.values(EVENT_ID);
+  const endCol = data[0].indexOf('End_Prizes');
+  const row = data.findIndex((r, i) => i > 0 && r[endCol] !== '');
+  engine.sheet(EVENT_ID).getRange(row + 1, endCol + 1).setValue('HAND-EDIT');
+
+  const plan = engine.run('revertPrizeBatch', result.batchId);
+
+  assert.equal(plan.conflicts, 1);
+  assert.equal(engine.values(EVENT_ID)[row][endCol], 'HAND-EDIT');
+  assert.equal(engine.rows('Integrity_Log').find(r => r.Action === 'REVERT').Status, 'PARTIAL');
+});
+
+test('legacy batches fall back to Spent_Pool', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.sheet(EVENT_ID).getRange(2, engine.values(EVENT_ID)[0].indexOf('End_Prizes') + 1).setValue('L1-PACK');
+  engine.run('writeSpentPool', [{
+    eventId: EVENT_ID, itemCode: 'L1-PACK', itemName: 'Play Booster', level: 'L1', qty: 1, cogs: 3.5, eventType: 'CONSTRUCTED'
+  }], 'LEGACY-1');
+  const qty = () => engine.rows('Prize_Catalog').find(r => r.Code === 'L1-PACK').Qty;
+  const start = qty();
+
+  const plan = engine.run('revertPrizeBatch', 'LEGACY-1');
+
+  assert.equal(plan.legacy, true);
+  assert.equal(qty(), start + 1);
+  assert.equal(engine.rows(EVENT_ID)[0].End_Prizes, '');
+});
+
+test('reverting a wizard round resets its flag so the round can be re-awarded', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const committed = engine.run('commitCommanderRoundPrizes', EVENT_ID, 1);
+  assert.equal(committed.success, true);
+  assert.equal(engine.run('getCommanderEventState', EVENT_ID).rounds.r1Awarded, true);
+
+  const plan = engine.run('revertPrizeBatch', committed.batchId);
+
+  assert.deepEqual(plan.flags.map(f => [f.flag, f.to]), [['Round1_Awarded', 'false']]);
+  assert.equal(plan.spentRows, 0);
+  assert.equal(engine.run('getCommanderEventState', EVENT_ID).rounds.r1Awarded, false);
+  assert.ok(engine.rows(EVENT_ID).every(r => r.R1_Prize === ''));
+  assert.equal(engine.run('commitCommanderRoundPrizes', EVENT_ID, 1).success, true);
+});
+
+test('unknown batches are rejected', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  assert.throws(() => engine.run('revertPrizeBatch', 'NOPE'), /BATCH_NOT_FOUND/);
+  assert.equal(engine.run('revertBatch', 'NOPE'), 0);
+});
+
+test('revertBatch counts the reverted Spent_Pool rows and 0 once nothing is left', () => {
+  const { engine, result } = withCommittedEndPrizes();
+  assert.equal(engine.run('revertBatch', result.batchId), result.allocated);
+  assert.equal(engine.run('revertBatch', result.batchId), 0);
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+test('previewEndPrizes is deterministic for the event seed', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const first = engine.run('previewEndPrizes', EVENT_ID);
+  const second = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.equal(first.seed, 'SEEDTEST01');
+  assert.equal(first.hash, second.hash);
+  assert.deepEqual(first.allocations, second.allocations);
+  assert.equal(first.players, 12);
+  // LIMITED: (15 entry - 5 kit) × 12 players × 0.95
+  assert.equal(first.budget, 114);
+  assert.ok(first.spend <= first.budget);
+});
+
+test('previewEndPrizes never allocates out-of-stock items', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.ok(preview.allocations.every(a => a.code !== 'L1-OOS'));
+});
+
+test('commitEndPrizes writes End_Prizes, decrements stock and logs Spent_Pool', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+
+  const result = engine.run('commitEndPrizes', EVENT_ID, preview.hash);
+
+  assert.equal(result.success, true);
+  assert.equal(result.allocated, preview.allocations.length);
+
+  const roster = engine.rows(EVENT_ID);
+  preview.allocations.forEach(alloc => {
+    const row = roster.find(r => r.PreferredName === alloc.preferredName);
+    assert.ok(row.End_Prizes.split(', ').includes(alloc.code));
+  });
+
+  const spent = engine.rows('Spent_Pool');
+  assert.equal(spent.length, preview.allocations.length);
+  assert.ok(spent.every(r => r.Batch_ID === result.batchId && r.Reverted === false));
+
+  const catalog = engine.rows('Prize_Catalog');
+  const pack = catalog.find(r => r.Code === 'L1-PACK');
+  const packsGiven = preview.allocations.filter(a => a.code === 'L1-PACK').length;
+  assert.equal(pack.Qty, 20 - packsGiven);
+
+  const log = engine.rows('Integrity_Log');
+  assert.equal(log[log.length - 1].Action, 'COMMIT');
+  assert.equal(engine.values('Preview_Artifacts').length, 1); // header only
+});
+
+test('commitEndPrizes rejects a stale preview hash', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+
+  assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, 'not-the-hash'), /HASH_MISMATCH/);
+  assert.equal(engine.sheet('Spent_Pool'), null);
+});
+
+test('OPTIMAL allocation fills the budget monotonically by rank', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('setThrottleParam', 'Allocation_Mode', 'OPTIMAL');
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  const again = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.equal(preview.mode, 'OPTIMAL');
+  assert.equal(preview.hash, again.hash);
+  assert.equal(preview.allocations.length, 12);
+  assert.ok(preview.spend <= preview.budget);
+  for (let i = 1; i < preview.allocations.length; i++) {
+    assert.ok(preview.allocations[i].cogs <= preview.allocations[i - 1].cogs);
+  }
+
+  const catalog = engine.rows('Prize_Catalog');
+  catalog.forEach(item => {
+    const given = preview.allocations.filter(a => a.code === item.Code).length;
+    assert.ok(given <= item.Qty, `${item.Code} over-allocated`);
+  });
+
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  assert.equal(engine.run('commitEndPrizes', EVENT_ID, preview.hash).success, true);
+});
+
+test('OPTIMAL allocation covers lower ranks on a tight budget', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('setThrottleParam', 'Allocation_Mode', 'OPTIMAL');
+  const throttle = engine.run('getThrottleKV');
+  const players = ['Ava', 'Ben', 'Cam', 'Dee', 'Eli', 'Fay'].map((preferredName, i) => ({ preferredName, rank: i + 1 }));
+  const items = engine.rows('Prize_Catalog').filter(item => item.Qty > 0);
+
+  const allocations = engine.run('allocatePrizes_', players, items, 30, throttle, 'TIGHT');
+
+  assert.equal(allocations.length, 6);
+  const spend = allocations.reduce((sum, a) => sum + a.cogs, 0);
+  assert.ok(spend <= 30 && spend >= 29);
+  for (let i = 1; i < allocations.length; i++) {
+    assert.ok(allocations[i].cogs <= allocations[i - 1].cogs);
+  }
+});
+test('OPTIMAL allocation moves on to the next item when the cheapest runs out', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('setThrottleParam', 'Allocation_Mode', 'OPTIMAL');
+  const throttle = engine.run('getThrottleKV');
+  const players = ['Ava', 'Ben', 'Cam', 'Dee', 'Eli', 'Fay'].map((preferredName, i) => ({ preferredName, rank: i + 1 }));
+  const items = [
+    { Code: 'A', Name: 'Scarce', Level: 'L1', COGS: 2, Qty: 1, InStock: true, Eligible_End: true },
+    { Code: 'B', Name: 'Plenty', Level: 'L1', COGS: 3, Qty: 10, InStock: true, Eligible_End: true }
+  ];
+
+  const roomy = engine.run('allocatePrizes_', players, items, 100, throttle, 'SCARCE');
+  assert.deepEqual(roomy.map(a => a.code), ['B', 'B', 'B', 'B', 'B', 'B']);
+
+  const tight = engine.run('allocatePrizes_', players, items, 17, throttle, 'SCARCE');
+  assert.deepEqual(tight.map(a => a.code), ['B', 'B', 'B', 'B', 'B', 'A']);
+});
+
+test('OPTIMAL swaps a pricier fallback up a rank unless the ladder or a repeat rules it out', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('setThrottleParam', 'Allocation_Mode', 'OPTIMAL');
+  const throttle = engine.run('getThrottleKV');
+  const players = [{ preferredName: 'Ava', rank: 1 }, { preferredName: 'Ben', rank: 2 }];
+  const items = [
+    { Code: 'A', Name: 'Scarce', Level: 'L1', COGS: 2, Qty: 1, InStock: true, Eligible_End: true },
+    { Code: 'B', Name: 'Pricier', Level: 'L2', COGS: 5, Qty: 5, InStock: true, Eligible_End: true }
+  ];
+  const ladder = { rungs: [{ from: 1, to: null, level: 'L2' }] };
+  const diversity = history => ({ mode: 'DOWNWEIGHT', weight: 0.25, lookbackDays: 28, history, skipped: [] });
+
+  // Ben's fallback (A is gone) costs more than Ava's pick: swapped up to Ava
+  const fresh = engine.run('allocatePrizes_', players, items, 7, throttle, 'ORDER', ladder, diversity({}));
+  assert.deepEqual(fresh.map(a => [a.preferredName, a.code]), [['Ava', 'B'], ['Ben', 'A']]);
+
+  // Ava won B last week: the swap would hand her a repeat, so Ben keeps the pricier item
+  const repeat = diversity({ Ava: { B: [{ eventId: '10-25D-2025', daysAgo: 7 }] } });
+  const kept = engine.run('allocatePrizes_', players, items, 7, throttle, 'ORDER', ladder, repeat);
+  assert.deepEqual(kept.map(a => [a.preferredName, a.code]), [['Ava', 'A'], ['Ben', 'B']]);
+
+  // B is above Ava's ladder level: no swap either
+  const capped = { rungs: [{ from: 1, to: 1, level: 'L1' }, { from: 2, to: null, level: 'L2' }] };
+  const ladderOnly = engine.run('allocatePrizes_', players, items, 7, throttle, 'ORDER', capped, diversity({}));
+  assert.deepEqual(ladderOnly.map(a => [a.preferredName, a.code]), [['Ava', 'A'], ['Ben', 'B']]);
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+const EVENT = loadFixture('prize_event').sheets[EVENT_ID];
+
+/**
+ * prize_event patch: two empty event tabs scheduled in the following weeks
+ */
+const SCHEDULED = {
+  sheets: {
+    '11-15D-2025': { values: EVENT.values.slice(0, 1), metadata: EVENT.metadata },
+    '11-22D-2025': { values: EVENT.values.slice(0, 1), metadata: EVENT.metadata }
+  }
+};
+
+/**
+ * Creates an engine with the fixture event committed and SCHEDULED events
+ * ahead (today: Tue 11-04-2025)
+ * @return {Object} {engine, commit}
+ */
+function withCommittedEvent() {
+  const engine = createEngine({ fixture: patchFixture('prize_event', SCHEDULED), now: '2025-11-04T12:00:00Z' });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  const commit = engine.run('commitEndPrizes', EVENT_ID, preview.hash);
+  return { engine, commit };
+}
+
+/**
+ * Finds a Reorder_Suggestions row
+ * @param {Object} engine - Engine
+ * @param {string} type - LEVEL or SKU
+ * @param {string} key - Level or code
+ * @return {Object} Row
+ */
+function suggestion(engine, type, key) {
+  return engine.rows('Reorder_Suggestions').find(r => r.Type === type && (type === 'LEVEL' ? r.Level : r.Code) === key);
+}
+
+test('burn rates from Spent_Pool and scheduled events drive reorder quantities', () => {
+  const { engine } = withCommittedEvent();
+  const result = engine.run('forecastReorders');
+
+  assert.equal(result.pastEvents, 1);
+  assert.equal(result.scheduledEvents, 2);
+  // 4 weeks ahead: max(scheduled, 1 past event / 8 weeks) = 0.125 + 1 + 1 + 0.125 events
+  const bundle = suggestion(engine, 'SKU', 'L3-BUND');
+  assert.equal(bundle.Burn_Per_Event, 1);
+  assert.equal(bundle.Burn_Per_Week, 2.25 / 4);
+  assert.equal(bundle.Weeks_Of_Cover, 1.875);
+  assert.equal(bundle.Recommended_Qty, 2);
+  assert.equal(bundle.Est_Cost, 24);
+  const l3 = suggestion(engine, 'LEVEL', 'L3');
+  assert.equal(l3.Burn_Per_Event, 4);
+  assert.equal(l3.Recommended_Qty, 9);
+  assert.notEqual(l3.Stockout_Date, '');
+  // Unused stock never runs out
+  assert.equal(suggestion(engine, 'SKU', 'L0-PROMO').Stockout_Date, '');
+  assert.equal(suggestion(engine, 'SKU', 'L0-PROMO').Recommended_Qty, 0);
+});
+
+test('BP store redemptions are weekly demand, not past events', () => {
+  const { engine } = withCommittedEvent();
+  engine.setNow('2025-10-20T12:00:00Z');
+  engine.run('writeSpentPool', [{
+    eventId: 'BP_REDEEM', itemCode: 'L3-BUND', itemName: 'Bundle', level: 'L3', qty: 2, cogs: 12, eventType: 'BP_REDEMPTION'
+  }], engine.run('newBatchId'));
+  engine.setNow('2025-11-04T12:00:00Z');
+
+  const result = engine.run('forecastReorders');
+
+  assert.equal(result.pastEvents, 1);
+  const bundle = suggestion(engine, 'SKU', 'L3-BUND');
+  assert.equal(bundle.Burn_Per_Event, 1);
+  // 2 redeemed / 8 weeks on top of the event burn
+  assert.equal(bundle.Burn_Per_Week, (2.25 + 4 * 0.25) / 4);
+  assert.equal(result.items.find(i => i.code === 'L3-BUND').otherPerWeek, 0.25);
+});
+
+test('Projected_Qty from importPreorders counts as incoming stock', () => {
+  const { engine } = withCommittedEvent();
+  engine.run('importPreorders', 'Code,Qty_Reserved\nL3-CBOX,4\nL2-DECK,1');
+
+  engine.run('forecastReorders');
+
+  const cbox = suggestion(engine, 'SKU', 'L3-CBOX');
+  assert.equal(cbox.On_Hand, 0);
+  assert.equal(cbox.Incoming, 4);
+  assert.equal(cbox.Recommended_Qty, 3);
+  assert.equal(suggestion(engine, 'SKU', 'L2-DECK').Recommended_Qty, 2);
+  assert.equal(suggestion(engine, 'LEVEL', 'L3').Incoming, 4);
+});
+
+test('reverted batches and the cover window are respected', () => {
+  const { engine, commit } = withCommittedEvent();
+  engine.run('revertPrizeBatch', commit.batchId);
+
+  const result = engine.run('forecastReorders', { coverWeeks: 8 });
+
+  assert.equal(result.pastEvents, 0);
+  assert.equal(result.scheduledEvents, 2);
+  assert.ok(result.items.every(item => item.recommendedQty === 0 && item.stockoutDate === null));
+  assert.ok(engine.rows('Reorder_Suggestions').every(r => r.Cover_Weeks === 8));
+  assert.throws(() => engine.run('forecastReorders', { coverWeeks: 0 }), /FORECAST_INVALID/);
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * Previews end prizes and stores the artifact
+ * @param {Object} engine - Engine
+ * @param {string} seed - Seed (optional)
+ * @return {Object} Preview
+ */
+function preview(engine, seed = null) {
+  const result = engine.run('previewEndPrizes', EVENT_ID, null, seed);
+  engine.run('storePreviewArtifact', EVENT_ID, result.seed, result.hash);
+  return result;
+}
+
+test('event start publishes sha256 of the seed with a printable notice', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const commitment = engine.run('commitEventSeed', EVENT_ID);
+  const seed = engine.run('getEventProps', engine.sheet(EVENT_ID)).event_seed;
+
+  assert.equal(commitment.seedHash, crypto.createHash('sha256').update(String(seed)).digest('hex'));
+  assert.match(commitment.notice, new RegExp(`sha256\\(seed\\) = ${commitment.seedHash}`));
+  assert.equal(engine.run('commitEventSeed', EVENT_ID).seedHash, commitment.seedHash);
+  const rows = engine.rows('Seed_Commitments');
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].Seed, '');
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'SEED_COMMIT').length, 1);
+});
+
+test('a commit with a seed other than the committed one is refused', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('commitEventSeed', EVENT_ID);
+  const other = preview(engine, 'SOMEOTHERSEED');
+
+  assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, other.hash), /SEED_MISMATCH/);
+  assert.equal(engine.rows('Spent_Pool').length, 0);
+  assert.equal(engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash).success, true);
+});
+
+test('the revealed seed reproduces the published allocations', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('commitEventSeed', EVENT_ID);
+  assert.throws(() => engine.run('revealEventSeed', EVENT_ID), /SEED_NOT_DRAWN/);
+  const committed = engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash);
+
+  const result = engine.run('revealEventSeedFromUI', EVENT_ID);
+
+  assert.equal(result.verified, true);
+  assert.equal(result.seedMatches, true);
+  assert.equal(result.drawReproduced, true);
+  assert.deepEqual(result.differences, []);
+  const published = engine.rows('Spent_Pool').map(r => r.Item_Code).sort();
+  assert.deepEqual(result.allocations.map(a => a.code).sort(), published);
+  const row = engine.rows('Seed_Commitments')[0];
+  assert.equal(row.Status, 'REVEALED');
+  assert.equal(row.Batch_ID, committed.batchId);
+  assert.equal(row.Verified, 'VERIFIED');
+  assert.deepEqual(engine.rows('Integrity_Log').filter(r => r.Action.startsWith('SEED_')).map(r => r.Action),
+    ['SEED_COMMIT', 'SEED_REVEAL', 'SEED_VERIFY']);
+});
+
+test('a different seed fails verification without touching the public record', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('commitEventSeed', EVENT_ID);
+  engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash);
+  engine.run('revealEventSeed', EVENT_ID);
+
+  const result = engine.run('verifyEventSeed', EVENT_ID, 'TAMPERED');
+
+  assert.equal(result.verified, false);
+  assert.equal(result.seedMatches, false);
+  assert.equal(engine.rows('Seed_Commitments')[0].Verified, '');
+  assert.equal(engine.rows('Integrity_Log').filter(r => r.Action === 'SEED_VERIFY')[0].Status, 'FAILURE');
+});
+
+test('staff overrides are disclosed as adjustments to the draw', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('commitEventSeed', EVENT_ID);
+  const first = preview(engine).allocations[0];
+  const updated = engine.run('overridePreviewAllocation', EVENT_ID,
+    { action: 'REMOVE', preferredName: first.preferredName, fromCode: first.code, reason: 'Declined prize' });
+  engine.run('commitEndPrizes', EVENT_ID, updated.hash);
+  engine.run('revealEventSeed', EVENT_ID);
+
+  const result = engine.run('verifyEventSeed', EVENT_ID);
+
+  assert.equal(result.verified, true);
+  assert.deepEqual(result.differences.map(d => [d.preferredName, d.drawn, d.published]), [[first.preferredName, first.code, '']]);
+  assert.match(result.differences[0].explainedBy[0], /^OVERRIDE REMOVE .*Declined prize/);
+  assert.deepEqual(result.unexplained, []);
+  assert.match(result.adjustments[0], /^OVERRIDE REMOVE .*Declined prize/);
+});
+
+test('a difference no disclosed adjustment explains fails verification', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('commitEventSeed', EVENT_ID);
+  const [first, second] = preview(engine).allocations;
+  const updated = engine.run('overridePreviewAllocation', EVENT_ID,
+    { action: 'REMOVE', preferredName: first.preferredName, fromCode: first.code, reason: 'Declined prize' });
+  engine.run('commitEndPrizes', EVENT_ID, updated.hash);
+  engine.run('revealEventSeed', EVENT_ID);
+  // Published list altered for a second player: one disclosed adjustment must not cover both
+  const cell = engine.sheet('Seed_Draws').getRange(2, 4);
+  const draw = JSON.parse(cell.getValue());
+  draw.published.find(a => a.preferredName === second.preferredName).code = 'L1-PACK';
+  cell.setValue(JSON.stringify(draw));
+
+  const result = engine.run('verifyEventSeed', EVENT_ID);
+
+  assert.equal(result.verified, false);
+  assert.deepEqual(result.unexplained.map(d => d.preferredName), [second.preferredName]);
+  assert.deepEqual(result.differences.map(d => [d.preferredName, d.explainedBy.length]),
+    [[first.preferredName, 1], [second.preferredName, 0]]);
+  assert.equal(engine.rows('Seed_Commitments')[0].Verified, 'FAILED');
+});
+
+test('a seed cannot be committed after prizes are drawn', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash);
+
+  assert.throws(() => engine.run('commitEventSeed', EVENT_ID), /SEED_TOO_LATE/);
+  assert.equal(engine.run('getSeedCommitment', EVENT_ID), null);
+});
+
+test('the recorded draw keeps only the roster prize history and is written before the commit', () => {
+  const fixture = patchFixture('prize_event', {
+    sheets: { '10-25D-2025': [['Rank', 'PreferredName', 'End_Prizes'], [1, 'Ava', 'L3-BUND'], [2, 'Zed', 'L3-CBOX']] },
+    settings: { Diversity_Mode: 'DOWNWEIGHT' }
+  });
+  const engine = createEngine({ fixture });
+  engine.run('commitEventSeed', EVENT_ID);
+
+  // A draw that cannot be recorded stops the commit before anything is written
+  const record = globalThis.recordSeedDraw_;
+  globalThis.recordSeedDraw_ = () => { throw new Error('Cell too large'); };
+  try {
+    assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash), /Cell too large/);
+  } finally {
+    globalThis.recordSeedDraw_ = record;
+  }
+  assert.equal(engine.rows('Spent_Pool').length, 0);
+  assert.ok(engine.rows(EVENT_ID).every(r => r.End_Prizes === ''));
+
+  engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash);
+  const draw = JSON.parse(engine.rows('Seed_Draws')[0].Draw_JSON);
+  assert.deepEqual(Object.keys(draw.diversity.history), ['Ava']);
+  engine.run('revealEventSeed', EVENT_ID);
+  assert.equal(engine.run('verifyEventSeed', EVENT_ID).verified, true);
+});
+
+test('a revealed draw is final and a re-commit before the reveal keeps the earlier draw', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('commitEventSeed', EVENT_ID);
+  const first = engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash);
+  engine.run('revertPrizeBatch', first.batchId);
+  const second = engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash);
+  assert.deepEqual(engine.rows('Seed_Draws').map(r => r.Batch_ID), [first.batchId, second.batchId]);
+
+  // A draw split across rows reads back whole
+  const draws = engine.sheet('Seed_Draws');
+  const json = draws.getRange(3, 4).getValue();
+  draws.getRange(3, 4).setValue(json.substring(0, 100));
+  draws.appendRow([EVENT_ID, second.batchId, 2, json.substring(100)]);
+  engine.run('revealEventSeed', EVENT_ID);
+  assert.equal(engine.run('verifyEventSeed', EVENT_ID).verified, true);
+
+  engine.run('revertPrizeBatch', second.batchId);
+  assert.throws(() => engine.run('commitEndPrizes', EVENT_ID, preview(engine).hash), /SEED_REVEALED/);
+  const row = engine.rows('Seed_Commitments')[0];
+  assert.deepEqual([row.Status, row.Batch_ID], ['REVEALED', second.batchId]);
+  assert.equal(engine.rows('Seed_Draws').length, 3);
+  assert.equal(engine.rows('Spent_Pool').filter(r => r.Reverted !== true).length, 0);
+});
+
+test('UI previews leave out the recorded draw', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const result = engine.run('previewEndPrizesFromUI', EVENT_ID);
+
+  assert.equal(result.draw, undefined);
+  assert.ok(result.hash);
+  const first = result.allocations[0];
+  const updated = engine.run('overridePreviewAllocationFromUI', EVENT_ID,
+    { action: 'REMOVE', preferredName: first.preferredName, fromCode: first.code, reason: 'Declined prize' });
+  assert.equal(updated.draw, undefined);
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture } = require('./harness/engine');
+
+test('logStoreCreditTransaction appends a signed row with a running balance', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+  const result = engine.run('logStoreCreditTransaction', {
+    preferred_name_id: 'Ava',
+    direction: 'OUT',
+    amount: '7.50',
+    reason: 'Sleeves'
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.amount, -7.5);
+  assert.equal(result.newBalance, 12.5);
+
+  const rows = engine.rows('Store_Credit_Ledger');
+  assert.equal(rows.length, 2);
+  assert.equal(rows[1].RunningBalance, 12.5);
+  assert.equal(rows[1].RowId, result.rowId);
+  assert.ok(engine.state.properties.script.LEDGER_LAST_UPDATED);
+});
+
+test('logStoreCreditTransaction validates direction and amount', () => {
+  const engine = createEngine({ fixture: loadFixture('player_ledgers') });
+
+  assert.throws(
+    () => engine.run('logStoreCreditTransaction', { preferred_name_id: 'Ava', direction: 'SIDEWAYS', amount: 1 }),
+    /direction must be/
+  );
+  assert.throws(
+    () => engine.run('logStoreCreditTransaction', { preferred_name_id: 'Ava', direction: 'IN', amount: -1 }),
+    /positive number/
+  );
+});
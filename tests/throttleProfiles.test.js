@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+const HEADERS = ['Profile', 'Scope', 'Match', 'Start_Time', 'End_Time', 'Overrides', 'Enabled', 'Notes'];
+
+test('events without a matching profile use the global throttle', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.deepEqual(preview.profile, { name: 'GLOBAL', scope: 'GLOBAL', overrides: {} });
+  assert.equal(preview.budget, 114);
+});
+
+test('a suffix profile overrides the global throttle and is shown on previews', () => {
+  const fixture = patchFixture('prize_event', {
+    sheets: {
+      Throttle_Profiles: [
+        HEADERS,
+        ['Draft Night', 'SUFFIX', 'D', '', '', 'RL_Percentage=0.80', true, ''],
+        ['MTG', 'GAME', 'MTG', '', '', 'RL_Percentage=0.50', true, '']
+      ]
+    }
+  });
+  const engine = createEngine({ fixture });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+
+  assert.deepEqual(preview.profile, { name: 'Draft Night', scope: 'SUFFIX', overrides: { RL_Percentage: '0.80' } });
+  assert.equal(preview.budget, 96);
+  assert.equal(engine.run('getThrottleForEvent', EVENT_ID).RL_Percentage, '0.80');
+  // Global Prize_Throttle is untouched
+  assert.equal(engine.run('getThrottleKV').RL_Percentage, '0.95');
+});
+
+test('game profiles match the event game or the suffix game; disabled rows are skipped', () => {
+  const fixture = patchFixture('prize_event', {
+    sheets: {
+      Throttle_Profiles: [
+        HEADERS,
+        ['Off', 'SUFFIX', 'D', '', '', 'RL_Percentage=0.60', false, ''],
+        ['Magic', 'GAME', 'MTG', '', '', 'RL_Percentage=0.90', true, ''],
+        ['Lorcana', 'GAME', 'LORCANA', '', '', 'RL_Percentage=0.85', true, '']
+      ]
+    }
+  });
+  const engine = createEngine({ fixture });
+  assert.equal(engine.run('resolveThrottleProfile', EVENT_ID).name, 'Magic');
+  const lorcana = engine.run('resolveThrottleProfile', EVENT_ID, { game: 'lorcana' });
+  assert.equal(lorcana.name, 'Lorcana');
+  assert.equal(lorcana.throttle.RL_Percentage, '0.85');
+});
+
+test('Night Mode applies the ENHANCED profile to events starting in the night window', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', { metadata: { [EVENT_ID]: { start_time: '22:30' } } }) });
+  assert.equal(engine.run('resolveThrottleProfile', EVENT_ID).name, 'GLOBAL');
+
+  engine.run('setThrottleKV', { Night_Mode_Enabled: 'TRUE', Night_Mode_Profile: 'ENHANCED' });
+  const night = engine.run('resolveThrottleProfile', EVENT_ID);
+
+  assert.equal(night.scope, 'NIGHT');
+  assert.equal(night.name, 'ENHANCED');
+  assert.equal(night.throttle.Consolation_L1_Ratio, '0.40');
+  assert.equal(night.throttle.EF_Clamp_Max, '2.50');
+  // Window wraps past midnight; afternoon events stay global
+  assert.equal(engine.run('resolveThrottleProfile', EVENT_ID, { start_time: '01:15' }).name, 'ENHANCED');
+  assert.equal(engine.run('resolveThrottleProfile', EVENT_ID, { start_time: '14:00' }).name, 'GLOBAL');
+  assert.equal(engine.run('previewEndPrizes', EVENT_ID).profile.name, 'ENHANCED');
+});
+
+test('TIME profiles outrank Night Mode and invalid overrides are rejected', () => {
+  const fixture = patchFixture('prize_event', {
+    sheets: { Throttle_Profiles: [HEADERS, ['Late Draft', 'TIME', '', '22:00', '23:59', 'RL_Percentage=0.90', true, '']] },
+    metadata: { [EVENT_ID]: { start_time: '22:30' } }
+  });
+  const engine = createEngine({ fixture });
+  engine.run('setThrottleKV', { Night_Mode_Enabled: 'TRUE' });
+  assert.equal(engine.run('resolveThrottleProfile', EVENT_ID).name, 'Late Draft');
+
+  engine.sheet('Throttle_Profiles').getRange(2, 6).setValue('EF_Clamp_Min=3.00');
+  assert.throws(() => engine.run('previewEndPrizes', EVENT_ID), /PROFILE_INVALID/);
+});
+
+test('Spent_Pool records the profile and overrides a batch was committed under', () => {
+  const fixture = patchFixture('prize_event', {
+    sheets: { Throttle_Profiles: [HEADERS, ['Draft Night', 'SUFFIX', 'D', '', '', 'RL_Percentage=0.80; EF_Clamp_Max=2.50', true, '']] }
+  });
+  const engine = createEngine({ fixture });
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  const { batchId } = engine.run('commitEndPrizes', EVENT_ID, preview.hash);
+
+  const spent = engine.rows('Spent_Pool').filter(r => r.Batch_ID === batchId);
+  assert.ok(spent.length > 0);
+  assert.ok(spent.every(r => r.Throttle_Profile === 'Draft Night: RL_Percentage=0.80; EF_Clamp_Max=2.50'));
+  assert.equal(engine.run('formatThrottleProfile', { name: 'GLOBAL', overrides: {} }), 'GLOBAL');
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * prize_event patch: a second, smaller CONSTRUCTED event in history
+ */
+const HISTORY = {
+  sheets: {
+    '11-08D-2025': {
+      values: loadFixture('prize_event').sheets[EVENT_ID].values.slice(0, 7),
+      metadata: { event_type: 'CONSTRUCTED', entry: '5', event_seed: 'SEEDTEST02' }
+    }
+  }
+};
+
+test('unchanged settings produce identical current and proposed results', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', HISTORY) });
+  const result = engine.run('simulateThrottleChange', {}, { runs: 20, seed: 'SIM1' });
+
+  assert.equal(result.events, 2);
+  assert.deepEqual(result.changed, []);
+  assert.deepEqual(result.proposed, result.current);
+  assert.equal(result.current.ranks.length, 12);
+  assert.equal(result.current.ranks[11].events, 10);
+});
+
+test('a lower RL_Percentage is reported side by side on Throttle_Simulation', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', HISTORY) });
+  const result = engine.run('simulateThrottleChange', { RL_Percentage: '0.70' }, { runs: 40, seed: 'SIM2' });
+
+  assert.deepEqual(result.changed, ['RL_Percentage']);
+  assert.ok(result.proposed.spend.mean < result.current.spend.mean);
+  assert.ok(result.proposed.bands.RED > result.current.bands.RED);
+  const rows = engine.rows('Throttle_Simulation');
+  const row = (section, metric) => rows.find(r => r.Section === section && r.Metric === metric);
+  assert.deepEqual([row('Settings', 'RL_Percentage').Current, row('Settings', 'RL_Percentage').Proposed], ['0.95', '0.70']);
+  const mean = row('Spend', 'MEAN');
+  assert.equal(mean.Current, result.current.spend.mean);
+  assert.equal(mean.Delta, result.proposed.spend.mean - result.current.spend.mean);
+  assert.ok(rows.some(r => r.Section === 'Stock' && /^L3 events to deplete/.test(r.Metric)));
+  assert.equal(rows.filter(r => r.Section === 'Prize Value').length, 12);
+  // The live throttle is untouched
+  assert.equal(engine.run('getThrottleKV').RL_Percentage, '0.95');
+});
+
+test('synthetic runs are seeded and mix player counts with entry fees', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', HISTORY) });
+  const first = engine.run('simulateThrottleChange', {}, { runs: 60, source: 'synthetic', seed: 'SIM3' });
+  const again = engine.run('simulateThrottleChange', {}, { runs: 60, source: 'SYNTHETIC', seed: 'SIM3' });
+
+  assert.equal(first.source, 'SYNTHETIC');
+  assert.deepEqual(again.current, first.current);
+  // Some draws pair a fee with the 6-player turnout
+  assert.ok(first.current.ranks[11].events < 60);
+});
+
+test('invalid proposals are rejected before simulating', () => {
+  const engine = createEngine({ fixture: patchFixture('prize_event', HISTORY) });
+  assert.throws(() => engine.run('simulateThrottleChange', { EF_Clamp_Min: '2.0', EF_Clamp_Max: '1.5' }), /THROTTLE_INVALID/);
+  // Checked against the live EF_Clamp_Max when only the minimum is proposed
+  engine.run('setThrottleKV', { EF_Clamp_Max: '1.2' });
+  assert.throws(() => engine.run('simulateThrottleChange', { EF_Clamp_Min: '1.5' }, { runs: 5 }), /THROTTLE_INVALID/);
+  assert.throws(() => engine.run('simulateThrottleChange', {}, { runs: 0 }), /SIMULATION_INVALID/);
+  assert.equal(engine.sheet('Throttle_Simulation'), null);
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, loadFixture, patchFixture } = require('./harness/engine');
+
+const EVENT_ID = '11-01D-2025';
+
+/**
+ * Stores the end prize preview and commits it
+ * @param {Object} engine - Engine
+ * @return {Object} Commit result
+ */
+function commit(engine) {
+  const preview = engine.run('previewEndPrizes', EVENT_ID);
+  engine.run('storePreviewArtifact', EVENT_ID, preview.seed, preview.hash);
+  return engine.run('commitEndPrizes', EVENT_ID, preview.hash);
+}
+
+test('each change is a versioned snapshot with author, reason and old → new values', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event'), userEmail: 'owner@cosmic.test' });
+  assert.equal(engine.run('getCurrentThrottleVersion'), 0);
+
+  const first = engine.run('setThrottleKV', { RL_Percentage: '0.90', EF_Clamp_Max: '2.0' }, 'Tighten budget');
+  const second = engine.run('setThrottleParam', 'RL_Percentage', '0.92');
+
+  assert.equal(first.version, 1);
+  assert.equal(second.version, 2);
+  const history = engine.rows('Throttle_History');
+  assert.deepEqual(history.map(r => [r.Version, r.Action]), [[0, 'BASELINE'], [1, 'SET'], [2, 'SET']]);
+  assert.equal(history[1].Author, 'owner@cosmic.test');
+  assert.equal(history[1].Reason, 'Tighten budget');
+  assert.equal(history[1].Changes, 'RL_Percentage: 0.95 → 0.90; EF_Clamp_Max: 2.25 → 2.0');
+  assert.deepEqual(engine.run('getThrottleVersion', 2).changes, [{ key: 'RL_Percentage', from: '0.90', to: '0.92' }]);
+  const log = engine.rows('Integrity_Log').filter(r => r.Action === 'THROTTLE_CHANGE').pop();
+  assert.match(log.Details, /^v2: RL_Percentage: 0\.90 → 0\.92/);
+});
+
+test('versions can be diffed and rolled back', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  engine.run('setThrottleKV', { RL_Percentage: '0.90' });
+  engine.run('setThrottleKV', { Allocation_Mode: 'OPTIMAL', EF_Clamp_Min: '0.90' });
+
+  assert.deepEqual(engine.run('diffThrottleVersions', 0).changes, [
+    { key: 'RL_Percentage', from: '0.95', to: '0.90' },
+    { key: 'EF_Clamp_Min', from: '0.80', to: '0.90' },
+    { key: 'Allocation_Mode', from: '', to: 'OPTIMAL' }
+  ]);
+
+  const rollback = engine.run('rollbackThrottle', 1, 'OPTIMAL overspends');
+
+  assert.equal(rollback.version, 3);
+  const kv = engine.run('getThrottleKV');
+  assert.equal(kv.RL_Percentage, '0.90');
+  assert.equal(kv.EF_Clamp_Min, '0.80');
+  assert.equal(kv.Allocation_Mode, 'GREEDY');
+  const row = engine.rows('Throttle_History').pop();
+  assert.equal(row.Action, 'ROLLBACK');
+  assert.equal(row.Reason, 'Rollback to v1: OPTIMAL overspends');
+  assert.deepEqual(engine.run('diffThrottleVersions', 1, 3).changes, []);
+  // Nothing to roll back: no new version
+  assert.equal(engine.run('rollbackThrottle', 3).version, 3);
+  assert.throws(() => engine.run('rollbackThrottle', 9), /VERSION_NOT_FOUND/);
+});
+
+test('saves take the script lock and leave the Commander template alone', () => {
+  const template = [['Round', 'Seat', 'Level', 'L0', 'L1'], ['R1', '1st', 'L1', '', '1']];
+  const fixture = patchFixture('prize_event', { rows: { Prize_Throttle: { 20: template[0], 21: template[1] } } });
+  const engine = createEngine({ fixture });
+  const held = globalThis.LockService.getScriptLock();
+  held.tryLock(0);
+  try {
+    assert.throws(() => engine.run('setThrottleParam', 'RL_Percentage', '0.90'), /script lock/);
+  } finally {
+    held.releaseLock();
+  }
+  assert.equal(engine.run('getCurrentThrottleVersion'), 0);
+
+  engine.run('setThrottleKV', { RL_Percentage: '0.90', Allocation_Mode: 'OPTIMAL' });
+  engine.run('rollbackThrottle', 0);
+
+  const values = engine.values('Prize_Throttle');
+  assert.deepEqual(values.slice(19, 21).map(row => row.slice(0, 5)), template);
+  assert.deepEqual(values[1].slice(0, 2), ['RL_Percentage', '0.95']);
+  assert.deepEqual(values[13].slice(0, 2), ['', '']);
+  assert.equal(engine.run('getThrottleKV').Allocation_Mode, 'GREEDY');
+  assert.equal(engine.run('getCommanderTemplate_').length, 1);
+});
+
+test('Spent_Pool batches record the throttle version that produced them', () => {
+  const engine = createEngine({ fixture: loadFixture('prize_event') });
+  const before = commit(engine);
+  engine.run('revertPrizeBatch', before.batchId);
+  engine.run('setThrottleKV', { Allocation_Mode: 'OPTIMAL' }, 'Fill the budget');
+
+  const after = commit(engine);
+
+  const spent = engine.rows('Spent_Pool');
+  assert.ok(spent.filter(r => r.Batch_ID === before.batchId).every(r => r.Throttle_Version === 0));
+  assert.ok(spent.filter(r => r.Batch_ID === after.batchId).every(r => r.Throttle_Version === 1));
+  const explained = engine.run('getThrottleForBatch', after.batchId);
+  assert.equal(explained.snapshot.Allocation_Mode, 'OPTIMAL');
+  assert.equal(explained.reason, 'Fill the budget');
+  assert.equal(engine.run('getThrottleForBatch', before.batchId).action, 'BASELINE');
+});